@@ -0,0 +1,224 @@
+// An asset quantity as a BigInt in base units (e.g. Wei), together with the
+// asset it belongs to. The asset needs an integer `exponent`, and may carry
+// `id`, `symbol` and `name`, just like the assets, balances and transactions
+// the API returns.
+//
+//   const amount = Amount.parse('1.25 ETH', {symbol: 'ETH', exponent: 18});
+//   amount.toString(); // '1250000000000000000', as `transactions.create()` expects it
+//   amount.format(); // '1.25 ETH'
+
+const ZERO = BigInt(0);
+
+function toBigInt(value, what) {
+  if (typeof value == 'bigint') {
+    return value;
+  }
+  if (typeof value == 'number' && Number.isSafeInteger(value)) {
+    return BigInt(value);
+  }
+  if (typeof value == 'string' && /^-?\d+$/.test(value.trim())) {
+    return BigInt(value.trim());
+  }
+  throw new TypeError(`${what} must be an integer as BigInt, safe integer number or string, got ${value}.`);
+}
+
+function getExponent(asset) {
+  const exponent = asset ? Number(asset.exponent) : NaN;
+  if (!Number.isSafeInteger(exponent) || exponent < 0) {
+    throw new TypeError(`Asset needs a non-negative integer "exponent", got ${asset && asset.exponent}.`);
+  }
+  return exponent;
+}
+
+function isSameAsset(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (a.id && b.id) {
+    return a.id == b.id;
+  }
+  return Number(a.exponent) == Number(b.exponent) && a.symbol == b.symbol;
+}
+
+class Amount {
+  constructor(baseUnits, asset) {
+    this.exponent = getExponent(asset);
+    this.asset = asset;
+    this.baseUnits = toBigInt(baseUnits, 'Base units');
+  }
+
+  static fromBaseUnits(baseUnits, asset) {
+    return new Amount(baseUnits, asset);
+  }
+
+  // Parses a human readable decimal like "1.25", "-0.5" or "1.25 ETH". A
+  // symbol has to match the asset's symbol. More fractional digits than the
+  // asset's exponent allows are an error, because they can not be represented.
+  // Exponents ("1e18") and decimal commas or digit grouping ("1,5") are
+  // syntax errors, rather than e.g. amounts in an asset called "e18".
+  static parse(text, asset) {
+    const exponent = getExponent(asset);
+    if (/\d[eE][+-]?\d/.test(String(text)) || /\d[,_']\d/.test(String(text))) {
+      throw new SyntaxError(
+        `Can not parse "${text}" as an amount, write it as a plain decimal with a "." like "1.25", without exponent or digit grouping.`
+      );
+    }
+    const match = /^\s*(-)?(\d*)(?:\.(\d*))?\s*([^\W\d_]\S*)?\s*$/.exec(String(text));
+    if (!match || (!match[2] && !match[3])) {
+      throw new SyntaxError(`Can not parse "${text}" as an amount.`);
+    }
+    const [, sign, whole, fraction = '', symbol] = match;
+    if (symbol && asset.symbol && symbol.toUpperCase() != String(asset.symbol).toUpperCase()) {
+      throw new TypeError(`Amount "${text}" is not in ${asset.symbol}.`);
+    }
+    const significantFraction = fraction.replace(/0+$/, '');
+    if (significantFraction.length > exponent) {
+      throw new RangeError(`Amount "${text}" has more than ${exponent} fractional digits.`);
+    }
+    const digits = (whole || '0') + significantFraction.padEnd(exponent, '0');
+    const baseUnits = BigInt(digits);
+    return new Amount(sign ? -baseUnits : baseUnits, asset);
+  }
+
+  get symbol() {
+    return this.asset.symbol;
+  }
+
+  // "1.25", without trailing zeros in the fraction
+  toDecimalString() {
+    const negative = this.baseUnits < ZERO;
+    const digits = (negative ? -this.baseUnits : this.baseUnits)
+      .toString()
+      .padStart(this.exponent + 1, '0');
+    const whole = digits.slice(0, digits.length - this.exponent);
+    const fraction = digits.slice(digits.length - this.exponent).replace(/0+$/, '');
+    return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+  }
+
+  // "1.25 ETH", or just "1.25" if the asset has no symbol.
+  format({symbol = true} = {}) {
+    const decimal = this.toDecimalString();
+    return symbol && this.symbol ? `${decimal} ${this.symbol}` : decimal;
+  }
+
+  // Base units as a decimal string, which is what the API sends and expects.
+  toString() {
+    return this.baseUnits.toString();
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+
+  valueOf() {
+    return this.baseUnits;
+  }
+
+  // Other amounts have to be of the same asset. Plain BigInts, numbers and
+  // strings are taken as base units.
+  _baseUnitsOf(other) {
+    if (other instanceof Amount) {
+      if (!isSameAsset(this.asset, other.asset)) {
+        throw new TypeError(`Can not combine ${this.format()} with ${other.format()}.`);
+      }
+      return other.baseUnits;
+    }
+    return toBigInt(other, 'Other amount');
+  }
+
+  plus(other) {
+    return new Amount(this.baseUnits + this._baseUnitsOf(other), this.asset);
+  }
+
+  minus(other) {
+    return new Amount(this.baseUnits - this._baseUnitsOf(other), this.asset);
+  }
+
+  times(factor) {
+    return new Amount(this.baseUnits * toBigInt(factor, 'Factor'), this.asset);
+  }
+
+  negate() {
+    return new Amount(-this.baseUnits, this.asset);
+  }
+
+  isZero() {
+    return this.baseUnits == ZERO;
+  }
+
+  isNegative() {
+    return this.baseUnits < ZERO;
+  }
+
+  // -1, 0 or 1, usable with `Array.prototype.sort()`
+  compare(other) {
+    const otherBaseUnits = this._baseUnitsOf(other);
+    if (this.baseUnits < otherBaseUnits) {
+      return -1;
+    }
+    return this.baseUnits > otherBaseUnits ? 1 : 0;
+  }
+
+  eq(other) {
+    return this.compare(other) === 0;
+  }
+
+  lt(other) {
+    return this.compare(other) < 0;
+  }
+
+  lte(other) {
+    return this.compare(other) <= 0;
+  }
+
+  gt(other) {
+    return this.compare(other) > 0;
+  }
+
+  gte(other) {
+    return this.compare(other) >= 0;
+  }
+}
+
+// Returns a copy of `wallet` in which every `balances[].amount` is an Amount.
+// Balances without an `exponent` are left as they are.
+function walletWithAmounts(wallet) {
+  if (!wallet || !Array.isArray(wallet.balances)) {
+    return wallet;
+  }
+  const balances = wallet.balances.map(balance => {
+    if (balance.exponent === undefined || balance.exponent === null) {
+      return balance;
+    }
+    const asset = {
+      id: balance.asset_id,
+      symbol: balance.symbol,
+      name: balance.name,
+      exponent: balance.exponent,
+    };
+    return {...balance, amount: new Amount(balance.amount, asset)};
+  });
+  return {...wallet, balances};
+}
+
+// Returns a copy of `transaction` with `quantity` as an Amount. `fee` stays a
+// string: for tokens, it is paid in a different asset (e.g. ERC20 fees in
+// Ether), whose exponent the transaction does not tell.
+function transactionWithAmounts(transaction) {
+  if (!transaction || transaction.exponent === undefined || transaction.exponent === null) {
+    return transaction;
+  }
+  const asset = {
+    id: transaction.asset_id,
+    name: transaction.asset_name,
+    symbol: transaction.symbol,
+    exponent: transaction.exponent,
+  };
+  return {...transaction, quantity: new Amount(transaction.quantity, asset)};
+}
+
+module.exports = {
+  Amount,
+  walletWithAmounts,
+  transactionWithAmounts,
+};
@@ -0,0 +1,192 @@
+// A cached copy of the asset catalog, so that looking up an asset's exponent
+// or ID does not cost a request every time.
+//
+//   const eth = await tenancy.assetRegistry.findOne({symbol: 'ETH'});
+//   const token = await tenancy.assetRegistry.findOne({protocol: 'erc20_ropsten', symbol: 'FOO'});
+//   const exponent = await tenancy.assetRegistry.exponent({contract: '0x1d7c...'});
+
+const defaultAssetRegistryOptions = {
+  ttl: 60 * 60 * 1000, // milliseconds, `Infinity` never reloads
+};
+
+// 'erc20_ropsten' -> {family: 'erc20', network: 'ropsten'}
+function parseProtocol(protocol) {
+  const [family, ...network] = String(protocol || '').toLowerCase().split('_');
+  return {family, network: network.join('_') || null};
+}
+
+// Token assets carry their contract address in their metadata. Be lenient
+// about where exactly.
+function getContractAddress(asset) {
+  const metainfo = asset.metainfo || {};
+  const address = [metainfo.contract, metainfo.address, asset.contract, asset.contract_address]
+    .find(x => typeof x == 'string' && x !== '');
+  return address ? address.toLowerCase() : null;
+}
+
+const sameText = (a, b) => String(a).toLowerCase() == String(b).toLowerCase();
+
+// `criteria` may have `id`, `symbol`, `name`, `protocol`, `network` and
+// `contract`. A `protocol` without a network (e.g. 'erc20') matches all
+// networks, one with a network (e.g. 'erc20_ropsten') only that one.
+function matches(asset, criteria) {
+  const {family, network} = parseProtocol(asset.protocol);
+  if (criteria.id !== undefined && asset.id != criteria.id) {
+    return false;
+  }
+  if (criteria.symbol !== undefined && !sameText(asset.symbol, criteria.symbol)) {
+    return false;
+  }
+  if (criteria.name !== undefined && !sameText(asset.name, criteria.name)) {
+    return false;
+  }
+  if (criteria.protocol !== undefined) {
+    const wanted = parseProtocol(criteria.protocol);
+    if (wanted.family != family || (wanted.network && wanted.network != network)) {
+      return false;
+    }
+  }
+  if (criteria.network !== undefined && !sameText(network, criteria.network)) {
+    return false;
+  }
+  if (criteria.contract !== undefined && !sameText(getContractAddress(asset), criteria.contract)) {
+    return false;
+  }
+  return true;
+}
+
+class AssetRegistry {
+  // `assets` is an AssetsEndpoint. Without one, the registry only knows what
+  // it got from a snapshot, and never goes stale.
+  constructor(assets, options = {}) {
+    this.assets = assets || null;
+    this.options = {...defaultAssetRegistryOptions, ...options};
+    this.catalog = null;
+    this.loadedAt = null;
+    this.loading = null;
+    if (this.options.snapshot) {
+      this.restore(this.options.snapshot);
+    }
+  }
+
+  // An offline registry, e.g. for tests:
+  //   const registry = AssetRegistry.fromSnapshot(require('./assets.json'));
+  static fromSnapshot(snapshot, options = {}) {
+    return new AssetRegistry(null, {...options, snapshot});
+  }
+
+  isStale() {
+    if (this.catalog === null) {
+      return true;
+    }
+    if (!this.assets) {
+      return false;
+    }
+    return Date.now() - this.loadedAt >= this.options.ttl;
+  }
+
+  // Fetches the catalog unless the cached one is still fresh. Concurrent
+  // calls share one fetch.
+  async load({force = false} = {}) {
+    if (!force && !this.isStale()) {
+      return this;
+    }
+    if (!this.assets) {
+      throw new TypeError('This asset registry has neither a snapshot nor an assets endpoint to load from.');
+    }
+    if (!this.loading) {
+      this.loading = this.fetchCatalog().finally(() => {
+        this.loading = null;
+      });
+    }
+    await this.loading;
+    return this;
+  }
+
+  refresh() {
+    return this.load({force: true});
+  }
+
+  async fetchCatalog() {
+    const catalog = [];
+    for await (const asset of this.assets.list(100)) {
+      catalog.push(asset);
+    }
+    this.catalog = catalog;
+    this.loadedAt = Date.now();
+  }
+
+  async all() {
+    await this.load();
+    return this.catalog.slice();
+  }
+
+  async find(criteria = {}) {
+    await this.load();
+    return this.catalog.filter(asset => matches(asset, criteria));
+  }
+
+  // Resolves `undefined` if nothing matches. Rejects if more than one asset
+  // matches, rather than picking one at random.
+  async findOne(criteria = {}) {
+    const found = await this.find(criteria);
+    if (found.length > 1) {
+      const candidates = found.map(asset => `${asset.symbol} (${asset.protocol}, ${asset.id})`);
+      throw new RangeError(
+        `${found.length} assets match ${JSON.stringify(criteria)}: ${candidates.join(', ')}. ` +
+          'Narrow it down with "protocol", "network" or "contract".'
+      );
+    }
+    return found[0];
+  }
+
+  get(id) {
+    return this.findOne({id});
+  }
+
+  bySymbol(symbol, criteria = {}) {
+    return this.findOne({...criteria, symbol});
+  }
+
+  byName(name, criteria = {}) {
+    return this.findOne({...criteria, name});
+  }
+
+  byProtocol(protocol, criteria = {}) {
+    return this.find({...criteria, protocol});
+  }
+
+  byContract(contract, criteria = {}) {
+    return this.findOne({...criteria, contract});
+  }
+
+  // Takes an asset ID or lookup criteria. Rejects if there is no such asset.
+  async exponent(idOrCriteria) {
+    const criteria = typeof idOrCriteria == 'string' ? {id: idOrCriteria} : idOrCriteria;
+    const asset = await this.findOne(criteria);
+    if (!asset) {
+      throw new RangeError(`No asset matches ${JSON.stringify(criteria)}.`);
+    }
+    return asset.exponent;
+  }
+
+  // Plain JSON, to be fed back into `AssetRegistry.fromSnapshot()` or the
+  // `snapshot` option.
+  toJSON() {
+    return {loadedAt: this.loadedAt, assets: this.catalog || []};
+  }
+
+  restore(snapshot) {
+    if (!snapshot || !Array.isArray(snapshot.assets)) {
+      throw new TypeError('An asset registry snapshot needs an "assets" array.');
+    }
+    this.catalog = snapshot.assets.slice();
+    this.loadedAt = snapshot.loadedAt || Date.now();
+  }
+}
+
+module.exports = {
+  AssetRegistry,
+  defaultAssetRegistryOptions,
+  parseProtocol,
+};
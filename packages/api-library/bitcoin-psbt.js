@@ -0,0 +1,174 @@
+// Bitcoin transactions as PSBTs (BIP-174), built locally from a wallet's
+// UTXOs and signed input by input via `SignaturesEndpoint.sign()`.
+//
+//   const psbt = await buildBitcoinPsbt({network: 'bitcoin_testnet', inputs, outputs, change, changeAddress});
+//   await tenancy.signatures.signPsbt(walletId, password, psbt);
+//   psbt.toBase64(); // for co-signers to review
+//   const {rawTransaction, txid} = finalizePsbt(psbt);
+
+const bitcoin = require('bitcoinjs-lib');
+const {normalizeUtxo} = require('./validation.js');
+const {getScriptType} = require('./coin-selection.js');
+const {ec, getSignatureParts, toLowS, getNetwork, BITCOIN_ADDRESS_TYPES} = require('./signatures.js');
+
+const SUPPORTED_INPUT_TYPES = BITCOIN_ADDRESS_TYPES;
+
+function toSatoshis(value, name) {
+  const satoshis = Number(typeof value == 'object' && value !== null ? value.valueOf() : value);
+  if (!Number.isSafeInteger(satoshis) || satoshis < 0) {
+    throw new TypeError(`${name} must be a non-negative integer number of satoshis, got ${value}.`);
+  }
+  return satoshis;
+}
+
+// The complete previous transaction, which legacy inputs need to be signed:
+// the UTXO's own `raw_tx` (or `hex`, `nonWitnessUtxo`), or whatever
+// `getTransactionHex(txhash)` finds, e.g. with a block explorer or node. The
+// API's UTXOs do not include it.
+async function getPreviousTransactionHex(utxo, txhash, getTransactionHex) {
+  const hex = [utxo.nonWitnessUtxo, utxo.raw_tx, utxo.hex].find(x => typeof x == 'string' && x !== '');
+  if (hex) {
+    return hex;
+  }
+  if (getTransactionHex) {
+    return getTransactionHex(txhash);
+  }
+  return null;
+}
+
+async function toPsbtInput(utxo, i, getTransactionHex) {
+  const normalized = normalizeUtxo(utxo);
+  if (normalized === null) {
+    throw new TypeError(`inputs[${i}] is not a UTXO: ${JSON.stringify(utxo)}.`);
+  }
+  const txhash = normalized.txhash.replace(/^0x/, '');
+  const previousHex = await getPreviousTransactionHex(utxo, txhash, getTransactionHex);
+  let script = utxo.script;
+  if (!script && previousHex) {
+    script = bitcoin.Transaction.fromHex(previousHex).outs[normalized.index].script.toString('hex');
+  }
+  if (!script) {
+    throw new TypeError(`inputs[${i}] needs a "script", or the previous transaction via "getTransactionHex".`);
+  }
+  const type = getScriptType(script);
+  if (SUPPORTED_INPUT_TYPES.indexOf(type) === -1) {
+    throw new TypeError(`inputs[${i}] has to be p2pkh or p2wpkh, got ${type || 'an unknown script'}.`);
+  }
+
+  const input = {hash: txhash, index: normalized.index};
+  if (type == 'p2wpkh') {
+    input.witnessUtxo = {script: Buffer.from(script, 'hex'), value: toSatoshis(normalized.value, `inputs[${i}].value`)};
+  } else if (previousHex) {
+    input.nonWitnessUtxo = Buffer.from(previousHex, 'hex');
+  } else {
+    throw new TypeError(
+      `inputs[${i}] is p2pkh, which needs the complete previous transaction ${txhash}. ` +
+        'Pass "getTransactionHex(txhash)" to look it up, or set the UTXO\'s "raw_tx" to its hex.'
+    );
+  }
+  return input;
+}
+
+// `inputs` are UTXOs, e.g. from `utxos.list()` or `selectCoins()`, with a
+// `script` (or the previous transaction). p2pkh inputs also need the previous
+// transaction, see `getPreviousTransactionHex()`. `outputs` are
+// `[{address, value}]`. `change` (e.g. from `selectCoins()`) goes to
+// `changeAddress`.
+async function buildBitcoinPsbt(options) {
+  const {inputs, outputs = [], change, changeAddress, getTransactionHex} = options;
+  const network = getNetwork(options.network);
+  if (!Array.isArray(inputs) || !inputs.length) {
+    throw new TypeError('A PSBT needs at least one input.');
+  }
+  const psbt = new bitcoin.Psbt({network});
+  psbt.setVersion(options.version || 2);
+  if (options.locktime) {
+    psbt.setLocktime(options.locktime);
+  }
+  for (let i = 0; i < inputs.length; i++) {
+    psbt.addInput(await toPsbtInput(inputs[i], i, getTransactionHex));
+  }
+  outputs.forEach((output, i) => {
+    psbt.addOutput({address: output.address, value: toSatoshis(output.value, `outputs[${i}].value`)});
+  });
+  const changeValue = change === undefined || change === null ? 0 : toSatoshis(change, 'change');
+  if (changeValue > 0) {
+    if (!changeAddress) {
+      throw new TypeError('There is change, but no "changeAddress" to send it to.');
+    }
+    psbt.addOutput({address: changeAddress, value: changeValue});
+  }
+  return psbt;
+}
+
+// The API has no other way to tell a wallet's public key than signing
+// something, so this hash (as hex) gets signed to find out.
+const getPublicKeyProbe = () =>
+  bitcoin.crypto.sha256(Buffer.from('Upvest wallet public key lookup', 'utf8')).toString('hex');
+
+function getPublicKeyPoint(result) {
+  const {x, y} = getSignatureParts(result);
+  return ec.keyFromPublic({x, y}, 'hex').getPublic();
+}
+
+// The script of the output a PSBT input spends.
+function getSpentScript(psbt, inputIndex) {
+  const input = psbt.data.inputs[inputIndex];
+  if (input.witnessUtxo) {
+    return input.witnessUtxo.script;
+  }
+  const previous = bitcoin.Transaction.fromBuffer(input.nonWitnessUtxo);
+  return previous.outs[psbt.txInputs[inputIndex].index].script;
+}
+
+// Legacy addresses may be of either the compressed or the uncompressed key,
+// so pick whichever the input's script pays to.
+function getPublicKeyForInput(point, psbt, inputIndex) {
+  const script = getSpentScript(psbt, inputIndex);
+  for (const compressed of [true, false]) {
+    const publicKey = Buffer.from(point.encode('array', compressed));
+    const hash = bitcoin.crypto.hash160(publicKey);
+    if (script.indexOf(hash) !== -1) {
+      return publicKey;
+    }
+  }
+  throw new TypeError(`Input ${inputIndex} is not spendable with the wallet's key.`);
+}
+
+// A bitcoinjs-lib SignerAsync which has the wallet sign each sighash.
+function createUpvestSigner(signatures, walletId, password, publicKey) {
+  return {
+    publicKey,
+    async sign(hash) {
+      const result = await signatures.sign(walletId, password, hash.toString('hex'), 'hex', 'hex');
+      const point = getPublicKeyPoint(result);
+      const compressed = publicKey.length == 33;
+      if (!Buffer.from(point.encode('array', compressed)).equals(publicKey)) {
+        throw new TypeError('The wallet signed with another key than expected.');
+      }
+      const {r, s} = getSignatureParts(result);
+      return Buffer.from(r + toLowS(s), 'hex');
+    },
+  };
+}
+
+// Finalizes all inputs and returns the transaction, ready to broadcast.
+function finalizePsbt(psbt) {
+  psbt.finalizeAllInputs();
+  const transaction = psbt.extractTransaction();
+  return {
+    rawTransaction: transaction.toHex(),
+    txid: transaction.getId(),
+    vsize: transaction.virtualSize(),
+  };
+}
+
+module.exports = {
+  getPublicKeyProbe,
+  getNetwork,
+  buildBitcoinPsbt,
+  getPublicKeyPoint,
+  getPublicKeyForInput,
+  createUpvestSigner,
+  finalizePsbt,
+};
@@ -0,0 +1,264 @@
+// Picks the UTXOs to spend for a Bitcoin transaction.
+//
+//   const selection = selectCoins(utxos, 150000, 12); // 150000 sat at 12 sat/vB
+//   // -> {inputs, total, fee, change, vsize, strategy}, all amounts as BigInt satoshis
+//
+// `inputs` are the UTXO objects as given, so the result of `utxos.list()`
+// goes straight back into `transactions.create({inputs})`.
+
+const {normalizeUtxo} = require('./validation.js');
+
+const ZERO = BigInt(0);
+
+// Virtual sizes in vbytes, rounded up.
+const INPUT_VSIZES = {p2pkh: 148, p2sh: 91, p2wpkh: 68, p2wsh: 104, p2tr: 58};
+const OUTPUT_VSIZES = {p2pkh: 34, p2sh: 32, p2wpkh: 31, p2wsh: 43, p2tr: 43};
+// version, locktime and the input and output counts, plus the segwit marker
+const LEGACY_OVERHEAD_VSIZE = 10;
+const SEGWIT_OVERHEAD_VSIZE = 11;
+
+const SEGWIT_TYPES = ['p2wpkh', 'p2wsh', 'p2tr'];
+
+const STRATEGIES = ['branch-and-bound', 'largest-first', 'privacy'];
+
+const defaultCoinSelectionOptions = {
+  strategy: 'branch-and-bound',
+  inputType: 'p2pkh', // for UTXOs which tell neither `type` nor `script`
+  outputType: 'p2pkh', // of the recipient, unless `recipient` is given
+  changeType: null, // defaults to the type of the first selected input
+  recipient: null, // address, to derive `outputType` from
+  outputs: 1, // recipient outputs, not counting the change
+  dustThreshold: 546, // satoshis, smaller change is left to the miners
+  maxTries: 100000, // for branch-and-bound
+};
+
+function getScriptType(script) {
+  const hex = String(script).toLowerCase();
+  if (/^76a914[0-9a-f]{40}88ac$/.test(hex)) {
+    return 'p2pkh';
+  }
+  if (/^a914[0-9a-f]{40}87$/.test(hex)) {
+    return 'p2sh';
+  }
+  if (/^0014[0-9a-f]{40}$/.test(hex)) {
+    return 'p2wpkh';
+  }
+  if (/^0020[0-9a-f]{64}$/.test(hex)) {
+    return 'p2wsh';
+  }
+  if (/^5120[0-9a-f]{64}$/.test(hex)) {
+    return 'p2tr';
+  }
+  return null;
+}
+
+function getAddressType(address) {
+  const text = String(address);
+  if (/^(bc|tb|bcrt)1q/i.test(text)) {
+    return text.length > 50 ? 'p2wsh' : 'p2wpkh';
+  }
+  if (/^(bc|tb|bcrt)1p/i.test(text)) {
+    return 'p2tr';
+  }
+  if (/^[23]/.test(text)) {
+    return 'p2sh';
+  }
+  return 'p2pkh';
+}
+
+function getInputType(utxo, options) {
+  if (INPUT_VSIZES[utxo.type]) {
+    return utxo.type;
+  }
+  return (utxo.script && getScriptType(utxo.script)) || options.inputType;
+}
+
+function toCandidate(utxo, feeRate, options) {
+  const normalized = normalizeUtxo(utxo);
+  if (normalized === null || normalized.value === undefined) {
+    throw new TypeError(`Coin selection needs UTXOs with "txhash", "index" and "value", got ${JSON.stringify(utxo)}.`);
+  }
+  const type = getInputType(utxo, options);
+  const value = BigInt(normalized.value.valueOf());
+  const inputFee = BigInt(Math.ceil(INPUT_VSIZES[type] * feeRate));
+  return {utxo, type, value, effectiveValue: value - inputFee, address: utxo.address || null};
+}
+
+function getVsize(selected, options, withChange) {
+  const segwit = selected.some(candidate => SEGWIT_TYPES.indexOf(candidate.type) !== -1);
+  const inputs = selected.reduce((sum, candidate) => sum + INPUT_VSIZES[candidate.type], 0);
+  const outputs = options.outputs * OUTPUT_VSIZES[options.outputType];
+  const change = withChange ? OUTPUT_VSIZES[options.changeType || selected[0].type] : 0;
+  return (segwit ? SEGWIT_OVERHEAD_VSIZE : LEGACY_OVERHEAD_VSIZE) + inputs + outputs + change;
+}
+
+// Works out fee and change for a set of inputs. Change below the dust
+// threshold is dropped, which makes the transaction one output smaller.
+// Returns `null` if the inputs do not cover target and fee.
+function summarize(selected, target, feeRate, options, strategy) {
+  if (!selected.length) {
+    return null;
+  }
+  const total = selected.reduce((sum, candidate) => sum + candidate.value, ZERO);
+  const vsizeWithChange = getVsize(selected, options, true);
+  const feeWithChange = BigInt(Math.ceil(vsizeWithChange * feeRate));
+  const change = total - target - feeWithChange;
+  if (change >= BigInt(options.dustThreshold)) {
+    return {selected, total, fee: feeWithChange, change, vsize: vsizeWithChange, strategy};
+  }
+  const vsize = getVsize(selected, options, false);
+  const fee = BigInt(Math.ceil(vsize * feeRate));
+  if (total - target < fee) {
+    return null;
+  }
+  // Whatever is left over goes to the miners as well.
+  return {selected, total, fee: total - target, change: ZERO, vsize, strategy};
+}
+
+const compareBigInts = (a, b) => (a > b ? 1 : a < b ? -1 : 0);
+
+function largestFirst(candidates, target, feeRate, options) {
+  const sorted = candidates.slice().sort((a, b) => compareBigInts(b.value, a.value));
+  const selected = [];
+  for (const candidate of sorted) {
+    selected.push(candidate);
+    const result = summarize(selected, target, feeRate, options, 'largest-first');
+    if (result) {
+      return result;
+    }
+  }
+  return null;
+}
+
+// Depth-first search for a set of inputs which pays target and fee without
+// any change, wasting at most what a change output would cost. Among those,
+// the one wasting least wins.
+function branchAndBound(candidates, target, feeRate, options) {
+  const sorted = candidates
+    .filter(candidate => candidate.effectiveValue > ZERO)
+    .sort((a, b) => compareBigInts(b.effectiveValue, a.effectiveValue));
+  if (!sorted.length) {
+    return null;
+  }
+  // Effective values already pay for their inputs, this is for the rest.
+  const outputsVsize = options.outputs * OUTPUT_VSIZES[options.outputType];
+  const legacyNeeded = target + BigInt(Math.ceil((LEGACY_OVERHEAD_VSIZE + outputsVsize) * feeRate));
+  const segwitNeeded = target + BigInt(Math.ceil((SEGWIT_OVERHEAD_VSIZE + outputsVsize) * feeRate));
+  const changeType = options.changeType || sorted[0].type;
+  const costOfChange = BigInt(Math.ceil((OUTPUT_VSIZES[changeType] + INPUT_VSIZES[changeType]) * feeRate));
+
+  const remaining = [];
+  let rest = ZERO;
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    rest += sorted[i].effectiveValue;
+    remaining[i] = rest;
+  }
+
+  let best = null;
+  let bestWaste = null;
+  let tries = 0;
+  const chosen = [];
+  const search = (depth, sum) => {
+    const segwit = chosen.some(candidate => SEGWIT_TYPES.indexOf(candidate.type) !== -1);
+    const needed = segwit ? segwitNeeded : legacyNeeded;
+    if (++tries > options.maxTries || sum > needed + costOfChange) {
+      return;
+    }
+    if (sum >= needed) {
+      const waste = sum - needed;
+      if (bestWaste === null || waste < bestWaste) {
+        best = chosen.slice();
+        bestWaste = waste;
+      }
+      return;
+    }
+    if (depth >= sorted.length || sum + remaining[depth] < legacyNeeded) {
+      return;
+    }
+    chosen.push(sorted[depth]);
+    search(depth + 1, sum + sorted[depth].effectiveValue);
+    chosen.pop();
+    search(depth + 1, sum);
+  };
+  search(0, ZERO);
+
+  if (!best) {
+    return null;
+  }
+  const vsize = getVsize(best, options, false);
+  const total = best.reduce((sum, candidate) => sum + candidate.value, ZERO);
+  return {selected: best, total, fee: total - target, change: ZERO, vsize, strategy: 'branch-and-bound'};
+}
+
+// Links as few of the wallet's coins (and addresses) as possible: a single
+// UTXO if one suffices, the smallest that does, otherwise UTXOs of a single
+// address, and only then largest-first across all of them.
+function privacy(candidates, target, feeRate, options) {
+  const singles = candidates
+    .map(candidate => summarize([candidate], target, feeRate, options, 'privacy'))
+    .filter(Boolean)
+    .sort((a, b) => compareBigInts(a.total, b.total));
+  if (singles.length) {
+    return singles[0];
+  }
+  const byAddress = new Map();
+  for (const candidate of candidates) {
+    if (candidate.address) {
+      byAddress.set(candidate.address, (byAddress.get(candidate.address) || []).concat(candidate));
+    }
+  }
+  const fromOneAddress = Array.from(byAddress.values())
+    .map(group => largestFirst(group, target, feeRate, options))
+    .filter(Boolean)
+    .sort((a, b) => a.selected.length - b.selected.length || compareBigInts(a.total, b.total));
+  if (fromOneAddress.length) {
+    return {...fromOneAddress[0], strategy: 'privacy'};
+  }
+  const result = largestFirst(candidates, target, feeRate, options);
+  return result && {...result, strategy: 'privacy'};
+}
+
+// `target` is the amount to send in satoshis, `feeRate` in sat/vB. Throws a
+// RangeError if the UTXOs do not cover target and fee. Branch-and-bound
+// falls back to largest-first if there is no changeless solution.
+function selectCoins(utxos, target, feeRate, options = {}) {
+  options = {...defaultCoinSelectionOptions, ...options};
+  if (STRATEGIES.indexOf(options.strategy) === -1) {
+    throw new TypeError(`Unknown coin selection strategy "${options.strategy}", use one of ${STRATEGIES.join(', ')}.`);
+  }
+  if (!(Number(feeRate) > 0)) {
+    throw new TypeError(`The fee rate must be a positive number of sat/vB, got ${feeRate}.`);
+  }
+  if (options.recipient) {
+    options.outputType = getAddressType(options.recipient);
+  }
+  feeRate = Number(feeRate);
+  target = BigInt(target.valueOf());
+  const candidates = Array.from(utxos, utxo => toCandidate(utxo, feeRate, options));
+
+  let result;
+  if (options.strategy == 'privacy') {
+    result = privacy(candidates, target, feeRate, options);
+  } else if (options.strategy == 'branch-and-bound') {
+    result = branchAndBound(candidates, target, feeRate, options) || largestFirst(candidates, target, feeRate, options);
+  } else {
+    result = largestFirst(candidates, target, feeRate, options);
+  }
+  if (!result) {
+    const available = candidates.reduce((sum, candidate) => sum + candidate.value, ZERO);
+    throw new RangeError(
+      `${candidates.length} UTXOs worth ${available} sat can not pay ${target} sat plus fees at ${feeRate} sat/vB.`
+    );
+  }
+  const {selected, ...rest} = result;
+  return {inputs: selected.map(candidate => candidate.utxo), ...rest};
+}
+
+module.exports = {
+  defaultCoinSelectionOptions,
+  selectCoins,
+  getScriptType,
+  getAddressType,
+  INPUT_VSIZES,
+  OUTPUT_VSIZES,
+};
@@ -0,0 +1,218 @@
+// Typed errors for everything that can go wrong while talking to the Upvest API.
+//
+// All of them keep `config`, `request` and `response` around, just like axios
+// errors do, so that code which inspects `error.response` keeps working.
+
+const SIGNATURE_HEADERS = [
+  'X-UP-API-Signature',
+  'X-UP-API-Timestamp',
+  'X-UP-API-Signed-Path',
+];
+
+class UpvestError extends Error {
+  constructor(message, {status, requestId, code, details, config, request, response, cause} = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.requestId = requestId;
+    this.code = code;
+    this.details = Array.isArray(details) ? details : [];
+    this.locations = this.details.map(detail => detail.location).filter(Boolean);
+    this.config = config;
+    this.request = request;
+    this.response = response;
+    this.cause = cause;
+  }
+}
+
+class UpvestAPIError extends UpvestError {}
+
+class AuthenticationError extends UpvestAPIError {}
+
+class SignatureMismatchError extends AuthenticationError {}
+
+class ValidationError extends UpvestAPIError {
+  constructor(message, properties) {
+    super(message, properties);
+    // Group the details by the failing field, e.g. `{password: [detail, ...]}`
+    this.fields = {};
+    for (const detail of this.details) {
+      const location = detail.location || '';
+      this.fields[location] = this.fields[location] || [];
+      this.fields[location].push(detail);
+    }
+  }
+}
+
+class NotFoundError extends UpvestAPIError {}
+
+class RateLimitError extends UpvestAPIError {
+  constructor(message, properties) {
+    super(message, properties);
+    this.retryAfter = parseRetryAfter(getHeader(this.response, 'retry-after'));
+  }
+}
+
+class ServerError extends UpvestAPIError {}
+
+class TimeoutError extends UpvestError {}
+
+class NetworkError extends UpvestError {}
+
+// Raised by the waiters (e.g. `transactions.waitFor()`) when their own
+// `timeout` runs out, as opposed to a single HTTP request timing out.
+class WaitTimeoutError extends TimeoutError {}
+
+// Raised when a waiter's `signal` gets aborted.
+class AbortError extends UpvestError {}
+
+class TransactionFailedError extends UpvestError {
+  constructor(message, properties = {}) {
+    super(message, properties);
+    this.transaction = properties.transaction;
+  }
+}
+
+// Raised in strict response validation mode when the API answers with data
+// that does not match the endpoint's schema. `path` is the first offending
+// field, e.g. `results[0].address`, all of them are in `details`.
+class SchemaValidationError extends UpvestError {
+  constructor(message, properties = {}) {
+    super(message, properties);
+    this.operation = properties.operation;
+    this.path = this.locations.length ? this.locations[0] : '';
+  }
+}
+
+function getHeader(response, name) {
+  if (!response || !response.headers) {
+    return undefined;
+  }
+  for (const [key, value] of Object.entries(response.headers)) {
+    if (key.toLowerCase() == name.toLowerCase()) {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+// Returns the number of seconds to wait, or `null` if the header is missing or garbled.
+function parseRetryAfter(retryAfter) {
+  if (retryAfter === undefined || retryAfter === null || retryAfter === '') {
+    return null;
+  }
+  if (/^\d+$/.test(String(retryAfter).trim())) {
+    return Number(retryAfter);
+  }
+  const date = Date.parse(retryAfter);
+  if (isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+function getRequestId(config, response) {
+  const fromResponse = getHeader(response, 'x-up-api-request-id');
+  if (fromResponse) {
+    return fromResponse;
+  }
+  if (config) {
+    if (config.requestId) {
+      return config.requestId;
+    }
+    if (config.headers && config.headers['X-UP-API-Request-ID']) {
+      return config.headers['X-UP-API-Request-ID'];
+    }
+  }
+  return undefined;
+}
+
+// The Upvest API answers with `{"error": {"code", "message", "details": [...]}}`,
+// the OAuth2 token endpoint with `{"error": "invalid_grant", "error_description"}`.
+function parseErrorBody(data) {
+  if (data && typeof data == 'object' && 'error' in data) {
+    const apiError = data.error;
+    if (typeof apiError == 'string') {
+      return {code: apiError, message: data.error_description, details: []};
+    }
+    if (apiError && typeof apiError == 'object') {
+      return {
+        code: apiError.code,
+        message: apiError.message,
+        details: Array.isArray(apiError.details) ? apiError.details : [],
+      };
+    }
+  }
+  return {details: []};
+}
+
+function isSignatureMismatch(details) {
+  return details.some(detail => SIGNATURE_HEADERS.indexOf(detail.location) !== -1);
+}
+
+function getErrorClassForStatus(status, details) {
+  if (status == 401 || status == 403) {
+    return isSignatureMismatch(details) ? SignatureMismatchError : AuthenticationError;
+  }
+  if (status == 400 || status == 422) {
+    return ValidationError;
+  }
+  if (status == 404) {
+    return NotFoundError;
+  }
+  if (status == 429) {
+    return RateLimitError;
+  }
+  if (status >= 500) {
+    return ServerError;
+  }
+  return UpvestAPIError;
+}
+
+// Turns an axios error into one of the typed errors above. Anything that did
+// not come out of axios (e.g. a TypeError from our own code) is left alone.
+function createErrorFromAxiosError(error) {
+  if (error instanceof UpvestError || !error || !error.config) {
+    return error;
+  }
+  const {config, request, response} = error;
+  const requestId = getRequestId(config, response);
+  const method = String(config.method || 'get').toUpperCase();
+  const where = `${method} ${config.url}`;
+
+  if (response) {
+    const {code, message, details} = parseErrorBody(response.data);
+    const ErrorClass = getErrorClassForStatus(response.status, details);
+    const description = message || response.statusText || 'Request failed';
+    return new ErrorClass(
+      `${where} failed with status ${response.status}${code ? ` (${code})` : ''}: ${description}`,
+      {status: response.status, requestId, code, details, config, request, response, cause: error}
+    );
+  }
+
+  const properties = {requestId, code: error.code, config, request, cause: error};
+  if (error.code == 'ECONNABORTED' || error.code == 'ETIMEDOUT') {
+    return new TimeoutError(`${where} timed out: ${error.message}`, properties);
+  }
+  return new NetworkError(`${where} failed without a response: ${error.message}`, properties);
+}
+
+module.exports = {
+  UpvestError,
+  UpvestAPIError,
+  AuthenticationError,
+  SignatureMismatchError,
+  ValidationError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  TimeoutError,
+  NetworkError,
+  WaitTimeoutError,
+  AbortError,
+  TransactionFailedError,
+  SchemaValidationError,
+  createErrorFromAxiosError,
+  parseRetryAfter,
+  getHeader,
+};
@@ -0,0 +1,154 @@
+// Digests for Ethereum message signatures: EIP-191 `personal_sign` messages
+// and EIP-712 typed data. Both end up as the 32 byte hash to pass to
+// `SignaturesEndpoint.sign()`.
+
+const {keccak256, toBytes, removeHexPrefix} = require('./signatures.js');
+
+// Strings are taken as UTF-8 text, bytes (Buffer, Uint8Array) as they are.
+function hashPersonalMessage(message) {
+  const bytes = message instanceof Uint8Array ? Buffer.from(message) : Buffer.from(String(message), 'utf8');
+  const prefix = Buffer.from(`\x19Ethereum Signed Message:\n${bytes.length}`, 'utf8');
+  return keccak256(Buffer.concat([prefix, bytes]));
+}
+
+// The order the EIP-712 spec lists the domain fields in.
+const DOMAIN_FIELDS = [
+  {name: 'name', type: 'string'},
+  {name: 'version', type: 'string'},
+  {name: 'chainId', type: 'uint256'},
+  {name: 'verifyingContract', type: 'address'},
+  {name: 'salt', type: 'bytes32'},
+];
+
+function toBigInt(value, type) {
+  if (typeof value == 'bigint') {
+    return value;
+  }
+  if (typeof value == 'number' && Number.isSafeInteger(value)) {
+    return BigInt(value);
+  }
+  if (typeof value == 'string' && /^(-?\d+|0x[0-9a-fA-F]+)$/.test(value)) {
+    return BigInt(value);
+  }
+  throw new TypeError(`Can not encode ${JSON.stringify(value)} as ${type}.`);
+}
+
+function encodeInteger(value, type) {
+  const [, unsigned, size] = /^(u?)int(\d*)$/.exec(type);
+  const bits = BigInt(size || 256);
+  let number = toBigInt(value, type);
+  const min = unsigned ? BigInt(0) : -(BigInt(2) ** (bits - BigInt(1)));
+  const max = (unsigned ? BigInt(2) ** bits : BigInt(2) ** (bits - BigInt(1))) - BigInt(1);
+  if (number < min || number > max) {
+    throw new RangeError(`${value} is out of range for ${type}.`);
+  }
+  if (number < BigInt(0)) {
+    number += BigInt(2) ** BigInt(256);
+  }
+  return Buffer.from(number.toString(16).padStart(64, '0'), 'hex');
+}
+
+const getBaseType = type => type.replace(/\[\d*\]$/, '');
+
+function findDependencies(type, types, found = []) {
+  const baseType = getBaseType(type);
+  if (found.indexOf(baseType) !== -1 || !types[baseType]) {
+    return found;
+  }
+  found.push(baseType);
+  for (const field of types[baseType]) {
+    findDependencies(field.type, types, found);
+  }
+  return found;
+}
+
+// e.g. 'Mail(Person from,Person to,string contents)Person(string name,address wallet)'
+function encodeType(primaryType, types) {
+  const [primary, ...dependencies] = findDependencies(primaryType, types);
+  return [primary, ...dependencies.sort()]
+    .map(type => `${type}(${types[type].map(field => `${field.type} ${field.name}`).join(',')})`)
+    .join('');
+}
+
+function hashType(primaryType, types) {
+  return keccak256(Buffer.from(encodeType(primaryType, types), 'utf8'));
+}
+
+function encodeValue(type, value, types) {
+  if (types[type]) {
+    return hashStruct(type, value, types);
+  }
+  const arrayMatch = /^(.*)\[(\d*)\]$/.exec(type);
+  if (arrayMatch) {
+    if (!Array.isArray(value) || (arrayMatch[2] && value.length != Number(arrayMatch[2]))) {
+      throw new TypeError(`Expected an array for ${type}, got ${JSON.stringify(value)}.`);
+    }
+    return keccak256(Buffer.concat(value.map(item => encodeValue(arrayMatch[1], item, types))));
+  }
+  if (type == 'string') {
+    return keccak256(Buffer.from(String(value), 'utf8'));
+  }
+  if (type == 'bytes') {
+    return keccak256(toBytes(value));
+  }
+  if (type == 'bool') {
+    return encodeInteger(value ? 1 : 0, 'uint8');
+  }
+  if (type == 'address') {
+    const hex = removeHexPrefix(String(value));
+    if (!/^[0-9a-fA-F]{40}$/.test(hex)) {
+      throw new TypeError(`"${value}" is not an address.`);
+    }
+    return Buffer.from(hex.padStart(64, '0'), 'hex');
+  }
+  const bytesMatch = /^bytes(\d+)$/.exec(type);
+  if (bytesMatch) {
+    const bytes = toBytes(value);
+    if (bytes.length > Number(bytesMatch[1])) {
+      throw new RangeError(`"${value}" is too long for ${type}.`);
+    }
+    return Buffer.concat([bytes, Buffer.alloc(32)]).slice(0, 32);
+  }
+  if (/^u?int\d*$/.test(type)) {
+    return encodeInteger(value, type);
+  }
+  throw new TypeError(`Unknown EIP-712 type "${type}".`);
+}
+
+function encodeData(primaryType, data, types) {
+  if (!types[primaryType]) {
+    throw new TypeError(`Unknown EIP-712 type "${primaryType}".`);
+  }
+  const encodedFields = types[primaryType].map(field => {
+    if (data[field.name] === undefined || data[field.name] === null) {
+      throw new TypeError(`${primaryType}.${field.name} is missing.`);
+    }
+    return encodeValue(field.type, data[field.name], types);
+  });
+  return Buffer.concat([hashType(primaryType, types), ...encodedFields]);
+}
+
+function hashStruct(primaryType, data, types) {
+  return keccak256(encodeData(primaryType, data, types));
+}
+
+// `typedData` is what `eth_signTypedData_v4` takes: `{types, primaryType,
+// domain, message}`. `types.EIP712Domain` may be left out, then it is derived
+// from the fields present in `domain`.
+function hashTypedData(typedData) {
+  const {primaryType, domain = {}, message} = typedData;
+  const types = {...typedData.types};
+  if (!types.EIP712Domain) {
+    types.EIP712Domain = DOMAIN_FIELDS.filter(field => domain[field.name] !== undefined);
+  }
+  const domainSeparator = hashStruct('EIP712Domain', domain, types);
+  const messageHash = hashStruct(primaryType, message, types);
+  return keccak256(Buffer.concat([Buffer.from('1901', 'hex'), domainSeparator, messageHash]));
+}
+
+module.exports = {
+  hashPersonalMessage,
+  encodeType,
+  hashStruct,
+  hashTypedData,
+};
@@ -0,0 +1,240 @@
+// Unsigned Ethereum transactions, legacy (with EIP-155 replay protection) and
+// EIP-1559 (type 2), to be signed via `SignaturesEndpoint.signTransaction()`.
+//
+//   const tx = {
+//     chainId: 3,
+//     nonce: 7,
+//     maxFeePerGas: '30000000000',
+//     maxPriorityFeePerGas: '1500000000',
+//     gasLimit: 60000,
+//     ...erc20Transfer(CONTRACT, RECIPIENT, '1000000000000000000'),
+//   };
+//   const {rawTransaction} = await tenancy.signatures.signTransaction(walletId, password, tx);
+
+const {Amount} = require('./amount.js');
+const {keccak256, toBytes, removeHexPrefix} = require('./signatures.js');
+
+const ZERO = BigInt(0);
+
+const CHAIN_IDS = {
+  mainnet: 1,
+  ropsten: 3,
+  rinkeby: 4,
+  goerli: 5,
+  kovan: 42,
+};
+
+// keccak256('transfer(address,uint256)'), first four bytes
+const ERC20_TRANSFER_SELECTOR = 'a9059cbb';
+
+function toQuantity(value, name) {
+  if (value instanceof Amount) {
+    value = value.baseUnits;
+  }
+  if (value === undefined || value === null || value === '') {
+    return ZERO;
+  }
+  if (typeof value == 'number' && Number.isSafeInteger(value)) {
+    value = BigInt(value);
+  }
+  if (typeof value == 'string' && /^(\d+|0x[0-9a-fA-F]*)$/.test(value)) {
+    value = BigInt(value == '0x' ? 0 : value);
+  }
+  if (typeof value != 'bigint' || value < ZERO) {
+    throw new TypeError(`${name} must be a non-negative integer, got ${value}.`);
+  }
+  return value;
+}
+
+// Minimal big endian bytes, so zero is the empty string, as RLP wants it.
+function quantityToBytes(quantity) {
+  if (quantity == ZERO) {
+    return Buffer.alloc(0);
+  }
+  const hex = quantity.toString(16);
+  return Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+}
+
+function toAddressBytes(address, name) {
+  const hex = removeHexPrefix(String(address));
+  if (!/^[0-9a-fA-F]{40}$/.test(hex)) {
+    throw new TypeError(`${name} must be a 20 byte hex address, got ${address}.`);
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+function encodeLength(length, offset) {
+  if (length <= 55) {
+    return Buffer.from([offset + length]);
+  }
+  const lengthBytes = quantityToBytes(BigInt(length));
+  return Buffer.concat([Buffer.from([offset + 55 + lengthBytes.length]), lengthBytes]);
+}
+
+// Recursive Length Prefix encoding of Buffers and (nested) arrays of them.
+function rlpEncode(item) {
+  if (Array.isArray(item)) {
+    const payload = Buffer.concat(item.map(rlpEncode));
+    return Buffer.concat([encodeLength(payload.length, 0xc0), payload]);
+  }
+  if (item.length == 1 && item[0] < 0x80) {
+    return item;
+  }
+  return Buffer.concat([encodeLength(item.length, 0x80), item]);
+}
+
+// Calldata for the ERC20 `transfer(address,uint256)` function. Returns
+// `{to, value, data}`, to be spread into a transaction.
+function erc20Transfer(contract, recipient, amount) {
+  const data = Buffer.concat([
+    Buffer.from(ERC20_TRANSFER_SELECTOR, 'hex'),
+    Buffer.concat([Buffer.alloc(12), toAddressBytes(recipient, 'recipient')]),
+    Buffer.from(toQuantity(amount, 'amount').toString(16).padStart(64, '0'), 'hex'),
+  ]);
+  return {to: contract, value: 0, data: `0x${data.toString('hex')}`};
+}
+
+function getChainId(tx) {
+  if (tx.chainId !== undefined && tx.chainId !== null) {
+    return toQuantity(tx.chainId, 'chainId');
+  }
+  if (tx.chain) {
+    if (!CHAIN_IDS[tx.chain]) {
+      throw new TypeError(`Unknown chain "${tx.chain}", pass its "chainId" instead.`);
+    }
+    return BigInt(CHAIN_IDS[tx.chain]);
+  }
+  return null;
+}
+
+function normalizeAccessList(accessList = []) {
+  return accessList.map(entry => {
+    const [address, storageKeys] = Array.isArray(entry) ? entry : [entry.address, entry.storageKeys];
+    return [
+      toAddressBytes(address, 'accessList address'),
+      (storageKeys || []).map(key => toBytes(key)),
+    ];
+  });
+}
+
+// EIP-1559 (type 2) unless there is a `gasPrice` and no `maxFeePerGas`, or
+// `type: 0` is set explicitly.
+function getType(tx) {
+  if (tx.type !== undefined && tx.type !== null) {
+    return Number(tx.type);
+  }
+  return tx.gasPrice !== undefined && tx.maxFeePerGas === undefined ? 0 : 2;
+}
+
+const isMissing = value => value === undefined || value === null || value === '';
+
+// Fills in defaults and checks the fields.
+function buildEthereumTransaction(tx) {
+  const type = getType(tx);
+  if (type !== 0 && type !== 2) {
+    throw new TypeError(`Unsupported transaction type ${tx.type}, only 0 (legacy) and 2 (EIP-1559) are.`);
+  }
+  if (type == 0 && isMissing(tx.gasPrice)) {
+    throw new TypeError('Legacy transactions need a "gasPrice".');
+  }
+  if (type == 2 && isMissing(tx.maxFeePerGas)) {
+    throw new TypeError(
+      isMissing(tx.gasPrice) && isMissing(tx.type)
+        ? 'The fees are missing: give "maxFeePerGas" (and "maxPriorityFeePerGas") for EIP-1559, or "gasPrice" for a legacy transaction.'
+        : 'EIP-1559 transactions need a "maxFeePerGas".'
+    );
+  }
+  const chainId = getChainId(tx);
+  if (type == 2 && chainId === null) {
+    throw new TypeError('EIP-1559 transactions need a "chainId".');
+  }
+  const built = {
+    type,
+    chainId,
+    nonce: toQuantity(tx.nonce, 'nonce'),
+    gasLimit: toQuantity(tx.gasLimit, 'gasLimit'),
+    to: tx.to ? toAddressBytes(tx.to, 'to') : Buffer.alloc(0), // empty creates a contract
+    value: toQuantity(tx.value, 'value'),
+    data: tx.data ? toBytes(tx.data) : Buffer.alloc(0),
+  };
+  if (built.gasLimit == ZERO) {
+    throw new TypeError('"gasLimit" is required.');
+  }
+  if (type == 0) {
+    built.gasPrice = toQuantity(tx.gasPrice, 'gasPrice');
+  } else {
+    built.maxFeePerGas = toQuantity(tx.maxFeePerGas, 'maxFeePerGas');
+    built.maxPriorityFeePerGas = toQuantity(tx.maxPriorityFeePerGas, 'maxPriorityFeePerGas');
+    if (built.maxPriorityFeePerGas > built.maxFeePerGas) {
+      throw new RangeError('"maxPriorityFeePerGas" can not be more than "maxFeePerGas".');
+    }
+    built.accessList = normalizeAccessList(tx.accessList);
+  }
+  return built;
+}
+
+function getFields(built) {
+  const common = [quantityToBytes(built.gasLimit), built.to, quantityToBytes(built.value), built.data];
+  if (built.type == 0) {
+    return [quantityToBytes(built.nonce), quantityToBytes(built.gasPrice), ...common];
+  }
+  return [
+    quantityToBytes(built.chainId),
+    quantityToBytes(built.nonce),
+    quantityToBytes(built.maxPriorityFeePerGas),
+    quantityToBytes(built.maxFeePerGas),
+    ...common,
+    built.accessList,
+  ];
+}
+
+function encodeTyped(built, fields) {
+  const encoded = rlpEncode(fields);
+  return built.type == 0 ? encoded : Buffer.concat([Buffer.from([built.type]), encoded]);
+}
+
+// The hash which has to be signed. Legacy transactions with a chain ID
+// commit to it as per EIP-155.
+function getSigningHash(tx) {
+  const built = buildEthereumTransaction(tx);
+  const fields = getFields(built);
+  if (built.type == 0 && built.chainId !== null) {
+    fields.push(quantityToBytes(built.chainId), Buffer.alloc(0), Buffer.alloc(0));
+  }
+  return keccak256(encodeTyped(built, fields));
+}
+
+// `signature` needs `r`, `s` (hex) and `recoveryId` (0 or 1), like
+// `toRecoverableSignature()` returns. Returns `{rawTransaction,
+// transactionHash, v, r, s}`, with hex strings.
+function serializeSignedTransaction(tx, signature) {
+  const built = buildEthereumTransaction(tx);
+  let v;
+  if (built.type == 2) {
+    v = BigInt(signature.recoveryId);
+  } else if (built.chainId !== null) {
+    v = built.chainId * BigInt(2) + BigInt(35 + signature.recoveryId);
+  } else {
+    v = BigInt(27 + signature.recoveryId);
+  }
+  const r = quantityToBytes(BigInt(`0x${removeHexPrefix(signature.r)}`));
+  const s = quantityToBytes(BigInt(`0x${removeHexPrefix(signature.s)}`));
+  const raw = encodeTyped(built, [...getFields(built), quantityToBytes(v), r, s]);
+  return {
+    rawTransaction: `0x${raw.toString('hex')}`,
+    transactionHash: `0x${keccak256(raw).toString('hex')}`,
+    type: built.type,
+    v: `0x${v.toString(16)}`,
+    r: signature.r,
+    s: signature.s,
+  };
+}
+
+module.exports = {
+  CHAIN_IDS,
+  rlpEncode,
+  erc20Transfer,
+  buildEthereumTransaction,
+  getSigningHash,
+  serializeSignedTransaction,
+};
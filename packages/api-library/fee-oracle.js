@@ -0,0 +1,153 @@
+// Fee oracles turn a speed level ('fastest', 'fast', 'medium' or 'slow') into
+// concrete fee fields for `transactions.create()`:
+//
+//   const feeOracle = new FeeHistoryOracle('https://ropsten.infura.io/v3/...');
+//   const tenancy = new UpvestTenancyAPI(..., {feeOracle});
+//   await tenancy.transactions.create({..., protocol: 'ethereum_ropsten', speed: 'fast'});
+//
+// Any object with an `estimate({speed, protocol, assetId, walletId})` method
+// resolving to some of `{gasPrice, gasLimit, fee, feeRate}` will do. `feeRate`
+// is in sat/vB and makes `transactions.create()` select the UTXOs, see
+// `coin-selection.js`.
+
+const {createTransportClient} = require('./transport.js');
+const {GAS_PRICE_LEVELS, isEthereumProtocol} = require('./validation.js');
+
+const SPEEDS = GAS_PRICE_LEVELS;
+
+// 'erc20_ropsten' -> 'erc20'
+const getProtocolFamily = protocol => String(protocol || '').split('_')[0];
+
+const defaultGasLimits = {
+  ethereum: 21000,
+  erc20: 100000,
+};
+
+function checkSpeed(speed) {
+  if (SPEEDS.indexOf(speed) === -1) {
+    throw new TypeError(`Unknown speed "${speed}", use one of ${SPEEDS.join(', ')}.`);
+  }
+}
+
+function getGasLimit(protocol, gasLimits) {
+  const family = getProtocolFamily(protocol);
+  return gasLimits[family] !== undefined ? BigInt(gasLimits[family]) : undefined;
+}
+
+// Scales a BigInt by a float factor, with 0.1 % precision.
+const scale = (value, factor) => (value * BigInt(Math.round(factor * 1000))) / BigInt(1000);
+
+class FeeOracle {
+  // Gets `{speed, protocol, assetId, walletId}`, `protocol` may be missing.
+  async estimate() {
+    throw new TypeError(`${this.constructor.name} does not implement estimate().`);
+  }
+}
+
+// Fixed values per speed, optionally per protocol family:
+//   new StaticFeeOracle({fast: {gasPrice: '20000000000', gasLimit: 21000}, slow: {...}})
+//   new StaticFeeOracle({ethereum: {fast: {...}}, bitcoin: {fast: {feeRate: 20}}})
+class StaticFeeOracle extends FeeOracle {
+  constructor(levels) {
+    super();
+    this.levels = levels;
+  }
+
+  async estimate({speed, protocol}) {
+    checkSpeed(speed);
+    const family = getProtocolFamily(protocol);
+    const levels = this.levels[family] || this.levels;
+    if (!levels[speed]) {
+      throw new TypeError(`StaticFeeOracle has no "${speed}" fees${family ? ` for ${family}` : ''}.`);
+    }
+    return {...levels[speed]};
+  }
+}
+
+// Base class for oracles asking a node via JSON-RPC. Answers are cached for
+// `ttl` milliseconds.
+class JsonRpcFeeOracle extends FeeOracle {
+  constructor(url, options = {}) {
+    super();
+    this.url = url;
+    this.ttl = options.ttl === undefined ? 15000 : options.ttl;
+    this.gasLimits = {...defaultGasLimits, ...options.gasLimits};
+    this.multipliers = {fastest: 1.5, fast: 1.2, medium: 1, slow: 0.8, ...options.multipliers};
+    this.confirmationTargets = {fastest: 1, fast: 2, medium: 6, slow: 24, ...options.confirmationTargets};
+    this.client = createTransportClient(options.transport, {
+      timeout: options.timeout || 10000,
+      headers: options.headers,
+    });
+    this.cache = new Map();
+    this.requestCounter = 0;
+  }
+
+  async call(method, params = []) {
+    const key = JSON.stringify([method, params]);
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.at < this.ttl) {
+      return cached.result;
+    }
+    const payload = {jsonrpc: '2.0', id: ++this.requestCounter, method, params};
+    const response = await this.client.post(this.url, payload);
+    if (response.data.error) {
+      throw new Error(`${method} failed: ${response.data.error.message || JSON.stringify(response.data.error)}`);
+    }
+    this.cache.set(key, {at: Date.now(), result: response.data.result});
+    return response.data.result;
+  }
+
+  // Ethereum nodes: `eth_gasPrice` times the speed's multiplier. Bitcoin
+  // nodes: `estimatesmartfee` for the speed's confirmation target.
+  async estimate({speed, protocol}) {
+    checkSpeed(speed);
+    if (protocol && !isEthereumProtocol(protocol)) {
+      const result = await this.call('estimatesmartfee', [this.confirmationTargets[speed]]);
+      if (!result || typeof result.feerate != 'number') {
+        throw new Error(`estimatesmartfee has no estimate: ${JSON.stringify(result && result.errors)}`);
+      }
+      // BTC per kvB -> sat/vB
+      return {feeRate: Math.max(1, Math.ceil((result.feerate * 1e8) / 1000))};
+    }
+    const gasPrice = scale(BigInt(await this.call('eth_gasPrice')), this.multipliers[speed]);
+    return {gasPrice, gasLimit: getGasLimit(protocol, this.gasLimits)};
+  }
+}
+
+// EIP-1559: the priority fee is a percentile of what recent blocks paid,
+// on top of the next block's base fee. `gasPrice` is what the transaction
+// would effectively pay, for the API, which only takes legacy fee fields.
+class FeeHistoryOracle extends JsonRpcFeeOracle {
+  constructor(url, options = {}) {
+    super(url, options);
+    this.blockCount = options.blockCount || 20;
+    this.percentiles = {fastest: 90, fast: 70, medium: 50, slow: 20, ...options.percentiles};
+  }
+
+  async estimate({speed, protocol}) {
+    checkSpeed(speed);
+    if (protocol && !isEthereumProtocol(protocol)) {
+      throw new TypeError(`FeeHistoryOracle only knows Ethereum fees, not "${protocol}".`);
+    }
+    const percentile = this.percentiles[speed];
+    const history = await this.call('eth_feeHistory', [`0x${this.blockCount.toString(16)}`, 'latest', [percentile]]);
+    // The last entry is the base fee of the upcoming block.
+    const baseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+    const tips = (history.reward || [])
+      .map(rewards => BigInt(rewards[0]))
+      .sort((a, b) => (a > b ? 1 : a < b ? -1 : 0));
+    const priorityFee = tips.length ? tips[Math.floor(tips.length / 2)] : BigInt(0);
+    return {
+      gasPrice: baseFee + priorityFee,
+      gasLimit: getGasLimit(protocol, this.gasLimits),
+    };
+  }
+}
+
+module.exports = {
+  SPEEDS,
+  FeeOracle,
+  StaticFeeOracle,
+  JsonRpcFeeOracle,
+  FeeHistoryOracle,
+};
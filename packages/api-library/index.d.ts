@@ -0,0 +1,1002 @@
+// Type definitions for @upvest/api-library, shared by @upvest/tenancy-api and
+// @upvest/clientele-api. Amounts the API sends are decimal strings, because
+// they may exceed `Number.MAX_SAFE_INTEGER`.
+
+export type Integerish = bigint | number | string;
+export type Quantity = Integerish | Amount;
+export type Bytes = string | Uint8Array;
+
+export type Speed = 'fastest' | 'fast' | 'medium' | 'slow';
+
+// Non-enumerable, on the data of every call which sent a request ID.
+export interface WithRequestId {
+  readonly requestId?: string;
+}
+
+// For calls which resolve a plain value, in place of the request ID
+export interface RequestOptions {
+  requestId?: string;
+  // Gets the request ID that was sent
+  onRequestId?: (requestId: string) => void;
+}
+
+export function getRequestOptions(
+  requestIdOrOptions?: string | RequestOptions
+): {requestId?: string; onRequestId: ((requestId: string) => void) | null};
+export function reportRequestId<R extends Response>(response: R, onRequestId?: ((requestId: string) => void) | null): R;
+
+// Responses
+
+export interface Asset {
+  id: string;
+  name: string;
+  symbol: string;
+  exponent: number;
+  protocol: string;
+  metainfo?: {[key: string]: unknown};
+}
+
+export interface Balance<A = string> {
+  amount: A;
+  asset_id: string;
+  name: string;
+  symbol: string;
+  exponent: number;
+}
+
+export type WalletStatus = 'PENDING' | 'ACTIVE';
+
+export interface Wallet<A = string> extends WithRequestId {
+  id: string;
+  path?: string;
+  protocol: string;
+  // `null` until the wallet is ACTIVE
+  address: string | null;
+  status: WalletStatus;
+  balances: Balance<A>[];
+  index?: number;
+  recovered?: string | null;
+  recrypted?: string | null;
+  created?: string;
+}
+
+export type TransactionStatus = 'QUEUED' | 'PENDING' | 'CONFIRMING' | 'CONFIRMED' | 'FAILED';
+
+// All in base units of the protocol's native asset, e.g. Wei.
+export interface FeeInfo {
+  fee?: string;
+  gas_used?: string;
+  gas_limit?: string;
+  gas_price?: string;
+  [key: string]: unknown;
+}
+
+export interface Transaction<Q = string> extends WithRequestId {
+  id: string;
+  txhash: string | null;
+  wallet_id: string;
+  asset_id: string;
+  asset_name: string;
+  exponent: number;
+  sender?: string;
+  recipient: string;
+  quantity: Q;
+  fee: string;
+  status: TransactionStatus;
+  fee_info?: FeeInfo;
+  // With `create({speed})`
+  readonly fees?: ResolvedFees;
+  // With `create({feeRate})`
+  readonly coinSelection?: CoinSelection;
+}
+
+export interface Utxo {
+  txhash: string;
+  index: number;
+  value?: Integerish;
+  type?: BitcoinScriptType;
+  script?: string;
+  address?: string;
+  // Hex of the transaction that created the output, for p2pkh PSBT inputs
+  raw_tx?: string;
+  [key: string]: unknown;
+}
+
+export type BigNumberFormat = 'hex' | 'dec' | 'base64';
+
+export interface SignatureResult extends WithRequestId {
+  big_number_format: BigNumberFormat;
+  algorithm: 'ECDSA';
+  curve: 'secp256k1';
+  public_key: {x: string; y: string};
+  r: string;
+  s: string;
+}
+
+export interface RecoverableSignature {
+  r: string;
+  s: string;
+  v: number;
+  recoveryId: 0 | 1;
+  // 65 bytes as `0x${r}${s}${v}`
+  signature: string;
+}
+
+// Lists
+
+export interface Page<T> {
+  results: T[];
+  next: string | null;
+  previous: string | null;
+  cursor: string | null;
+  nextCursor: string | null;
+  previousCursor: string | null;
+}
+
+export type ListErrorHandler = (error: Error, path: string) => void;
+
+export interface ListErrorPolicy {
+  onError: 'throw' | 'stop' | 'retry';
+  maxRetries: number;
+  retryDelay: number;
+  errorHandler: ListErrorHandler | null;
+}
+
+export interface ListOptions extends Partial<ListErrorPolicy> {
+  cursor?: string;
+  direction?: 'next' | 'previous';
+}
+
+export interface GenericListOptions<T> extends ListOptions {
+  transform?: (result: any) => T;
+  operation?: string;
+}
+
+export const defaultListErrorPolicy: ListErrorPolicy;
+
+export function defaultListErrorHandler(error: Error, path: string): void;
+
+export function getCursorFromUrl(url: string | null | undefined): string | null;
+
+export function genericListPages<T = any>(
+  path: string,
+  client: HTTPClient,
+  pageSize?: number,
+  options?: GenericListOptions<T>
+): AsyncGenerator<Page<T>, void, undefined>;
+
+export function genericList<T = any>(
+  path: string,
+  client: HTTPClient,
+  pageSize?: number,
+  errorHandler?: ListErrorHandler | null,
+  options?: GenericListOptions<T>
+): AsyncGenerator<T, void, undefined>;
+
+// HTTP client
+
+export interface Headers {
+  [name: string]: any;
+}
+
+export interface RequestConfig {
+  url?: string;
+  method?: string;
+  baseURL?: string;
+  headers?: Headers;
+  params?: any;
+  paramsSerializer?: (params: any) => string;
+  data?: any;
+  timeout?: number;
+  maxRedirects?: number;
+  responseType?: 'json' | 'text' | 'arraybuffer' | 'blob';
+  validateStatus?: (status: number) => boolean;
+  adapter?: (config: RequestConfig) => Promise<Response>;
+  // Sent as `X-UP-API-Request-ID`, generated for mutating calls
+  requestId?: string;
+  // The endpoint method, e.g. 'wallets.create'
+  operation?: string;
+  // Of a list, counting from 1
+  page?: number;
+  retryAttempt?: number;
+  pluginContext?: PluginContext;
+  [key: string]: any;
+}
+
+export interface Response<T = any> {
+  data: T;
+  status: number;
+  statusText: string;
+  headers: Headers;
+  config: RequestConfig;
+  request?: any;
+}
+
+export interface InterceptorManager<V> {
+  use(fulfilled?: (value: V) => V | Promise<V>, rejected?: (error: any) => any): number;
+  eject(id: number): void;
+}
+
+export interface HTTPClient {
+  (config: RequestConfig): Promise<Response>;
+  (url: string, config?: RequestConfig): Promise<Response>;
+  defaults: RequestConfig & {headers: Headers};
+  interceptors: {
+    request: InterceptorManager<RequestConfig>;
+    response: InterceptorManager<Response>;
+  };
+  request<T = any>(config: RequestConfig): Promise<Response<T>>;
+  get<T = any>(url: string, config?: RequestConfig): Promise<Response<T>>;
+  delete<T = any>(url: string, config?: RequestConfig): Promise<Response<T>>;
+  head<T = any>(url: string, config?: RequestConfig): Promise<Response<T>>;
+  options<T = any>(url: string, config?: RequestConfig): Promise<Response<T>>;
+  post<T = any>(url: string, data?: any, config?: RequestConfig): Promise<Response<T>>;
+  put<T = any>(url: string, data?: any, config?: RequestConfig): Promise<Response<T>>;
+  patch<T = any>(url: string, data?: any, config?: RequestConfig): Promise<Response<T>>;
+  // Set by `createHTTPClient()`
+  plugins?: PluginPipeline;
+  authInterceptorHandle?: number;
+  // `null` with `retry: false`
+  retryConfig?: RetryConfig | null;
+}
+
+export type TransportName = 'axios' | 'fetch';
+export type TransportFactory = (config: RequestConfig) => HTTPClient;
+export type Transport = TransportName | TransportFactory;
+
+export const TRANSPORTS: TransportName[];
+
+export interface FetchClientConfig extends RequestConfig {
+  // Defaults to the global `fetch()`
+  fetch?: (url: string, init?: any) => Promise<any>;
+}
+
+export function createFetchClient(config?: FetchClientConfig): HTTPClient;
+
+export function createTransportClient(transport?: Transport, config?: RequestConfig): HTTPClient;
+
+export interface RetryConfig {
+  retries: number;
+  baseDelay: number;
+  maxDelay: number;
+  statuses: number[];
+  codes: string[];
+}
+
+export const defaultRetryConfig: RetryConfig;
+
+// The options both clients take as their last constructor argument.
+export interface ClientOptions {
+  retry?: Partial<RetryConfig> | false;
+  assetRegistry?: AssetRegistryOptions;
+  feeOracle?: FeeOracleLike;
+  plugins?: Plugin[];
+  logger?: Logger;
+  redact?: string[];
+  telemetry?: Telemetry;
+  transport?: Transport;
+  validateResponses?: ValidateResponses;
+}
+
+export interface HTTPClientConfig {
+  baseURL: string;
+  timeout?: number;
+  userAgent?: string;
+  version?: string;
+  retry?: Partial<RetryConfig> | false;
+  plugins?: Plugin[];
+  logger?: Logger;
+  redact?: string[];
+  telemetry?: Telemetry;
+  transport?: Transport;
+  validateResponses?: ValidateResponses;
+  // Added to `responseSchemas`
+  schemas?: ResponseSchemas;
+  authenticate?: (config: RequestConfig) => RequestConfig | Promise<RequestConfig>;
+  authenticateError?: (error: any) => any;
+}
+
+export function createHTTPClient(config: HTTPClientConfig): HTTPClient;
+
+export function buildURL(url: string, params?: any, paramsSerializer?: (params: any) => string): string;
+export function isAbsoluteURL(url: string): boolean;
+export function combineURLs(baseURL: string, relativeURL?: string): string;
+
+// Plugins
+
+export type PluginHook = 'beforeRequest' | 'afterSign' | 'afterResponse' | 'onError' | 'onRetry';
+
+export const PLUGIN_HOOKS: PluginHook[];
+
+export interface PluginContext {
+  config: RequestConfig;
+  // 0 for the first try
+  attempt: number;
+  startedAt: number;
+  // Milliseconds, in `onRetry()`
+  delay?: number;
+  response: {data: any; status: number; headers: Headers} | null;
+  respondWith(data: any, options?: {status?: number; headers?: Headers}): void;
+  [key: string]: any;
+}
+
+type MaybePromise<T> = T | Promise<T>;
+
+export interface Plugin {
+  beforeRequest?(config: RequestConfig, context: PluginContext): MaybePromise<RequestConfig | void>;
+  afterSign?(config: RequestConfig, context: PluginContext): MaybePromise<RequestConfig | void>;
+  afterResponse?(response: Response, context: PluginContext): MaybePromise<Response | void>;
+  // Also gets errors of `beforeRequest` hooks and of authentication, which
+  // need not be UpvestErrors and can not be recovered from.
+  onError?(error: UpvestError | Error, context: PluginContext): MaybePromise<Error | Response | void>;
+  onRetry?(error: UpvestError, context: PluginContext): MaybePromise<boolean | void>;
+}
+
+export interface PluginPipeline {
+  plugins: Plugin[];
+  withHook(hook: PluginHook): Plugin[];
+}
+
+// Request logging
+
+export interface RequestLogRecord {
+  method: string;
+  path: string;
+  // `null` without a response
+  status: number | null;
+  duration: number;
+  requestId: string | null;
+  retryCount: number;
+  headers: Headers;
+  body?: any;
+  error?: {name: string; message: string; code?: string};
+}
+
+export type LogFunction = (record: RequestLogRecord) => void;
+
+export type Logger =
+  | LogFunction
+  | {info?: LogFunction; warn?: LogFunction; error?: LogFunction; log?: LogFunction};
+
+export interface RequestLoggerOptions {
+  redact?: string[];
+  bodies?: boolean;
+}
+
+export const defaultRedactedFields: string[];
+
+export function redact<T>(value: T, fields?: string[]): T;
+
+export function createRequestLogger(logger: Logger, options?: RequestLoggerOptions): Plugin;
+
+// Tracing and metrics, for anything shaped like the OpenTelemetry API.
+
+export type Attributes = {[name: string]: string | number | boolean | undefined};
+
+export interface Span {
+  setAttribute(name: string, value: string | number | boolean): any;
+  recordException(exception: Error): void;
+  setStatus(status: {code: number; message?: string}): any;
+  end(): void;
+}
+
+export interface Tracer {
+  startSpan(name: string, options?: {kind?: number; attributes?: Attributes}): Span;
+}
+
+export interface Meter {
+  createCounter(name: string, options?: {description?: string; unit?: string}): {
+    add(value: number, attributes?: Attributes): void;
+  };
+  createHistogram(name: string, options?: {description?: string; unit?: string}): {
+    record(value: number, attributes?: Attributes): void;
+  };
+}
+
+export interface Telemetry {
+  tracer?: Tracer;
+  meter?: Meter;
+}
+
+export const TELEMETRY_METRICS: {
+  requests: string;
+  errors: string;
+  retries: string;
+  duration: string;
+};
+
+export function createTelemetryPlugin(telemetry: Telemetry): Plugin;
+
+// Response validation
+
+// The subset of JSON Schema `validateSchema()` supports.
+export interface JSONSchema {
+  type?: JSONSchemaType | JSONSchemaType[];
+  enum?: any[];
+  pattern?: string;
+  minimum?: number;
+  properties?: {[name: string]: JSONSchema};
+  required?: string[];
+  additionalProperties?: boolean | JSONSchema;
+  items?: JSONSchema;
+  anyOf?: JSONSchema[];
+}
+
+export type JSONSchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null';
+
+// By operation name, e.g. 'wallets.retrieve'
+export interface ResponseSchemas {
+  [operation: string]: JSONSchema;
+}
+
+export type ValidationMode = 'strict' | 'lenient';
+
+export type ValidateResponses =
+  | ValidationMode
+  | {
+      mode?: ValidationMode;
+      warn?: (message: string, error: SchemaValidationError) => void;
+      schemas?: ResponseSchemas;
+    };
+
+export const responseSchemas: ResponseSchemas;
+
+export const responseSchemaFragments: {
+  integerString: JSONSchema;
+  nullableString: JSONSchema;
+  nullableIntegerString: JSONSchema;
+  page(items: JSONSchema): JSONSchema;
+  asset: JSONSchema;
+  balance: JSONSchema;
+  wallet: JSONSchema;
+  transaction: JSONSchema;
+};
+
+export function validateSchema(value: any, schema: JSONSchema, path?: string): ErrorDetail[];
+
+export function createResponseValidator(schemas: ResponseSchemas, validateResponses: ValidateResponses): Plugin;
+
+// Errors
+
+export interface ErrorDetail {
+  location?: string;
+  reason?: string;
+  message?: string;
+  value?: any;
+  [key: string]: unknown;
+}
+
+export interface UpvestErrorProperties {
+  status?: number;
+  requestId?: string;
+  code?: string;
+  details?: ErrorDetail[];
+  config?: RequestConfig;
+  request?: any;
+  response?: Response;
+  cause?: any;
+}
+
+export class UpvestError extends Error {
+  constructor(message: string, properties?: UpvestErrorProperties);
+  status?: number;
+  requestId?: string;
+  code?: string;
+  details: ErrorDetail[];
+  locations: string[];
+  config?: RequestConfig;
+  request?: any;
+  response?: Response;
+  cause?: any;
+  // Set once the client's retries gave up on the error
+  retriesExhausted?: boolean;
+}
+
+export class UpvestAPIError extends UpvestError {}
+export class AuthenticationError extends UpvestAPIError {}
+export class SignatureMismatchError extends AuthenticationError {}
+
+export class ValidationError extends UpvestAPIError {
+  fields: {[location: string]: ErrorDetail[]};
+}
+
+export class NotFoundError extends UpvestAPIError {}
+
+export class RateLimitError extends UpvestAPIError {
+  // Seconds, `null` without a (valid) `Retry-After` header
+  retryAfter: number | null;
+}
+
+export class ServerError extends UpvestAPIError {}
+export class TimeoutError extends UpvestError {}
+export class NetworkError extends UpvestError {}
+
+export class WaitTimeoutError extends TimeoutError {
+  // From `wallets.waitUntilActive()`
+  pendingWalletIds?: string[];
+  wallets?: Array<Wallet | undefined>;
+}
+
+export class AbortError extends UpvestError {}
+
+export class TransactionFailedError extends UpvestError {
+  constructor(message: string, properties?: UpvestErrorProperties & {transaction?: Transaction});
+  transaction?: Transaction;
+}
+
+export class SchemaValidationError extends UpvestError {
+  constructor(message: string, properties?: UpvestErrorProperties & {operation?: string});
+  operation?: string;
+  // The first offending field, e.g. 'results[0].address'
+  path: string;
+}
+
+export function createErrorFromAxiosError<E>(error: E): E | UpvestError;
+
+// Amounts
+
+export interface AmountAsset {
+  exponent: number;
+  id?: string;
+  symbol?: string;
+  name?: string;
+}
+
+export class Amount {
+  constructor(baseUnits: Integerish, asset: AmountAsset);
+  static fromBaseUnits(baseUnits: Integerish, asset: AmountAsset): Amount;
+  static parse(text: string, asset: AmountAsset): Amount;
+  readonly exponent: number;
+  readonly asset: AmountAsset;
+  readonly baseUnits: bigint;
+  readonly symbol: string | undefined;
+  toDecimalString(): string;
+  format(options?: {symbol?: boolean}): string;
+  toString(): string;
+  toJSON(): string;
+  valueOf(): bigint;
+  plus(other: Quantity): Amount;
+  minus(other: Quantity): Amount;
+  times(factor: Integerish): Amount;
+  negate(): Amount;
+  isZero(): boolean;
+  isNegative(): boolean;
+  compare(other: Quantity): -1 | 0 | 1;
+  eq(other: Quantity): boolean;
+  lt(other: Quantity): boolean;
+  lte(other: Quantity): boolean;
+  gt(other: Quantity): boolean;
+  gte(other: Quantity): boolean;
+}
+
+export function walletWithAmounts(wallet: Wallet): Wallet<Amount>;
+export function transactionWithAmounts(transaction: Transaction): Transaction<Amount>;
+
+// Asset registry
+
+export interface AssetRegistrySnapshot {
+  loadedAt: number | null;
+  assets: Asset[];
+}
+
+export interface AssetRegistryOptions {
+  // Milliseconds, `Infinity` never reloads
+  ttl?: number;
+  snapshot?: AssetRegistrySnapshot;
+}
+
+export interface AssetCriteria {
+  id?: string;
+  symbol?: string;
+  name?: string;
+  protocol?: string;
+  network?: string;
+  contract?: string;
+}
+
+export const defaultAssetRegistryOptions: {ttl: number};
+
+export class AssetRegistry {
+  constructor(assets: AssetsEndpoint | null, options?: AssetRegistryOptions);
+  static fromSnapshot(snapshot: AssetRegistrySnapshot, options?: AssetRegistryOptions): AssetRegistry;
+  isStale(): boolean;
+  load(options?: {force?: boolean}): Promise<this>;
+  refresh(): Promise<this>;
+  all(): Promise<Asset[]>;
+  find(criteria?: AssetCriteria): Promise<Asset[]>;
+  findOne(criteria?: AssetCriteria): Promise<Asset | undefined>;
+  get(id: string): Promise<Asset | undefined>;
+  bySymbol(symbol: string, criteria?: AssetCriteria): Promise<Asset | undefined>;
+  byName(name: string, criteria?: AssetCriteria): Promise<Asset | undefined>;
+  byProtocol(protocol: string, criteria?: AssetCriteria): Promise<Asset[]>;
+  byContract(contract: string, criteria?: AssetCriteria): Promise<Asset | undefined>;
+  exponent(idOrCriteria: string | AssetCriteria): Promise<number>;
+  toJSON(): AssetRegistrySnapshot;
+  restore(snapshot: AssetRegistrySnapshot): void;
+}
+
+// Fees
+
+export interface FeeEstimateRequest {
+  speed: Speed;
+  protocol?: string;
+  assetId?: string;
+  walletId?: string;
+}
+
+export interface FeeEstimate {
+  gasPrice?: Integerish;
+  gasLimit?: Integerish;
+  fee?: Integerish;
+  // sat/vB
+  feeRate?: number;
+}
+
+export interface ResolvedFees extends FeeEstimate {
+  speed: Speed;
+}
+
+export interface FeeOracleLike {
+  estimate(request: FeeEstimateRequest): Promise<FeeEstimate>;
+}
+
+export class FeeOracle implements FeeOracleLike {
+  estimate(request: FeeEstimateRequest): Promise<FeeEstimate>;
+}
+
+type FeeLevels = {[speed in Speed]?: FeeEstimate};
+
+export class StaticFeeOracle extends FeeOracle {
+  constructor(levels: FeeLevels | {[protocolFamily: string]: FeeLevels});
+}
+
+export interface JsonRpcFeeOracleOptions {
+  ttl?: number;
+  timeout?: number;
+  headers?: Headers;
+  transport?: Transport;
+  gasLimits?: {[protocolFamily: string]: Integerish};
+  multipliers?: {[speed in Speed]?: number};
+  confirmationTargets?: {[speed in Speed]?: number};
+}
+
+export class JsonRpcFeeOracle extends FeeOracle {
+  constructor(url: string, options?: JsonRpcFeeOracleOptions);
+  call(method: string, params?: any[]): Promise<any>;
+}
+
+export interface FeeHistoryOracleOptions extends JsonRpcFeeOracleOptions {
+  blockCount?: number;
+  percentiles?: {[speed in Speed]?: number};
+}
+
+export class FeeHistoryOracle extends JsonRpcFeeOracle {
+  constructor(url: string, options?: FeeHistoryOracleOptions);
+}
+
+// Bitcoin
+
+export type BitcoinScriptType = 'p2pkh' | 'p2sh' | 'p2wpkh' | 'p2wsh' | 'p2tr';
+export type CoinSelectionStrategy = 'branch-and-bound' | 'largest-first' | 'privacy';
+
+export interface CoinSelectionOptions {
+  strategy?: CoinSelectionStrategy;
+  inputType?: BitcoinScriptType;
+  outputType?: BitcoinScriptType;
+  changeType?: BitcoinScriptType | null;
+  recipient?: string | null;
+  outputs?: number;
+  dustThreshold?: number;
+  maxTries?: number;
+}
+
+export interface CoinSelection<U = Utxo> {
+  inputs: U[];
+  total: bigint;
+  fee: bigint;
+  change: bigint;
+  vsize: number;
+  strategy: CoinSelectionStrategy;
+}
+
+export const defaultCoinSelectionOptions: Required<CoinSelectionOptions>;
+
+export function selectCoins<U extends Utxo>(
+  utxos: Iterable<U>,
+  target: Quantity,
+  feeRate: number,
+  options?: CoinSelectionOptions
+): CoinSelection<U>;
+
+// The parts of a bitcoinjs-lib Psbt this library uses.
+export interface Psbt {
+  inputCount: number;
+  signInputAsync(index: number, signer: any): Promise<void>;
+  validateSignaturesOfAllInputs(): boolean;
+  finalizeAllInputs(): this;
+  extractTransaction(): any;
+  toBase64(): string;
+  toHex(): string;
+}
+
+export interface BitcoinPsbtOptions {
+  // e.g. 'bitcoin_testnet', or a bitcoinjs-lib network
+  network: string | object;
+  inputs: Utxo[];
+  outputs?: Array<{address: string; value: Quantity}>;
+  change?: Quantity | null;
+  changeAddress?: string;
+  // The hex of a previous transaction, required for p2pkh inputs without `raw_tx`
+  getTransactionHex?: (txhash: string) => string | Promise<string>;
+  version?: number;
+  locktime?: number;
+}
+
+export function buildBitcoinPsbt(options: BitcoinPsbtOptions): Promise<Psbt>;
+
+export function finalizePsbt(psbt: Psbt): {rawTransaction: string; txid: string; vsize: number};
+
+// Ethereum
+
+export interface EthereumTransaction {
+  type?: 0 | 2;
+  chainId?: Integerish;
+  // Instead of `chainId`
+  chain?: 'mainnet' | 'ropsten' | 'rinkeby' | 'goerli' | 'kovan';
+  nonce: Integerish;
+  gasLimit: Integerish;
+  gasPrice?: Quantity;
+  maxFeePerGas?: Quantity;
+  maxPriorityFeePerGas?: Quantity;
+  to?: string;
+  value?: Quantity;
+  data?: Bytes;
+  accessList?: Array<{address: string; storageKeys?: string[]} | [string, string[]]>;
+}
+
+export interface SignedEthereumTransaction {
+  rawTransaction: string;
+  transactionHash: string;
+  type: 0 | 2;
+  v: string;
+  r: string;
+  s: string;
+}
+
+export function erc20Transfer(
+  contract: string,
+  recipient: string,
+  amount: Quantity
+): {to: string; value: 0; data: string};
+
+export interface TypedData {
+  types: {[type: string]: Array<{name: string; type: string}>};
+  primaryType: string;
+  domain: {[field: string]: any};
+  message: {[field: string]: any};
+}
+
+// Transactions
+
+export interface TransactionOptions {
+  walletId: string;
+  password: string;
+  recipient: string;
+  assetId: string;
+  quantity: Quantity;
+  fee?: Quantity;
+  gasLimit?: Quantity;
+  gasPrice?: Quantity | Speed;
+  async?: boolean;
+  inputs?: Utxo[];
+  fund?: boolean;
+  requestId?: string;
+  // e.g. 'ethereum_ropsten', to check the fee fields against. Required with
+  // gasLimit, gasPrice, inputs or feeRate, unless `asset` has it or the
+  // client's asset registry knows `assetId`.
+  protocol?: string;
+  asset?: Asset;
+  speed?: Speed;
+  feeOracle?: FeeOracleLike;
+  // sat/vB, selects the inputs
+  feeRate?: number;
+  coinSelection?: CoinSelectionStrategy;
+}
+
+export function validateTransactionOptions(options: TransactionOptions): void;
+
+export const TRANSACTION_STATUS_ORDER: TransactionStatus[];
+export const FAILED_TRANSACTION_STATUSES: TransactionStatus[];
+
+// Polling
+
+export interface AbortSignalLike {
+  aborted: boolean;
+  addEventListener(type: 'abort', listener: () => void, options?: {once?: boolean}): void;
+  removeEventListener(type: 'abort', listener: () => void): void;
+}
+
+export interface PollingOptions {
+  interval?: number;
+  maxInterval?: number;
+  backoff?: number;
+  timeout?: number;
+  signal?: AbortSignalLike | null;
+}
+
+export const defaultPollingOptions: Required<PollingOptions>;
+
+export interface WaitUntilActiveOptions extends PollingOptions {
+  gracePeriod?: number;
+}
+
+export interface WatchBalancesOptions extends PollingOptions {
+  previous?: {[walletId: string]: {[assetId: string]: Integerish}};
+}
+
+export interface BalanceChange {
+  walletId: string;
+  assetId: string;
+  previous: bigint;
+  current: bigint;
+  delta: bigint;
+  wallet: Wallet;
+}
+
+export interface StatusTransition {
+  previous: TransactionStatus | null;
+  status: TransactionStatus;
+  transaction: Transaction;
+}
+
+export interface WatchStatusOptions extends PollingOptions {
+  until?: TransactionStatus | TransactionStatus[];
+}
+
+export interface WaitForOptions extends WatchStatusOptions {
+  onTransition?: (transition: StatusTransition) => void | Promise<void>;
+}
+
+// Endpoints
+
+export interface AmountsOption {
+  amounts?: boolean;
+}
+
+export class AssetsEndpoint {
+  constructor(client: HTTPClient);
+  client: HTTPClient;
+  list(pageSize?: number, options?: ListOptions): AsyncGenerator<Asset, void, undefined>;
+  listPages(pageSize?: number, options?: ListOptions): AsyncGenerator<Page<Asset>, void, undefined>;
+  retrieve(id: string): Promise<Asset>;
+}
+
+export class WalletsEndpoint {
+  constructor(client: HTTPClient);
+  client: HTTPClient;
+  create(assetId: string, password: string, index?: number, requestId?: string, username?: string): Promise<Wallet>;
+  list(pageSize: number | undefined, options: ListOptions & {amounts: true}): AsyncGenerator<Wallet<Amount>, void, undefined>;
+  list(pageSize?: number, options?: ListOptions & AmountsOption): AsyncGenerator<Wallet, void, undefined>;
+  listPages(
+    pageSize: number | undefined,
+    options: ListOptions & {amounts: true}
+  ): AsyncGenerator<Page<Wallet<Amount>>, void, undefined>;
+  listPages(pageSize?: number, options?: ListOptions & AmountsOption): AsyncGenerator<Page<Wallet>, void, undefined>;
+  retrieve(id: string, options: {amounts: true}): Promise<Wallet<Amount>>;
+  retrieve(id: string, options?: AmountsOption): Promise<Wallet>;
+  waitUntilActive(walletId: string, options?: WaitUntilActiveOptions): Promise<Wallet>;
+  waitUntilActive(walletIds: string[], options?: WaitUntilActiveOptions): Promise<Wallet[]>;
+  watchBalances(
+    walletIdOrIds: string | string[],
+    options?: WatchBalancesOptions
+  ): AsyncGenerator<BalanceChange, void, undefined>;
+}
+
+export class TransactionsEndpoint {
+  constructor(client: HTTPClient, options?: {feeOracle?: FeeOracleLike | null; assetRegistry?: AssetRegistry | null});
+  client: HTTPClient;
+  feeOracle: FeeOracleLike | null;
+  assetRegistry: AssetRegistry | null;
+  create(options: TransactionOptions): Promise<Transaction>;
+  create(
+    walletId: string,
+    password: string,
+    recipient: string,
+    assetId: string,
+    quantity: Quantity,
+    fee?: Quantity | null,
+    asynchronously?: boolean,
+    inputs?: Utxo[] | null,
+    fund?: boolean | null,
+    gasLimit?: Quantity | null,
+    gasPrice?: Quantity | Speed | null,
+    requestId?: string
+  ): Promise<Transaction>;
+  createFromOptions(options: TransactionOptions): Promise<Transaction>;
+  createRaw(
+    walletId: string,
+    password: string,
+    rawTx: string,
+    inputFormat: 'hex' | 'base64' | string,
+    fund?: boolean,
+    requestId?: string
+  ): Promise<Transaction>;
+  createComplex(walletId: string, password: string, tx: object, fund?: boolean, requestId?: string): Promise<Transaction>;
+  list(
+    walletId: string,
+    pageSize: number | undefined,
+    options: ListOptions & {amounts: true}
+  ): AsyncGenerator<Transaction<Amount>, void, undefined>;
+  list(walletId: string, pageSize?: number, options?: ListOptions & AmountsOption): AsyncGenerator<Transaction, void, undefined>;
+  listPages(
+    walletId: string,
+    pageSize: number | undefined,
+    options: ListOptions & {amounts: true}
+  ): AsyncGenerator<Page<Transaction<Amount>>, void, undefined>;
+  listPages(
+    walletId: string,
+    pageSize?: number,
+    options?: ListOptions & AmountsOption
+  ): AsyncGenerator<Page<Transaction>, void, undefined>;
+  retrieve(walletId: string, transactionId: string, options: {amounts: true}): Promise<Transaction<Amount>>;
+  retrieve(walletId: string, transactionId: string, options?: AmountsOption): Promise<Transaction>;
+  watchStatus(
+    walletId: string,
+    transactionId: string,
+    options?: WatchStatusOptions
+  ): AsyncGenerator<StatusTransition, void, undefined>;
+  waitFor(walletId: string, transactionId: string, options?: WaitForOptions): Promise<Transaction>;
+}
+
+// Bitcoin wallets match either of them in `verify()`.
+export type BitcoinAddressType = 'p2pkh' | 'p2wpkh';
+
+export interface VerifyOptions {
+  wallet?: {address: string | null; protocol: string};
+  address?: string;
+  protocol?: string;
+  inputFormat?: 'hex' | 'base64';
+}
+
+export interface SignDigestOptions {
+  // Saves looking up the wallet's address
+  address?: string;
+  requestId?: string;
+}
+
+export class SignaturesEndpoint {
+  constructor(client: HTTPClient);
+  client: HTTPClient;
+  sign(
+    walletId: string,
+    password: string,
+    toSign: string,
+    inputFormat: 'hex' | 'base64',
+    outputFormat: BigNumberFormat,
+    requestId?: string
+  ): Promise<SignatureResult>;
+  verify(result: SignatureResult, message: Bytes, options?: VerifyOptions): boolean;
+  publicKeyToAddress(result: SignatureResult, protocol: string, addressType?: BitcoinAddressType): string;
+  signPersonalMessage(walletId: string, password: string, message: Bytes, options?: SignDigestOptions): Promise<string>;
+  signTypedData(walletId: string, password: string, typedData: TypedData, options?: SignDigestOptions): Promise<string>;
+  signDigest(walletId: string, password: string, digest: Uint8Array, options?: SignDigestOptions): Promise<string>;
+  signTransaction(
+    walletId: string,
+    password: string,
+    tx: EthereumTransaction,
+    options?: SignDigestOptions
+  ): Promise<SignedEthereumTransaction>;
+  signPsbt<P extends Psbt>(walletId: string, password: string, psbt: P, options?: {publicKey?: string}): Promise<P>;
+  signRecoverable(
+    walletId: string,
+    password: string,
+    digest: Uint8Array,
+    options: SignDigestOptions
+  ): Promise<RecoverableSignature>;
+}
+
+export class UtxosEndpoint {
+  constructor(client: HTTPClient);
+  client: HTTPClient;
+  list(walletId: string, options?: Partial<ListErrorPolicy>): AsyncGenerator<Utxo, void, undefined>;
+}
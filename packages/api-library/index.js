@@ -1,21 +1,66 @@
-const axios = require('axios');
+const uuidv4 = require('uuid').v4;
+const {
+  UpvestError,
+  UpvestAPIError,
+  AuthenticationError,
+  SignatureMismatchError,
+  ValidationError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  TimeoutError,
+  NetworkError,
+  WaitTimeoutError,
+  AbortError,
+  TransactionFailedError,
+  SchemaValidationError,
+  createErrorFromAxiosError,
+} = require('./errors.js');
+const {Poller, abortableSleep, defaultPollingOptions} = require('./polling.js');
+const {sleep, isObject} = require('./util.js');
+const {PROTOCOL_SPECIFIC_OPTIONS, validateTransactionOptions} = require('./validation.js');
+const {Amount, walletWithAmounts, transactionWithAmounts} = require('./amount.js');
+const {defaultRetryConfig, getRetryConfig, isRetryable, createRetryInterceptor} = require('./retry.js');
+const {AssetRegistry, defaultAssetRegistryOptions} = require('./asset-registry.js');
+const {selectCoins, defaultCoinSelectionOptions} = require('./coin-selection.js');
+const {FeeOracle, StaticFeeOracle, JsonRpcFeeOracle, FeeHistoryOracle} = require('./fee-oracle.js');
+const {HOOKS: PLUGIN_HOOKS, PluginPipeline} = require('./plugins.js');
+const {defaultRedactedFields, redact, createRequestLogger} = require('./request-logger.js');
+const {METRICS: TELEMETRY_METRICS, createTelemetryPlugin} = require('./telemetry.js');
+const {buildURL, isAbsoluteURL, combineURLs} = require('./url.js');
+const {TRANSPORTS, createFetchClient, createTransportClient} = require('./transport.js');
+const {validateSchema, createResponseValidator} = require('./schema-validation.js');
+const {schemas: responseSchemas, fragments: responseSchemaFragments} = require('./response-schemas.js');
+
+// bitcoinjs-lib and elliptic need Node.js' `Buffer` as soon as they load, so
+// the modules using them are only loaded on first use. That keeps the clients
+// loading in browsers and edge runtimes, which have no `Buffer`.
+const loadSignatures = () => require('./signatures.js');
+const loadEthereumMessages = () => require('./ethereum-messages.js');
+const loadEthereumTransactions = () => require('./ethereum-transactions.js');
+const loadBitcoinPsbt = () => require('./bitcoin-psbt.js');
+
+const erc20Transfer = (contract, recipient, amount) =>
+  loadEthereumTransactions().erc20Transfer(contract, recipient, amount);
+const buildBitcoinPsbt = options => loadBitcoinPsbt().buildBitcoinPsbt(options);
+const finalizePsbt = psbt => loadBitcoinPsbt().finalizePsbt(psbt);
 
 function defaultListErrorHandler(error, path) {
   console.log(`Caught error while trying to get ${path} list.`);
-  if ('response' in error) {
+  if (error.response) {
     if ('config' in error.response) {
       if ('url' in error.response.config) {
         console.dir(error.response.config.url, {depth: null, colors: true});
       }
       if ('headers' in error.response.config) {
-        console.dir(error.response.config.headers, {depth: null, colors: true});
+        console.dir(redact(error.response.config.headers), {depth: null, colors: true});
       }
     }
     if ('status' in error.response) {
       console.dir(error.response.status, {depth: null, colors: true});
     }
     if ('data' in error.response) {
-      console.dir(error.response.data, {depth: null, colors: true});
+      console.dir(redact(error.response.data), {depth: null, colors: true});
     }
   } else {
     console.log('Caught error without response:');
@@ -24,36 +69,111 @@ function defaultListErrorHandler(error, path) {
   return;
 }
 
-async function* genericList(path, client, pageSize, errorHandler) {
-  if (!errorHandler) {
-    errorHandler = defaultListErrorHandler;
+function getCursorFromUrl(url) {
+  if (!url) {
+    return null;
   }
-  let cursor = null;
-  do {
-    const params = {};
-    if (cursor) {
-      params['cursor'] = cursor;
-    }
-    if (pageSize) {
-      params['page_size'] = pageSize;
-    }
-    let response;
+  // `next` and `previous` are absolute URLs, but be lenient with relative ones.
+  return new URL(url, 'http://placeholder-baseurl.com').searchParams.get('cursor');
+}
+
+// How list generators react to a failed page fetch:
+// - 'throw' (default): rethrow, so a partial list can not pass for a complete one.
+// - 'stop': hand the error to `errorHandler` (if any) and end the list quietly.
+// - 'retry': fetch the same page again, up to `maxRetries` times, then throw.
+//   Only for errors worth retrying (see `isRetryable()`). With the client's
+//   own retries on, every page fetch goes through them again, so the list
+//   waits longer than the client alone would.
+const defaultListErrorPolicy = {
+  onError: 'throw',
+  maxRetries: 3,
+  retryDelay: 1000,
+  errorHandler: null,
+};
+
+// Returns `null` if the list should stop.
+async function fetchListPage(client, url, config, path, policy) {
+  for (let attempt = 0; ; attempt++) {
     try {
-      response = await client.get(path, {params});
+      return await client.get(url, config);
     } catch (error) {
-      return errorHandler(error, path);
+      const retryable = isRetryable(error, client.retryConfig || defaultRetryConfig);
+      if (policy.onError == 'retry' && retryable && attempt < policy.maxRetries) {
+        await sleep(policy.retryDelay * 2 ** attempt);
+        continue;
+      }
+      if (policy.onError == 'stop') {
+        if (policy.errorHandler) {
+          policy.errorHandler(error, path);
+        }
+        return null;
+      }
+      throw error;
     }
-    for (const result of response.data.results) {
-      yield result;
+  }
+}
+
+function getListErrorPolicy(options, errorHandler) {
+  const policy = {...defaultListErrorPolicy, ...options};
+  if (errorHandler) {
+    // Legacy call style `genericList(path, client, pageSize, errorHandler)`
+    policy.onError = options.onError || 'stop';
+    policy.errorHandler = errorHandler;
+  }
+  if (['throw', 'stop', 'retry'].indexOf(policy.onError) === -1) {
+    throw new TypeError(`Unknown list error policy "${policy.onError}".`);
+  }
+  return policy;
+}
+
+// Yields one `{results, next, previous, cursor, nextCursor, previousCursor}`
+// object per page, where `cursor` is the one which got you this page. Follows
+// the complete `next` (or, with `direction: 'previous'`, the `previous`) URL
+// the API returns, so any other query parameters are preserved. An optional
+// `transform` function is applied to every result.
+async function* genericListPages(path, client, pageSize, options = {}) {
+  const policy = getListErrorPolicy(options, options.errorHandler);
+  const params = {};
+  if (options.cursor) {
+    params['cursor'] = options.cursor;
+  }
+  if (pageSize) {
+    params['page_size'] = pageSize;
+  }
+  let url = path;
+  let cursor = options.cursor || null;
+  let page = 0;
+  do {
+    const config = {params, operation: options.operation, page: ++page};
+    const response = await fetchListPage(client, url, config, path, policy);
+    if (response === null) {
+      return;
     }
-    if (response.data.next != null) {
-      let nextUrl = new URL(response.data.next);
-      cursor = nextUrl.searchParams.get('cursor');
-      // TODO Figure out how to use the whole URL in `next` instead of this parsing.
-    } else {
-      cursor = null;
+    const next = response.data.next || null;
+    const previous = response.data.previous || null;
+    yield {
+      results: options.transform ? response.data.results.map(options.transform) : response.data.results,
+      next,
+      previous,
+      cursor,
+      nextCursor: getCursorFromUrl(next),
+      previousCursor: getCursorFromUrl(previous),
+    };
+    url = options.direction == 'previous' ? previous : next;
+    cursor = getCursorFromUrl(url);
+    // The URL from the API already has all the query parameters.
+    delete params['cursor'];
+    delete params['page_size'];
+  } while (url != null);
+}
+
+async function* genericList(path, client, pageSize, errorHandler, options = {}) {
+  const pages = genericListPages(path, client, pageSize, {...options, errorHandler});
+  for await (const page of pages) {
+    for (const result of page.results) {
+      yield result;
     }
-  } while (cursor != null);
+  }
 }
 
 class AssetsEndpoint {
@@ -61,13 +181,17 @@ class AssetsEndpoint {
     this.client = client;
   }
 
-  async *list(pageSize) {
-    yield* genericList('assets/', this.client, pageSize);
+  async *list(pageSize, options) {
+    yield* genericList('assets/', this.client, pageSize, null, {...options, operation: 'assets.list'});
+  }
+
+  async *listPages(pageSize, options) {
+    yield* genericListPages('assets/', this.client, pageSize, {...options, operation: 'assets.listPages'});
   }
 
   async retrieve(id) {
     const params = {};
-    const response = await this.client.get(`assets/${id}`, params);
+    const response = await this.client.get(`assets/${id}`, {params, operation: 'assets.retrieve'});
     return response.data;
   }
 }
@@ -84,26 +208,141 @@ class WalletsEndpoint {
       index: index,
       username: username,
     };
-    const response = await this.client.post('kms/wallets/', data, {requestId});
+    const response = await this.client.post('kms/wallets/', data, {requestId, operation: 'wallets.create'});
     return response.data;
   }
 
-  async *list(pageSize) {
-    yield* genericList('kms/wallets/', this.client, pageSize);
+  // With `{amounts: true}`, the balances' amounts are returned as Amount.
+  async *list(pageSize, options = {}) {
+    const transform = options.amounts ? walletWithAmounts : undefined;
+    yield* genericList('kms/wallets/', this.client, pageSize, null, {...options, transform, operation: 'wallets.list'});
   }
 
-  async retrieve(id) {
+  async *listPages(pageSize, options = {}) {
+    const transform = options.amounts ? walletWithAmounts : undefined;
+    yield* genericListPages('kms/wallets/', this.client, pageSize, {
+      ...options,
+      transform,
+      operation: 'wallets.listPages',
+    });
+  }
+
+  async retrieve(id, options = {}) {
     const params = {};
-    const response = await this.client.get(`kms/wallets/${id}`, params);
-    return response.data;
+    const response = await this.client.get(`kms/wallets/${id}`, {params, operation: 'wallets.retrieve'});
+    return options.amounts ? walletWithAmounts(response.data) : response.data;
+  }
+
+  // Polls just the given wallet(s) with backoff until all of them are ACTIVE
+  // and have an address. Resolves with the wallet, or an array of wallets if
+  // given an array of IDs. If any wallet was still pending at the first poll,
+  // waits another `gracePeriod` milliseconds before resolving. On timeout, the
+  // WaitTimeoutError lists the stragglers in `pendingWalletIds`. See
+  // `defaultPollingOptions` for the other options.
+  async waitUntilActive(walletIdOrIds, options = {}) {
+    const walletIds = [].concat(walletIdOrIds);
+    const wallets = new Map();
+    const isActive = wallet => wallet.status == 'ACTIVE' && wallet.address != null;
+    const getPendingWalletIds = () =>
+      walletIds.filter(id => !wallets.has(id) || !isActive(wallets.get(id)));
+
+    const poller = new Poller(options);
+    let pendingWalletIds = walletIds;
+    do {
+      const retrieved = await Promise.all(pendingWalletIds.map(id => this.retrieve(id)));
+      pendingWalletIds.forEach((id, i) => wallets.set(id, retrieved[i]));
+      pendingWalletIds = getPendingWalletIds();
+      if (!pendingWalletIds.length) {
+        if (poller.polls && options.gracePeriod) {
+          await abortableSleep(options.gracePeriod, options.signal);
+        }
+        const activeWallets = walletIds.map(id => wallets.get(id));
+        return Array.isArray(walletIdOrIds) ? activeWallets : activeWallets[0];
+      }
+    } while (await poller.wait());
+
+    const error = poller.timeoutError(`wallet(s) ${pendingWalletIds.join(', ')} to become active`);
+    error.pendingWalletIds = pendingWalletIds;
+    error.wallets = walletIds.map(id => wallets.get(id));
+    throw error;
+  }
+
+  // Polls the given wallet(s) every `interval` milliseconds and yields
+  // `{walletId, assetId, previous, current, delta, wallet}` whenever a balance
+  // changes, with the amounts as BigInt. The first poll only records the
+  // balances, unless `previous` (`{[walletId]: {[assetId]: amount}}`) is given
+  // to resume from. Assets that show up after that start from 0. Ends quietly
+  // once `signal` is aborted or `timeout` (default: none) runs out. See
+  // `defaultPollingOptions` for the other options.
+  async *watchBalances(walletIdOrIds, options = {}) {
+    const walletIds = [].concat(walletIdOrIds);
+    const known = new Map(walletIds.map(id => [id, new Map()]));
+    // Wallets whose balances are known, from `previous` or an earlier poll
+    const baselined = new Set(Object.keys(options.previous || {}));
+    for (const [walletId, balances] of Object.entries(options.previous || {})) {
+      for (const [assetId, amount] of Object.entries(balances)) {
+        known.set(walletId, known.get(walletId) || new Map());
+        known.get(walletId).set(assetId, BigInt(amount));
+      }
+    }
+
+    const poller = new Poller({timeout: Infinity, backoff: 1, ...options});
+    try {
+      do {
+        const wallets = await Promise.all(walletIds.map(id => this.retrieve(id)));
+        for (const [i, wallet] of wallets.entries()) {
+          const walletId = walletIds[i];
+          const knownBalances = known.get(walletId);
+          for (const balance of wallet.balances || []) {
+            const current = BigInt(balance.amount);
+            let previous = knownBalances.get(balance.asset_id);
+            if (previous === undefined && baselined.has(walletId)) {
+              previous = BigInt(0);
+            }
+            knownBalances.set(balance.asset_id, current);
+            if (previous !== undefined && previous !== current) {
+              const delta = current - previous;
+              yield {walletId, assetId: balance.asset_id, previous, current, delta, wallet};
+            }
+          }
+          baselined.add(walletId);
+        }
+      } while (await poller.wait());
+    } catch (error) {
+      if (error instanceof AbortError) {
+        return;
+      }
+      throw error;
+    }
   }
 }
 
+// The order in which a transaction's status progresses. `until: 'CONFIRMING'`
+// is also satisfied by a transaction which has already been CONFIRMED.
+const TRANSACTION_STATUS_ORDER = ['QUEUED', 'PENDING', 'CONFIRMING', 'CONFIRMED'];
+const FAILED_TRANSACTION_STATUSES = ['FAILED'];
+
+function hasReachedStatus(status, until) {
+  return until.some(
+    target =>
+      status == target ||
+      (TRANSACTION_STATUS_ORDER.indexOf(target) !== -1 &&
+        TRANSACTION_STATUS_ORDER.indexOf(status) >= TRANSACTION_STATUS_ORDER.indexOf(target))
+  );
+}
+
 class TransactionsEndpoint {
-  constructor(client) {
+  constructor(client, options = {}) {
     this.client = client;
+    this.feeOracle = options.feeOracle || null;
+    this.assetRegistry = options.assetRegistry || null;
   }
 
+  // Either `create(walletId, password, recipient, assetId, quantity, ...)` or
+  // `create({walletId, password, recipient, assetId, quantity, fee, async,
+  // inputs, fund, gasLimit, gasPrice, requestId, protocol})`. The options
+  // object is validated locally, see `validateTransactionOptions()`. Without
+  // `protocol` (or `asset`), it is looked up in the asset registry.
   async create(
     walletId,
     password,
@@ -115,8 +354,12 @@ class TransactionsEndpoint {
     inputs,
     fund,
     gasLimit,
-    gasPrice
+    gasPrice,
+    requestId
   ) {
+    if (isObject(walletId)) {
+      return this.createFromOptions(walletId);
+    }
     const data = {
       password,
       recipient,
@@ -129,42 +372,202 @@ class TransactionsEndpoint {
       inputs: Array.isArray(inputs) ? inputs : undefined, // `undefined` excludes from JSON payload
       fund: fund === Boolean(fund) ? fund : undefined, // `undefined` excludes from JSON payload, which triggers the "legacy behaviour" of leaving the default up to the API
     };
-    const response = await this.client.post(`kms/wallets/${walletId}/transactions/`, data);
+    const response = await this.client.post(`kms/wallets/${walletId}/transactions/`, data, {
+      requestId,
+      operation: 'transactions.create',
+    });
     return response.data;
   }
 
-  async createRaw(walletId, password, rawTx, inputFormat, fund) {
+  async createFromOptions(options) {
+    options = await this.withProtocol(options);
+    validateTransactionOptions(options);
+    if (options.speed !== undefined && options.speed !== null) {
+      return this.createWithFeeOracle(options);
+    }
+    if (options.feeRate !== undefined && options.feeRate !== null) {
+      return this.createWithCoinSelection(options);
+    }
+    const toString = value => (value === undefined || value === null ? undefined : String(value));
+    const data = {
+      password: options.password,
+      recipient: options.recipient,
+      asset_id: options.assetId,
+      quantity: toString(options.quantity),
+      fee: toString(options.fee),
+      gas_limit: toString(options.gasLimit),
+      gas_price: toString(options.gasPrice),
+      async: Boolean(options.async),
+      inputs: options.inputs || undefined,
+      fund: typeof options.fund == 'boolean' ? options.fund : undefined,
+    };
+    const path = `kms/wallets/${options.walletId}/transactions/`;
+    const response = await this.client.post(path, data, {
+      requestId: options.requestId,
+      operation: 'transactions.create',
+    });
+    return response.data;
+  }
+
+  // Adds the asset's `protocol` for the fields which depend on it, and for
+  // fee oracles, if there is an asset registry to look it up in.
+  async withProtocol(options) {
+    const isSet = value => value !== undefined && value !== null;
+    const needsProtocol = PROTOCOL_SPECIFIC_OPTIONS.concat('speed').some(name => isSet(options[name]));
+    if (!needsProtocol || options.protocol || (options.asset && options.asset.protocol)) {
+      return options;
+    }
+    if (!this.assetRegistry || typeof options.assetId != 'string') {
+      return options;
+    }
+    const asset = await this.assetRegistry.get(options.assetId);
+    return asset ? {...options, protocol: asset.protocol} : options;
+  }
+
+  // Resolves `speed` into fee fields via `feeOracle` (or the client's), see
+  // `fee-oracle.js`. Fields given explicitly win. The resolved values end up
+  // on the result as `fees`.
+  async createWithFeeOracle(options) {
+    const {speed, feeOracle = this.feeOracle, ...rest} = options;
+    if (!feeOracle) {
+      throw new TypeError('"speed" needs a fee oracle, pass "feeOracle" here or in the client options.');
+    }
+    const protocol = options.protocol || (options.asset && options.asset.protocol);
+    const estimate = await feeOracle.estimate({speed, protocol, assetId: options.assetId, walletId: options.walletId});
+    const isSet = value => value !== undefined && value !== null;
+    const resolved = {};
+    const fees = {speed, ...estimate};
+    for (const name of ['gasPrice', 'gasLimit', 'fee', 'feeRate']) {
+      if (isSet(rest[name])) {
+        fees[name] = rest[name];
+      } else if (isSet(estimate[name])) {
+        resolved[name] = estimate[name];
+      }
+    }
+    // Inputs or a fee picked by the caller leave nothing to select.
+    if (isSet(rest.inputs) || isSet(rest.fee) || isSet(resolved.fee)) {
+      delete resolved.feeRate;
+      delete fees.feeRate;
+    }
+    const transaction = await this.createFromOptions({...rest, ...resolved});
+    if (transaction && typeof transaction == 'object') {
+      Object.defineProperty(transaction, 'fees', {value: fees, configurable: true});
+    }
+    return transaction;
+  }
+
+  // Picks the inputs from the wallet's UTXOs at `feeRate` sat/vB, with the
+  // `coinSelection` strategy (see `coin-selection.js`). The selection ends up
+  // on the result as `coinSelection`.
+  async createWithCoinSelection(options) {
+    const {feeRate, coinSelection, ...rest} = options;
+    const utxos = [];
+    for await (const utxo of new UtxosEndpoint(this.client).list(options.walletId)) {
+      utxos.push(utxo);
+    }
+    const selection = selectCoins(utxos, options.quantity, feeRate, {
+      strategy: coinSelection || defaultCoinSelectionOptions.strategy,
+      recipient: options.recipient,
+    });
+    const transaction = await this.createFromOptions({...rest, inputs: selection.inputs, fee: selection.fee});
+    if (transaction && typeof transaction == 'object') {
+      Object.defineProperty(transaction, 'coinSelection', {value: selection, configurable: true});
+    }
+    return transaction;
+  }
+
+  async createRaw(walletId, password, rawTx, inputFormat, fund, requestId) {
     const data = {
       password,
       raw_tx: rawTx,
       input_format: inputFormat,
       fund: fund === false ? false : true,
     };
-    const response = await this.client.post(`kms/wallets/${walletId}/transactions/raw`, data);
+    const response = await this.client.post(`kms/wallets/${walletId}/transactions/raw`, data, {
+      requestId,
+      operation: 'transactions.createRaw',
+    });
     return response.data;
   }
 
-  async createComplex(walletId, password, tx, fund) {
+  async createComplex(walletId, password, tx, fund, requestId) {
     const data = {
       password,
       tx,
       fund: fund === false ? false : true,
     };
-    const response = await this.client.post(`kms/wallets/${walletId}/transactions/complex`, data);
+    const response = await this.client.post(`kms/wallets/${walletId}/transactions/complex`, data, {
+      requestId,
+      operation: 'transactions.createComplex',
+    });
     return response.data;
   }
 
-  async *list(walletId, pageSize) {
-    yield* genericList(`kms/wallets/${walletId}/transactions/`, this.client, pageSize);
+  // With `{amounts: true}`, the quantities are returned as Amount.
+  async *list(walletId, pageSize, options = {}) {
+    const path = `kms/wallets/${walletId}/transactions/`;
+    const transform = options.amounts ? transactionWithAmounts : undefined;
+    yield* genericList(path, this.client, pageSize, null, {...options, transform, operation: 'transactions.list'});
   }
 
-  async retrieve(walletId, transactionId) {
+  async *listPages(walletId, pageSize, options = {}) {
+    const path = `kms/wallets/${walletId}/transactions/`;
+    const transform = options.amounts ? transactionWithAmounts : undefined;
+    yield* genericListPages(path, this.client, pageSize, {
+      ...options,
+      transform,
+      operation: 'transactions.listPages',
+    });
+  }
+
+  async retrieve(walletId, transactionId, options = {}) {
     const params = {};
-    const response = await this.client.get(
-      `kms/wallets/${walletId}/transactions/${transactionId}`,
-      params
-    );
-    return response.data;
+    const response = await this.client.get(`kms/wallets/${walletId}/transactions/${transactionId}`, {
+      params,
+      operation: 'transactions.retrieve',
+    });
+    return options.amounts ? transactionWithAmounts(response.data) : response.data;
+  }
+
+  // Polls the transaction with backoff and yields `{previous, status, transaction}`
+  // on every status change, the first poll included. Ends once the status has
+  // reached `until` (default 'CONFIRMED'). Throws a TransactionFailedError if the
+  // transaction fails, a WaitTimeoutError after `timeout` and an AbortError if
+  // `signal` is aborted. See `defaultPollingOptions` for the other options.
+  async *watchStatus(walletId, transactionId, options = {}) {
+    const until = [].concat(options.until || 'CONFIRMED');
+    const poller = new Poller(options);
+    let previous = null;
+    do {
+      const transaction = await this.retrieve(walletId, transactionId);
+      if (transaction.status !== previous) {
+        yield {previous, status: transaction.status, transaction};
+        previous = transaction.status;
+      }
+      if (hasReachedStatus(transaction.status, until)) {
+        return;
+      }
+      if (FAILED_TRANSACTION_STATUSES.indexOf(transaction.status) !== -1) {
+        throw new TransactionFailedError(
+          `Transaction ${transactionId} ended with status ${transaction.status}.`,
+          {transaction}
+        );
+      }
+    } while (await poller.wait());
+    throw poller.timeoutError(`transaction ${transactionId} to reach ${until.join(' or ')}`);
+  }
+
+  // Same as `watchStatus()`, but resolves with the final transaction (with
+  // `txhash` and `fee_info`). Pass `onTransition` to hear about status changes.
+  async waitFor(walletId, transactionId, options = {}) {
+    let transaction;
+    for await (const transition of this.watchStatus(walletId, transactionId, options)) {
+      transaction = transition.transaction;
+      if (options.onTransition) {
+        await options.onTransition(transition);
+      }
+    }
+    return transaction;
   }
 }
 
@@ -173,16 +576,96 @@ class SignaturesEndpoint {
     this.client = client;
   }
 
-  async sign(walletId, password, toSign, inputFormat, outputFormat) {
+  async sign(walletId, password, toSign, inputFormat, outputFormat, requestId) {
     const data = {
       input_format: inputFormat,
       output_format: outputFormat,
       to_sign: toSign,
       password,
     };
-    const response = await this.client.post(`kms/wallets/${walletId}/sign`, data);
+    const response = await this.client.post(`kms/wallets/${walletId}/sign`, data, {
+      requestId,
+      operation: 'signatures.sign',
+    });
     return response.data;
   }
+
+  // Checks a `sign()` result locally. Pass `{wallet}` (or `{address, protocol}`)
+  // to also check that the public key belongs to the wallet. `message` is the
+  // signed hash, as hex string (or base64 with `{inputFormat: 'base64'}`) or bytes.
+  verify(result, message, options = {}) {
+    return loadSignatures().verifySignature(result, message, options);
+  }
+
+  // The address of the public key in a `sign()` result, e.g. for `wallet.protocol`.
+  // For Bitcoin, `addressType` is 'p2pkh' (default) or 'p2wpkh'.
+  publicKeyToAddress(result, protocol, addressType) {
+    return loadSignatures().publicKeyToAddress(result, protocol, addressType);
+  }
+
+  // EIP-191 `personal_sign`: strings are signed as UTF-8 text, bytes as they
+  // are. Resolves the 65 byte `0x…` signature wallets and contracts expect.
+  // Pass `{address}` to save looking up the wallet's address.
+  async signPersonalMessage(walletId, password, message, options = {}) {
+    return this.signDigest(walletId, password, loadEthereumMessages().hashPersonalMessage(message), options);
+  }
+
+  // EIP-712, with `typedData` as `eth_signTypedData_v4` takes it:
+  // `{types, primaryType, domain, message}`
+  async signTypedData(walletId, password, typedData, options = {}) {
+    return this.signDigest(walletId, password, loadEthereumMessages().hashTypedData(typedData), options);
+  }
+
+  // The API does not return the recovery id `v`, so find the one which
+  // recovers the wallet's address.
+  async signDigest(walletId, password, digest, options = {}) {
+    const signature = await this.signRecoverable(walletId, password, digest, options);
+    return signature.signature;
+  }
+
+  // Signs a legacy (EIP-155) or EIP-1559 transaction built from `tx`, see
+  // `ethereum-transactions.js`. Resolves `{rawTransaction, transactionHash,
+  // type, v, r, s}`; send `rawTransaction` via `transactions.createRaw()` or
+  // any Ethereum node.
+  async signTransaction(walletId, password, tx, options = {}) {
+    const {getSigningHash, serializeSignedTransaction} = loadEthereumTransactions();
+    const signature = await this.signRecoverable(walletId, password, getSigningHash(tx), options);
+    return serializeSignedTransaction(tx, signature);
+  }
+
+  // Signs every input of a bitcoinjs-lib Psbt (see `bitcoin-psbt.js`) with the
+  // wallet's key, one `sign()` call per sighash. Without `{publicKey}` (hex),
+  // one extra signature is needed to find the key out. Resolves the PSBT,
+  // still unfinalized, so it can be exported for review first.
+  async signPsbt(walletId, password, psbt, options = {}) {
+    const {ec, toBytes} = loadSignatures();
+    const {getPublicKeyProbe, getPublicKeyPoint, getPublicKeyForInput, createUpvestSigner} = loadBitcoinPsbt();
+    let point;
+    if (options.publicKey) {
+      point = ec.keyFromPublic(toBytes(options.publicKey)).getPublic();
+    } else {
+      const probe = await this.sign(walletId, password, getPublicKeyProbe(), 'hex', 'hex');
+      point = getPublicKeyPoint(probe);
+    }
+    for (let i = 0; i < psbt.inputCount; i++) {
+      const publicKey = getPublicKeyForInput(point, psbt, i);
+      await psbt.signInputAsync(i, createUpvestSigner(this, walletId, password, publicKey));
+    }
+    if (!psbt.validateSignaturesOfAllInputs()) {
+      throw new TypeError('The PSBT signatures do not verify.');
+    }
+    return psbt;
+  }
+
+  async signRecoverable(walletId, password, digest, options) {
+    let address = options.address;
+    if (!address) {
+      const response = await this.client.get(`kms/wallets/${walletId}`, {operation: 'wallets.retrieve'});
+      address = response.data.address;
+    }
+    const result = await this.sign(walletId, password, digest.toString('hex'), 'hex', 'hex', options.requestId);
+    return loadSignatures().toRecoverableSignature(result, digest, address);
+  }
 }
 
 class UtxosEndpoint {
@@ -190,13 +673,12 @@ class UtxosEndpoint {
     this.client = client;
   }
 
-  async *list(walletId) {
+  async *list(walletId, options = {}) {
     const path = `kms/wallets/${walletId}/utxos/`;
-    let response;
-    try {
-      response = await this.client.get(path, {});
-    } catch (error) {
-      return defaultListErrorHandler(error, path);
+    const policy = getListErrorPolicy(options, options.errorHandler);
+    const response = await fetchListPage(this.client, path, {operation: 'utxos.list'}, path, policy);
+    if (response === null) {
+      return;
     }
     for (const result of response.data.utxos) {
       yield result;
@@ -204,10 +686,47 @@ class UtxosEndpoint {
   }
 }
 
+const MUTATING_METHODS = ['post', 'put', 'patch', 'delete'];
+
+// Non-enumerable, so it neither ends up in `JSON.stringify()` nor in deep comparisons.
+function attachRequestId(response) {
+  const requestId = response.config.requestId;
+  if (requestId && response.data && typeof response.data == 'object') {
+    Object.defineProperty(response.data, 'requestId', {value: requestId, configurable: true});
+  }
+  return response;
+}
+
+// Calls which resolve a plain value (e.g. `users.delete()` resolves a
+// boolean) have no object to attach the request ID to. Their last argument
+// is either the request ID, or `{requestId, onRequestId}`, and
+// `onRequestId(requestId)` gets the ID that was sent.
+function getRequestOptions(requestIdOrOptions) {
+  if (isObject(requestIdOrOptions)) {
+    return {requestId: requestIdOrOptions.requestId, onRequestId: requestIdOrOptions.onRequestId};
+  }
+  return {requestId: requestIdOrOptions, onRequestId: null};
+}
+
+function reportRequestId(response, onRequestId) {
+  if (onRequestId && response.config.requestId) {
+    onRequestId(response.config.requestId);
+  }
+  return response;
+}
+
+// `authenticate` is the request interceptor which signs requests or adds the
+// OAuth2 token. It runs after the `beforeRequest` and before the `afterSign`
+// hooks of `plugins`, see `plugins.js`. `logger` gets one record per request,
+// with the `redact` fields (default `defaultRedactedFields`) redacted.
+// `telemetry` is `{tracer, meter}`, see `telemetry.js`. `transport` picks
+// the HTTP client, 'axios' (default) or 'fetch', see `transport.js`.
+// `validateResponses` ('strict' or 'lenient') checks responses against
+// `responseSchemas` plus the client's own `schemas`, see `schema-validation.js`.
 function createHTTPClient(config) {
   //use actual package version from package.json
   const defaultUserAgent = `Upvest-JS-API-Client/${config.version || 'NA'}`;
-  client = axios.create({
+  const client = createTransportClient(config.transport, {
     baseURL: config.baseURL,
     timeout: config.timeout || 120000,
     maxRedirects: 0, // Upvest API should not redirect anywhere. We use versioned endpoints instead.
@@ -215,6 +734,84 @@ function createHTTPClient(config) {
 
   client.defaults.headers.common['User-Agent'] = config.userAgent || defaultUserAgent;
 
+  // The built-in plugins come first, so they see every attempt as the API answered it.
+  const plugins = [];
+  if (config.logger) {
+    plugins.push(createRequestLogger(config.logger, {redact: config.redact}));
+  }
+  if (config.telemetry) {
+    plugins.push(createTelemetryPlugin(config.telemetry));
+  }
+  if (config.validateResponses) {
+    plugins.push(createResponseValidator({...responseSchemas, ...config.schemas}, config.validateResponses));
+  }
+  plugins.push(...(config.plugins || []));
+  const pipeline = new PluginPipeline(plugins);
+  client.plugins = pipeline;
+  if (pipeline.plugins.length) {
+    client.defaults.adapter = pipeline.wrapAdapter(client.defaults.adapter);
+  }
+
+  // Axios runs request interceptors in reverse order of registration.
+  if (pipeline.withHook('afterSign').length) {
+    client.interceptors.request.use(requestConfig => pipeline.afterSign(requestConfig));
+  }
+  if (config.authenticate) {
+    // Plugins get authentication errors as well, e.g. to end their spans.
+    const authenticate = pipeline.withHook('onError').length
+      ? requestConfig =>
+          Promise.resolve()
+            .then(() => config.authenticate(requestConfig))
+            .catch(error => pipeline.onRequestError(error, requestConfig))
+      : config.authenticate;
+    client.authInterceptorHandle = client.interceptors.request.use(authenticate, config.authenticateError);
+  }
+  if (pipeline.plugins.length) {
+    client.interceptors.request.use(requestConfig => pipeline.beforeRequest(requestConfig));
+  }
+
+  // Every mutating call gets a request ID, unless the caller brought their own.
+  // It is sent as `X-UP-API-Request-ID`, makes retries safe, shows up on typed
+  // errors and is attached to the returned data as `requestId`.
+  client.interceptors.request.use(requestConfig => {
+    const method = String(requestConfig.method || 'get').toLowerCase();
+    if (!requestConfig.requestId && MUTATING_METHODS.indexOf(method) !== -1) {
+      requestConfig.requestId = uuidv4();
+    }
+    if (requestConfig.requestId) {
+      requestConfig.headers = requestConfig.headers || {};
+      requestConfig.headers['X-UP-API-Request-ID'] = requestConfig.requestId;
+    }
+    return requestConfig;
+  });
+
+  // Registered first, so every other response error interceptor (e.g. the
+  // API key debugger) already gets to see the typed error.
+  client.interceptors.response.use(
+    response => response,
+    error => Promise.reject(createErrorFromAxiosError(error))
+  );
+
+  client.interceptors.response.use(response => attachRequestId(response));
+
+  // Before retrying, so plugins see every attempt exactly once.
+  if (pipeline.plugins.length) {
+    client.interceptors.response.use(
+      response => pipeline.afterResponse(response),
+      error => pipeline.onError(error)
+    );
+  }
+
+  // `retry: false` switches retrying off, otherwise see `defaultRetryConfig`.
+  const retryConfig = getRetryConfig(config.retry);
+  client.retryConfig = retryConfig;
+  if (retryConfig) {
+    client.interceptors.response.use(
+      response => response,
+      createRetryInterceptor(client, retryConfig, (error, delay) => pipeline.onRetry(error, delay))
+    );
+  }
+
   return client;
 }
 
@@ -225,6 +822,61 @@ module.exports = {
   SignaturesEndpoint,
   UtxosEndpoint,
   genericList,
+  genericListPages,
+  getCursorFromUrl,
+  getRequestOptions,
+  reportRequestId,
   defaultListErrorHandler,
+  defaultListErrorPolicy,
+  defaultRetryConfig,
+  defaultPollingOptions,
   createHTTPClient,
+  PLUGIN_HOOKS,
+  defaultRedactedFields,
+  redact,
+  createRequestLogger,
+  TELEMETRY_METRICS,
+  createTelemetryPlugin,
+  buildURL,
+  isAbsoluteURL,
+  combineURLs,
+  TRANSPORTS,
+  createFetchClient,
+  createTransportClient,
+  validateSchema,
+  createResponseValidator,
+  responseSchemas,
+  responseSchemaFragments,
+  UpvestError,
+  UpvestAPIError,
+  AuthenticationError,
+  SignatureMismatchError,
+  ValidationError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  TimeoutError,
+  NetworkError,
+  WaitTimeoutError,
+  AbortError,
+  TransactionFailedError,
+  SchemaValidationError,
+  createErrorFromAxiosError,
+  validateTransactionOptions,
+  Amount,
+  walletWithAmounts,
+  transactionWithAmounts,
+  AssetRegistry,
+  defaultAssetRegistryOptions,
+  erc20Transfer,
+  selectCoins,
+  defaultCoinSelectionOptions,
+  buildBitcoinPsbt,
+  finalizePsbt,
+  FeeOracle,
+  StaticFeeOracle,
+  JsonRpcFeeOracle,
+  FeeHistoryOracle,
+  TRANSACTION_STATUS_ORDER,
+  FAILED_TRANSACTION_STATUSES,
 };
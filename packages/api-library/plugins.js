@@ -0,0 +1,163 @@
+// Plugins hook into every request of a client, whichever way it authenticates.
+// A plugin is an object with any of these (possibly async) hooks, called in
+// the order the plugins were given:
+//
+// - beforeRequest(config, context): before signing. Return a changed config,
+//   or nothing to keep it. Throwing fails the request.
+// - afterSign(config, context): after the API key signature or the OAuth2
+//   token got added. Changing anything signed breaks the signature.
+// - afterResponse(response, context): return a changed response, or nothing.
+// - onError(error, context): gets the typed error of every failed attempt.
+//   Return (or throw) another error to replace it, or any other value to
+//   recover with that as the response. Errors of `beforeRequest` hooks and
+//   of authentication (e.g. no OAuth2 token) come here too, but can not be
+//   recovered from, as there is no response. `context.config` is the
+//   request's config, even where `error.config` is missing.
+// - onRetry(error, context): before a retry, with `context.delay`. Return
+//   `false` to give up instead.
+//
+// `context` lives as long as the request, retries included. It has `config`,
+// `attempt` (0 for the first try), `startedAt` (of the current attempt) and
+// `respondWith(data, {status, headers})` to skip the network, e.g. for a
+// cache. Plugins may keep their own per-request state on it.
+
+const HOOKS = ['beforeRequest', 'afterSign', 'afterResponse', 'onError', 'onRetry'];
+
+function getContext(config) {
+  if (!config.pluginContext) {
+    const context = {startedAt: Date.now(), attempt: 0, response: null};
+    context.respondWith = (data, {status = 200, headers = {}} = {}) => {
+      context.response = {data, status, headers};
+    };
+    // Enumerable, so it survives axios merging the config for a retry.
+    config.pluginContext = context;
+  }
+  const context = config.pluginContext;
+  context.config = config;
+  return context;
+}
+
+function checkPlugins(plugins) {
+  if (!Array.isArray(plugins)) {
+    throw new TypeError('"plugins" must be an array.');
+  }
+  plugins.forEach((plugin, i) => {
+    if (!plugin || typeof plugin != 'object') {
+      throw new TypeError(`plugins[${i}] must be an object with hooks.`);
+    }
+    if (!HOOKS.some(hook => typeof plugin[hook] == 'function')) {
+      throw new TypeError(`plugins[${i}] has none of the hooks ${HOOKS.join(', ')}.`);
+    }
+  });
+  return plugins;
+}
+
+class PluginPipeline {
+  constructor(plugins = []) {
+    this.plugins = checkPlugins(plugins);
+    // Errors `onRequestError()` handed to the plugins already
+    this.failedBeforeSending = new WeakSet();
+  }
+
+  withHook(hook) {
+    return this.plugins.filter(plugin => typeof plugin[hook] == 'function');
+  }
+
+  async beforeRequest(config) {
+    const context = getContext(config);
+    context.attempt = config.retryAttempt || 0;
+    context.startedAt = Date.now();
+    context.response = null;
+    try {
+      for (const plugin of this.withHook('beforeRequest')) {
+        config = (await plugin.beforeRequest(config, context)) || config;
+      }
+    } catch (error) {
+      return this.onRequestError(error, config);
+    }
+    return config;
+  }
+
+  async afterSign(config) {
+    for (const plugin of this.withHook('afterSign')) {
+      config = (await plugin.afterSign(config, getContext(config))) || config;
+    }
+    return config;
+  }
+
+  async afterResponse(response) {
+    for (const plugin of this.withHook('afterResponse')) {
+      response = (await plugin.afterResponse(response, getContext(response.config))) || response;
+    }
+    return response;
+  }
+
+  // Errors thrown before the request got sent carry no config (or one of
+  // another request, like the OAuth2 token request), so the request
+  // interceptors hand them over here instead of `onError()`.
+  async onRequestError(error, config) {
+    const context = getContext(config);
+    for (const plugin of this.withHook('onError')) {
+      const result = await plugin.onError(error, context);
+      if (result instanceof Error) {
+        error = result;
+      }
+    }
+    if (error && typeof error == 'object') {
+      this.failedBeforeSending.add(error);
+    }
+    throw error;
+  }
+
+  async onError(error) {
+    if (!error || !error.config || this.failedBeforeSending.has(error) || this.failedBeforeSending.has(error.cause)) {
+      throw error;
+    }
+    // Replacements need not carry the config, so the context of the failed request.
+    const context = getContext(error.config);
+    for (const plugin of this.withHook('onError')) {
+      const result = await plugin.onError(error, context);
+      if (result instanceof Error) {
+        error = result;
+      } else if (result !== undefined) {
+        return result;
+      }
+    }
+    throw error;
+  }
+
+  // Resolves `false` if any plugin vetoes the retry.
+  async onRetry(error, delay) {
+    const context = getContext(error.config);
+    context.delay = delay;
+    for (const plugin of this.withHook('onRetry')) {
+      if ((await plugin.onRetry(error, context)) === false) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Wraps an axios adapter, so that `context.respondWith()` skips it.
+  wrapAdapter(adapter) {
+    return config => {
+      const context = config.pluginContext;
+      if (!context || !context.response) {
+        return adapter(config);
+      }
+      const response = {statusText: '', ...context.response, config, request: null};
+      // Same as axios treats the responses of its own adapters.
+      if (!config.validateStatus || config.validateStatus(response.status)) {
+        return Promise.resolve(response);
+      }
+      const error = new Error(`Request failed with status code ${response.status}`);
+      Object.assign(error, {config, request: null, response, isAxiosError: true});
+      return Promise.reject(error);
+    };
+  }
+}
+
+module.exports = {
+  HOOKS,
+  PluginPipeline,
+};
@@ -0,0 +1,74 @@
+const {WaitTimeoutError, AbortError} = require('./errors.js');
+
+const defaultPollingOptions = {
+  interval: 1000, // milliseconds before the second poll
+  maxInterval: 15000, // milliseconds, the backoff does not go beyond this
+  backoff: 1.5, // factor by which the interval grows after each poll
+  timeout: 10 * 60 * 1000, // milliseconds, `Infinity` polls forever
+  signal: null, // an AbortSignal, or anything with `aborted` and `addEventListener()`
+};
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new AbortError('Waiting was aborted.');
+  }
+}
+
+// Like `sleep()`, but rejects with an AbortError as soon as `signal` is aborted.
+function abortableSleep(milliseconds, signal) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+    const onAbort = () => {
+      clearTimeout(handle);
+      reject(new AbortError('Waiting was aborted.'));
+    };
+    const handle = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, milliseconds);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, {once: true});
+    }
+  });
+}
+
+// Keeps track of the backoff and the deadline of a polling loop:
+//
+//   const poller = new Poller(options);
+//   do { ...poll... } while (await poller.wait());
+//   throw poller.timeoutError('what we were waiting for');
+class Poller {
+  constructor(options = {}) {
+    this.options = {...defaultPollingOptions, ...options};
+    this.startedAt = Date.now();
+    this.deadline = this.startedAt + this.options.timeout;
+    this.delay = this.options.interval;
+    this.polls = 0;
+    throwIfAborted(this.options.signal);
+  }
+
+  // Sleeps until the next poll is due. Resolves `false` if the deadline has passed.
+  async wait() {
+    this.polls++;
+    const remaining = this.deadline - Date.now();
+    if (remaining <= 0) {
+      return false;
+    }
+    await abortableSleep(Math.min(this.delay, remaining), this.options.signal);
+    this.delay = Math.min(this.options.maxInterval, this.delay * this.options.backoff);
+    return true;
+  }
+
+  timeoutError(what, properties) {
+    const seconds = ((Date.now() - this.startedAt) / 1000).toFixed(1);
+    return new WaitTimeoutError(`Timed out after ${seconds} seconds waiting for ${what}.`, properties);
+  }
+}
+
+module.exports = {
+  defaultPollingOptions,
+  abortableSleep,
+  Poller,
+};
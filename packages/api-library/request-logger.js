@@ -0,0 +1,154 @@
+// Structured request logging, as a plugin (see `plugins.js`). Emits one record
+// per HTTP request, retries included:
+//
+//   {method: 'POST', path: '/1.0/kms/wallets/', status: 201, duration: 812,
+//    requestId: '...', retryCount: 0, headers: {...}, body: {...}}
+//
+// Secrets in headers and bodies are replaced by '[REDACTED]' before anything
+// gets logged.
+
+const {buildURL, combineURLs, isAbsoluteURL} = require('./url.js');
+const {parseBody} = require('./util.js');
+
+const REDACTED = '[REDACTED]';
+
+// Field and header names, compared case-insensitively.
+const defaultRedactedFields = [
+  'password',
+  'old_password',
+  'new_password',
+  'seed',
+  'client_secret',
+  'access_token',
+  'refresh_token',
+  'X-UP-API-Passphrase',
+  'Authorization',
+];
+
+const BEARER_TOKEN = /(Bearer\s+)[^\s"',]+/gi;
+
+// Not every runtime has a `Buffer`, e.g. browsers and edge runtimes.
+const isBuffer = value => typeof Buffer !== 'undefined' && Buffer.isBuffer(value);
+
+function toFieldSet(fields) {
+  return new Set(fields.map(field => String(field).toLowerCase()));
+}
+
+function redactValue(value, fieldSet) {
+  if (typeof value == 'string') {
+    return value.replace(BEARER_TOKEN, `$1${REDACTED}`);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, fieldSet));
+  }
+  if (value && typeof value == 'object' && !isBuffer(value)) {
+    const redacted = {};
+    for (const [key, item] of Object.entries(value)) {
+      redacted[key] = fieldSet.has(key.toLowerCase()) ? REDACTED : redactValue(item, fieldSet);
+    }
+    return redacted;
+  }
+  return value;
+}
+
+// Returns a copy of `value` with the `fields` redacted, at any depth. JSON
+// strings, like the bodies the API key interceptor sends, get parsed first.
+function redact(value, fields = defaultRedactedFields) {
+  const fieldSet = toFieldSet(fields);
+  if (typeof value == 'string' && /^\s*[[{]/.test(value)) {
+    try {
+      return JSON.stringify(redactValue(JSON.parse(value), fieldSet));
+    } catch (error) {
+      // Not JSON after all, so only the Bearer tokens get redacted.
+    }
+  }
+  return redactValue(value, fieldSet);
+}
+
+// The path and query, as signed by the API key interceptor.
+function getPath(config) {
+  const url = config.baseURL && !isAbsoluteURL(config.url) ? combineURLs(config.baseURL, config.url) : config.url;
+  const parsed = new URL(buildURL(url, config.params, config.paramsSerializer), 'http://placeholder-baseurl.com');
+  return parsed.pathname + parsed.search;
+}
+
+// axios merges the common and per-method headers into these only when sending.
+function getRequestHeaders(config) {
+  const headers = {};
+  for (const [name, value] of Object.entries(config.headers || {})) {
+    if (typeof value != 'object') {
+      headers[name] = value;
+    }
+  }
+  return headers;
+}
+
+// Client errors are warnings, anything else which failed (no answer, server
+// errors, responses not matching their schema) an error.
+function getLevel(record) {
+  if (record.status >= 400 && record.status < 500) {
+    return 'warn';
+  }
+  return record.error || record.status >= 500 ? 'error' : 'info';
+}
+
+// `logger` is a function taking the record, or an object with `info`, `warn`
+// and `error` methods (or only `log`), like `console` or most logging
+// libraries. `options.redact` replaces `defaultRedactedFields`,
+// `options.bodies: false` leaves the request bodies out.
+function createRequestLogger(logger, options = {}) {
+  const fields = options.redact || defaultRedactedFields;
+  const bodies = options.bodies !== false;
+
+  const createRecord = (config, context, status, error) => {
+    const record = {
+      method: String(config.method || 'get').toUpperCase(),
+      path: getPath(config),
+      status: status === undefined ? null : status,
+      duration: Date.now() - context.startedAt,
+      requestId: config.requestId || null,
+      retryCount: config.retryAttempt || 0,
+      headers: redact(getRequestHeaders(config), fields),
+    };
+    if (bodies && config.data !== undefined) {
+      record.body = redact(parseBody(config.data), fields);
+    }
+    if (error) {
+      record.error = {name: error.name, message: redact(error.message, fields), code: error.code};
+    }
+    return record;
+  };
+
+  // A broken logger, or a record which can not be built, must not fail the
+  // request it logs.
+  const emit = (config, context, status, error) => {
+    try {
+      const record = createRecord(config, context, status, error);
+      if (typeof logger == 'function') {
+        logger(record);
+      } else {
+        const level = getLevel(record);
+        (typeof logger[level] == 'function' ? logger[level] : logger.log).call(logger, record);
+      }
+    } catch (loggingError) {
+      return;
+    }
+  };
+
+  return {
+    afterResponse(response, context) {
+      emit(response.config, context, response.status);
+    },
+    onError(error, context) {
+      const status = error.response ? error.response.status : undefined;
+      emit(context.config, context, status, error);
+    },
+  };
+}
+
+module.exports = {
+  REDACTED,
+  defaultRedactedFields,
+  redact,
+  createRequestLogger,
+};
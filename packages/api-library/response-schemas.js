@@ -0,0 +1,138 @@
+// JSON Schemas of what the endpoints in this library answer, by operation
+// name, for `createResponseValidator()`. They only require what this library
+// or its users rely on, and allow any further fields, so that the API can add
+// to its responses without breaking strict mode.
+
+// Base units, as decimal strings, since they may exceed Number.MAX_SAFE_INTEGER.
+const integerString = {type: 'string', pattern: '^-?\\d+$'};
+const nullableString = {type: ['string', 'null']};
+const nullableIntegerString = {anyOf: [integerString, {type: 'null'}]};
+
+// One page of a list, see `genericListPages()`.
+const page = items => ({
+  type: 'object',
+  required: ['results'],
+  properties: {
+    results: {type: 'array', items},
+    next: nullableString,
+    previous: nullableString,
+  },
+});
+
+const asset = {
+  type: 'object',
+  required: ['id', 'name', 'symbol', 'exponent', 'protocol'],
+  properties: {
+    id: {type: 'string'},
+    name: {type: 'string'},
+    symbol: {type: 'string'},
+    exponent: {type: 'integer', minimum: 0},
+    protocol: {type: 'string'},
+    metainfo: {type: ['object', 'null']},
+  },
+};
+
+const balance = {
+  type: 'object',
+  required: ['amount'],
+  properties: {
+    amount: integerString,
+    asset_id: {type: 'string'},
+    name: {type: 'string'},
+    symbol: {type: 'string'},
+    exponent: {type: 'integer', minimum: 0},
+  },
+};
+
+const wallet = {
+  type: 'object',
+  required: ['id', 'protocol', 'status', 'balances'],
+  properties: {
+    id: {type: 'string'},
+    path: {type: 'string'},
+    protocol: {type: 'string'},
+    address: nullableString,
+    status: {type: 'string'},
+    balances: {type: 'array', items: balance},
+  },
+};
+
+const feeInfo = {
+  type: ['object', 'null'],
+  properties: {
+    fee: nullableIntegerString,
+    gas_used: nullableIntegerString,
+    gas_limit: nullableIntegerString,
+    gas_price: nullableIntegerString,
+  },
+};
+
+const transaction = {
+  type: 'object',
+  required: ['id', 'status'],
+  properties: {
+    id: {type: 'string'},
+    txhash: nullableString,
+    wallet_id: {type: 'string'},
+    asset_id: {type: 'string'},
+    asset_name: {type: 'string'},
+    exponent: {type: 'integer', minimum: 0},
+    sender: nullableString,
+    recipient: {type: 'string'},
+    quantity: integerString,
+    fee: nullableIntegerString,
+    status: {type: 'string'},
+    fee_info: feeInfo,
+  },
+};
+
+const signature = {
+  type: 'object',
+  required: ['big_number_format', 'public_key', 'r', 's'],
+  properties: {
+    big_number_format: {type: 'string', enum: ['hex', 'dec', 'base64']},
+    algorithm: {type: 'string'},
+    curve: {type: 'string'},
+    public_key: {
+      type: 'object',
+      required: ['x', 'y'],
+      properties: {x: {type: 'string'}, y: {type: 'string'}},
+    },
+    r: {type: 'string'},
+    s: {type: 'string'},
+  },
+};
+
+// UTXOs come in several spellings, see `normalizeUtxo()`.
+const utxo = {type: 'object'};
+
+// Create calls may answer before the wallet or transaction is complete.
+const createdWallet = {...wallet, required: ['id']};
+const createdTransaction = {...transaction, required: ['id']};
+
+const schemas = {
+  'assets.list': page(asset),
+  'assets.listPages': page(asset),
+  'assets.retrieve': asset,
+  'wallets.create': createdWallet,
+  'wallets.list': page(wallet),
+  'wallets.listPages': page(wallet),
+  'wallets.retrieve': wallet,
+  'transactions.create': createdTransaction,
+  'transactions.createRaw': createdTransaction,
+  'transactions.createComplex': createdTransaction,
+  'transactions.list': page(transaction),
+  'transactions.listPages': page(transaction),
+  'transactions.retrieve': transaction,
+  'signatures.sign': signature,
+  'utxos.list': {
+    type: 'object',
+    required: ['utxos'],
+    properties: {utxos: {type: 'array', items: utxo}},
+  },
+};
+
+module.exports = {
+  schemas,
+  fragments: {integerString, nullableString, nullableIntegerString, page, asset, balance, wallet, transaction},
+};
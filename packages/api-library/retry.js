@@ -0,0 +1,93 @@
+const {parseRetryAfter, getHeader} = require('./errors.js');
+const {sleep} = require('./util.js');
+
+const defaultRetryConfig = {
+  retries: 3,
+  baseDelay: 500, // milliseconds
+  maxDelay: 30000, // milliseconds, also the longest `Retry-After` we are willing to wait for
+  statuses: [429, 502, 503, 504],
+  codes: ['ECONNRESET', 'EPIPE'],
+};
+
+// Without a request ID, the API can not tell a retried POST from a new one,
+// so only these methods are safe to retry blindly.
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'delete'];
+
+function getRetryConfig(retry) {
+  if (retry === false) {
+    return null;
+  }
+  return {...defaultRetryConfig, ...retry};
+}
+
+function hasRequestId(config) {
+  return Boolean(
+    config.requestId || (config.headers && config.headers['X-UP-API-Request-ID'])
+  );
+}
+
+function isRetryableRequest(config) {
+  const method = String(config.method || 'get').toLowerCase();
+  return IDEMPOTENT_METHODS.indexOf(method) !== -1 || hasRequestId(config);
+}
+
+// Whether the API (or the network) may well answer differently next time,
+// e.g. after a 503, unlike after a 404.
+function isRetryable(error, retryConfig = defaultRetryConfig) {
+  if (error.response) {
+    return retryConfig.statuses.indexOf(error.response.status) !== -1;
+  }
+  const code = error.cause ? error.cause.code : error.code;
+  return retryConfig.codes.indexOf(code) !== -1;
+}
+
+// Exponential backoff with "equal jitter", unless the API told us how long to wait.
+function getRetryDelay(error, attempt, retryConfig) {
+  const retryAfter = parseRetryAfter(getHeader(error.response, 'retry-after'));
+  if (retryAfter !== null) {
+    return retryAfter * 1000;
+  }
+  const delay = Math.min(retryConfig.maxDelay, retryConfig.baseDelay * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+// Returns a response error interceptor which re-issues failed requests via
+// `client.request()`. Going through the whole client again means all request
+// interceptors run again, e.g. the API key signature gets a fresh timestamp.
+// `beforeRetry(error, delay)` may resolve `false` to give up instead.
+// Errors it gave up on get `retriesExhausted`, so that nothing retries them
+// on top.
+function createRetryInterceptor(client, retryConfig, beforeRetry) {
+  return async error => {
+    const config = error && error.config;
+    if (!config || !isRetryableRequest(config) || !isRetryable(error, retryConfig)) {
+      throw error;
+    }
+    const giveUp = () => {
+      error.retriesExhausted = true;
+      throw error;
+    };
+    const attempt = config.retryAttempt || 0;
+    if (attempt >= retryConfig.retries) {
+      giveUp();
+    }
+    const delay = getRetryDelay(error, attempt, retryConfig);
+    if (delay > retryConfig.maxDelay) {
+      giveUp();
+    }
+    if (beforeRetry && (await beforeRetry(error, delay)) === false) {
+      giveUp();
+    }
+    await sleep(delay);
+    config.retryAttempt = attempt + 1;
+    return client.request(config);
+  };
+}
+
+module.exports = {
+  defaultRetryConfig,
+  getRetryConfig,
+  isRetryableRequest,
+  isRetryable,
+  createRetryInterceptor,
+};
@@ -0,0 +1,146 @@
+// Response validation against the JSON Schemas in `response-schemas.js`, as a
+// plugin (see `plugins.js`). Off by default, switched on per client:
+//
+//   const tenancy = new UpvestTenancyAPI(..., {validateResponses: 'strict'});
+//
+// - 'strict': a response which does not match its endpoint's schema fails
+//   with a SchemaValidationError, whose `path` points at the offending field,
+//   e.g. `results[0].balances[1].amount`.
+// - 'lenient': the mismatch is only passed to `warn` (default `console.warn`).
+//
+// Or `{mode, warn, schemas}`, where `schemas` adds to or replaces the bundled
+// schemas, by operation name (e.g. 'wallets.retrieve').
+//
+// Only the subset of JSON Schema the bundled schemas need is supported:
+// `type`, `enum`, `pattern`, `minimum`, `properties`, `required`,
+// `additionalProperties`, `items` and `anyOf`.
+
+const {SchemaValidationError} = require('./errors.js');
+
+const MODES = ['strict', 'lenient'];
+
+function getType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function hasType(value, type) {
+  if (type == 'integer') {
+    return Number.isInteger(value);
+  }
+  return getType(value) == type;
+}
+
+const describe = value => (value === undefined ? 'nothing' : JSON.stringify(value));
+
+const joinPath = (path, key) => (typeof key == 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+// Returns a list of `{location, reason, message}` details, empty if `value`
+// matches. Stops descending into a value once its type is wrong.
+function validateSchema(value, schema, path = '') {
+  const details = [];
+  const fail = (location, reason, message) =>
+    details.push({location, reason, message: `${location || 'The response'} ${message}`});
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => hasType(value, type))) {
+      fail(path, 'type', `must be ${types.join(' or ')}, got ${describe(value)}`);
+      return details;
+    }
+  }
+  if (schema.enum && !schema.enum.some(allowed => allowed === value)) {
+    fail(path, 'enum', `must be one of ${schema.enum.map(describe).join(', ')}, got ${describe(value)}`);
+  }
+  if (schema.pattern && typeof value == 'string' && !new RegExp(schema.pattern).test(value)) {
+    fail(path, 'pattern', `must match ${schema.pattern}, got ${describe(value)}`);
+  }
+  if (schema.minimum !== undefined && typeof value == 'number' && value < schema.minimum) {
+    fail(path, 'minimum', `must be at least ${schema.minimum}, got ${value}`);
+  }
+  if (schema.anyOf && !schema.anyOf.some(candidate => !validateSchema(value, candidate, path).length)) {
+    fail(path, 'anyOf', `matches none of the allowed shapes, got ${describe(value)}`);
+  }
+
+  if (getType(value) == 'object') {
+    for (const name of schema.required || []) {
+      if (!(name in value)) {
+        fail(joinPath(path, name), 'required', 'is required');
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [name, item] of Object.entries(value)) {
+      if (properties[name]) {
+        details.push(...validateSchema(item, properties[name], joinPath(path, name)));
+      } else if (schema.additionalProperties === false) {
+        fail(joinPath(path, name), 'additionalProperties', 'is not allowed');
+      } else if (schema.additionalProperties && typeof schema.additionalProperties == 'object') {
+        details.push(...validateSchema(item, schema.additionalProperties, joinPath(path, name)));
+      }
+    }
+  }
+
+  if (getType(value) == 'array' && schema.items) {
+    value.forEach((item, i) => details.push(...validateSchema(item, schema.items, joinPath(path, i))));
+  }
+  return details;
+}
+
+function getValidationOptions(validateResponses) {
+  const options = typeof validateResponses == 'string' ? {mode: validateResponses} : {...validateResponses};
+  options.mode = options.mode || 'strict';
+  if (MODES.indexOf(options.mode) === -1) {
+    throw new TypeError(`Unknown response validation mode "${options.mode}", use one of ${MODES.join(', ')}.`);
+  }
+  return options;
+}
+
+// `schemas` maps operation names to schemas. Responses of operations without
+// a schema, e.g. of requests sent via `client` directly, are not checked.
+function createResponseValidator(schemas, validateResponses) {
+  const options = getValidationOptions(validateResponses);
+  const allSchemas = {...schemas, ...options.schemas};
+  const warn = options.warn || ((message, error) => console.warn(message, error.details));
+
+  return {
+    afterResponse(response) {
+      const operation = response.config.operation;
+      const schema = operation && allSchemas[operation];
+      if (!schema) {
+        return;
+      }
+      const details = validateSchema(response.data, schema);
+      if (!details.length) {
+        return;
+      }
+      const method = String(response.config.method || 'get').toUpperCase();
+      const error = new SchemaValidationError(
+        `${method} ${response.config.url} (${operation}) answered unexpectedly: ${details[0].message}` +
+          (details.length > 1 ? ` (and ${details.length - 1} more)` : ''),
+        {
+          status: response.status,
+          requestId: response.config.requestId,
+          details,
+          config: response.config,
+          request: response.request,
+          response,
+          operation,
+        }
+      );
+      if (options.mode == 'strict') {
+        throw error;
+      }
+      warn(error.message, error);
+    },
+  };
+}
+
+module.exports = {
+  validateSchema,
+  createResponseValidator,
+};
@@ -0,0 +1,224 @@
+// Local checks for the results of `SignaturesEndpoint.sign()`, which look like
+// `{big_number_format, algorithm: 'ECDSA', curve: 'secp256k1', public_key: {x, y}, r, s}`.
+
+const bitcoin = require('bitcoinjs-lib');
+const EC = require('elliptic').ec;
+const {keccak256: keccak256Hex} = require('js-sha3');
+const {isEthereumProtocol, isBitcoinProtocol} = require('./validation.js');
+
+const CURVE = 'secp256k1';
+const ec = new EC(CURVE);
+
+const NETWORKS = {
+  bitcoin: bitcoin.networks.bitcoin,
+  bitcoin_mainnet: bitcoin.networks.bitcoin,
+  bitcoin_testnet: bitcoin.networks.testnet,
+  bitcoin_regtest: bitcoin.networks.regtest,
+};
+
+const BITCOIN_ADDRESS_TYPES = ['p2pkh', 'p2wpkh'];
+
+// Takes a protocol name like 'bitcoin_testnet', or a bitcoinjs-lib network.
+function getNetwork(network) {
+  if (network && typeof network == 'object') {
+    return network;
+  }
+  if (!NETWORKS[network]) {
+    throw new TypeError(`Unknown Bitcoin network "${network}", use one of ${Object.keys(NETWORKS).join(', ')}.`);
+  }
+  return NETWORKS[network];
+}
+
+const removeHexPrefix = hex => (/^0x/i.test(hex) ? hex.slice(2) : hex);
+
+function toBytes(data, inputFormat = 'hex') {
+  if (data instanceof Uint8Array) {
+    return Buffer.from(data);
+  }
+  if (typeof data != 'string') {
+    throw new TypeError(`Expected a string or bytes, got ${typeof data}.`);
+  }
+  if (inputFormat == 'base64') {
+    return Buffer.from(data, 'base64');
+  }
+  const hex = removeHexPrefix(data);
+  if (!/^([0-9a-fA-F]{2})*$/.test(hex)) {
+    throw new TypeError(`"${data}" is not a hex string.`);
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+function keccak256(data) {
+  return Buffer.from(keccak256Hex.arrayBuffer(toBytes(data)));
+}
+
+// Big numbers in a signing result are formatted according to its
+// `big_number_format`. Returns them as unprefixed hex, padded to 32 bytes.
+function parseBigNumber(value, format = 'hex') {
+  let hex;
+  if (format == 'hex') {
+    hex = removeHexPrefix(String(value));
+  } else if (format == 'dec') {
+    hex = BigInt(String(value)).toString(16);
+  } else if (format == 'base64') {
+    hex = Buffer.from(String(value), 'base64').toString('hex');
+  } else {
+    throw new TypeError(`Unsupported big_number_format "${format}".`);
+  }
+  if (!/^[0-9a-fA-F]+$/.test(hex)) {
+    throw new TypeError(`"${value}" is not a number in "${format}" format.`);
+  }
+  return hex.toLowerCase().replace(/^0+(?=.)/, '').padStart(64, '0');
+}
+
+function getSignatureParts(result) {
+  if (!result || !result.public_key) {
+    throw new TypeError('Expected a result of signatures.sign(), with "public_key", "r" and "s".');
+  }
+  if (result.curve && result.curve != CURVE) {
+    throw new TypeError(`Only ${CURVE} signatures are supported, not "${result.curve}".`);
+  }
+  const format = result.big_number_format || 'hex';
+  return {
+    x: parseBigNumber(result.public_key.x, format),
+    y: parseBigNumber(result.public_key.y, format),
+    r: parseBigNumber(result.r, format),
+    s: parseBigNumber(result.s, format),
+  };
+}
+
+// EIP-55 mixed-case checksum encoding
+function toChecksumAddress(address) {
+  const hex = removeHexPrefix(address).toLowerCase();
+  const hash = keccak256Hex(hex);
+  const checksummed = hex
+    .split('')
+    .map((char, i) => (parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char))
+    .join('');
+  return `0x${checksummed}`;
+}
+
+// The last 20 bytes of the keccak256 hash of the uncompressed public key.
+function ethereumAddressFromPublicKey(x, y) {
+  const hash = keccak256(Buffer.from(x + y, 'hex'));
+  return toChecksumAddress(hash.slice(-20).toString('hex'));
+}
+
+// The p2pkh (legacy) or p2wpkh (native SegWit) address of the compressed
+// public key.
+function bitcoinAddressFromPublicKey(x, y, protocol, addressType = 'p2pkh') {
+  if (BITCOIN_ADDRESS_TYPES.indexOf(addressType) === -1) {
+    throw new TypeError(`Unsupported Bitcoin address type "${addressType}", use one of ${BITCOIN_ADDRESS_TYPES.join(', ')}.`);
+  }
+  const pubkey = Buffer.from(ec.keyFromPublic({x, y}, 'hex').getPublic(true, 'hex'), 'hex');
+  return bitcoin.payments[addressType]({pubkey, network: getNetwork(protocol)}).address;
+}
+
+// `addressType` is only used for Bitcoin protocols.
+function publicKeyToAddress(result, protocol, addressType) {
+  const {x, y} = getSignatureParts(result);
+  if (isEthereumProtocol(protocol)) {
+    return ethereumAddressFromPublicKey(x, y);
+  }
+  if (isBitcoinProtocol(protocol)) {
+    return bitcoinAddressFromPublicKey(x, y, protocol, addressType);
+  }
+  throw new TypeError(`Deriving addresses is only supported for Ethereum and Bitcoin protocols, not for "${protocol}".`);
+}
+
+function isSameAddress(a, b) {
+  return typeof a == 'string' && typeof b == 'string' && a.toLowerCase() == b.toLowerCase();
+}
+
+// Bitcoin wallets may use either address type, so both are tried.
+function isPublicKeyOf(result, address, protocol) {
+  const addressTypes = isBitcoinProtocol(protocol) ? BITCOIN_ADDRESS_TYPES : [undefined];
+  return addressTypes.some(addressType => isSameAddress(publicKeyToAddress(result, protocol, addressType), address));
+}
+
+// `message` is what was passed to `sign()` as `toSign`, i.e. the hash.
+// With `wallet` (or `address` and `protocol`), the public key also has to
+// belong to that address, otherwise any valid signature of any key passes.
+function verifySignature(result, message, options = {}) {
+  const {x, y, r, s} = getSignatureParts(result);
+  const address = options.wallet ? options.wallet.address : options.address;
+  const protocol = options.wallet ? options.wallet.protocol : options.protocol;
+  if (address !== undefined && !isEthereumProtocol(protocol) && !isBitcoinProtocol(protocol)) {
+    throw new TypeError(
+      `Checking the address needs an Ethereum or Bitcoin \`protocol\` along with it, not "${protocol}". ` +
+        'Pass {wallet} or {address, protocol}.'
+    );
+  }
+  if (address !== undefined) {
+    if (!isPublicKeyOf(result, address, protocol)) {
+      return false;
+    }
+  }
+  const hash = toBytes(message, options.inputFormat);
+  let publicKey;
+  try {
+    publicKey = ec.keyFromPublic({x, y}, 'hex');
+  } catch (error) {
+    return false;
+  }
+  if (!publicKey.validate().result) {
+    return false;
+  }
+  return publicKey.verify(hash, {r, s});
+}
+
+// ECDSA signatures are malleable: (r, n - s) is just as valid as (r, s).
+// Ethereum (EIP-2) and Bitcoin (BIP-62) only accept the lower `s`.
+function toLowS(sHex) {
+  const n = BigInt(`0x${ec.curve.n.toString(16)}`);
+  let s = BigInt(`0x${sHex}`);
+  if (s > n / BigInt(2)) {
+    s = n - s;
+  }
+  return s.toString(16).padStart(64, '0');
+}
+
+// `sign()` returns no recovery id, so try both candidates and keep the one
+// whose public key has `address`. `s` is normalised to the lower half of the
+// curve order first. Returns `{r, s, v,
+// recoveryId, signature}` with `signature` as 65 byte `0x${r}${s}${v}` hex.
+function toRecoverableSignature(result, digest, address) {
+  const parts = getSignatureParts(result);
+  const r = parts.r;
+  const sHex = toLowS(parts.s);
+  const hash = toBytes(digest);
+  for (const recoveryId of [0, 1]) {
+    const point = ec.recoverPubKey(hash, {r, s: sHex}, recoveryId);
+    const candidate = ethereumAddressFromPublicKey(
+      point.getX().toString(16).padStart(64, '0'),
+      point.getY().toString(16).padStart(64, '0')
+    );
+    if (isSameAddress(candidate, address)) {
+      const v = 27 + recoveryId;
+      return {r: `0x${r}`, s: `0x${sHex}`, v, recoveryId, signature: `0x${r}${sHex}${v.toString(16)}`};
+    }
+  }
+  throw new TypeError(`The signature does not belong to address ${address}.`);
+}
+
+module.exports = {
+  CURVE,
+  ec,
+  NETWORKS,
+  BITCOIN_ADDRESS_TYPES,
+  getNetwork,
+  removeHexPrefix,
+  toBytes,
+  keccak256,
+  parseBigNumber,
+  getSignatureParts,
+  toChecksumAddress,
+  ethereumAddressFromPublicKey,
+  bitcoinAddressFromPublicKey,
+  publicKeyToAddress,
+  isSameAddress,
+  isPublicKeyOf,
+  verifySignature,
+  toLowS,
+  toRecoverableSignature,
+};
@@ -0,0 +1,144 @@
+// Tracing and metrics, as a plugin (see `plugins.js`), for any tracer and
+// meter shaped like the OpenTelemetry API, without depending on it:
+//
+//   const {trace, metrics} = require('@opentelemetry/api');
+//   const tenancy = new UpvestTenancyAPI(..., {
+//     telemetry: {tracer: trace.getTracer('upvest'), meter: metrics.getMeter('upvest')},
+//   });
+//
+// Every HTTP request, so every retry as well, gets a client span named after
+// the endpoint method which sent it, e.g. `wallets.create` or
+// `historical.get_block`. Requests sent via `client` directly are named after
+// their HTTP method.
+
+const {parseBody} = require('./util.js');
+
+// Numeric values of OpenTelemetry's `SpanKind.CLIENT`, `SpanStatusCode.OK`
+// and `SpanStatusCode.ERROR`.
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_OK = 1;
+const SPAN_STATUS_ERROR = 2;
+
+const METRICS = {
+  requests: 'upvest.client.requests',
+  errors: 'upvest.client.errors',
+  retries: 'upvest.client.retries',
+  duration: 'upvest.client.duration',
+};
+
+function getOperation(config) {
+  return config.operation || `HTTP ${String(config.method || 'get').toUpperCase()}`;
+}
+
+// Asset and protocol, where the request tells them.
+function getDomainAttributes(config) {
+  const attributes = {};
+  const body = parseBody(config.data);
+  if (body && body.asset_id) {
+    attributes['upvest.asset_id'] = body.asset_id;
+  }
+  const url = String(config.url || '');
+  const historical = /(?:^|\/)data\/([^/]+)\/([^/]+)\//.exec(url);
+  if (historical) {
+    attributes['upvest.protocol'] = historical[1];
+    attributes['upvest.network'] = historical[2];
+  }
+  const asset = /(?:^|\/)assets\/([^/?]+)/.exec(url);
+  if (asset) {
+    attributes['upvest.asset_id'] = decodeURIComponent(asset[1]);
+  }
+  return attributes;
+}
+
+// The attributes which metrics are broken down by, so few distinct values.
+function getMetricAttributes(config, status, error) {
+  const attributes = {'upvest.operation': getOperation(config)};
+  if (status !== undefined) {
+    attributes['http.status_code'] = status;
+  }
+  if (error) {
+    attributes['error.type'] = error.name;
+  }
+  return attributes;
+}
+
+// `telemetry` is `{tracer, meter}`, either may be left out.
+function createTelemetryPlugin(telemetry) {
+  const {tracer, meter} = telemetry;
+  const instruments = meter && {
+    requests: meter.createCounter(METRICS.requests, {description: 'Requests sent to the Upvest API'}),
+    errors: meter.createCounter(METRICS.errors, {description: 'Failed requests to the Upvest API'}),
+    retries: meter.createCounter(METRICS.retries, {description: 'Retried requests to the Upvest API'}),
+    duration: meter.createHistogram(METRICS.duration, {
+      description: 'Duration of requests to the Upvest API',
+      unit: 'ms',
+    }),
+  };
+
+  const finish = (config, context, status, error) => {
+    const span = context.telemetrySpan;
+    context.telemetrySpan = null;
+    if (span) {
+      try {
+        if (status !== undefined) {
+          span.setAttribute('http.status_code', status);
+        }
+        if (config.requestId) {
+          span.setAttribute('upvest.request_id', config.requestId);
+        }
+        if (error) {
+          span.recordException(error);
+          span.setStatus({code: SPAN_STATUS_ERROR, message: error.message});
+        } else {
+          span.setStatus({code: SPAN_STATUS_OK});
+        }
+      } finally {
+        span.end();
+      }
+    }
+    if (instruments) {
+      const attributes = getMetricAttributes(config, status, error);
+      instruments.requests.add(1, attributes);
+      instruments.duration.record(Date.now() - context.startedAt, attributes);
+      if (error) {
+        instruments.errors.add(1, attributes);
+      }
+    }
+  };
+
+  return {
+    beforeRequest(config, context) {
+      if (!tracer) {
+        return;
+      }
+      const attributes = {
+        'http.method': String(config.method || 'get').toUpperCase(),
+        'http.resend_count': context.attempt,
+        'upvest.operation': getOperation(config),
+        ...getDomainAttributes(config),
+      };
+      if (config.page) {
+        attributes['upvest.page'] = config.page;
+      }
+      context.telemetrySpan = tracer.startSpan(getOperation(config), {kind: SPAN_KIND_CLIENT, attributes});
+    },
+    afterResponse(response, context) {
+      finish(response.config, context, response.status);
+    },
+    // Also for errors before anything was sent, e.g. when authentication
+    // fails, which have no config of their own.
+    onError(error, context) {
+      finish(context.config, context, error.response ? error.response.status : undefined, error);
+    },
+    onRetry(error) {
+      if (instruments) {
+        instruments.retries.add(1, getMetricAttributes(error.config));
+      }
+    },
+  };
+}
+
+module.exports = {
+  METRICS,
+  createTelemetryPlugin,
+};
@@ -0,0 +1,258 @@
+// The HTTP client behind `createHTTPClient()`. Everything else (interceptors,
+// plugins, retries, API key signing, OAuth2 tokens) only relies on the axios
+// instance interface, so any client which provides it can be plugged in:
+//
+// - 'axios' (default)
+// - 'fetch': `createFetchClient()`, with no dependencies besides the global
+//   `fetch` (or `config.fetch`), for serverless and edge runtimes
+// - a function creating a client from `{baseURL, timeout, maxRedirects, headers}`
+
+const {isObject} = require('./util.js');
+const {buildURL, isAbsoluteURL, combineURLs} = require('./url.js');
+
+const TRANSPORTS = ['axios', 'fetch'];
+
+const METHODS_WITHOUT_DATA = ['delete', 'get', 'head', 'options'];
+const METHODS_WITH_DATA = ['post', 'put', 'patch'];
+const HEADER_GROUPS = ['common', ...METHODS_WITHOUT_DATA, ...METHODS_WITH_DATA];
+
+class InterceptorManager {
+  constructor() {
+    this.handlers = [];
+  }
+
+  use(fulfilled, rejected) {
+    this.handlers.push({fulfilled, rejected});
+    return this.handlers.length - 1;
+  }
+
+  eject(id) {
+    if (this.handlers[id]) {
+      this.handlers[id] = null;
+    }
+  }
+
+  forEach(fn) {
+    this.handlers.filter(Boolean).forEach(fn);
+  }
+}
+
+// An error shaped like the ones axios throws, for `createErrorFromAxiosError()`.
+function createError(message, config, code, request, response) {
+  const error = new Error(message);
+  Object.assign(error, {config, code, request, response, isAxiosError: true});
+  return error;
+}
+
+// Like axios: the per-method header groups get merged, everything else wins.
+function mergeHeaders(defaults = {}, headers = {}) {
+  const merged = {};
+  for (const [name, value] of Object.entries(defaults)) {
+    merged[name] = isObject(value) ? {...value} : value;
+  }
+  for (const [name, value] of Object.entries(headers)) {
+    merged[name] = isObject(value) && isObject(merged[name]) ? {...merged[name], ...value} : value;
+  }
+  return merged;
+}
+
+function mergeConfig(defaults, config) {
+  return {...defaults, ...config, headers: mergeHeaders(defaults.headers, config.headers)};
+}
+
+function flattenHeaders(headers, method) {
+  const flat = {...headers.common, ...headers[method]};
+  for (const [name, value] of Object.entries(headers)) {
+    if (HEADER_GROUPS.indexOf(name) === -1 && value !== undefined && value !== null) {
+      flat[name] = value;
+    }
+  }
+  return flat;
+}
+
+function hasHeader(headers, name) {
+  return Object.keys(headers).some(key => key.toLowerCase() == name.toLowerCase());
+}
+
+function setContentType(headers, value) {
+  if (!hasHeader(headers, 'Content-Type')) {
+    headers['Content-Type'] = value;
+  }
+}
+
+function transformRequestData(data, headers) {
+  if (typeof URLSearchParams != 'undefined' && data instanceof URLSearchParams) {
+    setContentType(headers, 'application/x-www-form-urlencoded;charset=utf-8');
+    return data.toString();
+  }
+  if (isObject(data) || Array.isArray(data)) {
+    setContentType(headers, 'application/json;charset=utf-8');
+    return JSON.stringify(data);
+  }
+  return data;
+}
+
+// Strings which look like JSON get parsed, as axios does.
+function transformResponseData(data) {
+  if (typeof data == 'string' && data !== '') {
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      return data;
+    }
+  }
+  return data;
+}
+
+async function readBody(response, responseType) {
+  if (responseType == 'arraybuffer') {
+    return response.arrayBuffer();
+  }
+  if (responseType == 'blob') {
+    return response.blob();
+  }
+  const text = await response.text();
+  return responseType == 'text' ? text : transformResponseData(text);
+}
+
+function getFullURL(config) {
+  const url = config.baseURL && !isAbsoluteURL(config.url) ? combineURLs(config.baseURL, config.url) : config.url;
+  return buildURL(url, config.params, config.paramsSerializer);
+}
+
+async function fetchAdapter(config) {
+  const fetchImpl = config.fetch || fetch;
+  const url = getFullURL(config);
+  const request = {method: config.method.toUpperCase(), url};
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = config.timeout
+    ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, config.timeout)
+    : null;
+  try {
+    const fetched = await fetchImpl(url, {
+      method: request.method,
+      headers: config.headers,
+      body: config.data === undefined || config.data === null ? undefined : config.data,
+      // The 3xx response itself then fails `validateStatus`, as with axios.
+      redirect: config.maxRedirects === 0 ? 'manual' : 'follow',
+      signal: controller.signal,
+    });
+    const headers = {};
+    fetched.headers.forEach((value, name) => {
+      headers[name] = value;
+    });
+    const response = {
+      data: await readBody(fetched, config.responseType),
+      status: fetched.status,
+      statusText: fetched.statusText,
+      headers,
+      config,
+      request,
+    };
+    if (config.validateStatus && !config.validateStatus(response.status)) {
+      throw createError(`Request failed with status code ${response.status}`, config, null, request, response);
+    }
+    return response;
+  } catch (error) {
+    if (error.isAxiosError) {
+      throw error;
+    }
+    if (timedOut) {
+      throw createError(`timeout of ${config.timeout}ms exceeded`, config, 'ECONNABORTED', request);
+    }
+    // Node.js' fetch puts the system error, e.g. ECONNRESET, into `cause`.
+    const code = error.cause && error.cause.code ? error.cause.code : error.code;
+    throw createError(error.message, config, code, request);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// The body first, so its Content-Type wins over the per-method default.
+function dispatchRequest(config) {
+  config.headers = config.headers || {};
+  config.data = transformRequestData(config.data, config.headers);
+  config.headers = flattenHeaders(config.headers, config.method);
+  return config.adapter(config);
+}
+
+// A client with the parts of the axios instance interface this library
+// uses: `request()`, the method shortcuts, `defaults` and `interceptors`.
+function createFetchClient(instanceConfig = {}) {
+  if (!instanceConfig.fetch && typeof fetch == 'undefined') {
+    throw new TypeError('There is no global fetch(), pass one as "fetch".');
+  }
+  const form = {'Content-Type': 'application/x-www-form-urlencoded'};
+  const defaults = mergeConfig(
+    {
+      timeout: 0,
+      adapter: fetchAdapter,
+      validateStatus: status => status >= 200 && status < 300,
+      headers: {
+        common: {Accept: 'application/json, text/plain, */*'},
+        delete: {},
+        get: {},
+        head: {},
+        options: {},
+        post: {...form},
+        put: {...form},
+        patch: {...form},
+      },
+    },
+    instanceConfig
+  );
+  const interceptors = {request: new InterceptorManager(), response: new InterceptorManager()};
+
+  // Request interceptors run in reverse order of registration, response
+  // interceptors in order, as with axios.
+  const request = (configOrUrl, config = {}) => {
+    config = typeof configOrUrl == 'string' ? {...config, url: configOrUrl} : configOrUrl;
+    config = mergeConfig(client.defaults, config);
+    config.method = String(config.method || 'get').toLowerCase();
+    const chain = [dispatchRequest, undefined];
+    interceptors.request.forEach(({fulfilled, rejected}) => chain.unshift(fulfilled, rejected));
+    interceptors.response.forEach(({fulfilled, rejected}) => chain.push(fulfilled, rejected));
+    let promise = Promise.resolve(config);
+    while (chain.length) {
+      promise = promise.then(chain.shift(), chain.shift());
+    }
+    return promise;
+  };
+
+  // Callable, like axios instances.
+  const client = (configOrUrl, config) => request(configOrUrl, config);
+  client.defaults = defaults;
+  client.interceptors = interceptors;
+  client.request = request;
+  for (const method of METHODS_WITHOUT_DATA) {
+    client[method] = (url, config = {}) => request({...config, method, url});
+  }
+  for (const method of METHODS_WITH_DATA) {
+    client[method] = (url, data, config = {}) => request({...config, method, url, data});
+  }
+  return client;
+}
+
+function createTransportClient(transport = 'axios', config = {}) {
+  if (typeof transport == 'function') {
+    return transport(config);
+  }
+  if (transport == 'fetch') {
+    return createFetchClient(config);
+  }
+  if (transport == 'axios') {
+    // Required only here, so that runtimes using 'fetch' can do without axios.
+    return require('axios').create(config);
+  }
+  throw new TypeError(`Unknown transport "${transport}", use one of ${TRANSPORTS.join(', ')}, or a function.`);
+}
+
+module.exports = {
+  TRANSPORTS,
+  createFetchClient,
+  createTransportClient,
+};
@@ -0,0 +1,66 @@
+// URL helpers which serialize query parameters exactly like axios does, so
+// signatures and logs match what gets sent, without reaching into axios'
+// internals (which differ between its builds and versions).
+
+// Like `encodeURIComponent()`, but leaves some characters alone, as axios does.
+function encode(value) {
+  return encodeURIComponent(value)
+    .replace(/%40/gi, '@')
+    .replace(/%3A/gi, ':')
+    .replace(/%24/g, '$')
+    .replace(/%2C/gi, ',')
+    .replace(/%20/g, '+')
+    .replace(/%5B/gi, '[')
+    .replace(/%5D/gi, ']');
+}
+
+function serializeParams(params) {
+  if (typeof URLSearchParams != 'undefined' && params instanceof URLSearchParams) {
+    return params.toString();
+  }
+  const parts = [];
+  for (const [key, value] of Object.entries(params)) {
+    if (value === null || value === undefined) {
+      continue;
+    }
+    const values = Array.isArray(value) ? value : [value];
+    const name = Array.isArray(value) ? `${key}[]` : key;
+    for (let item of values) {
+      if (item instanceof Date) {
+        item = item.toISOString();
+      } else if (item !== null && typeof item == 'object') {
+        item = JSON.stringify(item);
+      }
+      parts.push(`${encode(name)}=${encode(item)}`);
+    }
+  }
+  return parts.join('&');
+}
+
+// Appends `params` to `url`, via `paramsSerializer` if given.
+function buildURL(url, params, paramsSerializer) {
+  if (!params) {
+    return url;
+  }
+  const serialized = paramsSerializer ? paramsSerializer(params) : serializeParams(params);
+  if (!serialized) {
+    return url;
+  }
+  const hashIndex = url.indexOf('#');
+  if (hashIndex !== -1) {
+    url = url.slice(0, hashIndex);
+  }
+  return url + (url.indexOf('?') === -1 ? '?' : '&') + serialized;
+}
+
+// "<scheme>://" or protocol-relative "//"
+const isAbsoluteURL = url => /^([a-z][a-z\d+\-.]*:)?\/\//i.test(url);
+
+const combineURLs = (baseURL, relativeURL) =>
+  relativeURL ? `${baseURL.replace(/\/+$/, '')}/${relativeURL.replace(/^\/+/, '')}` : baseURL;
+
+module.exports = {
+  buildURL,
+  isAbsoluteURL,
+  combineURLs,
+};
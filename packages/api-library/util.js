@@ -0,0 +1,26 @@
+const sleep = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds));
+
+function isObject(thing) {
+  return (
+    thing !== undefined && thing !== null && thing.constructor === Object && !Array.isArray(thing)
+  );
+}
+
+// Request bodies are JSON strings once the API key interceptor signed them.
+// Anything else is returned as it is.
+function parseBody(data) {
+  if (typeof data == 'string') {
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      return data;
+    }
+  }
+  return data;
+}
+
+module.exports = {
+  sleep,
+  isObject,
+  parseBody,
+};
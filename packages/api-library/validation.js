@@ -0,0 +1,209 @@
+const {ValidationError} = require('./errors.js');
+const {Amount} = require('./amount.js');
+
+// The API also accepts these instead of a concrete `gas_price`.
+const GAS_PRICE_LEVELS = ['fastest', 'fast', 'medium', 'slow'];
+
+// The keys of the options form of `TransactionsEndpoint.create()`
+const TRANSACTION_OPTIONS = [
+  'walletId',
+  'password',
+  'recipient',
+  'assetId',
+  'quantity',
+  'fee',
+  'gasLimit',
+  'gasPrice',
+  'async',
+  'inputs',
+  'fund',
+  'requestId',
+  'protocol',
+  'asset',
+  'speed',
+  'feeOracle',
+  'feeRate',
+  'coinSelection',
+];
+
+// Fields that only apply to some protocols, so they need `protocol` (or
+// `asset`) to be checked.
+const PROTOCOL_SPECIFIC_OPTIONS = ['gasLimit', 'gasPrice', 'inputs', 'feeRate'];
+
+// Positional parameter names and API field names people tend to pass instead.
+const TRANSACTION_OPTION_ALIASES = {asynchronously: 'async'};
+
+const isEthereumProtocol = protocol => /^(ethereum|erc20)(_|$)/.test(protocol);
+const isBitcoinProtocol = protocol => /^bitcoin(_|$)/.test(protocol);
+
+function isNonNegativeInteger(value) {
+  if (value instanceof Amount) {
+    return !value.isNegative();
+  }
+  if (typeof value == 'bigint') {
+    return value >= BigInt(0);
+  }
+  if (typeof value == 'number') {
+    return Number.isSafeInteger(value) && value >= 0;
+  }
+  if (typeof value == 'string') {
+    return /^\d+$/.test(value);
+  }
+  return false;
+}
+
+function describe(value) {
+  const json = JSON.stringify(value, (key, x) => (typeof x == 'bigint' ? `${x}n` : x));
+  return json === undefined ? String(value) : json;
+}
+
+// UTXOs come in a few different spellings, e.g. from `UtxosEndpoint.list()`
+// or a block explorer. Returns `{txhash, index, value}`, or `null` if `utxo`
+// does not look like one at all.
+function normalizeUtxo(utxo) {
+  if (!utxo || typeof utxo != 'object') {
+    return null;
+  }
+  const txhash = [utxo.txhash, utxo.txid, utxo.tx_hash, utxo.tx].find(x => x !== undefined);
+  const index = [utxo.index, utxo.vout, utxo.tx_output_n].find(x => x !== undefined);
+  const value = [utxo.value, utxo.amount].find(x => x !== undefined);
+  if (typeof txhash != 'string' || !/^(0x)?[0-9a-fA-F]{64}$/.test(txhash)) {
+    return null;
+  }
+  if (!Number.isSafeInteger(index) || index < 0) {
+    return null;
+  }
+  if (value !== undefined && !isNonNegativeInteger(value)) {
+    return null;
+  }
+  return {txhash, index, value};
+}
+
+const isSet = value => value !== undefined && value !== null;
+
+const getProtocol = options => options.protocol || (options.asset && options.asset.protocol) || null;
+
+// The known option a mistyped one was probably meant to be, e.g. `gasPrice`
+// for `gas_price`.
+function suggestOption(name) {
+  const camelCased = name.replace(/_([a-z])/g, (match, char) => char.toUpperCase());
+  if (TRANSACTION_OPTION_ALIASES[name]) {
+    return TRANSACTION_OPTION_ALIASES[name];
+  }
+  return TRANSACTION_OPTIONS.indexOf(camelCased) !== -1 ? camelCased : null;
+}
+
+// Checks the options-object form of `TransactionsEndpoint.create()` before
+// anything goes over the wire. Collects all problems into one ValidationError.
+function validateTransactionOptions(options) {
+  const details = [];
+  const fail = (location, reason, message) => details.push({location, reason, message});
+
+  for (const name of Object.keys(options)) {
+    if (TRANSACTION_OPTIONS.indexOf(name) === -1) {
+      const suggestion = suggestOption(name);
+      fail(name, 'unknown', `${name} is not a transaction option${suggestion ? `, did you mean ${suggestion}?` : ''}`);
+    }
+  }
+
+  for (const name of ['walletId', 'password', 'recipient', 'assetId']) {
+    if (typeof options[name] != 'string' || options[name] === '') {
+      fail(name, 'required', `${name} must be a non-empty string`);
+    }
+  }
+
+  if (options.quantity === undefined || options.quantity === null) {
+    fail('quantity', 'required', 'quantity is required');
+  }
+  for (const name of ['quantity', 'fee', 'gasLimit', 'gasPrice']) {
+    const value = options[name];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (name == 'gasPrice' && GAS_PRICE_LEVELS.indexOf(value) !== -1) {
+      continue;
+    }
+    if (!isNonNegativeInteger(value)) {
+      fail(
+        name,
+        'invalid',
+        `${name} must be a non-negative integer as string, number, BigInt or Amount, got ${describe(value)}`
+      );
+    }
+  }
+
+  const protocol = getProtocol(options);
+  const protocolSpecific = PROTOCOL_SPECIFIC_OPTIONS.filter(name => isSet(options[name]));
+  if (protocolSpecific.length && !protocol) {
+    fail(
+      'protocol',
+      'required',
+      `protocol (or asset) is required to check ${protocolSpecific.join(', ')} against, e.g. "ethereum_ropsten"`
+    );
+  }
+  const gasFields = ['gasLimit', 'gasPrice'].filter(name => isSet(options[name]));
+  const hasGasFields = gasFields.length > 0;
+  const hasInputs = isSet(options.inputs);
+  for (const name of gasFields) {
+    if (protocol && !isEthereumProtocol(protocol)) {
+      fail(name, 'unsupported', `${name} is only supported for Ethereum assets, not for "${protocol}"`);
+    }
+    if (hasInputs) {
+      fail(name, 'unsupported', `${name} can not be combined with UTXO inputs`);
+    }
+  }
+
+  if (options.speed !== undefined && options.speed !== null && GAS_PRICE_LEVELS.indexOf(options.speed) === -1) {
+    fail('speed', 'invalid', `speed must be one of ${GAS_PRICE_LEVELS.join(', ')}, got ${describe(options.speed)}`);
+  }
+  if (options.feeOracle && typeof options.feeOracle.estimate != 'function') {
+    fail('feeOracle', 'invalid', 'feeOracle must have an estimate() method');
+  }
+
+  const hasFeeRate = options.feeRate !== undefined && options.feeRate !== null;
+  if (hasFeeRate) {
+    if (typeof options.feeRate != 'number' || !(options.feeRate > 0)) {
+      fail('feeRate', 'invalid', `feeRate must be a positive number of sat/vB, got ${describe(options.feeRate)}`);
+    }
+    if (hasInputs || (options.fee !== undefined && options.fee !== null)) {
+      fail('feeRate', 'unsupported', 'feeRate picks inputs and fee itself, it can not be combined with either');
+    }
+    if (hasGasFields || (protocol && isEthereumProtocol(protocol))) {
+      fail('feeRate', 'unsupported', 'feeRate is only supported for UTXO based assets');
+    }
+  }
+
+  if (hasInputs) {
+    if (!Array.isArray(options.inputs)) {
+      fail('inputs', 'invalid', 'inputs must be an array of UTXOs');
+    } else if (protocol && isEthereumProtocol(protocol)) {
+      fail('inputs', 'unsupported', `inputs are only supported for UTXO based assets, not for "${protocol}"`);
+    } else {
+      options.inputs.forEach((input, i) => {
+        if (normalizeUtxo(input) === null) {
+          fail(
+            `inputs[${i}]`,
+            'invalid',
+            `inputs[${i}] must be a UTXO with a 64 digit hex "txhash" and a non-negative integer "index", got ${describe(input)}`
+          );
+        }
+      });
+    }
+  }
+
+  if (details.length) {
+    const messages = details.map(detail => detail.message).join('; ');
+    throw new ValidationError(`Invalid transaction: ${messages}.`, {details});
+  }
+}
+
+module.exports = {
+  GAS_PRICE_LEVELS,
+  TRANSACTION_OPTIONS,
+  PROTOCOL_SPECIFIC_OPTIONS,
+  isEthereumProtocol,
+  isBitcoinProtocol,
+  isNonNegativeInteger,
+  normalizeUtxo,
+  validateTransactionOptions,
+};
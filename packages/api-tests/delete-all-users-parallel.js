@@ -27,7 +27,7 @@ async function deleteAllUsers() {
   const results = [];
   const errors = [];
 
-  for await (const user of tenancy.users.list(100)) {
+  for await (const user of tenancy.users.list(100, {onError: 'retry'})) {
     if (user.username.startsWith('txtest-')) {
       // Skip users for whom funds might have gotten stuck in a failed transaction
       continue;
@@ -53,5 +53,9 @@ async function deleteAllUsers() {
   inspect(...errors);
 }
 
-deleteAllUsers();
+deleteAllUsers().catch(error => {
+  inspect('Listing the users failed, so not all users were deleted.');
+  inspectError(error);
+  process.exitCode = 1;
+});
 
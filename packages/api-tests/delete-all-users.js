@@ -21,7 +21,7 @@ async function deleteAllUsers() {
     inspect('Please use the --force command line switch to delete all users.');
     return;
   }
-  for await (const user of tenancy.users.list()) {
+  for await (const user of tenancy.users.list(undefined, {onError: 'retry'})) {
     if (user.username.startsWith('txtest-')) {
       // Skip users for whom funds might have gotten stuck in a failed transaction
       continue;
@@ -39,4 +39,8 @@ async function deleteAllUsers() {
   }
 }
 
-deleteAllUsers();
+deleteAllUsers().catch(error => {
+  inspect('Listing the users failed, so not all users were deleted.');
+  inspectError(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,62 @@
+// Set up the tests against @upvest/fake-api, the same way: each test file gets
+// a fake of its own, started by its first test and closed once all are done.
+
+const test = require('tape');
+
+const { FakeUpvestAPI } = require('@upvest/fake-api');
+const { UpvestTenancyAPI } = require('@upvest/tenancy-api');
+const { UpvestClienteleAPI } = require('@upvest/clientele-api');
+
+const TIMEOUT = 10000;
+
+const collect = async generator => {
+  const items = [];
+  for await (const item of generator) {
+    items.push(item);
+  }
+  return items;
+};
+
+// `setup(fake, t)` runs once the fake listens, e.g. to add users. The clients
+// talk to the fake unless given another `baseURL`, like that of a proxy.
+const startFake = (setup, options) => {
+  const fake = new FakeUpvestAPI({ confirmationDelay: null, ...options });
+
+  test('Start the fake', async function (t) {
+    await fake.listen();
+    if (setup) {
+      await setup(fake, t);
+    }
+    t.end();
+  });
+
+  test.onFinish(() => fake.close());
+
+  const createTenancy = (clientOptions, baseURL = fake.baseURL) => {
+    const { key, secret, passphrase } = fake.apiKey;
+    return new UpvestTenancyAPI(baseURL, key, secret, passphrase, TIMEOUT, false, undefined, clientOptions);
+  };
+
+  const createClientele = (username, password, clientOptions, baseURL = fake.baseURL) => {
+    const { client_id, client_secret } = fake.oauth2Client;
+    return new UpvestClienteleAPI(
+      baseURL,
+      client_id,
+      client_secret,
+      username,
+      password,
+      undefined,
+      TIMEOUT,
+      undefined,
+      clientOptions
+    );
+  };
+
+  return { fake, createTenancy, createClientele };
+};
+
+module.exports = {
+  test,
+  collect,
+  startFake,
+};
@@ -242,31 +242,19 @@ const tWaitForWalletActivation = async (t, api, minutes) => {
   // Poll user's wallets to see when seed generation has finished. Prefer
   // polling over the API Key callback, because this test script might run in
   // places which are not able to receive callbacks.
-  const MAX_RETRIES = (minutes || 3) * 60;
-  let isGenSeedFinished;
-  let retries = 0;
-  do {
-    isGenSeedFinished = true;
-    for await (const wallet of api.wallets.list()) {
-      t.comment(`Waited ${retries} seconds.`);
-      // inspect(wallet);
-      if (wallet.status != 'ACTIVE' || wallet.address === null) {
-        isGenSeedFinished = false;
-        break;
-      }
-    }
-    if (! isGenSeedFinished) {
-      // Sleep for a second, then try again.
-      await setTimeoutPromise(1000);
-    }
-    retries++;
+  const walletIds = [];
+  for await (const wallet of api.wallets.list()) {
+    walletIds.push(wallet.id);
+  }
+  const timeout = (minutes || 3) * 60 * 1000;
+  try {
+    await api.wallets.waitUntilActive(walletIds, {timeout, gracePeriod: 10 * 1000});
+    t.pass(`Waited less than ${timeout / 1000} seconds for seed generation.`);
+  }
+  catch (error) {
+    inspectError(error);
+    t.fail(`Seed generation did not finish within ${timeout / 1000} seconds.`);
   }
-  while (! isGenSeedFinished && retries < MAX_RETRIES);
-  t.ok(retries < MAX_RETRIES, `Waited less than ${MAX_RETRIES} seconds for seed generation.`);
-
-  const GRACE_PERIOD = Math.min(10, (retries - 1));
-  t.comment(`Waiting for an additional grace period of ${GRACE_PERIOD} seconds.`)
-  await setTimeoutPromise(GRACE_PERIOD * 1000);
 };
 
 const tWaitForBalanceUpdate = async (t, api, walletId, assetId, previousBalanceAmount, minutes) => {
@@ -274,39 +262,14 @@ const tWaitForBalanceUpdate = async (t, api, walletId, assetId, previousBalanceA
   // Poll user's wallets to see when a specified balance changes. Prefer
   // polling over the API Key callback, because this test script might run in
   // places which are not able to receive callbacks.
-  const MAX_RETRIES = (minutes || 10) * 60;
-  let isBalanceUpdated;
-  let retries = 0;
-  do {
-    let balance = null;
-    isBalanceUpdated = true;
-    const wallet = await api.wallets.retrieve(walletId);
-    // inspect(wallet);
-    balance = getBalanceForAssetId(wallet, assetId);
-    // inspect(balance);
-
-    if (balance) {
-      if (balance.amount == previousBalanceAmount) {
-        isBalanceUpdated = false;
-      }
-      else {
-        return balance.amount;
-      }
+  const timeout = (minutes || 10) * 60 * 1000;
+  const previous = {[walletId]: {[assetId]: previousBalanceAmount}};
+  for await (const change of api.wallets.watchBalances(walletId, {previous, timeout})) {
+    if (change.assetId == assetId) {
+      return String(change.current);
     }
-    else {
-      t.fail(`No balance found for asset ID ${assetId}.`);
-    }
-  
-    t.comment(`Waited ${retries} seconds.`);
-
-    if (! isBalanceUpdated) {
-      // Sleep for a second, then try again.
-      await setTimeoutPromise(1000);
-    }
-    retries++;
   }
-  while (! isBalanceUpdated && retries < MAX_RETRIES);
-  t.ok(retries < MAX_RETRIES, `Waited less than ${MAX_RETRIES} seconds for balance update.`);
+  t.fail(`Balance for asset ID ${assetId} did not change within ${timeout / 1000} seconds.`);
   return previousBalanceAmount;
 };
 
@@ -398,6 +361,18 @@ async function tEthereumSigning(t, api, wallet, password) {
     r: removeHexPrefix(sig['r']),
     s: removeHexPrefix(sig['s']),
   }), 'Signature can be verified');
+
+  // The library's own checks have to come to the same conclusions.
+  t.equal(
+    api.signatures.publicKeyToAddress(sig, wallet.protocol).toLowerCase(),
+    wallet.address.toLowerCase(),
+    'signatures.publicKeyToAddress() returns the wallet address.'
+  );
+  t.ok(api.signatures.verify(sig, toSign, { wallet }), 'signatures.verify() accepts the signature for the wallet.');
+  t.notOk(
+    api.signatures.verify(sig, crypto.randomBytes(32).toString('hex'), { wallet }),
+    'signatures.verify() rejects the signature for another hash.'
+  );
 }
 
 
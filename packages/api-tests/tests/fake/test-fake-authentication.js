@@ -0,0 +1,132 @@
+// Checks API key authentication of @upvest/fake-api with requests signed by
+// hand, against fixed HMAC-SHA512 vectors (computed with openssl), and the
+// tenancy client over the fetch transport through a retry.
+
+const http = require('http');
+
+const { test, startFake } = require('../../fakeenv.js');
+
+const VECTOR_KEY = { key: 'vector-key', secret: 'vector-secret', passphrase: 'vector-passphrase' };
+const TIMESTAMP = '1600000000';
+const VECTORS = [
+  {
+    method: 'POST',
+    path: '/1.0/tenancy/echo-signed',
+    body: '{"echo":"vector"}',
+    signature:
+      '83fe0c1a4a6ce29d261eccc9a1805849a5e1e90c5a5ab7afc068405978b177b6f151f5c380e9b43132091875f0d591f1b8eb49b0c822d333ed8b4eb6ae489750',
+    echo: 'vector',
+  },
+  {
+    method: 'GET',
+    path: '/1.0/tenancy/echo-signed?echo=a%20%26%20b',
+    body: '',
+    signature:
+      '9d3a81de2031ab130d6555054f5601727c392cdc3fc1250a9d6f30654168c7ceeec9481b4020d82646a7722d46296da7cfa2aba9057d6915698be85e3260988e',
+    echo: 'a & b',
+  },
+];
+
+// The vectors have a fixed timestamp.
+const { fake, createTenancy } = startFake(fake => fake.addAPIKey(VECTOR_KEY), { maxClockSkew: Infinity });
+
+// Resolves `{status, body}` of a request sent with exactly these headers.
+const send = ({ method, path, body, signature, requestId }) =>
+  new Promise((resolve, reject) => {
+    const { port } = fake.server.address();
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-UP-API-Key': VECTOR_KEY.key,
+      'X-UP-API-Passphrase': VECTOR_KEY.passphrase,
+      'X-UP-API-Timestamp': TIMESTAMP,
+      'X-UP-API-Signed-Path': path,
+    };
+    if (signature !== undefined) {
+      headers['X-UP-API-Signature'] = signature;
+    }
+    if (requestId) {
+      headers['X-UP-API-Request-ID'] = requestId;
+    }
+    const request = http.request({ host: '127.0.0.1', port, method, path, headers }, response => {
+      let data = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => (data += chunk));
+      response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(data) }));
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+
+test('Testing API key signatures against fixed vectors', async function (t) {
+  for (const vector of VECTORS) {
+    const { status, body } = await send(vector);
+    t.equal(status, 200, `${vector.method}: accepted`);
+    t.equal(body.echo, vector.echo, `${vector.method}: echoed`);
+  }
+
+  const [post] = VECTORS;
+  const tampered = await send({ ...post, body: '{"echo":"tampered"}' });
+  t.equal(tampered.status, 403, 'A changed body is rejected');
+  t.equal(tampered.body.error.code, 'signature_mismatch', 'as signature_mismatch');
+  const { message_parts } = tampered.body.error.details.find(detail => detail.reason == 'debugHint').value;
+  t.deepEqual(
+    Object.keys(message_parts).map(name => [name, message_parts[name].canonicalized]),
+    [
+      ['timestamp', TIMESTAMP],
+      ['method', 'POST'],
+      ['signed_path', post.path],
+      ['body', '{"echo":"tampered"}'],
+    ],
+    'The debug hint has what was checked, in order'
+  );
+  t.ok(/^[0-9a-f]{128}$/.test(message_parts.body.sha512), 'with SHA512 hashes');
+
+  const uppercase = await send({ ...post, signature: post.signature.toUpperCase() });
+  t.equal(uppercase.status, 200, 'Hex digits of either case');
+  t.end();
+});
+
+test('Testing that replayed requests are authenticated first', async function (t) {
+  const [post] = VECTORS;
+  const requestId = 'e1a0c3c4-replayed';
+  const first = await send({ ...post, requestId });
+  t.equal(first.status, 200, 'The first request');
+  const tampered = await send({ ...post, requestId, signature: '0'.repeat(128) });
+  t.equal(tampered.status, 403, 'A retry with a wrong signature does not get the first answer');
+  const unsigned = await send({ ...post, requestId, signature: undefined });
+  t.equal(unsigned.status, 403, 'Nor does one without a signature');
+  const replayed = await send({ ...post, requestId });
+  t.equal(replayed.status, 200, 'A properly signed retry does');
+  t.deepEqual(replayed.body, first.body, 'and gets the first answer');
+  t.end();
+});
+
+test('Testing signed requests over fetch through a retry', async function (t) {
+  // Answers the first attempt of every request with a 503, before the fake
+  // sees it, and passes later ones on.
+  const arrived = [];
+  const flaky = http.createServer((req, res) => {
+    const requestId = req.headers['x-up-api-request-id'];
+    const attempt = arrived.filter(request => request.requestId == requestId).length;
+    arrived.push({ requestId, signature: req.headers['x-up-api-signature'] });
+    if (attempt == 0) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { code: 'unavailable', message: 'Try again', details: [] } }));
+      return;
+    }
+    fake.handle(req, res);
+  });
+  await new Promise(resolve => flaky.listen(0, '127.0.0.1', resolve));
+  const baseURL = `http://127.0.0.1:${flaky.address().port}/1.0/`;
+  const tenancy = createTenancy({ transport: 'fetch', retry: { retries: 2, baseDelay: 1 } }, baseURL);
+  try {
+    t.equal(await tenancy.echo('Über & co'), 'Über & co', 'POST recovered by the retry');
+    t.equal(await tenancy.echoGet('a & b/ü?c=d'), 'a & b/ü?c=d', 'GET recovered by the retry');
+    t.equal(arrived.length, 4, 'Two attempts each');
+    t.equal(arrived[0].requestId, arrived[1].requestId, 'The retry has the same request ID');
+    t.ok(arrived.every(request => request.signature), 'Every attempt is signed');
+  } finally {
+    await new Promise(resolve => flaky.close(resolve));
+  }
+  t.end();
+});
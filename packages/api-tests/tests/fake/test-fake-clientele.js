@@ -0,0 +1,60 @@
+// Runs the clientele client against @upvest/fake-api, without network or test
+// config.
+
+const { defaultAssets } = require('@upvest/fake-api');
+const { ValidationError } = require('@upvest/clientele-api');
+
+const { test, startFake } = require('../../fakeenv.js');
+
+let clientele;
+
+const { createClientele } = startFake(fake => {
+  fake.addUser('clientele-user', 'password', defaultAssets.map(asset => asset.id));
+  clientele = createClientele('clientele-user', 'password');
+});
+
+test('Testing OAuth2 against the fake', async function (t) {
+  t.equal(await clientele.echo('hello'), 'hello', 'POST echo with a fresh token');
+  t.equal(await clientele.echoGet('hello'), 'hello', 'GET echo with the cached token');
+  let requestId;
+  t.equal(await clientele.echo('hello', { onRequestId: id => (requestId = id) }), 'hello', 'POST echo with options');
+  t.ok(/^[0-9a-f-]{36}$/.test(requestId), 'onRequestId gets the generated request ID');
+
+  const wrongPassword = createClientele('clientele-user', 'wrong');
+  try {
+    await wrongPassword.echo('nope');
+    t.fail('Echo with a wrong password should fail');
+  } catch (error) {
+    t.ok(error instanceof ValidationError, 'Wrong password gives ValidationError');
+    t.equal(error.code, 'invalid_grant', 'Error code is invalid_grant');
+  }
+  t.end();
+});
+
+test('Testing wallets and offboarding against the fake', async function (t) {
+  const wallets = [];
+  for await (const wallet of clientele.wallets.list()) {
+    wallets.push(wallet);
+  }
+  t.equal(wallets.length, 2, 'One Ethereum and one Bitcoin wallet');
+
+  const second = await clientele.wallets.create(defaultAssets[0].id, 'password', 1);
+  t.equal(second.path, "m/44'/60'/0'/0/1", 'Wallet at index 1');
+
+  try {
+    await clientele.offboard('wrong');
+    t.fail('Offboarding with a wrong password should fail');
+  } catch (error) {
+    t.ok(error instanceof ValidationError, 'Wrong password gives ValidationError');
+  }
+
+  const offboarding = await clientele.offboard('password');
+  t.equal(offboarding.metadata.offboarded_wallet_count, 3, 'All wallets offboarded');
+  const ethereum = offboarding.results.find(result => result.keystore_file);
+  t.equal(ethereum.keystore_file.version, 3, 'Ethereum keys as keystore files');
+  const bitcoin = offboarding.results.find(result => result.bip38_encrypted_private_key);
+  t.ok(bitcoin.bip38_encrypted_private_key.startsWith('6P'), 'Bitcoin keys BIP-38 encrypted');
+  const zip = Buffer.from(offboarding.zip_base64, 'base64');
+  t.equal(zip.readUInt32LE(0), 0x04034b50, 'zip_base64 is a ZIP archive');
+  t.end();
+});
@@ -0,0 +1,79 @@
+// Runs `transactions.create({ feeRate, coinSelection })` against the UTXOs
+// of a Bitcoin wallet of @upvest/fake-api, at 1 sat/vB so that fees are
+// virtual sizes.
+
+const { defaultAssets } = require('@upvest/fake-api');
+
+const { test, collect, startFake } = require('../../fakeenv.js');
+
+const bitcoin = defaultAssets[2];
+// p2pkh address of private key 1 on testnet
+const RECIPIENT = 'mrCDrCybB6J1vRfbwM5hemdJz73FwDBC8r';
+
+let tenancy;
+let walletId;
+
+const send = (quantity, coinSelection) =>
+  tenancy.transactions.create({
+    walletId,
+    password: 'password',
+    recipient: RECIPIENT,
+    assetId: bitcoin.id,
+    quantity,
+    feeRate: 1,
+    coinSelection,
+  });
+
+const utxoValues = async () =>
+  (await collect(tenancy.utxos.list(walletId))).map(utxo => Number(utxo.value)).sort((a, b) => b - a);
+
+const { createTenancy } = startFake(async (fake, t) => {
+  tenancy = createTenancy();
+  const user = await tenancy.users.create('coins', 'password', '127.0.0.1', 'tape', [bitcoin.id], false);
+  [walletId] = user.wallet_ids;
+  for (const value of ['100000', '50000', '30000', '20000']) {
+    fake.fund(walletId, bitcoin.id, value);
+  }
+  t.deepEqual(await utxoValues(), [100000, 50000, 30000, 20000], 'Four UTXOs');
+});
+
+test('Testing branch-and-bound against the fake', async function (t) {
+  const transaction = await send('49808');
+  const { inputs, fee, change, strategy } = transaction.coinSelection;
+  t.equal(strategy, 'branch-and-bound', 'Strategy');
+  t.deepEqual(inputs.map(input => Number(input.value)), [50000], 'Spends the UTXO which needs no change');
+  t.equal(fee, BigInt(192), 'Fee of one input and one output');
+  t.equal(change, BigInt(0), 'No change');
+  t.equal(transaction.fee, '192', 'The fake charged that fee');
+  t.deepEqual(await utxoValues(), [100000, 30000, 20000], 'The UTXO is spent, without change');
+  t.end();
+});
+
+test('Testing largest-first against the fake', async function (t) {
+  const transaction = await send('1000', 'largest-first');
+  const { inputs, fee, change } = transaction.coinSelection;
+  t.deepEqual(inputs.map(input => Number(input.value)), [100000], 'Spends the largest UTXO');
+  t.equal(fee, BigInt(226), 'Fee of one input and two outputs');
+  t.equal(change, BigInt(100000 - 1000 - 226), 'Change');
+  t.deepEqual(await utxoValues(), [98774, 30000, 20000], 'The change is a UTXO of the wallet');
+  t.end();
+});
+
+test('Testing privacy against the fake', async function (t) {
+  const transaction = await send('25000', 'privacy');
+  const { inputs, strategy } = transaction.coinSelection;
+  t.equal(strategy, 'privacy', 'Strategy');
+  t.deepEqual(inputs.map(input => Number(input.value)), [30000], 'The smallest UTXO which suffices on its own');
+  t.deepEqual(await utxoValues(), [98774, 20000, 30000 - 25000 - 226], 'The change is a UTXO of the wallet');
+  t.end();
+});
+
+test('Testing that coin selection rejects what the UTXOs can not pay', async function (t) {
+  try {
+    await send('1000000');
+    t.fail('Should not be able to pay');
+  } catch (error) {
+    t.ok(error instanceof RangeError, 'RangeError');
+  }
+  t.end();
+});
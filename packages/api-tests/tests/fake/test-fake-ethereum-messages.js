@@ -0,0 +1,103 @@
+// Checks EIP-191 and EIP-712 signatures against the vectors of the EIPs,
+// signed by a wallet of @upvest/fake-api with the vectors' private key.
+
+const { defaultAssets } = require('@upvest/fake-api');
+
+const { test, startFake } = require('../../fakeenv.js');
+
+const [ether] = defaultAssets;
+
+// keccak256('cow'), the signer of the EIP-712 example
+const COW_PRIVATE_KEY = 'c85ef7d79691fe79573b1a7064c19c1a9819ebdbd1faaab1a8ec92344438aaf4';
+const COW_ADDRESS = '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826';
+
+// The example of EIP-712, with its expected signature
+const MAIL = {
+  types: {
+    EIP712Domain: [
+      { name: 'name', type: 'string' },
+      { name: 'version', type: 'string' },
+      { name: 'chainId', type: 'uint256' },
+      { name: 'verifyingContract', type: 'address' },
+    ],
+    Person: [
+      { name: 'name', type: 'string' },
+      { name: 'wallet', type: 'address' },
+    ],
+    Mail: [
+      { name: 'from', type: 'Person' },
+      { name: 'to', type: 'Person' },
+      { name: 'contents', type: 'string' },
+    ],
+  },
+  primaryType: 'Mail',
+  domain: {
+    name: 'Ether Mail',
+    version: '1',
+    chainId: 1,
+    verifyingContract: '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC',
+  },
+  message: {
+    from: { name: 'Cow', wallet: '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826' },
+    to: { name: 'Bob', wallet: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB' },
+    contents: 'Hello, Bob!',
+  },
+};
+const MAIL_DIGEST = 'be609aee343fb3c4b28e1df9e632fca64fcfaede20f02e86244efddf30957bd2';
+const MAIL_SIGNATURE =
+  '0x4355c47d63924e8a72e509b65029052eb6c299d53a04e167c5775fd466751c9d' +
+  '07299936d304c153f6443dfa05f40ff007d72911b6f72307f996231605b91562' +
+  '1c';
+
+// keccak256('\x19Ethereum Signed Message:\n9Some data'), as web3's `accounts.hashMessage()` has it
+const SOME_DATA_DIGEST = '1da44b586eb0729ff70a73c326926f6ed5a25f5b056e7f47fbc6e58d86871655';
+
+let signatures;
+let walletId;
+
+const { createTenancy } = startFake(async (fake, t) => {
+  const tenancy = createTenancy();
+  const user = await tenancy.users.create('cow', 'password', '127.0.0.1', 'tape', [ether.id], false);
+  [walletId] = user.wallet_ids;
+  t.equal(fake.setWalletKey(walletId, COW_PRIVATE_KEY), COW_ADDRESS, 'The wallet has the address of the vector');
+  t.equal((await tenancy.wallets.retrieve(walletId)).address, COW_ADDRESS, 'The API returns it');
+  signatures = tenancy.signatures;
+});
+
+test('Testing EIP-712 signatures against the example of the EIP', async function (t) {
+  t.equal(await signatures.signTypedData(walletId, 'password', MAIL), MAIL_SIGNATURE, 'Signature of the EIP');
+  const withoutDomainType = { ...MAIL, types: { Person: MAIL.types.Person, Mail: MAIL.types.Mail } };
+  t.equal(
+    await signatures.signTypedData(walletId, 'password', withoutDomainType, { address: COW_ADDRESS }),
+    MAIL_SIGNATURE,
+    'EIP712Domain is derived from the domain fields'
+  );
+  const signed = await signatures.signRecoverable(walletId, 'password', Buffer.from(MAIL_DIGEST, 'hex'), {});
+  t.equal(signed.signature, MAIL_SIGNATURE, 'The typed data hash of the EIP');
+  t.equal(signed.v, 28, 'v is 27 + recovery id');
+  try {
+    await signatures.signTypedData(walletId, 'password', { ...MAIL, message: { ...MAIL.message, contents: undefined } });
+    t.fail('A missing field should throw');
+  } catch (error) {
+    t.ok(/Mail\.contents is missing/.test(error.message), 'A missing field throws');
+  }
+  t.end();
+});
+
+test('Testing EIP-191 personal message signatures', async function (t) {
+  const signature = await signatures.signPersonalMessage(walletId, 'password', 'Some data');
+  const ofDigest = await signatures.signRecoverable(walletId, 'password', Buffer.from(SOME_DATA_DIGEST, 'hex'), {});
+  t.equal(signature, ofDigest.signature, 'Signs the EIP-191 hash of the message');
+  t.ok(/^0x[0-9a-f]{128}(1b|1c)$/.test(signature), '65 bytes, v is 27 or 28');
+  t.equal(
+    await signatures.signPersonalMessage(walletId, 'password', Buffer.from('Some data', 'utf8'), { address: COW_ADDRESS }),
+    signature,
+    'Bytes are signed as they are'
+  );
+  t.notEqual(
+    await signatures.signPersonalMessage(walletId, 'password', 'Some Data'),
+    signature,
+    'Another message, another signature'
+  );
+  t.end();
+});
@@ -0,0 +1,128 @@
+// Checks signed legacy (EIP-155) and EIP-1559 transactions against fixed
+// vectors, signed by a wallet of @upvest/fake-api with the vectors' private
+// key. The legacy one is the example of EIP-155, the EIP-1559 ones were made
+// with ethers 5.
+
+const { defaultAssets } = require('@upvest/fake-api');
+const { Amount, erc20Transfer } = require('@upvest/tenancy-api');
+
+const { test, startFake } = require('../../fakeenv.js');
+
+const [ether] = defaultAssets;
+
+const PRIVATE_KEY = '4646464646464646464646464646464646464646464646464646464646464646';
+const ADDRESS = '0x9d8A62f656a8d1615C1294fd71e9CFb3E4855A4F';
+const RECIPIENT = '0x3535353535353535353535353535353535353535';
+
+const VECTORS = [
+  {
+    description: 'The example of EIP-155',
+    tx: {
+      chainId: 1,
+      nonce: 9,
+      gasPrice: '20000000000',
+      gasLimit: 21000,
+      to: RECIPIENT,
+      value: Amount.parse('1 ETH', ether),
+    },
+    type: 0,
+    v: '0x25',
+    rawTransaction:
+      '0xf86c098504a817c800825208943535353535353535353535353535353535353535880de0b6b3a76400008025a028ef61340bd939b' +
+      'c2195fe537567866003e1a15d3c71ff63e1590620aa636276a067cbe9d8997f761aecb703304b3800ccf555c9f3dc64214b297fb1966a3b6d83',
+    transactionHash: '0x33469b22e9f636356c4160a87eb19df52b7412e8eac32a4a55ffe88ea8350788',
+  },
+  {
+    description: 'An EIP-1559 ERC20 transfer',
+    tx: {
+      chainId: 1,
+      nonce: 7,
+      maxFeePerGas: '30000000000',
+      maxPriorityFeePerGas: '1500000000',
+      gasLimit: 60000,
+      ...erc20Transfer('0x89abcdef0123456789abcdef0123456789abcdef', RECIPIENT, '1000000000000000000'),
+    },
+    type: 2,
+    v: '0x1',
+    rawTransaction:
+      '0x02f8b001078459682f008506fc23ac0082ea609489abcdef0123456789abcdef0123456789abcdef80b844a9059cbb000000000000' +
+      '00000000000035353535353535353535353535353535353535350000000000000000000000000000000000000000000000000de0b6b3' +
+      'a7640000c001a064dd09c57da5c13c9a7536c7eae9f1e31e8ed9ee005828edd280c578150e7dc9a06c6663898a8726d3a58d2a7d40bcb' +
+      'f59316e21886e5cba462607b216b7f4751f',
+    transactionHash: '0x57c03c1866fc22938a71c12f089f89d7b06d912b44a2200aa9b7a10a0e621e54',
+  },
+  {
+    description: 'An EIP-1559 transaction with an access list',
+    tx: {
+      chain: 'ropsten',
+      nonce: 0,
+      maxFeePerGas: 2,
+      maxPriorityFeePerGas: 1,
+      gasLimit: 21000,
+      to: RECIPIENT,
+      value: 1,
+      accessList: [
+        { address: RECIPIENT, storageKeys: ['0x0000000000000000000000000000000000000000000000000000000000000001'] },
+      ],
+    },
+    type: 2,
+    v: '0x0',
+    rawTransaction:
+      '0x02f89b038001028252089435353535353535353535353535353535353535350180f838f7943535353535353535353535353535353' +
+      '535353535e1a0000000000000000000000000000000000000000000000000000000000000000180a0abc062d3bf18641dce04e548c38' +
+      '251d95fdaf60f08443dc566db0df8df2ffd18a03b61e4525333b052c2fd5f83a6cbe629a8dfec917746ce0451fbea4730bc1cc8',
+    transactionHash: '0xa3ed3c56067d26a55f42014260e1dafc41c6b611b27735254bb9f16e0518f7fa',
+  },
+];
+
+let signatures;
+let walletId;
+
+const { createTenancy } = startFake(async (fake, t) => {
+  const tenancy = createTenancy();
+  const user = await tenancy.users.create('eip155', 'password', '127.0.0.1', 'tape', [ether.id], false);
+  [walletId] = user.wallet_ids;
+  t.equal(fake.setWalletKey(walletId, PRIVATE_KEY), ADDRESS, 'The wallet has the address of the vectors');
+  signatures = tenancy.signatures;
+});
+
+test('Testing signed transactions against fixed vectors', async function (t) {
+  for (const { description, tx, type, v, rawTransaction, transactionHash } of VECTORS) {
+    const signed = await signatures.signTransaction(walletId, 'password', tx, { address: ADDRESS });
+    t.equal(signed.type, type, `${description}: type ${type}`);
+    t.equal(signed.v, v, `${description}: v`);
+    t.equal(signed.rawTransaction, rawTransaction, `${description}: raw transaction`);
+    t.equal(signed.transactionHash, transactionHash, `${description}: transaction hash`);
+  }
+  t.end();
+});
+
+test('Testing that invalid transactions are rejected before signing', async function (t) {
+  const invalid = [
+    [{ chainId: 1, nonce: 0, to: RECIPIENT, maxFeePerGas: 2 }, /gasLimit/, 'Without gasLimit'],
+    [{ nonce: 0, gasLimit: 21000, to: RECIPIENT, maxFeePerGas: 2 }, /chainId/, 'EIP-1559 without chainId'],
+    [{ chain: 'nowhere', nonce: 0, gasLimit: 21000, gasPrice: 1 }, /Unknown chain/, 'Unknown chain'],
+    [
+      { chainId: 1, nonce: 0, gasLimit: 21000, maxFeePerGas: 1, maxPriorityFeePerGas: 2 },
+      /maxPriorityFeePerGas/,
+      'Tip above the fee cap',
+    ],
+    [{ chainId: 1, type: 1, nonce: 0, gasLimit: 21000, gasPrice: 1 }, /Unsupported transaction type/, 'Type 1'],
+    [
+      { chainId: 1, nonce: 0, gasLimit: 21000, to: RECIPIENT },
+      /"maxFeePerGas".*"gasPrice"/,
+      'Without any fees, named in the error',
+    ],
+    [{ chainId: 1, type: 2, nonce: 0, gasLimit: 21000, gasPrice: 1 }, /need a "maxFeePerGas"/, 'Type 2 with gasPrice'],
+    [{ chainId: 1, type: 0, nonce: 0, gasLimit: 21000, maxFeePerGas: 1 }, /need a "gasPrice"/, 'Type 0 with maxFeePerGas'],
+  ];
+  for (const [tx, pattern, description] of invalid) {
+    try {
+      await signatures.signTransaction(walletId, 'password', tx, { address: ADDRESS });
+      t.fail(`${description} should throw`);
+    } catch (error) {
+      t.ok(pattern.test(error.message), description);
+    }
+  }
+  t.end();
+});
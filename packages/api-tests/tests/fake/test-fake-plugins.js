@@ -0,0 +1,162 @@
+// Checks the order of plugin hooks, retries included, against
+// @upvest/fake-api. Failed attempts are made up with `respondWith()`.
+
+const { ServerError, ValidationError } = require('@upvest/tenancy-api');
+
+const { test, startFake } = require('../../fakeenv.js');
+
+const { createTenancy } = startFake();
+
+// Records every hook call as 'name.hook(attempt)'.
+const createRecorder = (name, calls, hooks = {}) => {
+  const plugin = {};
+  for (const hook of ['beforeRequest', 'afterSign', 'afterResponse', 'onError', 'onRetry']) {
+    plugin[hook] = (value, context) => {
+      calls.push(`${name}.${hook}(${context.attempt})`);
+      return hooks[hook] ? hooks[hook](value, context) : undefined;
+    };
+  }
+  return plugin;
+};
+
+const createClient = (plugins, retry = { retries: 2, baseDelay: 1 }) => createTenancy({ plugins, retry });
+
+// Answers the first `count` attempts with a 503, without asking the fake.
+const failFirst = count => ({
+  beforeRequest(config, context) {
+    if (context.attempt < count) {
+      context.respondWith({ error: { code: 'unavailable', message: 'Try again', details: [] } }, { status: 503 });
+    }
+  },
+});
+
+test('Testing the hook order of a successful request', async function (t) {
+  const calls = [];
+  const signed = [];
+  const first = createRecorder('first', calls, {
+    beforeRequest: config => {
+      signed.push(Boolean(config.headers['X-UP-API-Signature']));
+    },
+    afterSign: config => {
+      signed.push(Boolean(config.headers['X-UP-API-Signature']));
+    },
+  });
+  const second = createRecorder('second', calls);
+  t.equal(await createClient([first, second]).echo('hooks'), 'hooks', 'The request went through');
+  t.deepEqual(
+    calls,
+    [
+      'first.beforeRequest(0)',
+      'second.beforeRequest(0)',
+      'first.afterSign(0)',
+      'second.afterSign(0)',
+      'first.afterResponse(0)',
+      'second.afterResponse(0)',
+    ],
+    'Hooks run in plugin order, before and after signing'
+  );
+  t.deepEqual(signed, [false, true], 'beforeRequest runs before signing, afterSign after it');
+  t.end();
+});
+
+test('Testing the hook order through a retry', async function (t) {
+  const calls = [];
+  const contexts = new Set();
+  const first = createRecorder('first', calls, {
+    afterResponse: (response, context) => {
+      contexts.add(context);
+    },
+    onError: (error, context) => {
+      contexts.add(context);
+    },
+  });
+  const second = createRecorder('second', calls);
+  t.equal(await createClient([failFirst(1), first, second]).echo('again'), 'again', 'Recovered by the retry');
+  t.deepEqual(
+    calls,
+    [
+      'first.beforeRequest(0)',
+      'second.beforeRequest(0)',
+      'first.afterSign(0)',
+      'second.afterSign(0)',
+      'first.onError(0)',
+      'second.onError(0)',
+      'first.onRetry(0)',
+      'second.onRetry(0)',
+      'first.beforeRequest(1)',
+      'second.beforeRequest(1)',
+      'first.afterSign(1)',
+      'second.afterSign(1)',
+      'first.afterResponse(1)',
+      'second.afterResponse(1)',
+    ],
+    'Every attempt runs all hooks, onRetry comes between the attempts'
+  );
+  t.equal(contexts.size, 1, 'One context for the request, retries included');
+  t.end();
+});
+
+test('Testing that onRetry can veto a retry', async function (t) {
+  const calls = [];
+  const veto = createRecorder('veto', calls, { onRetry: () => false });
+  const never = createRecorder('never', calls);
+  try {
+    await createClient([failFirst(1), veto, never]).echo('vetoed');
+    t.fail('The vetoed retry should fail the request');
+  } catch (error) {
+    t.ok(error instanceof ServerError, 'The 503 as ServerError');
+    t.ok(error.retriesExhausted, 'Marked as retriesExhausted');
+  }
+  t.equal(calls[calls.length - 1], 'veto.onRetry(0)', 'The veto is the last hook');
+  t.ok(calls.indexOf('never.onRetry(0)') === -1, 'Hooks after the veto do not run');
+  t.ok(calls.indexOf('veto.beforeRequest(1)') === -1, 'No second attempt');
+  t.end();
+});
+
+test('Testing that onError can replace the error or recover', async function (t) {
+  const replaced = new ValidationError('Replaced');
+  const replacing = { onError: () => replaced };
+  const later = [];
+  const laterPlugin = {
+    onError: error => {
+      later.push(error);
+    },
+  };
+  try {
+    await createClient([failFirst(1), replacing, laterPlugin], false).echo('replaced');
+    t.fail('Should fail with the replacement');
+  } catch (error) {
+    t.equal(error, replaced, 'Fails with the replacement');
+  }
+  t.deepEqual(later, [replaced], 'Later plugins see the replacement');
+
+  const recovering = { onError: error => ({ data: { echo: `recovered from ${error.status}` }, status: 200, headers: {} }) };
+  t.equal(
+    await createClient([failFirst(1), recovering], false).echo('ignored'),
+    'recovered from 503',
+    'A returned value is the response'
+  );
+  t.end();
+});
+
+test('Testing that beforeRequest can fail the request or answer it', async function (t) {
+  const failing = {
+    beforeRequest() {
+      throw new TypeError('Not today');
+    },
+  };
+  try {
+    await createClient([failing]).echo('failing');
+    t.fail('Should fail');
+  } catch (error) {
+    t.equal(error.message, 'Not today', 'Throwing fails the request');
+  }
+
+  const cached = {
+    beforeRequest(config, context) {
+      context.respondWith({ echo: 'from the cache' });
+    },
+  };
+  t.equal(await createClient([cached]).echo('fresh'), 'from the cache', 'respondWith() skips the network');
+  t.end();
+});
@@ -0,0 +1,68 @@
+// Builds, signs and finalizes Bitcoin PSBTs from the UTXOs of a wallet of
+// @upvest/fake-api, without network or test config.
+
+const { defaultAssets } = require('@upvest/fake-api');
+const { selectCoins, buildBitcoinPsbt, finalizePsbt } = require('@upvest/tenancy-api');
+
+const { test, collect, startFake } = require('../../fakeenv.js');
+
+const bitcoin = defaultAssets[2];
+// p2wpkh address of private key 1 on testnet
+const RECIPIENT = 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx';
+
+let tenancy;
+let wallet;
+
+const { fake, createTenancy } = startFake(async fake => {
+  tenancy = createTenancy();
+  const user = await tenancy.users.create('psbt', 'password', '127.0.0.1', 'tape', [bitcoin.id], false);
+  wallet = await tenancy.wallets.retrieve(user.wallet_ids[0]);
+  fake.fund(wallet.id, bitcoin.id, '50000');
+  fake.fund(wallet.id, bitcoin.id, '30000');
+});
+
+test('Testing buildBitcoinPsbt() with p2pkh UTXOs of the fake', async function (t) {
+  const utxos = await collect(tenancy.utxos.list(wallet.id));
+  t.equal(utxos.length, 2, 'Both deposits are UTXOs');
+  const { inputs, change } = selectCoins(utxos, 60000, 2, { recipient: RECIPIENT });
+  const options = {
+    network: 'bitcoin_testnet',
+    inputs,
+    outputs: [{ address: RECIPIENT, value: 60000 }],
+    change,
+    changeAddress: wallet.address,
+  };
+
+  try {
+    await buildBitcoinPsbt(options);
+    t.fail('p2pkh inputs without the previous transaction should fail');
+  } catch (error) {
+    t.ok(/getTransactionHex/.test(error.message), 'Missing previous transaction names "getTransactionHex"');
+  }
+
+  const psbt = await buildBitcoinPsbt({ ...options, getTransactionHex: txhash => fake.getTransactionHex(txhash) });
+  t.equal(psbt.inputCount, 2, 'Two inputs');
+  await tenancy.signatures.signPsbt(wallet.id, 'password', psbt);
+  const { rawTransaction, txid, vsize } = finalizePsbt(psbt);
+  t.ok(/^[0-9a-f]+$/.test(rawTransaction), 'Raw transaction is hex');
+  t.equal(txid.length, 64, 'txid is 32 bytes');
+  t.ok(vsize > 0, 'Has a virtual size');
+  t.end();
+});
+
+test('Testing buildBitcoinPsbt() with the change of a transaction of the fake', async function (t) {
+  const transaction = await tenancy.transactions.create(wallet.id, 'password', RECIPIENT, bitcoin.id, 10000, 1000);
+  fake.setTransactionStatus(transaction.id, 'CONFIRMED');
+  const utxos = await collect(tenancy.utxos.list(wallet.id));
+  const changeUtxo = utxos.find(utxo => utxo.txhash == transaction.txhash);
+  t.ok(changeUtxo, 'Change is a UTXO of the transaction');
+
+  const psbt = await buildBitcoinPsbt({
+    network: 'bitcoin_testnet',
+    inputs: [{ ...changeUtxo, raw_tx: fake.getTransactionHex(changeUtxo.txhash) }],
+    outputs: [{ address: RECIPIENT, value: Number(changeUtxo.value) - 1000 }],
+  });
+  await tenancy.signatures.signPsbt(wallet.id, 'password', psbt);
+  t.ok(finalizePsbt(psbt).rawTransaction, 'Change spends with "raw_tx"');
+  t.end();
+});
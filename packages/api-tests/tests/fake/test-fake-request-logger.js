@@ -0,0 +1,135 @@
+// Checks request logging and the redaction of secrets, with fixed values and
+// against @upvest/fake-api.
+
+const { defaultAssets } = require('@upvest/fake-api');
+const { redact, defaultRedactedFields, createRequestLogger } = require('@upvest/tenancy-api');
+
+const { test, startFake } = require('../../fakeenv.js');
+
+const REDACTED = '[REDACTED]';
+
+const { fake, createTenancy, createClientele } = startFake(fake => {
+  fake.addUser('logged-user', 'password', defaultAssets.map(asset => asset.id));
+});
+
+test('Testing redact() with fixed values', function (t) {
+  t.deepEqual(
+    redact({ username: 'alice', password: 'secret', nested: [{ Seed: 'words', keep: 1 }], new_password: null }),
+    { username: 'alice', password: REDACTED, nested: [{ Seed: REDACTED, keep: 1 }], new_password: REDACTED },
+    'Fields at any depth, case-insensitively'
+  );
+  t.deepEqual(
+    redact({ 'x-up-api-passphrase': 'p', authorization: 'Bearer abc.def', 'User-Agent': 'ua' }),
+    { 'x-up-api-passphrase': REDACTED, authorization: REDACTED, 'User-Agent': 'ua' },
+    'Headers'
+  );
+  t.equal(
+    redact('{"password":"secret","echo":"hi"}'),
+    '{"password":"[REDACTED]","echo":"hi"}',
+    'JSON strings are redacted as JSON'
+  );
+  t.equal(redact('failed with Bearer abc.def, retrying'), `failed with Bearer ${REDACTED}, retrying`, 'Bearer tokens in text');
+  t.equal(redact('{not json password'), '{not json password', 'Broken JSON is left alone');
+  t.deepEqual(
+    redact({ username: 'alice', password: 'secret' }, [...defaultRedactedFields, 'username']),
+    { username: REDACTED, password: REDACTED },
+    'Own field lists'
+  );
+  const original = { password: 'secret' };
+  redact(original);
+  t.equal(original.password, 'secret', 'The original is left alone');
+  t.end();
+});
+
+test('Testing that tenancy requests are logged without secrets', async function (t) {
+  const records = [];
+  const tenancy = createTenancy({ logger: record => records.push(record) });
+  await tenancy.users.create('new-user', 'very secret', '127.0.0.1', 'tape', [], false);
+  await tenancy.users.updatePassword('new-user', 'very secret', 'even more secret');
+  const serialized = JSON.stringify(records);
+  t.equal(records.length, 2, 'One record per request');
+  t.equal(records[0].method, 'POST', 'Method');
+  t.equal(records[0].path, '/1.0/tenancy/users/', 'Path');
+  t.equal(records[0].status, 201, 'Status');
+  t.ok(records[0].requestId, 'Request ID');
+  t.equal(records[0].body.password, REDACTED, 'Password in the body');
+  t.equal(records[1].body.old_password, REDACTED, 'Old password');
+  t.equal(records[1].body.new_password, REDACTED, 'New password');
+  t.equal(records[0].headers['X-UP-API-Passphrase'], REDACTED, 'Passphrase header');
+  t.ok(records[0].headers['X-UP-API-Signature'], 'Other headers are kept');
+  t.notOk(serialized.includes('very secret') || serialized.includes(fake.apiKey.passphrase), 'No secret anywhere');
+  t.end();
+});
+
+test('Testing that OAuth2 tokens are not logged', async function (t) {
+  const records = [];
+  const clientele = createClientele('logged-user', 'password', { logger: record => records.push(record) });
+  await clientele.echo('hello');
+  const { access_token } = await clientele.getCachedToken();
+  t.equal(records.length, 1, 'One record');
+  t.equal(records[0].headers.Authorization, REDACTED, 'Authorization header');
+  t.notOk(JSON.stringify(records).includes(access_token), 'The token is nowhere');
+  t.end();
+});
+
+test('Testing log levels, errors and custom redaction', async function (t) {
+  const calls = [];
+  const logger = {
+    info: record => calls.push(['info', record]),
+    warn: record => calls.push(['warn', record]),
+    error: record => calls.push(['error', record]),
+  };
+  const tenancy = createTenancy({ logger, redact: ['username', 'password'] });
+  await tenancy.users.create('custom-redacted', 'secret', '127.0.0.1', 'tape', [], false);
+  try {
+    await tenancy.users.create('custom-redacted', 'secret', '127.0.0.1', 'tape', [], false);
+    t.fail('A duplicate user should fail');
+  } catch (error) {
+    t.equal(error.status, 400, 'Duplicate user');
+  }
+  t.deepEqual(
+    calls.map(([level]) => level),
+    ['info', 'warn'],
+    'Success as info, client errors as warn'
+  );
+  const [, [, failed]] = calls;
+  t.equal(failed.body.username, REDACTED, 'The own list applies');
+  t.equal(failed.headers['X-UP-API-Passphrase'], fake.apiKey.passphrase, 'and replaces the default list');
+  t.equal(failed.error.name, 'ValidationError', 'The error is logged');
+  t.end();
+});
+
+test('Testing that a broken logger does not fail requests', async function (t) {
+  const tenancy = createTenancy({
+    logger() {
+      throw new Error('Disk full');
+    },
+  });
+  t.equal(await tenancy.echo('still here'), 'still here', 'The request succeeds');
+  t.end();
+});
+
+test('Testing the logger without a global Buffer', function (t) {
+  const records = [];
+  const plugin = createRequestLogger(record => records.push(record));
+  const config = { method: 'post', url: 'https://example.com/1.0/tenancy/users/', data: '{"password":"secret"}' };
+  const globalBuffer = global.Buffer;
+  delete global.Buffer;
+  try {
+    t.deepEqual(
+      redact({ password: 'secret', nested: { seed: 'words' } }),
+      { password: REDACTED, nested: { seed: REDACTED } },
+      'redact() works, as in browsers and edge runtimes'
+    );
+    t.doesNotThrow(() => plugin.afterResponse({ config, status: 201 }, { startedAt: Date.now() }), 'Logging works');
+  } finally {
+    global.Buffer = globalBuffer;
+  }
+  t.equal(records.length, 1, 'The record was logged');
+  t.equal(records[0].body.password, REDACTED, 'without the password');
+  t.doesNotThrow(
+    () => plugin.onError(new Error('No config'), { config: null, startedAt: Date.now() }),
+    'A record which can not be built does not fail the request either'
+  );
+  t.end();
+});
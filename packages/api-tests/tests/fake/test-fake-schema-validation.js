@@ -0,0 +1,133 @@
+// Checks the strict and lenient response validation modes against
+// @upvest/fake-api, behind a proxy which breaks its answers on purpose.
+
+const http = require('http');
+
+const { defaultAssets } = require('@upvest/fake-api');
+const { SchemaValidationError } = require('@upvest/tenancy-api');
+
+const { test, collect, startFake } = require('../../fakeenv.js');
+
+const [ether] = defaultAssets;
+
+// Changes the parsed JSON answers of the fake, unless null.
+let corrupt = null;
+const proxy = http.createServer((req, res) => {
+  const { port } = fake.server.address();
+  const upstream = http.request(
+    { host: '127.0.0.1', port, path: req.url, method: req.method, headers: req.headers },
+    upstreamResponse => {
+      let body = '';
+      upstreamResponse.setEncoding('utf8');
+      upstreamResponse.on('data', chunk => (body += chunk));
+      upstreamResponse.on('end', () => {
+        if (corrupt && body) {
+          body = JSON.stringify(corrupt(JSON.parse(body)));
+        }
+        res.writeHead(upstreamResponse.statusCode, {
+          ...upstreamResponse.headers,
+          'content-length': Buffer.byteLength(body),
+        });
+        res.end(body);
+      });
+    }
+  );
+  req.pipe(upstream);
+});
+
+let walletId;
+
+const { fake, createTenancy: createFakeTenancy } = startFake(async fake => {
+  await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+  const user = fake.addUser('schema-user', 'password', [ether.id]);
+  [walletId] = user.wallet_ids;
+  fake.addUser('schema-user-2', 'password', []);
+});
+
+const createTenancy = validateResponses =>
+  createFakeTenancy({ validateResponses }, `http://127.0.0.1:${proxy.address().port}/1.0/`);
+
+const withNumericAmount = wallet => ({
+  ...wallet,
+  balances: wallet.balances.map((balance, i) => (i == 0 ? { ...balance, amount: Number(balance.amount) } : balance)),
+});
+
+test('Testing that answers of the fake pass strict validation', async function (t) {
+  corrupt = null;
+  const tenancy = createTenancy('strict');
+  const wallet = await tenancy.wallets.retrieve(walletId);
+  t.equal(wallet.id, walletId, 'wallets.retrieve');
+  t.ok((await collect(tenancy.users.list(1))).length >= 2, 'users.list, page by page');
+  t.ok((await collect(tenancy.assets.list())).length, 'assets.list');
+  t.end();
+});
+
+test('Testing strict validation', async function (t) {
+  corrupt = withNumericAmount;
+  try {
+    await createTenancy('strict').wallets.retrieve(walletId);
+    t.fail('A numeric amount should fail');
+  } catch (error) {
+    t.ok(error instanceof SchemaValidationError, 'SchemaValidationError');
+    t.equal(error.path, 'balances[0].amount', 'path points at the field');
+    t.equal(error.operation, 'wallets.retrieve', 'operation');
+    t.equal(error.status, 200, 'The status of the response');
+    t.equal(error.details.length, 1, 'One detail');
+    t.equal(error.details[0].reason, 'type', 'The type is wrong');
+    t.ok(/balances\[0\]\.amount must be string/.test(error.message), 'The message names field and type');
+  }
+
+  corrupt = body =>
+    body.results ? { ...body, results: body.results.map(user => ({ ...user, username: null })) } : body;
+  try {
+    await collect(createTenancy('strict').users.list(1));
+    t.fail('A page with an invalid item should fail');
+  } catch (error) {
+    t.equal(error.path, 'results[0].username', 'Pages are checked item by item');
+  }
+
+  corrupt = body => ({ ...body, echo: 42 });
+  const { data } = await createTenancy('strict').client.get('tenancy/echo-signed', { params: { echo: 'unchecked' } });
+  t.equal(data.echo, 42, 'Requests sent via client directly are not checked');
+  t.end();
+});
+
+test('Testing lenient validation', async function (t) {
+  corrupt = withNumericAmount;
+  const warnings = [];
+  const tenancy = createTenancy({ mode: 'lenient', warn: (message, error) => warnings.push({ message, error }) });
+  const wallet = await tenancy.wallets.retrieve(walletId);
+  t.equal(typeof wallet.balances[0].amount, 'number', 'The response comes through as it is');
+  t.equal(warnings.length, 1, 'One warning');
+  t.ok(warnings[0].error instanceof SchemaValidationError, 'with the SchemaValidationError');
+  t.equal(warnings[0].message, warnings[0].error.message, 'and its message');
+
+  const originalWarn = console.warn;
+  const logged = [];
+  console.warn = (...args) => logged.push(args);
+  try {
+    await createTenancy('lenient').wallets.retrieve(walletId);
+  } finally {
+    console.warn = originalWarn;
+  }
+  t.equal(logged.length, 1, 'console.warn by default');
+  t.end();
+});
+
+test('Testing own schemas and unknown modes', async function (t) {
+  corrupt = null;
+  const tenancy = createTenancy({
+    mode: 'strict',
+    schemas: { 'wallets.retrieve': { type: 'object', required: ['nickname'] } },
+  });
+  try {
+    await tenancy.wallets.retrieve(walletId);
+    t.fail('The own schema should apply');
+  } catch (error) {
+    t.equal(error.path, 'nickname', 'The own schema replaces the bundled one');
+  }
+  t.throws(() => createTenancy('sloppy'), /Unknown response validation mode/, 'Unknown mode');
+  t.end();
+});
+
+test.onFinish(() => proxy.close());
@@ -0,0 +1,95 @@
+// Checks the spans and metrics of the telemetry plugin against
+// @upvest/fake-api, with a tracer and meter which only record.
+
+const { defaultAssets } = require('@upvest/fake-api');
+
+const { test, startFake } = require('../../fakeenv.js');
+
+const createTelemetry = () => {
+  const spans = [];
+  const measurements = [];
+  const tracer = {
+    startSpan(name, { attributes }) {
+      const span = {
+        name,
+        attributes: { ...attributes },
+        status: null,
+        exceptions: [],
+        ended: 0,
+        setAttribute: (key, value) => (span.attributes[key] = value),
+        recordException: error => span.exceptions.push(error),
+        setStatus: status => (span.status = status),
+        end: () => span.ended++,
+      };
+      spans.push(span);
+      return span;
+    },
+  };
+  const instrument = name => ({
+    add: (value, attributes) => measurements.push({ name, value, attributes }),
+    record: (value, attributes) => measurements.push({ name, value, attributes }),
+  });
+  const meter = { createCounter: instrument, createHistogram: instrument };
+  return { spans, measurements, telemetry: { tracer, meter } };
+};
+
+const { createTenancy, createClientele } = startFake(fake => {
+  fake.addUser('telemetry-user', 'password', defaultAssets.map(asset => asset.id));
+});
+
+test('Testing the span of a request', async function (t) {
+  const { spans, measurements, telemetry } = createTelemetry();
+  const tenancy = createTenancy({ telemetry });
+  let requestId;
+  await tenancy.echo('traced', { onRequestId: id => (requestId = id) });
+  t.equal(spans.length, 1, 'One span');
+  const [span] = spans;
+  t.equal(span.name, 'echo', 'Named after the endpoint method');
+  t.equal(span.ended, 1, 'Ended once');
+  t.equal(span.status.code, 1, 'Status OK');
+  t.equal(span.attributes['http.method'], 'POST', 'HTTP method');
+  t.equal(span.attributes['http.status_code'], 200, 'HTTP status');
+  t.equal(span.attributes['upvest.request_id'], requestId, 'Request ID');
+  t.deepEqual(
+    measurements.map(({ name }) => name),
+    ['upvest.client.requests', 'upvest.client.duration'],
+    'Request count and duration'
+  );
+  t.end();
+});
+
+test('Testing that failed authentication ends the span', async function (t) {
+  const { spans, measurements, telemetry } = createTelemetry();
+  const clientele = createClientele('telemetry-user', 'wrong', { telemetry });
+  try {
+    await clientele.echo('nope');
+    t.fail('A wrong password should fail');
+  } catch (error) {
+    t.equal(error.code, 'invalid_grant', 'The token request failed');
+  }
+  t.equal(spans.length, 1, 'One span');
+  t.equal(spans[0].ended, 1, 'Ended once');
+  t.equal(spans[0].status.code, 2, 'Status ERROR');
+  t.equal(spans[0].exceptions.length, 1, 'The error is recorded');
+  t.equal(measurements.filter(({ name }) => name == 'upvest.client.errors').length, 1, 'Counted as error once');
+  t.end();
+});
+
+test('Testing that authentication errors without a config end the span', async function (t) {
+  const { spans, telemetry } = createTelemetry();
+  const tenancy = createTenancy({ telemetry });
+  // The API key interceptor fails to serialize it for the signature.
+  const circular = {};
+  circular.self = circular;
+  try {
+    await tenancy.echo(circular);
+    t.fail('An unserializable body should fail the request');
+  } catch (error) {
+    t.ok(error instanceof TypeError, 'Fails with the TypeError of JSON.stringify()');
+    t.notOk(error.config, 'The error has no config');
+  }
+  t.equal(spans.length, 1, 'One span');
+  t.equal(spans[0].ended, 1, 'Ended once');
+  t.equal(spans[0].status.code, 2, 'Status ERROR');
+  t.end();
+});
@@ -0,0 +1,181 @@
+// Runs the tenancy client against @upvest/fake-api, without network or test
+// config.
+
+const crypto = require('crypto');
+const http = require('http');
+
+const { defaultAssets, signWebhookBody } = require('@upvest/fake-api');
+const { UpvestTenancyAPI, Amount, SignatureMismatchError, ValidationError } = require('@upvest/tenancy-api');
+
+const { test, collect, startFake } = require('../../fakeenv.js');
+
+const [ether, coin, bitcoin] = defaultAssets;
+const RECIPIENT = '0x0000000000000000000000000000000000000001';
+
+let tenancy;
+
+const { fake, createTenancy } = startFake((fake, t) => {
+  tenancy = createTenancy({ validateResponses: 'strict' });
+  t.ok(fake.baseURL.endsWith('/1.0/'), 'Base URL ends with /1.0/');
+});
+
+test('Testing signed echo and API key signature checks against the fake', async function (t) {
+  t.equal(await tenancy.echo('Über'), 'Über', 'POST echo');
+  t.equal(await tenancy.echoGet('a & b'), 'a & b', 'GET echo with query string');
+
+  const { key, passphrase } = fake.apiKey;
+  const wrongSecret = new UpvestTenancyAPI(fake.baseURL, key, 'wrong secret', passphrase, 10000, true);
+  try {
+    await wrongSecret.echo('nope');
+    t.fail('Echo with a wrong secret should fail');
+  } catch (error) {
+    t.ok(error instanceof SignatureMismatchError, 'Wrong secret gives SignatureMismatchError');
+    t.equal(error.status, 403, 'Status is 403');
+  }
+  t.end();
+});
+
+test('Testing users and cursor pagination against the fake', async function (t) {
+  const usernames = [];
+  for (let i = 0; i < 5; i++) {
+    const user = await tenancy.users.create(`user-${i}`, 'password', '127.0.0.1', 'tape', [], false);
+    usernames.push(user.username);
+  }
+  const listed = await collect(tenancy.users.list(2));
+  t.deepEqual(listed.map(user => user.username), usernames, 'All users, in order, over three pages');
+  const pages = await collect(tenancy.users.listPages(2));
+  t.equal(pages.length, 3, 'Three pages of two');
+  t.equal(pages[0].previous, null, 'First page has no previous');
+  t.equal(pages[2].next, null, 'Last page has no next');
+
+  try {
+    await tenancy.users.create('user-0', 'password', '127.0.0.1', 'tape', [], false);
+    t.fail('Creating a user twice should fail');
+  } catch (error) {
+    t.ok(error instanceof ValidationError, 'Duplicate username gives ValidationError');
+  }
+
+  await tenancy.users.delete('user-4');
+  const remaining = await collect(tenancy.users.list());
+  t.equal(remaining.length, 4, 'Deleted user is gone');
+  t.end();
+});
+
+test('Testing request IDs of calls which resolve plain values', async function (t) {
+  await tenancy.users.create('request-ids', 'password', '127.0.0.1', 'tape', [], false);
+  const webhook = await tenancy.webhooks.create('http://127.0.0.1:9/', {}, '1.2', 'ACTIVE', 'ids', 'key', ['upvest.echo.*']);
+  const requestIds = [];
+  const onRequestId = requestId => requestIds.push(requestId);
+  const ownRequestId = '6d1c5e5a-7c5e-4b5e-9d0a-3f1f7b9b2f6e';
+
+  t.equal(await tenancy.echo('hi', { onRequestId }), 'hi', 'echo() still resolves the echo');
+  t.equal(await tenancy.users.updatePassword('request-ids', 'password', 'new', { onRequestId }), true, 'updatePassword()');
+  t.equal(await tenancy.webhooks.delete(webhook.id, { onRequestId }), true, 'webhooks.delete()');
+  t.equal(await tenancy.users.delete('request-ids', { requestId: ownRequestId, onRequestId }), true, 'users.delete()');
+  t.equal(requestIds.length, 4, 'onRequestId got called for every call');
+  t.ok(requestIds.slice(0, 3).every(id => /^[0-9a-f-]{36}$/.test(id)), 'with generated IDs');
+  t.equal(requestIds[3], ownRequestId, 'and with the given one');
+  t.equal(await tenancy.echo('plain', 'a-request-id'), 'plain', 'A plain request ID still works');
+  t.end();
+});
+
+test('Testing wallets, transactions and webhooks against the fake', async function (t) {
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      received.push({ signature: req.headers['x-up-signature'], body });
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${receiver.address().port}/webhook`;
+  const hmacKey = crypto.randomBytes(32).toString('hex');
+  await tenancy.webhooks.create(url, {}, '1.2', 'ACTIVE', 'tape', hmacKey, ['upvest.wallet.created', 'upvest.transaction.*']);
+
+  const user = await tenancy.users.create('wallet-owner', 'password', '127.0.0.1', 'tape', [ether.id, coin.id, bitcoin.id]);
+  t.equal(user.wallet_ids.length, 2, 'ETH and ERC20 share a wallet');
+
+  const [walletId] = user.wallet_ids;
+  fake.fund(walletId, ether.id, '1000000000000000000');
+  const transaction = await tenancy.transactions.create(walletId, 'password', RECIPIENT, ether.id, 1000, 21000);
+  t.equal(transaction.status, 'PENDING', 'New transaction is PENDING');
+  fake.setTransactionStatus(transaction.id, 'CONFIRMED');
+  const confirmed = await tenancy.transactions.retrieve(walletId, transaction.id);
+  t.equal(confirmed.status, 'CONFIRMED', 'Transaction is CONFIRMED');
+
+  const wallet = await tenancy.wallets.retrieve(walletId);
+  const balance = wallet.balances.find(balance => balance.asset_id == ether.id);
+  t.equal(balance.amount, '999999999999978000', 'Quantity and fee are taken off');
+
+  const historical = await tenancy.historical.get_transaction('ethereum', 'ropsten', transaction.txhash);
+  t.equal(historical.hash, transaction.txhash.replace(/^0x/, ''), 'Confirmed transaction is in the historical data');
+
+  const digest = crypto.createHash('sha256').update('tape').digest('hex');
+  const signature = await tenancy.signatures.sign(walletId, 'password', digest, 'hex', 'hex');
+  t.ok(tenancy.signatures.verify(signature, digest, { wallet }), 'Signature verifies with the wallet address');
+  const bitcoinWallet = await tenancy.wallets.retrieve(user.wallet_ids[1]);
+  const bitcoinSignature = await tenancy.signatures.sign(bitcoinWallet.id, 'password', digest, 'hex', 'dec');
+  t.ok(
+    tenancy.signatures.verify(bitcoinSignature, digest, { wallet: bitcoinWallet }),
+    'Signature verifies with the Bitcoin wallet address'
+  );
+
+  await fake.settled();
+  await new Promise(resolve => receiver.close(resolve));
+  const actions = received.map(({ body }) => JSON.parse(body).action);
+  t.ok(actions.includes('wallet.created'), 'wallet.created webhook received');
+  t.ok(actions.includes('transaction.processed'), 'transaction.processed webhook received');
+  t.ok(
+    received.every(({ signature, body }) => signature == signWebhookBody(body, hmacKey)),
+    'All webhooks carry a valid X-Up-Signature'
+  );
+  t.end();
+});
+
+test('Testing wallets.watchBalances() with a token deposit after the first poll', async function (t) {
+  const user = await tenancy.users.create('watcher', 'password', '127.0.0.1', 'tape', [ether.id], false);
+  const [walletId] = user.wallet_ids;
+  const before = await tenancy.wallets.retrieve(walletId);
+  t.notOk(before.balances.some(balance => balance.asset_id == coin.id), 'No token balance before the deposit');
+
+  // The first poll records the balances, the deposit comes right after it.
+  const wallets = Object.create(tenancy.wallets);
+  let polls = 0;
+  wallets.retrieve = async id => {
+    const wallet = await tenancy.wallets.retrieve(id);
+    if (++polls == 1) {
+      fake.fund(walletId, coin.id, '17');
+    }
+    return wallet;
+  };
+  const controller = new AbortController();
+  const changes = wallets.watchBalances(walletId, { interval: 10, timeout: 5000, signal: controller.signal });
+  const { value: change = {} } = await changes.next();
+  controller.abort();
+  t.equal(change.assetId, coin.id, 'Change of the new token');
+  t.equal(change.previous, BigInt(0), 'Starts from 0');
+  t.equal(change.current, BigInt(17), 'Deposited amount');
+  t.equal(change.delta, BigInt(17), 'Delta is the deposit');
+  t.ok((await changes.next()).done, 'Ends once aborted');
+  t.end();
+});
+
+test('Testing { amounts: true } against the fake', async function (t) {
+  const user = await tenancy.users.create('amounts', 'password', '127.0.0.1', 'tape', [ether.id], false);
+  const [walletId] = user.wallet_ids;
+  fake.fund(walletId, ether.id, Amount.parse('2.5 ETH', ether).toString());
+
+  const wallet = await tenancy.wallets.retrieve(walletId, { amounts: true });
+  const balance = wallet.balances.find(balance => balance.asset_id == ether.id);
+  t.ok(balance.amount instanceof Amount, 'Balance amount is an Amount');
+  t.equal(balance.amount.format(), '2.5 ETH', 'Balance formats with the symbol');
+
+  const quantity = Amount.parse('0.1 ETH', ether);
+  const created = await tenancy.transactions.create(walletId, 'password', RECIPIENT, ether.id, quantity.toString(), 21000);
+  const transaction = await tenancy.transactions.retrieve(walletId, created.id, { amounts: true });
+  t.ok(transaction.quantity.eq(quantity), 'Transaction quantity is the Amount sent');
+  t.equal(typeof transaction.fee, 'string', 'The fee stays a string');
+  t.end();
+});
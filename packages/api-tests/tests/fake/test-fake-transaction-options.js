@@ -0,0 +1,90 @@
+// Checks the options form of `transactions.create()` against @upvest/fake-api,
+// without network or test config. Invalid options never reach the fake.
+
+const { defaultAssets } = require('@upvest/fake-api');
+const { ValidationError } = require('@upvest/tenancy-api');
+
+const { test, startFake } = require('../../fakeenv.js');
+
+const [ether, , bitcoin] = defaultAssets;
+const RECIPIENT = '0x0000000000000000000000000000000000000001';
+const UTXO = { txhash: 'ab'.repeat(32), index: 0, value: 10000 };
+
+let tenancy;
+let ethereumWalletId;
+let bitcoinWalletId;
+
+const getError = async options => {
+  try {
+    await tenancy.transactions.create(options);
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+const { createTenancy } = startFake(async fake => {
+  tenancy = createTenancy();
+  const user = await tenancy.users.create('options', 'password', '127.0.0.1', 'tape', [ether.id, bitcoin.id], false);
+  [ethereumWalletId, bitcoinWalletId] = user.wallet_ids;
+  fake.fund(ethereumWalletId, ether.id, '1000000000000000000');
+});
+
+test('Testing unknown transaction options', async function (t) {
+  const base = { walletId: ethereumWalletId, password: 'password', recipient: RECIPIENT, assetId: ether.id, quantity: 1 };
+  const error = await getError({ ...base, asynchronously: true, gas_price: 1, colour: 'red' });
+  t.ok(error instanceof ValidationError, 'ValidationError');
+  t.deepEqual(Object.keys(error.fields).sort(), ['asynchronously', 'colour', 'gas_price'], 'Every unknown key');
+  t.ok(/did you mean async\?/.test(error.fields.asynchronously[0].message), 'Suggests async for asynchronously');
+  t.ok(/did you mean gasPrice\?/.test(error.fields.gas_price[0].message), 'Suggests gasPrice for gas_price');
+  t.equal(error.fields.colour[0].message, 'colour is not a transaction option', 'No suggestion for colour');
+  t.end();
+});
+
+test('Testing that fee field errors name the failing field', async function (t) {
+  const base = { walletId: ethereumWalletId, password: 'password', recipient: RECIPIENT, assetId: ether.id, quantity: 1 };
+  let error = await getError({ ...base, gasPrice: -1 });
+  t.deepEqual(Object.keys(error.fields), ['gasPrice'], 'Negative gasPrice is reported as gasPrice');
+
+  error = await getError({ ...base, inputs: [UTXO], gasPrice: 1 });
+  t.ok(error.fields.gasPrice, 'gasPrice with inputs is reported as gasPrice');
+  t.notOk(error.fields.gasLimit, 'gasLimit is not reported when it was not given');
+  t.end();
+});
+
+test('Testing that the protocol comes from the asset registry', async function (t) {
+  const base = { walletId: bitcoinWalletId, password: 'password', recipient: RECIPIENT, assetId: bitcoin.id, quantity: 1 };
+  let error = await getError({ ...base, gasPrice: 1 });
+  t.ok(error instanceof ValidationError, 'gasPrice for Bitcoin by asset ID only is rejected');
+  t.equal(error.fields.gasPrice[0].reason, 'unsupported', 'as unsupported for the protocol');
+  t.ok(/bitcoin_testnet/.test(error.fields.gasPrice[0].message), 'naming the looked up protocol');
+
+  error = await getError({ ...base, gasLimit: 21000, protocol: 'ethereum_ropsten', inputs: [UTXO] });
+  t.ok(error.fields.inputs, 'An explicit protocol wins over the registry');
+
+  const transaction = await tenancy.transactions.create({
+    walletId: ethereumWalletId,
+    password: 'password',
+    recipient: RECIPIENT,
+    assetId: ether.id,
+    quantity: 1000,
+    gasLimit: 21000,
+    gasPrice: 1,
+  });
+  t.equal(transaction.status, 'PENDING', 'Gas fields for Ether by asset ID only are accepted');
+  t.end();
+});
+
+test('Testing that protocol specific fields need a protocol the registry does not know', async function (t) {
+  const error = await getError({
+    walletId: ethereumWalletId,
+    password: 'password',
+    recipient: RECIPIENT,
+    assetId: '00000000-0000-0000-0000-000000000000',
+    quantity: 1,
+    gasLimit: 21000,
+  });
+  t.ok(error instanceof ValidationError, 'ValidationError');
+  t.equal(error.fields.protocol[0].reason, 'required', 'protocol is required');
+  t.end();
+});
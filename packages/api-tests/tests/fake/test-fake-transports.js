@@ -0,0 +1,145 @@
+// Runs the same calls over the axios and the fetch transport against
+// @upvest/fake-api, and checks that the API sees the same requests and the
+// callers get the same results and errors.
+
+const http = require('http');
+
+const { defaultAssets } = require('@upvest/fake-api');
+const { UpvestTenancyAPI, TimeoutError } = require('@upvest/tenancy-api');
+
+const { test, collect, startFake } = require('../../fakeenv.js');
+
+const TRANSPORTS = ['axios', 'fetch'];
+// These differ from request to request anyway.
+const VARYING_HEADERS = ['x-up-api-timestamp', 'x-up-api-signature', 'x-up-api-request-id', 'authorization', 'host'];
+
+let recorded = [];
+// The fake, behind a server of our own which records what arrives.
+const server = http.createServer((req, res) => {
+  const headers = { ...req.headers };
+  for (const name of VARYING_HEADERS) {
+    delete headers[name];
+  }
+  // Node's fetch and axios send different connection handling and agents.
+  delete headers.connection;
+  delete headers['user-agent'];
+  delete headers['accept-encoding'];
+  delete headers['accept-language'];
+  delete headers['sec-fetch-mode'];
+  let body = '';
+  req.on('data', chunk => (body += chunk));
+  req.on('end', () => recorded.push({ method: req.method, url: req.url, headers, body }));
+  fake.handle(req, res);
+});
+let baseURL;
+
+const { fake, createTenancy: createFakeTenancy, createClientele: createFakeClientele } = startFake(async fake => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}/1.0/`;
+  fake.addUser('fetch-user', 'password', defaultAssets.map(asset => asset.id));
+});
+
+// Settles to `{value}` or `{error}`, with errors reduced to what callers check.
+const outcome = promise =>
+  promise.then(
+    value => ({ value }),
+    error => ({ error: { name: error.name, status: error.status, code: error.code, message: error.message } })
+  );
+
+// Runs `scenario(client)` over each transport, returns the outcomes and the
+// recorded requests per transport.
+const runOverTransports = async (createClient, scenario) => {
+  const runs = {};
+  for (const transport of TRANSPORTS) {
+    recorded = [];
+    const result = await outcome(scenario(createClient(transport), transport));
+    runs[transport] = { result, requests: recorded };
+  }
+  return runs;
+};
+
+const createTenancy = transport => createFakeTenancy({ transport }, baseURL);
+
+const createClientele = transport => createFakeClientele('fetch-user', 'password', { transport }, baseURL);
+
+const checkParity = (t, runs, description) => {
+  t.deepEqual(runs.fetch.result, runs.axios.result, `${description}: same result`);
+  t.deepEqual(runs.fetch.requests, runs.axios.requests, `${description}: same requests`);
+};
+
+test('Testing signed requests over both transports', async function (t) {
+  const echo = await runOverTransports(createTenancy, async tenancy => [
+    await tenancy.echo('Über & co'),
+    await tenancy.echoGet('a & b/ü?c=d'),
+  ]);
+  t.deepEqual(echo.axios.result.value, ['Über & co', 'a & b/ü?c=d'], 'Both echoes come back');
+  checkParity(t, echo, 'echo');
+
+  const users = await runOverTransports(createTenancy, async (tenancy, transport) => {
+    const username = `user-${transport}`;
+    await tenancy.users.create(username, 'password', '127.0.0.1', 'tape', [], false);
+    const listed = await collect(tenancy.users.list(1));
+    const deleted = await tenancy.users.delete(username);
+    return { listed: listed.map(user => user.username), deleted };
+  });
+  t.deepEqual(users.axios.result.value.deleted, true, 'Deleted');
+  t.deepEqual(users.fetch.result.value.deleted, true, 'Deleted over fetch');
+  t.equal(users.fetch.requests.length, users.axios.requests.length, 'Same number of requests, pages included');
+  t.end();
+});
+
+test('Testing errors over both transports', async function (t) {
+  const notFound = await runOverTransports(createTenancy, tenancy => tenancy.users.retrieve('nobody'));
+  t.equal(notFound.axios.result.error.name, 'NotFoundError', 'NotFoundError');
+  checkParity(t, notFound, '404');
+
+  const invalid = await runOverTransports(createTenancy, tenancy =>
+    tenancy.users.create('fetch-user', 'password', '127.0.0.1', 'tape', [], false)
+  );
+  t.equal(invalid.axios.result.error.status, 400, 'Duplicate user');
+  t.deepEqual(
+    { ...invalid.fetch.result.error, message: undefined },
+    { ...invalid.axios.result.error, message: undefined },
+    'Same error'
+  );
+
+  const badSignature = await runOverTransports(
+    transport => new UpvestTenancyAPI(baseURL, fake.apiKey.key, 'wrong', fake.apiKey.passphrase, 10000, false, undefined, { transport }),
+    tenancy => tenancy.echo('nope')
+  );
+  t.equal(badSignature.axios.result.error.name, 'SignatureMismatchError', 'SignatureMismatchError');
+  checkParity(t, badSignature, 'Wrong secret');
+  t.end();
+});
+
+test('Testing OAuth2 over both transports', async function (t) {
+  const runs = await runOverTransports(createClientele, async clientele => [
+    await clientele.echo('hello'),
+    await clientele.echoGet('hello'),
+  ]);
+  t.deepEqual(runs.fetch.result.value, ['hello', 'hello'], 'Token request and echoes');
+  checkParity(t, runs, 'OAuth2');
+  t.end();
+});
+
+test('Testing timeouts over both transports', async function (t) {
+  const silent = http.createServer(() => {});
+  await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+  const silentURL = `http://127.0.0.1:${silent.address().port}/1.0/`;
+  for (const transport of TRANSPORTS) {
+    const tenancy = new UpvestTenancyAPI(silentURL, 'key', 'secret', 'passphrase', 50, false, undefined, {
+      transport,
+      retry: false,
+    });
+    try {
+      await tenancy.echo('anyone?');
+      t.fail(`${transport}: should time out`);
+    } catch (error) {
+      t.ok(error instanceof TimeoutError, `${transport}: TimeoutError`);
+    }
+  }
+  await new Promise(resolve => silent.close(resolve));
+  t.end();
+});
+
+test.onFinish(() => server.close());
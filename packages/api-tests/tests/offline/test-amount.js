@@ -0,0 +1,67 @@
+// Checks Amount parsing, formatting and arithmetic with fixed vectors.
+
+const test = require('tape');
+
+const { defaultAssets } = require('@upvest/fake-api');
+const { Amount } = require('@upvest/tenancy-api');
+
+const [ether, , bitcoin] = defaultAssets;
+const USDC = { symbol: 'USDC', exponent: 6 };
+const NO_DECIMALS = { exponent: 0 };
+
+test('Testing Amount.parse() and format() with fixed vectors', function (t) {
+  const vectors = [
+    ['1.25 ETH', ether, '1250000000000000000', '1.25 ETH'],
+    ['1.25eth', ether, '1250000000000000000', '1.25 ETH'],
+    ['0.000000000000000001', ether, '1', '0.000000000000000001 ETH'],
+    ['-0.5', ether, '-500000000000000000', '-0.5 ETH'],
+    ['.5', ether, '500000000000000000', '0.5 ETH'],
+    ['7.', ether, '7000000000000000000', '7 ETH'],
+    [' 21000000 BTC ', bitcoin, '2100000000000000', '21000000 BTC'],
+    ['0.00000001', bitcoin, '1', '0.00000001 BTC'],
+    ['1.500000000', bitcoin, '150000000', '1.5 BTC'],
+    ['123.456789', USDC, '123456789', '123.456789 USDC'],
+    ['0', USDC, '0', '0 USDC'],
+    ['42', NO_DECIMALS, '42', '42'],
+  ];
+  for (const [text, asset, baseUnits, formatted] of vectors) {
+    const amount = Amount.parse(text, asset);
+    t.equal(amount.toString(), baseUnits, `"${text}" is ${baseUnits} base units`);
+    t.equal(amount.format(), formatted, `"${text}" formats as "${formatted}"`);
+  }
+  t.equal(Amount.fromBaseUnits('123456789', USDC).format({ symbol: false }), '123.456789', 'Without symbol');
+  t.equal(Amount.fromBaseUnits(BigInt(-1), bitcoin).toDecimalString(), '-0.00000001', 'Negative below one');
+  t.equal(JSON.stringify({ quantity: Amount.parse('1', USDC) }), '{"quantity":"1000000"}', 'JSON has base units');
+  t.end();
+});
+
+test('Testing that Amount.parse() rejects what it can not represent', function (t) {
+  const syntaxErrors = ['', 'ETH', '.', '-', '1.2.3', '1 000', '1e18', '1E-6', '1,5', '1,000.5', '1_000', "1'000"];
+  for (const text of syntaxErrors) {
+    t.throws(() => Amount.parse(text, ether), SyntaxError, `"${text}" is a SyntaxError`);
+  }
+  t.throws(() => Amount.parse('1e18', ether), /plain decimal/, 'The message says how to write amounts');
+  t.throws(() => Amount.parse('1.5 BTC', ether), /not in ETH/, 'Symbol of another asset');
+  t.throws(() => Amount.parse('0.000000001', bitcoin), RangeError, 'More fractional digits than the exponent');
+  t.throws(() => Amount.parse('1', { symbol: 'X' }), TypeError, 'Asset without exponent');
+  t.throws(() => Amount.fromBaseUnits('1.5', bitcoin), TypeError, 'Fractional base units');
+  t.end();
+});
+
+test('Testing Amount arithmetic and comparison', function (t) {
+  const one = Amount.parse('1', bitcoin);
+  const half = Amount.parse('0.5', bitcoin);
+  t.equal(one.plus(half).format(), '1.5 BTC', 'plus');
+  t.equal(half.minus(one).format(), '-0.5 BTC', 'minus');
+  t.equal(half.times(3).format(), '1.5 BTC', 'times');
+  t.equal(one.negate().isNegative(), true, 'negate');
+  t.equal(one.minus(one).isZero(), true, 'isZero');
+  t.ok(half.lt(one) && one.gt(half) && one.gte(one) && one.eq('100000000'), 'Comparisons, plain values as base units');
+  t.deepEqual(
+    [one, half, one.negate()].sort((a, b) => a.compare(b)).map(amount => amount.toDecimalString()),
+    ['-1', '0.5', '1'],
+    'compare() sorts'
+  );
+  t.throws(() => one.plus(Amount.parse('1', ether)), TypeError, 'Amounts of different assets do not mix');
+  t.end();
+});
@@ -0,0 +1,88 @@
+// Checks the coin selection strategies with fixed UTXO sets, at 1 sat/vB so
+// that fees are virtual sizes: 10 vbytes overhead, 148 per p2pkh input and
+// 34 per p2pkh output.
+
+const test = require('tape');
+
+const { selectCoins } = require('@upvest/tenancy-api');
+
+const utxo = (name, value, address) => ({ txhash: name.repeat(64), index: 0, value, address });
+const A = utxo('a', 100000, 'address-1');
+const B = utxo('b', 50000, 'address-2');
+const C = utxo('c', 30000, 'address-1');
+const D = utxo('d', 20000, 'address-2');
+const UTXOS = [D, C, B, A];
+
+const names = selection => selection.inputs.map(input => input.txhash[0]).join('');
+
+test('Testing branch-and-bound with an exact match', function (t) {
+  // B pays 49808 plus 10 + 148 + 34 = 192 vbytes without change.
+  const selection = selectCoins(UTXOS, 49808, 1);
+  t.equal(selection.strategy, 'branch-and-bound', 'Strategy');
+  t.equal(names(selection), 'b', 'Spends B only');
+  t.equal(selection.fee, BigInt(192), 'Fee is the vsize');
+  t.equal(selection.change, BigInt(0), 'No change');
+  t.equal(selection.vsize, 192, 'One input, one output');
+  t.equal(selection.total, BigInt(50000), 'Total of the inputs');
+  t.end();
+});
+
+test('Testing that branch-and-bound falls back to largest-first', function (t) {
+  const selection = selectCoins(UTXOS, 1000, 1);
+  t.equal(selection.strategy, 'largest-first', 'No changeless solution');
+  t.equal(names(selection), 'a', 'Spends the largest UTXO');
+  t.equal(selection.vsize, 226, 'One input, one output and change');
+  t.equal(selection.change, BigInt(100000 - 1000 - 226), 'Change is what is left');
+  t.end();
+});
+
+test('Testing largest-first', function (t) {
+  const selection = selectCoins(UTXOS, 120000, 1, { strategy: 'largest-first' });
+  t.equal(names(selection), 'ab', 'The two largest');
+  t.equal(selection.vsize, 374, 'Two inputs, one output and change');
+  t.equal(selection.fee, BigInt(374), 'Fee is the vsize');
+  t.equal(selection.change, BigInt(150000 - 120000 - 374), 'Change');
+  t.end();
+});
+
+test('Testing privacy', function (t) {
+  const single = selectCoins(UTXOS, 49808, 1, { strategy: 'privacy' });
+  t.equal(names(single), 'b', 'The smallest single UTXO which suffices');
+  t.equal(single.strategy, 'privacy', 'Strategy');
+
+  const oneAddress = selectCoins(UTXOS, 120000, 1, { strategy: 'privacy' });
+  t.equal(names(oneAddress), 'ac', 'UTXOs of one address, where largest-first would mix both');
+  t.equal(oneAddress.change, BigInt(130000 - 120000 - 374), 'Change');
+
+  const mixed = selectCoins(UTXOS, 160000, 1, { strategy: 'privacy' });
+  t.equal(names(mixed), 'abc', 'Largest-first across addresses if no address suffices');
+  t.end();
+});
+
+test('Testing dust change, fee rates and output types', function (t) {
+  const dust = selectCoins([B], 49500, 1, { strategy: 'largest-first' });
+  t.equal(dust.change, BigInt(0), 'Change below the dust threshold is dropped');
+  t.equal(dust.fee, BigInt(500), 'and goes to the miners');
+  t.equal(dust.vsize, 192, 'without the change output');
+
+  const higherRate = selectCoins(UTXOS, 1000, 12, { strategy: 'largest-first' });
+  t.equal(higherRate.fee, BigInt(226 * 12), 'Fee scales with the rate');
+
+  const segwitRecipient = selectCoins(UTXOS, 1000, 1, {
+    strategy: 'largest-first',
+    recipient: 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx',
+  });
+  t.equal(segwitRecipient.vsize, 10 + 148 + 31 + 34, 'A p2wpkh recipient output is smaller');
+
+  const segwitInputs = selectCoins([{ ...A, type: 'p2wpkh' }], 1000, 1, { strategy: 'largest-first' });
+  t.equal(segwitInputs.vsize, 11 + 68 + 34 + 31, 'p2wpkh inputs, with change of the same type');
+  t.end();
+});
+
+test('Testing what coin selection rejects', function (t) {
+  t.throws(() => selectCoins(UTXOS, 200000, 1), RangeError, 'Not enough funds');
+  t.throws(() => selectCoins(UTXOS, 1000, 0), TypeError, 'Fee rate zero');
+  t.throws(() => selectCoins(UTXOS, 1000, 1, { strategy: 'random' }), /Unknown coin selection strategy/, 'Unknown strategy');
+  t.throws(() => selectCoins([{ value: 1000 }], 100, 1), /txhash/, 'UTXO without txhash');
+  t.end();
+});
@@ -0,0 +1,88 @@
+// Checks `onError: 'retry'` of lists against a local server which fails on
+// purpose, without network or test config.
+
+const http = require('http');
+
+const test = require('tape');
+
+const { UpvestTenancyAPI, NotFoundError, ServerError } = require('@upvest/tenancy-api');
+
+const PAGE = { previous: null, next: null, results: [{ username: 'a' }, { username: 'b' }] };
+
+let statuses = [];
+let requestCount = 0;
+const server = http.createServer((req, res) => {
+  const status = statuses[requestCount++] || 200;
+  // Keeps the client's own retries from waiting.
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Retry-After': '0' });
+  res.end(JSON.stringify(status == 200 ? PAGE : { error: { code: 'error', message: `HTTP ${status}`, details: [] } }));
+});
+
+const collect = async generator => {
+  const items = [];
+  for await (const item of generator) {
+    items.push(item);
+  }
+  return items;
+};
+
+const createClient = retry => {
+  const baseURL = `http://127.0.0.1:${server.address().port}/1.0/`;
+  return new UpvestTenancyAPI(baseURL, 'key', 'secret', 'passphrase', 10000, false, undefined, { retry });
+};
+
+// Fails with `statuses` first, then answers with `PAGE`.
+const listUsers = async (retry, failWith, maxRetries = 3) => {
+  statuses = failWith;
+  requestCount = 0;
+  const users = await collect(createClient(retry).users.list(2, { onError: 'retry', retryDelay: 1, maxRetries }));
+  return users.map(user => user.username);
+};
+
+test('Start the server', function (t) {
+  server.listen(0, '127.0.0.1', () => t.end());
+});
+
+test('Testing that lists retry retryable errors', async function (t) {
+  t.deepEqual(await listUsers(false, [503, 502]), ['a', 'b'], 'Recovers from 503 and 502');
+  t.equal(requestCount, 3, 'Two retries');
+  t.end();
+});
+
+test('Testing that lists do not retry other errors', async function (t) {
+  try {
+    await listUsers(false, [404]);
+    t.fail('A 404 should not be retried');
+  } catch (error) {
+    t.ok(error instanceof NotFoundError, 'NotFoundError');
+    t.equal(requestCount, 1, 'Fetched once');
+  }
+  t.end();
+});
+
+test('Testing that lists retry after the client retries gave up', async function (t) {
+  t.deepEqual(
+    await listUsers({ retries: 2, baseDelay: 1 }, [503, 503, 503, 503, 503]),
+    ['a', 'b'],
+    'Recovers from five 503s'
+  );
+  t.equal(requestCount, 6, 'Three client attempts per list attempt');
+
+  try {
+    await listUsers({ retries: 2, baseDelay: 1 }, Array(10).fill(503), 1);
+    t.fail('The list retries should give up');
+  } catch (error) {
+    t.ok(error instanceof ServerError, 'ServerError');
+    t.ok(error.retriesExhausted, 'Marked as retriesExhausted');
+    t.equal(requestCount, 6, 'Two list attempts of three client attempts each');
+  }
+  t.end();
+});
+
+test('Testing list retries with the default client options', async function (t) {
+  t.deepEqual(await listUsers(undefined, [503, 503, 503, 503, 503]), ['a', 'b'], 'Recovers from five 503s');
+  t.equal(requestCount, 6, 'Four attempts by the client, then two more by the list');
+  t.end();
+});
+
+test.onFinish(() => server.close());
@@ -0,0 +1,68 @@
+// Checks that retried requests are signed afresh and keep their request ID,
+// against a local server which fails on purpose.
+
+const http = require('http');
+
+const test = require('tape');
+
+const { UpvestTenancyAPI, ServerError } = require('@upvest/tenancy-api');
+
+let statuses = [];
+let requests = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => (body += chunk));
+  req.on('end', () => {
+    const status = statuses[requests.length] || 200;
+    requests.push(req.headers);
+    // `Retry-After: 1` makes the retry wait for the next timestamp second.
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Retry-After': '1' });
+    res.end(JSON.stringify(status == 200 ? JSON.parse(body) : { error: { code: 'error', message: `HTTP ${status}`, details: [] } }));
+  });
+});
+
+const createClient = retry => {
+  const baseURL = `http://127.0.0.1:${server.address().port}/1.0/`;
+  return new UpvestTenancyAPI(baseURL, 'key', 'secret', 'passphrase', 10000, false, undefined, { retry });
+};
+
+test('Start the server', function (t) {
+  server.listen(0, '127.0.0.1', () => t.end());
+});
+
+test('Testing that retries are signed afresh with the same request ID', async function (t) {
+  statuses = [503];
+  requests = [];
+  let requestId;
+  const echoed = await createClient({ retries: 2 }).echo('again', { onRequestId: id => (requestId = id) });
+  t.equal(echoed, 'again', 'Echoed after the retry');
+  t.equal(requests.length, 2, 'One retry');
+  const [first, second] = requests;
+  t.ok(first['x-up-api-request-id'], 'Sent a request ID');
+  t.equal(second['x-up-api-request-id'], first['x-up-api-request-id'], 'The retry keeps the request ID');
+  t.equal(requestId, first['x-up-api-request-id'], 'onRequestId reports it');
+  t.notEqual(second['x-up-api-timestamp'], first['x-up-api-timestamp'], 'The retry has a fresh timestamp');
+  t.notEqual(second['x-up-api-signature'], first['x-up-api-signature'], 'The retry is signed afresh');
+  t.end();
+});
+
+test('Testing that a given request ID is kept by every retry', async function (t) {
+  statuses = [503, 502, 503];
+  requests = [];
+  try {
+    await createClient({ retries: 2 }).echo('again', 'my-request-id');
+    t.fail('The retries should give up');
+  } catch (error) {
+    t.ok(error instanceof ServerError, 'ServerError');
+    t.equal(error.requestId, 'my-request-id', 'The error has the request ID');
+  }
+  t.equal(requests.length, 3, 'Two retries');
+  t.deepEqual(
+    requests.map(headers => headers['x-up-api-request-id']),
+    ['my-request-id', 'my-request-id', 'my-request-id'],
+    'Every attempt sends the request ID'
+  );
+  t.end();
+});
+
+test.onFinish(() => server.close());
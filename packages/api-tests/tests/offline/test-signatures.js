@@ -0,0 +1,116 @@
+// Checks `signatures.verify()` and `publicKeyToAddress()` with a fixed
+// signature of private key 1, without network or test config.
+
+const test = require('tape');
+
+const { UpvestTenancyAPI } = require('@upvest/tenancy-api');
+
+const { signatures } = new UpvestTenancyAPI('http://127.0.0.1:1/1.0/', 'key', 'secret', 'passphrase');
+
+// sha256('tape'), signed with private key 1, whose public key is the generator point
+const DIGEST = '8ba4ec7d634f794ec260675876415c279bcd46e3705d5ffda147a65db9e15a12';
+const RESULTS = {
+  hex: {
+    big_number_format: 'hex',
+    algorithm: 'ECDSA',
+    curve: 'secp256k1',
+    public_key: {
+      x: '79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798',
+      y: '483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8',
+    },
+    r: '96acadd1c4cba22a305f5153d45da022aea5e0740018fbdf60d22bfa2517b190',
+    s: '5bd1cedfe0014eb654643189035d3682a92c83304613e448bf00e83620a244ab',
+  },
+  dec: {
+    big_number_format: 'dec',
+    algorithm: 'ECDSA',
+    curve: 'secp256k1',
+    public_key: {
+      x: '55066263022277343669578718895168534326250603453777594175500187360389116729240',
+      y: '32670510020758816978083085130507043184471273380659243275938904335757337482424',
+    },
+    r: '68152024640103667674814683334796583508849280139575772014684103537219094426000',
+    s: '41531168053021960493153672326251496536059765305936902717015659125201965302955',
+  },
+  base64: {
+    big_number_format: 'base64',
+    algorithm: 'ECDSA',
+    curve: 'secp256k1',
+    public_key: {
+      x: 'eb5mfvncu6xVoGKVzocLBwKb/NstzijZWfKBWxb4F5g=',
+      y: 'SDradyajxGVdpPv8DhEIqP0XtEimhVQZnEfQj/sQ1Lg=',
+    },
+    r: 'lqyt0cTLoiowX1FT1F2gIq6l4HQAGPvfYNIr+iUXsZA=',
+    s: 'W9HO3+ABTrZUZDGJA102gqksgzBGE+RIvwDoNiCiRKs=',
+  },
+};
+
+const ADDRESSES = {
+  ethereum: '0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf',
+  bitcoin_p2pkh: '1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH',
+  bitcoin_p2wpkh: 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4',
+  bitcoin_testnet_p2pkh: 'mrCDrCybB6J1vRfbwM5hemdJz73FwDBC8r',
+  bitcoin_testnet_p2wpkh: 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx',
+};
+
+test('Testing signatures.publicKeyToAddress() for Ethereum and Bitcoin', function (t) {
+  for (const [format, result] of Object.entries(RESULTS)) {
+    t.equal(signatures.publicKeyToAddress(result, 'ethereum'), ADDRESSES.ethereum, `Ethereum, ${format}`);
+    t.equal(signatures.publicKeyToAddress(result, 'erc20_ropsten'), ADDRESSES.ethereum, `ERC20, ${format}`);
+    t.equal(signatures.publicKeyToAddress(result, 'bitcoin'), ADDRESSES.bitcoin_p2pkh, `Bitcoin p2pkh, ${format}`);
+    t.equal(
+      signatures.publicKeyToAddress(result, 'bitcoin', 'p2wpkh'),
+      ADDRESSES.bitcoin_p2wpkh,
+      `Bitcoin p2wpkh, ${format}`
+    );
+    t.equal(
+      signatures.publicKeyToAddress(result, 'bitcoin_testnet'),
+      ADDRESSES.bitcoin_testnet_p2pkh,
+      `Bitcoin testnet p2pkh, ${format}`
+    );
+    t.equal(
+      signatures.publicKeyToAddress(result, 'bitcoin_testnet', 'p2wpkh'),
+      ADDRESSES.bitcoin_testnet_p2wpkh,
+      `Bitcoin testnet p2wpkh, ${format}`
+    );
+  }
+  t.throws(() => signatures.publicKeyToAddress(RESULTS.hex, 'bitcoin', 'p2tr'), TypeError, 'Unknown address type');
+  t.throws(() => signatures.publicKeyToAddress(RESULTS.hex, 'stellar'), TypeError, 'Unsupported protocol');
+  t.end();
+});
+
+test('Testing signatures.verify() with wallets of either protocol', function (t) {
+  const wallets = [
+    { protocol: 'ethereum', address: ADDRESSES.ethereum.toLowerCase() },
+    { protocol: 'bitcoin', address: ADDRESSES.bitcoin_p2pkh },
+    { protocol: 'bitcoin', address: ADDRESSES.bitcoin_p2wpkh },
+    { protocol: 'bitcoin_testnet', address: ADDRESSES.bitcoin_testnet_p2pkh },
+    { protocol: 'bitcoin_testnet', address: ADDRESSES.bitcoin_testnet_p2wpkh },
+  ];
+  for (const [format, result] of Object.entries(RESULTS)) {
+    t.ok(signatures.verify(result, DIGEST), `Signature verifies, ${format}`);
+    for (const wallet of wallets) {
+      t.ok(signatures.verify(result, DIGEST, { wallet }), `${wallet.protocol} wallet ${wallet.address}, ${format}`);
+    }
+    t.notOk(
+      signatures.verify(result, DIGEST, { wallet: { protocol: 'bitcoin', address: ADDRESSES.bitcoin_testnet_p2pkh } }),
+      `Address of another network does not match, ${format}`
+    );
+  }
+  t.notOk(signatures.verify(RESULTS.hex, DIGEST.replace(/^8/, '9')), 'Other digest does not verify');
+  t.notOk(
+    signatures.verify(RESULTS.hex, DIGEST, { address: '1QLbz7JHiBTspS962RLKV8GndWFwi5j6Qr', protocol: 'bitcoin' }),
+    'Other Bitcoin address does not match'
+  );
+  t.throws(
+    () => signatures.verify(RESULTS.hex, DIGEST, { address: ADDRESSES.ethereum }),
+    /needs an Ethereum or Bitcoin `protocol`/,
+    'An address without protocol is a TypeError'
+  );
+  t.throws(
+    () => signatures.verify(RESULTS.hex, DIGEST, { address: ADDRESSES.ethereum, protocol: 'arweave' }),
+    /not "arweave"/,
+    'and so is one of a protocol without addresses'
+  );
+  t.end();
+});
@@ -0,0 +1,86 @@
+// Pins API key signatures to known values, without network or test config.
+
+const { execFileSync } = require('child_process');
+const crypto = require('crypto');
+const path = require('path');
+
+const test = require('tape');
+
+const { Signer } = require('@upvest/tenancy-api');
+
+const SECRET = '9O7tLb1ub6qLHZQ00ButDOcfvw9g7Gn8GzFB4WmsUrA';
+const TIMESTAMP = 1571395200;
+
+test('Testing Signer against known signatures', async function (t) {
+  const signer = new Signer(SECRET);
+
+  t.equal(
+    await signer.sign({
+      timestamp: TIMESTAMP,
+      method: 'get',
+      signedPath: 'https://api.playground.upvest.co/1.0/tenancy/users/?page_size=2&cursor=abc',
+    }),
+    'b2947a6b817ac6b9ccbf3cdc13a03f977cf8ba8ad0d590ff2e71cec59f2d16fc43bc1cb5fc2341a0c660a18d49f7c236c5a0c00814f01628904d293691422a6e',
+    'GET with absolute URL, query string and no body'
+  );
+  t.equal(
+    await signer.sign({
+      timestamp: String(TIMESTAMP),
+      method: 'POST',
+      signedPath: '/1.0/tenancy/echo-signed',
+      body: '{"echo":"Über"}',
+    }),
+    '271bd2225690ef72e81935bc521d2693b44bb6848dc5de15596b35de83476e0d57b7320910f11dbfe85dded81b29683c6588c56adaa24b81e067ffd20c634399',
+    'POST with relative path and UTF-8 body'
+  );
+  t.equal(
+    await new Signer('secret').sign({ timestamp: 1, method: 'post', signedPath: '/1.0/x?y=1', body: '{}' }),
+    '4acfeb54a2107b8800c8b908494a6e70b80c7ddaf99c66fac7e6e3eea28f58f8d256ab172612d9a452281ec9450c4bdd47758da093805d0836b4c54f0f59387f',
+    'Short secret'
+  );
+  t.end();
+});
+
+test('Testing Signer debug info', async function (t) {
+  const signer = new Signer(SECRET);
+  const debugInfo = await signer.getDebugInfo({
+    timestamp: TIMESTAMP,
+    method: 'post',
+    signedPath: 'http://localhost/1.0/tenancy/echo-signed?a=b',
+  });
+  t.equal(debugInfo.method.normalized, 'POST', 'Method is upper-cased');
+  t.equal(debugInfo.signedPath.normalized, '/1.0/tenancy/echo-signed?a=b', 'Signed path is path and query');
+  t.equal(debugInfo.body.normalized, '', 'Missing body is empty');
+  t.equal(
+    debugInfo.timestamp.sha512,
+    crypto.createHash('sha512').update(String(TIMESTAMP)).digest('hex'),
+    'SHA-512 of the normalized timestamp'
+  );
+  t.end();
+});
+
+// Runs in a Node.js process of its own, without `Buffer`, like a browser or an
+// edge runtime would, with the entry point `exports` gives them.
+const WITHOUT_BUFFER = `
+  delete global.Buffer;
+  const { Signer, UpvestTenancyAPI, erc20Transfer } = require(process.argv[1]);
+  new UpvestTenancyAPI('https://api.example.com/1.0/', 'key', 'secret', 'passphrase');
+  new Signer('secret')
+    .sign({ timestamp: 1, method: 'post', signedPath: '/1.0/x?y=1', body: '{}' })
+    .then(signature => console.log(JSON.stringify({ signature, erc20Transfer: typeof erc20Transfer })));
+`;
+
+test('Testing the web entry point without Buffer', { skip: typeof globalThis.crypto == 'undefined' }, function (t) {
+  const packageDirectory = path.dirname(require.resolve('@upvest/tenancy-api/package.json'));
+  const { exports } = require('@upvest/tenancy-api/package.json');
+  t.equal(exports['.'].default, './index.web.js', 'exports has the web entry point as default');
+  const output = execFileSync(process.execPath, ['-e', WITHOUT_BUFFER, path.join(packageDirectory, 'index.web.js')]);
+  const { signature, erc20Transfer } = JSON.parse(String(output));
+  t.equal(
+    signature,
+    '4acfeb54a2107b8800c8b908494a6e70b80c7ddaf99c66fac7e6e3eea28f58f8d256ab172612d9a452281ec9450c4bdd47758da093805d0836b4c54f0f59387f',
+    'The client loads and signs with the global WebCrypto'
+  );
+  t.equal(erc20Transfer, 'function', 'Helpers needing Buffer are there, to be loaded on first use');
+  t.end();
+});
@@ -0,0 +1,41 @@
+const testenv = require('../../testenv.js');
+const partials = require('../../partials.js');
+
+const { UpvestError, NotFoundError, AuthenticationError } = require('@upvest/tenancy-api');
+
+// Shortcuts to most-used facilities.
+const { test, inspect, cryptoRandomString } = testenv;
+
+
+test('Testing that failed calls throw typed errors', async function (t) {
+  t.comment('Retrieve a user which does not exist.');
+  const username = cryptoRandomString({length: 10, type: 'distinguishable'});
+  try {
+    await testenv.tenancy.users.retrieve(username);
+    t.fail('Retrieving a non-existing user should have failed, but did not.');
+  }
+  catch (error) {
+    t.ok(error instanceof NotFoundError, 'Error is a NotFoundError.');
+    t.ok(error instanceof UpvestError, 'Error is an UpvestError.');
+    t.equal(error.status, 404, 'Error status is 404.');
+    t.equal(error.response.status, 404, 'Original response is still attached.');
+  }
+
+  t.comment('Call the API with a wrong API key secret.');
+  const wrongTenancy = new testenv.UpvestTenancyAPI(
+    testenv.config.baseURL,
+    testenv.config.first_apikey.key,
+    'wrong',
+    testenv.config.first_apikey.passphrase_last_chance_to_see,
+    testenv.config.timeOut,
+  );
+  try {
+    await wrongTenancy.echo('Hi there!');
+    t.fail('Calling the API with a wrong secret should have failed, but did not.');
+  }
+  catch (error) {
+    t.ok(error instanceof AuthenticationError, 'Error is an AuthenticationError.');
+  }
+
+  t.end();
+});
@@ -0,0 +1,53 @@
+const testenv = require('../../testenv.js');
+const partials = require('../../partials.js');
+
+// Shortcuts to most-used facilities.
+const { test, inspect } = testenv;
+
+
+test('Testing users.listPages(), resuming from a cursor and walking backwards', async function (t) {
+  const PAGE_LENGTH = 2;
+
+  const userPromises = [];
+  for (let i = 0; i < (3 * PAGE_LENGTH); i++) {
+    userPromises.push(partials.tCreateUser(t, testenv.tenancy));
+  }
+  const userResults = await Promise.all(userPromises);
+  for (const { username } of userResults) {
+    if (username === null) return;
+  }
+
+  t.comment('Collect all pages going forwards.');
+  const pages = [];
+  for await (const page of testenv.tenancy.users.listPages(PAGE_LENGTH)) {
+    t.ok(Array.isArray(page.results), 'Page has "results".');
+    t.ok(page.results.length <= PAGE_LENGTH, `Page has at most ${PAGE_LENGTH} results.`);
+    pages.push(page);
+  }
+  t.ok(pages.length >= 3, 'Got at least three pages.');
+  t.equal(pages[0].cursor, null, 'First page was fetched without a cursor.');
+  t.equal(pages[pages.length - 1].next, null, 'Last page has no "next" URL.');
+
+  t.comment('Resume from the cursor of the second page.');
+  const resumedPages = [];
+  for await (const page of testenv.tenancy.users.listPages(PAGE_LENGTH, {cursor: pages[0].nextCursor})) {
+    resumedPages.push(page);
+  }
+  t.equal(resumedPages.length, pages.length - 1, 'Resuming skips exactly the first page.');
+  t.deepEqual(
+    resumedPages[0].results.map(user => user.username),
+    pages[1].results.map(user => user.username),
+    'Resumed page equals the second page.'
+  );
+
+  t.comment('Walk backwards from the last page.');
+  const lastPage = pages[pages.length - 1];
+  const backwardPages = [];
+  for await (const page of testenv.tenancy.users.listPages(PAGE_LENGTH, {cursor: lastPage.cursor, direction: 'previous'})) {
+    backwardPages.push(page);
+  }
+  t.equal(backwardPages.length, pages.length, 'Walking backwards visits every page.');
+  t.equal(backwardPages[backwardPages.length - 1].previous, null, 'First page has no "previous" URL.');
+
+  t.end();
+});
@@ -189,19 +189,19 @@ class TxSender {
   }
 
   sendTx() {
-    return this.api.transactions.create(
-      this.wallet.id,
-      this.password,
-      this.faucetCfg.holder.address,
-      this.mainTxAssetId,
-      this.mainTxAmount.toString(10),
-      this.effectiveFeeCfg.fee,
-      true,
-      null,
-      this.fund,
-      this.effectiveFeeCfg.gasLimit,
-      this.effectiveFeeCfg.gasPrice,
-    );
+    return this.api.transactions.create({
+      walletId: this.wallet.id,
+      password: this.password,
+      recipient: this.faucetCfg.holder.address,
+      assetId: this.mainTxAssetId,
+      quantity: this.mainTxAmount,
+      fee: this.effectiveFeeCfg.fee,
+      async: true,
+      fund: this.fund,
+      gasLimit: this.effectiveFeeCfg.gasLimit,
+      gasPrice: this.effectiveFeeCfg.gasPrice,
+      protocol: this.wallet.protocol,
+    });
   }
 
   async sendAllTxs() {
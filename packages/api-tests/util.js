@@ -1,5 +1,7 @@
 const { createInterface } = require('readline');
 
+const { redact } = require('@upvest/tenancy-api');
+
 function setDifference(setA, setB) {
   const _difference = new Set(setA);
   for (const elem of setB) {
@@ -25,8 +27,8 @@ const inspectResponse = response => {
       method: response.config.method,
       url: response.config.url,
       queryParams: response.config.params,
-      headers: response.config.headers,
-      jsonBody: response.config.data,
+      headers: redact(response.config.headers),
+      jsonBody: redact(response.config.data),
     },
     response: {
       status: response.status,
@@ -57,8 +59,8 @@ const inspectError = error => {
         method: error.config.method,
         url: error.config.url,
         queryParams: error.config.params,
-        headers: error.config.headers,
-        jsonBody: error.config.data,
+        headers: redact(error.config.headers),
+        jsonBody: redact(error.config.data),
       };
     }
     inspect(summary);
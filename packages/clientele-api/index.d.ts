@@ -0,0 +1,149 @@
+import {
+  AssetsEndpoint,
+  WalletsEndpoint,
+  TransactionsEndpoint,
+  SignaturesEndpoint,
+  UtxosEndpoint,
+  AssetRegistry,
+  ClientOptions,
+  HTTPClient,
+  WithRequestId,
+  RequestOptions,
+} from '@upvest/api-library';
+
+export {
+  UpvestError,
+  UpvestAPIError,
+  AuthenticationError,
+  SignatureMismatchError,
+  ValidationError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  TimeoutError,
+  NetworkError,
+  WaitTimeoutError,
+  AbortError,
+  TransactionFailedError,
+  SchemaValidationError,
+  Amount,
+  AssetRegistry,
+  erc20Transfer,
+  selectCoins,
+  buildBitcoinPsbt,
+  finalizePsbt,
+  StaticFeeOracle,
+  JsonRpcFeeOracle,
+  FeeHistoryOracle,
+  defaultRedactedFields,
+  redact,
+  createRequestLogger,
+  createTelemetryPlugin,
+  createFetchClient,
+} from '@upvest/api-library';
+
+export type {
+  Asset,
+  Balance,
+  Wallet,
+  WalletStatus,
+  Transaction,
+  TransactionStatus,
+  FeeInfo,
+  Utxo,
+  SignatureResult,
+  Page,
+  ListOptions,
+  ClientOptions,
+  Plugin,
+  PluginContext,
+  Logger,
+  RequestLogRecord,
+  Telemetry,
+  Transport,
+  TransactionOptions,
+  HTTPClient,
+  RequestConfig,
+  Response,
+  RequestOptions,
+} from '@upvest/api-library';
+
+export type Scope = 'read' | 'write' | 'echo' | 'wallet' | 'transaction' | string;
+
+// As the token endpoint returns it, plus when it was granted.
+export interface OAuth2Token {
+  access_token: string;
+  token_type?: string;
+  // Seconds
+  expires_in: number;
+  refresh_token?: string;
+  scope?: string;
+  // Milliseconds since the epoch, defaults to now
+  granted_at?: number;
+}
+
+// One entry per offboarded wallet, with the key material for its protocol.
+export interface OffboardedWallet {
+  id: string;
+  address: string;
+  protocol: string;
+  // Ethereum wallets: the encrypted keystore file, as JSON
+  keystore_file?: {[key: string]: unknown};
+  // Bitcoin wallets
+  bip38_encrypted_private_key?: string;
+  qr_code_svg?: string;
+  qr_code_png_base64?: string;
+  [key: string]: unknown;
+}
+
+export interface OffboardingMetadata {
+  username: string;
+  total_wallet_count: number;
+  offboarded_wallet_count: number;
+  [key: string]: unknown;
+}
+
+export interface OffboardingResponse extends WithRequestId {
+  previous: string | null;
+  next: string | null;
+  results: OffboardedWallet[];
+  metadata: OffboardingMetadata;
+  // The same, as files in a ZIP archive
+  zip_base64: string;
+}
+
+declare class BaseUpvestClienteleAPI {
+  constructor(client: HTTPClient, options?: ClientOptions);
+  client: HTTPClient;
+  options: ClientOptions;
+  requestInterceptorHandle: number;
+  getFreshOAuth2Token(): Promise<OAuth2Token>;
+  getCachedToken(): Promise<OAuth2Token>;
+  echo(what: string, requestIdOrOptions?: string | RequestOptions): Promise<string>;
+  echoGet(what: string): Promise<string>;
+  offboard(password: string, requestId?: string): Promise<OffboardingResponse>;
+  readonly assets: AssetsEndpoint;
+  readonly wallets: WalletsEndpoint;
+  readonly transactions: TransactionsEndpoint;
+  readonly signatures: SignaturesEndpoint;
+  readonly utxos: UtxosEndpoint;
+  readonly assetRegistry: AssetRegistry;
+}
+
+export class UpvestClienteleAPI extends BaseUpvestClienteleAPI {
+  constructor(
+    baseURL: string,
+    client_id: string,
+    client_secret: string,
+    username: string,
+    password: string,
+    scope?: Scope[],
+    timeout?: number,
+    userAgent?: string,
+    options?: ClientOptions
+  );
+}
+
+export class UpvestClienteleAPIFromOAuth2Token extends BaseUpvestClienteleAPI {
+  constructor(baseURL: string, oauth2Token: OAuth2Token, timeout?: number, userAgent?: string, options?: ClientOptions);
+}
@@ -1,5 +1,3 @@
-const util = require('util');
-const axios = require('axios');
 const oauth = require('axios-oauth-client');
 const tokenProvider = require('axios-token-interceptor');
 
@@ -11,31 +9,65 @@ const {
   TransactionsEndpoint,
   SignaturesEndpoint,
   UtxosEndpoint,
+  getRequestOptions,
+  reportRequestId,
   createHTTPClient,
+  createTransportClient,
+  UpvestError,
+  UpvestAPIError,
+  AuthenticationError,
+  SignatureMismatchError,
+  ValidationError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  TimeoutError,
+  NetworkError,
+  WaitTimeoutError,
+  AbortError,
+  TransactionFailedError,
+  SchemaValidationError,
+  Amount,
+  AssetRegistry,
+  erc20Transfer,
+  selectCoins,
+  buildBitcoinPsbt,
+  finalizePsbt,
+  StaticFeeOracle,
+  JsonRpcFeeOracle,
+  FeeHistoryOracle,
+  defaultRedactedFields,
+  redact,
+  createRequestLogger,
+  createTelemetryPlugin,
+  createFetchClient,
 } = require('@upvest/api-library');
+const {schemas} = require('./schemas.js');
 
 class BaseUpvestClienteleAPI {
-  constructor(client) {
+  constructor(client, options = {}) {
     this.client = client;
+    this.options = options;
   }
 
-  async echo(what) {
+  // The last argument is the request ID, or `{requestId, onRequestId}` to
+  // also learn the ID the client generated.
+  async echo(what, requestIdOrOptions) {
+    const {requestId, onRequestId} = getRequestOptions(requestIdOrOptions);
     const data = {echo: what};
-    const response = await this.client.post('clientele/echo-oauth2', data);
+    const response = await this.client.post('clientele/echo-oauth2', data, {requestId, operation: 'echo'});
+    reportRequestId(response, onRequestId);
     return response.data.echo;
   }
 
   async echoGet(what) {
     const data = {echo: what};
-    const response = await this.client.get('clientele/echo-oauth2', {params: data});
+    const response = await this.client.get('clientele/echo-oauth2', {params: data, operation: 'echoGet'});
     return response.data.echo;
   }
 
-  async offboard(password) {
-    const response = await this.client.post(
-      'clientele/offboard',
-      {password}
-    );
+  async offboard(password, requestId) {
+    const response = await this.client.post('clientele/offboard', {password}, {requestId, operation: 'offboard'});
     return response.data;
   }
 
@@ -55,7 +87,10 @@ class BaseUpvestClienteleAPI {
 
   get transactions() {
     if (!this.transactionsEndpoint) {
-      this.transactionsEndpoint = new TransactionsEndpoint(this.client);
+      this.transactionsEndpoint = new TransactionsEndpoint(this.client, {
+        feeOracle: this.options.feeOracle,
+        assetRegistry: this.assetRegistry,
+      });
     }
     return this.transactionsEndpoint;
   }
@@ -73,6 +108,14 @@ class BaseUpvestClienteleAPI {
     }
     return this.utxosEndpoint;
   }
+
+  // Cached asset catalog, configured via `options.assetRegistry`, e.g. `{ttl, snapshot}`
+  get assetRegistry() {
+    if (!this.assetRegistryInstance) {
+      this.assetRegistryInstance = new AssetRegistry(this.assets, this.options.assetRegistry);
+    }
+    return this.assetRegistryInstance;
+  }
 }
 
 class UpvestClienteleAPI extends BaseUpvestClienteleAPI {
@@ -83,13 +126,15 @@ class UpvestClienteleAPI extends BaseUpvestClienteleAPI {
     username,
     password,
     scope = ['read', 'write', 'echo', 'wallet', 'transaction'],
-    timeout = 120000
+    timeout = 120000,
+    userAgent,
+    options = {}
   ) {
     const OAuth2TokenURL = baseURL + 'clientele/oauth2/token';
 
     const getFreshOAuth2Token = () => {
       return oauth
-        .client(axios.create(), {
+        .client(createTransportClient(options.transport), {
           url: OAuth2TokenURL,
           grant_type: 'password',
           client_id: client_id,
@@ -108,23 +153,30 @@ class UpvestClienteleAPI extends BaseUpvestClienteleAPI {
       getMaxAge: res => res.expires_in * 1000,
     });
 
-    const client = axios.create({
-      baseURL: baseURL,
-      timeout: timeout || 120000,
-      maxRedirects: 0, // Upvest API should not redirect anywhere. We use versioned endpoints instead.
-    });
-
-    const requestInterceptorHandle = client.interceptors.request.use(
+    const client = createHTTPClient({
+      baseURL,
+      timeout,
+      userAgent,
+      version,
+      retry: options.retry,
+      plugins: options.plugins,
+      logger: options.logger,
+      redact: options.redact,
+      telemetry: options.telemetry,
+      transport: options.transport,
+      validateResponses: options.validateResponses,
+      schemas,
       // Wraps axios-token-interceptor with oauth-specific configuration,
       // fetches the token using the desired claim method, and caches
       // until the token expires
-      tokenProvider({
+      authenticate: tokenProvider({
         getToken: getCachedToken,
         headerFormatter: res => 'Bearer ' + res.access_token,
-      })
-    );
+      }),
+    });
+    const requestInterceptorHandle = client.authInterceptorHandle;
 
-    super(client);
+    super(client, options);
     this.getFreshOAuth2Token = getFreshOAuth2Token;
     this.getCachedToken = getCachedToken;
     this.requestInterceptorHandle = requestInterceptorHandle;
@@ -132,9 +184,7 @@ class UpvestClienteleAPI extends BaseUpvestClienteleAPI {
 }
 
 class UpvestClienteleAPIFromOAuth2Token extends BaseUpvestClienteleAPI {
-  constructor(baseURL, oauth2Token, timeout = 120000, userAgent) {
-    const OAuth2TokenURL = baseURL + 'clientele/oauth2/token';
-
+  constructor(baseURL, oauth2Token, timeout = 120000, userAgent, options = {}) {
     if (!oauth2Token.granted_at) {
       oauth2Token.granted_at = Date.now(); // This default is most likely wrong, but we don't have anything better.
     }
@@ -147,19 +197,30 @@ class UpvestClienteleAPIFromOAuth2Token extends BaseUpvestClienteleAPI {
       getMaxAge: res => res.expires_in * 1000,
     });
 
-    // create the httpc leint
-    client = createHTTPClient({baseURL, timeout, userAgent, version });
-    const requestInterceptorHandle = client.interceptors.request.use(
+    const client = createHTTPClient({
+      baseURL,
+      timeout,
+      userAgent,
+      version,
+      retry: options.retry,
+      plugins: options.plugins,
+      logger: options.logger,
+      redact: options.redact,
+      telemetry: options.telemetry,
+      transport: options.transport,
+      validateResponses: options.validateResponses,
+      schemas,
       // Wraps axios-token-interceptor with oauth-specific configuration,
       // fetches the token using the desired claim method, and caches
       // until the token expires
-      tokenProvider({
+      authenticate: tokenProvider({
         getToken: getCachedToken,
         headerFormatter: res => 'Bearer ' + res.access_token,
-      })
-    );
+      }),
+    });
+    const requestInterceptorHandle = client.authInterceptorHandle;
 
-    super(client);
+    super(client, options);
     this.getFreshOAuth2Token = getFreshOAuth2Token;
     this.getCachedToken = getCachedToken;
     this.requestInterceptorHandle = requestInterceptorHandle;
@@ -169,4 +230,32 @@ class UpvestClienteleAPIFromOAuth2Token extends BaseUpvestClienteleAPI {
 module.exports = {
   UpvestClienteleAPI,
   UpvestClienteleAPIFromOAuth2Token,
+  UpvestError,
+  UpvestAPIError,
+  AuthenticationError,
+  SignatureMismatchError,
+  ValidationError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  TimeoutError,
+  NetworkError,
+  WaitTimeoutError,
+  AbortError,
+  TransactionFailedError,
+  SchemaValidationError,
+  Amount,
+  AssetRegistry,
+  erc20Transfer,
+  selectCoins,
+  buildBitcoinPsbt,
+  finalizePsbt,
+  StaticFeeOracle,
+  JsonRpcFeeOracle,
+  FeeHistoryOracle,
+  defaultRedactedFields,
+  redact,
+  createRequestLogger,
+  createTelemetryPlugin,
+  createFetchClient,
 };
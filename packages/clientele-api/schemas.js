@@ -0,0 +1,47 @@
+// JSON Schemas of the clientele-only endpoints, by operation name, on top of
+// `responseSchemas` from @upvest/api-library. See `validateResponses`.
+
+const {responseSchemaFragments} = require('@upvest/api-library');
+
+const {nullableString} = responseSchemaFragments;
+
+const echo = {
+  type: 'object',
+  required: ['echo'],
+  properties: {echo: {type: 'string'}},
+};
+
+const schemas = {
+  echo,
+  echoGet: echo,
+  offboard: {
+    type: 'object',
+    required: ['results', 'metadata', 'zip_base64'],
+    properties: {
+      previous: nullableString,
+      next: nullableString,
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'address', 'protocol'],
+          properties: {id: {type: 'string'}, address: {type: 'string'}, protocol: {type: 'string'}},
+        },
+      },
+      metadata: {
+        type: 'object',
+        required: ['total_wallet_count', 'offboarded_wallet_count'],
+        properties: {
+          username: {type: 'string'},
+          total_wallet_count: {type: 'integer', minimum: 0},
+          offboarded_wallet_count: {type: 'integer', minimum: 0},
+        },
+      },
+      zip_base64: {type: 'string'},
+    },
+  },
+};
+
+module.exports = {
+  schemas,
+};
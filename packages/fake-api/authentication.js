@@ -0,0 +1,162 @@
+// Checks API key signatures the way the API does, on its own rather than with
+// the Signer of the tenancy client, and hands out and checks OAuth2 tokens.
+
+const crypto = require('crypto');
+const {FakeAPIError} = require('./errors.js');
+
+const getHeader = (request, name) => request.headers[name.toLowerCase()];
+
+const toPathAndQuery = input => {
+  const url = new URL(input, 'http://placeholder-baseurl.com');
+  return url.pathname + url.search;
+};
+
+function notAuthenticated(location, message) {
+  return new FakeAPIError(401, 'not_authenticated', message, [{location, reason: 'invalid', message}]);
+}
+
+function signatureMismatch(location, message, details = []) {
+  return new FakeAPIError(403, 'signature_mismatch', message, [{location, reason: 'invalid', message}, ...details]);
+}
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length == bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+function createAPIKey({key, secret, passphrase}) {
+  return {key, secret, passphrase};
+}
+
+// What the API signs: timestamp, method, path with query string and body, as
+// they arrived, one after the other.
+const getMessageParts = (request, timestamp) => ({
+  timestamp,
+  method: request.method.toUpperCase(),
+  signed_path: request.url,
+  body: request.rawBody || '',
+});
+
+// Hex HMAC-SHA512 of the message parts
+function sign(secret, messageParts) {
+  const hmac = crypto.createHmac('sha512', secret);
+  for (const part of Object.values(messageParts)) {
+    hmac.update(part, 'utf8');
+  }
+  return hmac.digest('hex');
+}
+
+// What the API key debugger of the tenancy client compares, see
+// tenancy-api/authentication/api-key/debugger.js.
+function getDebugHint(messageParts) {
+  const message_parts = {};
+  for (const [name, canonicalized] of Object.entries(messageParts)) {
+    const sha512 = crypto.createHash('sha512').update(canonicalized, 'utf8').digest('hex');
+    message_parts[name] = {canonicalized, sha512};
+  }
+  return {
+    location: 'X-UP-API-Signature',
+    reason: 'debugHint',
+    message: 'What the signature was checked against.',
+    value: {message_parts},
+  };
+}
+
+function authenticateAPIKey(fake, request) {
+  const key = getHeader(request, 'X-UP-API-Key');
+  if (!key) {
+    throw notAuthenticated('X-UP-API-Key', 'The X-UP-API-Key header is missing.');
+  }
+  const apiKey = fake.apiKeys.get(key);
+  if (!apiKey) {
+    throw notAuthenticated('X-UP-API-Key', `Unknown API key "${key}".`);
+  }
+  if (!safeEqual(getHeader(request, 'X-UP-API-Passphrase') || '', apiKey.passphrase)) {
+    throw notAuthenticated('X-UP-API-Passphrase', 'Wrong passphrase for the API key.');
+  }
+
+  const timestamp = getHeader(request, 'X-UP-API-Timestamp');
+  if (!/^\d+$/.test(timestamp || '')) {
+    throw signatureMismatch('X-UP-API-Timestamp', 'The X-UP-API-Timestamp header must be seconds since the epoch.');
+  }
+  const skew = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (skew > fake.options.maxClockSkew) {
+    throw signatureMismatch('X-UP-API-Timestamp', `The timestamp is ${Math.round(skew)} seconds off.`);
+  }
+
+  // Signed is what actually arrived, not what the client claims to have signed.
+  const signedPath = getHeader(request, 'X-UP-API-Signed-Path');
+  if (!signedPath || toPathAndQuery(signedPath) != toPathAndQuery(request.url)) {
+    throw signatureMismatch(
+      'X-UP-API-Signed-Path',
+      `The signed path "${signedPath}" is not the requested "${request.url}".`
+    );
+  }
+  const messageParts = getMessageParts(request, timestamp);
+  const expected = sign(apiKey.secret, messageParts);
+  if (!safeEqual(String(getHeader(request, 'X-UP-API-Signature') || '').toLowerCase(), expected)) {
+    throw signatureMismatch('X-UP-API-Signature', 'The signature does not match.', [getDebugHint(messageParts)]);
+  }
+  return {type: 'apiKey', key};
+}
+
+function getBearerToken(request) {
+  const match = /^Bearer\s+(\S+)$/i.exec(getHeader(request, 'Authorization') || '');
+  return match ? match[1] : null;
+}
+
+function authenticateOAuth2(fake, request) {
+  const accessToken = getBearerToken(request);
+  if (!accessToken) {
+    throw notAuthenticated('Authorization', 'The Authorization header with a Bearer token is missing.');
+  }
+  const token = fake.tokens.get(accessToken);
+  if (!token || token.expiresAt <= Date.now() || !fake.users.get(token.username)) {
+    throw new FakeAPIError(401, 'invalid_token', 'The access token is invalid or has expired.', [
+      {location: 'Authorization', reason: 'invalid', message: 'The access token is invalid or has expired.'},
+    ]);
+  }
+  return {type: 'oauth2', username: token.username, clientId: token.clientId, scope: token.scope};
+}
+
+// `auth` as given to `Router.add()`. Resolves the principal, `null` for
+// routes without authentication.
+async function authenticate(fake, request, auth) {
+  if (!auth) {
+    return null;
+  }
+  if (auth == 'oauth2' || (auth == 'any' && getBearerToken(request))) {
+    return authenticateOAuth2(fake, request);
+  }
+  return authenticateAPIKey(fake, request);
+}
+
+function issueToken(fake, clientId, username, scope) {
+  const token = {
+    accessToken: crypto.randomBytes(20).toString('hex'),
+    refreshToken: crypto.randomBytes(20).toString('hex'),
+    clientId,
+    username,
+    scope,
+    expiresAt: Date.now() + fake.options.tokenLifetime * 1000,
+  };
+  fake.tokens.set(token.accessToken, token);
+  fake.refreshTokens.set(token.refreshToken, token);
+  return {
+    access_token: token.accessToken,
+    token_type: 'Bearer',
+    expires_in: fake.options.tokenLifetime,
+    refresh_token: token.refreshToken,
+    scope,
+  };
+}
+
+module.exports = {
+  createAPIKey,
+  authenticate,
+  authenticateAPIKey,
+  authenticateOAuth2,
+  issueToken,
+  getHeader,
+};
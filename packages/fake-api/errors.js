@@ -0,0 +1,40 @@
+// Errors the fake answers with, in the same shapes as the Upvest API, so that
+// the clients turn them into the same typed errors (see api-library/errors.js).
+
+// `{"error": {"code", "message", "details": [{location, reason, message}]}}`
+class FakeAPIError extends Error {
+  constructor(status, code, message, details = []) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {error: {code: this.code, message: this.message, details: this.details}};
+  }
+}
+
+// The OAuth2 token endpoint answers as RFC 6749 says: `{"error", "error_description"}`
+class OAuth2Error extends FakeAPIError {
+  toJSON() {
+    return {error: this.code, error_description: this.message};
+  }
+}
+
+// A 400 for one bad field, e.g. `invalid('password', 'Wrong password.')`
+function invalid(location, message, reason = 'invalid') {
+  return new FakeAPIError(400, 'validation_error', message, [{location, reason, message}]);
+}
+
+function notFound(message) {
+  return new FakeAPIError(404, 'not_found', message);
+}
+
+module.exports = {
+  FakeAPIError,
+  OAuth2Error,
+  invalid,
+  notFound,
+};
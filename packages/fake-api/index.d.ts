@@ -0,0 +1,131 @@
+import {Asset} from '@upvest/api-library';
+
+export type TransactionStatus = 'QUEUED' | 'PENDING' | 'CONFIRMING' | 'CONFIRMED' | 'FAILED';
+
+export const TRANSACTION_STATUSES: TransactionStatus[];
+
+export interface FakeAsset extends Asset {
+  // e.g. 'ethereum_ropsten', 'erc20_ropsten' or 'bitcoin_testnet'
+  protocol: string;
+  metainfo?: {contract?: string; [key: string]: unknown};
+}
+
+export const defaultAssets: FakeAsset[];
+
+export interface FakeOptions {
+  // Seconds `X-UP-API-Timestamp` may be off.
+  maxClockSkew?: number;
+  // Seconds OAuth2 access tokens are valid.
+  tokenLifetime?: number;
+  pageSize?: number;
+  // Milliseconds between the statuses of a transaction, `null` to only move
+  // on with `setTransactionStatus()`.
+  confirmationDelay?: number | null;
+  // Milliseconds until the wallets of `async` users are ACTIVE.
+  walletActivationDelay?: number;
+  // Height of every chain before the first transaction.
+  blockHeight?: number;
+  webhookTimeout?: number;
+  assets?: FakeAsset[];
+}
+
+export const defaultOptions: Required<FakeOptions>;
+
+export interface FakeAPIKey {
+  key: string;
+  secret: string;
+  passphrase: string;
+}
+
+export interface FakeOAuth2Client {
+  client_id: string;
+  client_secret: string;
+}
+
+export interface CreatedUser {
+  username: string;
+  recoverykit: string;
+  wallet_ids: string[];
+}
+
+export interface WebhookDelivery {
+  webhookId: string;
+  url: string;
+  // e.g. 'upvest.wallet.created'
+  action: string;
+  body: string;
+  headers: {[name: string]: string | number};
+  // `null` until answered, and for failed deliveries
+  status: number | null;
+  error: Error | null;
+}
+
+export class FakeUpvestAPI {
+  constructor(options?: FakeOptions);
+  readonly options: Required<FakeOptions>;
+  readonly apiKey: FakeAPIKey;
+  readonly oauth2Client: FakeOAuth2Client;
+  readonly baseURL: string | null;
+  readonly webhookDeliveries: WebhookDelivery[];
+  addAPIKey(apiKey?: Partial<FakeAPIKey>): FakeAPIKey;
+  addOAuth2Client(client?: Partial<FakeOAuth2Client>): FakeOAuth2Client;
+  addUser(username: string, password: string, assetIds?: string[]): CreatedUser;
+  addWallet(username: string, assetId: string, index?: number): string;
+  // Returns the wallet's new address
+  setWalletKey(walletId: string, privateKey: string): string;
+  fund(
+    walletId: string,
+    assetId: string,
+    quantity: string | number | bigint,
+    options?: {sender?: string}
+  ): {txhash: string; blockNumber: number};
+  // Raw Bitcoin transactions behind the UTXOs of the fake's wallets
+  getTransactionHex(txhash: string): string;
+  setTransactionStatus(transactionId: string, status: TransactionStatus): {[key: string]: unknown};
+  settled(): Promise<WebhookDelivery[]>;
+  // Resolves the base URL for the clients, e.g. 'http://127.0.0.1:39127/1.0/'.
+  listen(port?: number, host?: string): Promise<string>;
+  close(): Promise<void>;
+  // A request handler for `http.createServer()`
+  handle(req: unknown, res: unknown): Promise<void>;
+}
+
+export interface ErrorDetail {
+  location: string;
+  reason: string;
+  message: string;
+  [key: string]: unknown;
+}
+
+export class FakeAPIError extends Error {
+  constructor(status: number, code: string, message: string, details?: ErrorDetail[]);
+  status: number;
+  code: string;
+  details: ErrorDetail[];
+  toJSON(): {error: {code: string; message: string; details: ErrorDetail[]}} | {[key: string]: unknown};
+}
+
+export class OAuth2Error extends FakeAPIError {}
+
+export class Collection<T = {[key: string]: unknown}> {
+  readonly size: number;
+  insert(id: string, record: T): T;
+  get(id: string): T | undefined;
+  delete(id: string): boolean;
+  values(): T[];
+  sequenced(filter?: (record: T) => boolean): {seq: number; record: T}[];
+}
+
+export function paginate<T, R>(
+  request: {url: string; origin: string; query: {[name: string]: unknown}},
+  entries: {seq: number; record: T}[],
+  toJSON: (record: T) => R,
+  defaultPageSize?: number
+): {previous: string | null; next: string | null; results: R[]};
+
+export function encodeCursor(position: number, reverse?: boolean): string;
+export function decodeCursor(cursor: string): {position: number; reverse: boolean};
+
+// `sha256=<hex HMAC-SHA256 of the body>`, as sent in `X-Up-Signature`
+export function signWebhookBody(body: string, hmacSecretKey: string): string;
+export function matchesFilter(event: string, filter: string): boolean;
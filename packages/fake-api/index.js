@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const http = require('http');
+const querystring = require('querystring');
+const {v4: uuidv4} = require('uuid');
+
+const {FakeAPIError, OAuth2Error, invalid} = require('./errors.js');
+const {Collection, paginate, encodeCursor, decodeCursor} = require('./store.js');
+const {Router} = require('./router.js');
+const {createAPIKey, authenticate, getHeader} = require('./authentication.js');
+const {WebhookDispatcher, signWebhookBody, matchesFilter} = require('./webhooks.js');
+const {
+  TRANSACTION_STATUSES,
+  createWallet,
+  setWalletKey,
+  fund,
+  getTransactionHex,
+  setTransactionStatus,
+} = require('./ledger.js');
+const {addTenancyRoutes, createUser} = require('./routes/tenancy.js');
+const {addKmsRoutes} = require('./routes/kms.js');
+const {addClienteleRoutes} = require('./routes/clientele.js');
+const {addDataRoutes} = require('./routes/data.js');
+
+const { version } = require('./package.json');
+
+const BASE_PATH = '/1.0/';
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// The assets of the playground, with the IDs from api-tests/example.test_config.json.
+const defaultAssets = [
+  {
+    id: 'deaaa6bf-d944-57fa-8ec4-2dd45d1f5d3f',
+    name: 'Ethereum (Ropsten)',
+    symbol: 'ETH',
+    exponent: 18,
+    protocol: 'ethereum_ropsten',
+    metainfo: {},
+  },
+  {
+    id: 'cfc59efb-3b21-5340-ae96-8cadb4ce31a8',
+    name: 'Example coin (Ropsten)',
+    symbol: 'COIN',
+    exponent: 18,
+    protocol: 'erc20_ropsten',
+    metainfo: {contract: '0x89abcdef0123456789abcdef0123456789abcdef'},
+  },
+  {
+    id: 'a3c18f74-935e-5d75-bd3c-ce0fb5464414',
+    name: 'Bitcoin (Testnet)',
+    symbol: 'BTC',
+    exponent: 8,
+    protocol: 'bitcoin_testnet',
+    metainfo: {},
+  },
+];
+
+const defaultOptions = {
+  // Seconds `X-UP-API-Timestamp` may be off.
+  maxClockSkew: 300,
+  // Seconds OAuth2 access tokens are valid.
+  tokenLifetime: 36000,
+  pageSize: 100,
+  // Milliseconds between the statuses of a transaction, `null` to only
+  // move on with `setTransactionStatus()`.
+  confirmationDelay: 0,
+  // Milliseconds until the wallets of `async` users are ACTIVE.
+  walletActivationDelay: 0,
+  // Height of every chain before the first transaction.
+  blockHeight: 1000,
+  webhookTimeout: 10000,
+  assets: defaultAssets,
+};
+
+const randomToken = bytes =>
+  crypto
+    .randomBytes(bytes)
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function parseBody(rawBody, contentType) {
+  if (!rawBody) {
+    return {};
+  }
+  if (/^application\/x-www-form-urlencoded/i.test(contentType || '')) {
+    return {...querystring.parse(rawBody)};
+  }
+  try {
+    return JSON.parse(rawBody);
+  } catch (error) {
+    throw invalid('body', `The body is not valid JSON: ${error.message}`);
+  }
+}
+
+// The Upvest Tenancy API and Upvest Clientele API in one process, with
+// everything in memory: users, wallets with real keys, transactions that
+// confirm by themselves (see `confirmationDelay`) and webhooks.
+//
+//     const fake = new FakeUpvestAPI();
+//     const baseURL = await fake.listen();
+//     const tenancy = new UpvestTenancyAPI(baseURL, fake.apiKey.key, fake.apiKey.secret, fake.apiKey.passphrase);
+class FakeUpvestAPI {
+  constructor(options = {}) {
+    this.options = {...defaultOptions, ...options};
+    this.startedAt = Date.now();
+    this.apiKeys = new Map();
+    this.oauth2Clients = new Map();
+    this.tokens = new Map();
+    this.refreshTokens = new Map();
+    this.users = new Collection();
+    this.wallets = new Collection();
+    this.transactions = new Collection();
+    this.webhooks = new Collection();
+    this.assets = new Collection();
+    this.chains = new Map();
+    this.timers = new Set();
+    // Responses to mutating requests by `X-UP-API-Request-ID`, so that
+    // retries get the first answer instead of doing everything again.
+    this.responsesByRequestId = new Map();
+    this.webhookDispatcher = new WebhookDispatcher(this.webhooks, {timeout: this.options.webhookTimeout});
+
+    for (const asset of this.options.assets) {
+      this.assets.insert(asset.id, {metainfo: {}, ...asset});
+    }
+    this.apiKey = this.addAPIKey();
+    this.oauth2Client = this.addOAuth2Client();
+
+    this.router = new Router();
+    addTenancyRoutes(this.router, this);
+    addKmsRoutes(this.router, this);
+    addClienteleRoutes(this.router, this);
+    addDataRoutes(this.router, this);
+
+    this.server = null;
+    this.baseURL = null;
+  }
+
+  // `{key, secret, passphrase}`, random unless given.
+  addAPIKey(apiKey = {}) {
+    const record = createAPIKey({
+      key: apiKey.key || randomToken(16),
+      secret: apiKey.secret || randomToken(32),
+      passphrase: apiKey.passphrase || randomToken(32),
+    });
+    this.apiKeys.set(record.key, record);
+    return {key: record.key, secret: record.secret, passphrase: record.passphrase};
+  }
+
+  // `{client_id, client_secret}`, random unless given.
+  addOAuth2Client(client = {}) {
+    const record = {
+      client_id: client.client_id || randomToken(30),
+      client_secret: client.client_secret || randomToken(96),
+    };
+    this.oauth2Clients.set(record.client_id, record);
+    return {...record};
+  }
+
+  // Creates a user as `POST tenancy/users/` does, without any webhooks being
+  // held back for `async`.
+  addUser(username, password, assetIds = []) {
+    return createUser(this, {username, password, asset_ids: assetIds});
+  }
+
+  // Another wallet of an existing user, returns its ID.
+  addWallet(username, assetId, index) {
+    const user = this.users.get(username);
+    if (!user) {
+      throw new TypeError(`Unknown user "${username}".`);
+    }
+    const asset = this.assets.get(assetId);
+    if (!asset) {
+      throw new TypeError(`Unknown asset "${assetId}".`);
+    }
+    return createWallet(this, user, asset, {index}).wallet.id;
+  }
+
+  // Gives the wallet the private key `privateKey` (hex), e.g. of a test vector,
+  // so that its signatures can be compared with the expected ones. Returns the
+  // new address. Fund Bitcoin wallets only afterwards.
+  setWalletKey(walletId, privateKey) {
+    return setWalletKey(this, walletId, privateKey);
+  }
+
+  // Puts `quantity` base units of `assetId` into the wallet, like a faucet
+  // would. Returns `{txhash, blockNumber}`.
+  fund(walletId, assetId, quantity, options) {
+    return fund(this, walletId, assetId, quantity, options);
+  }
+
+  // The hex of a Bitcoin transaction the fake made, for the UTXOs of funded
+  // wallets, change and transfers between wallets. Stands in for a block
+  // explorer, e.g. as `getTransactionHex` of `buildBitcoinPsbt()`.
+  getTransactionHex(txhash) {
+    return getTransactionHex(this, txhash);
+  }
+
+  setTransactionStatus(transactionId, status) {
+    return setTransactionStatus(this, transactionId, status);
+  }
+
+  get webhookDeliveries() {
+    return this.webhookDispatcher.deliveries;
+  }
+
+  // Resolves once all webhooks sent so far have been delivered (or failed).
+  settled() {
+    return this.webhookDispatcher.settled();
+  }
+
+  schedule(fn, delay) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      fn();
+    }, delay);
+    this.timers.add(timer);
+    return timer;
+  }
+
+  // Resolves the base URL to give the clients, e.g. 'http://127.0.0.1:39127/1.0/'.
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handle(req, res));
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        this.baseURL = `http://${host}:${address.port}${BASE_PATH}`;
+        resolve(this.baseURL);
+      });
+    });
+  }
+
+  async close() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    await this.settled();
+    if (this.server) {
+      const server = this.server;
+      this.server = null;
+      await new Promise((resolve, reject) => server.close(error => (error ? reject(error) : resolve())));
+    }
+  }
+
+  // A request handler for `http.createServer()`, e.g. to mount the fake in a
+  // server of your own.
+  async handle(req, res) {
+    const givenRequestId = req.headers['x-up-api-request-id'];
+    const replayKey =
+      givenRequestId && MUTATING_METHODS.indexOf(req.method) !== -1 ? `${req.method} ${req.url} ${givenRequestId}` : null;
+    let response;
+    try {
+      const rawBody = await readBody(req);
+      // Retries are authenticated like any other request before they get the
+      // first answer, so that a retry signed wrongly fails.
+      const {route, request} = await this.authenticate(req, rawBody);
+      if (replayKey && this.responsesByRequestId.has(replayKey)) {
+        response = this.responsesByRequestId.get(replayKey);
+      } else {
+        response = await this.dispatch(route, request);
+        if (replayKey) {
+          this.responsesByRequestId.set(replayKey, response);
+        }
+      }
+    } catch (caught) {
+      const error =
+        caught instanceof FakeAPIError
+          ? caught
+          : new FakeAPIError(500, 'server_error', `The fake failed: ${caught.message}`);
+      response = {status: error.status, body: error.toJSON()};
+      if (error.status == 401 && !(error instanceof OAuth2Error)) {
+        response.headers = {'WWW-Authenticate': 'Bearer'};
+      }
+    }
+    this.send(res, response, givenRequestId || uuidv4());
+  }
+
+  // Resolves the route and the request, with its `principal`.
+  async authenticate(req, rawBody) {
+    const origin = `http://${req.headers.host}`;
+    const url = new URL(req.url, origin);
+    if (!url.pathname.startsWith(BASE_PATH)) {
+      throw new FakeAPIError(404, 'not_found', `Everything is under ${BASE_PATH}, not ${url.pathname}.`);
+    }
+    const {route, params} = this.router.match(req.method, url.pathname.slice(BASE_PATH.length));
+    const request = {
+      method: req.method,
+      url: req.url,
+      path: url.pathname,
+      origin,
+      query: {...querystring.parse(url.search.slice(1))},
+      body: {},
+      rawBody,
+      headers: req.headers,
+      params,
+      principal: null,
+    };
+    request.principal = await authenticate(this, request, route.auth);
+    return {route, request};
+  }
+
+  async dispatch(route, request) {
+    request.body = parseBody(request.rawBody, getHeader(request, 'Content-Type'));
+    return (await route.handler(request)) || {};
+  }
+
+  send(res, {status = 200, body, headers = {}}, requestId) {
+    const payload = status == 204 || body === undefined ? '' : JSON.stringify(body);
+    res.writeHead(status, {
+      ...headers,
+      ...(payload ? {'Content-Type': 'application/json'} : {}),
+      'Content-Length': Buffer.byteLength(payload),
+      'X-UP-API-Request-ID': requestId,
+      Server: `upvest-fake-api/${version}`,
+    });
+    res.end(payload);
+  }
+}
+
+module.exports = {
+  FakeUpvestAPI,
+  defaultAssets,
+  defaultOptions,
+  TRANSACTION_STATUSES,
+  FakeAPIError,
+  OAuth2Error,
+  Collection,
+  paginate,
+  encodeCursor,
+  decodeCursor,
+  signWebhookBody,
+  matchesFilter,
+};
@@ -0,0 +1,184 @@
+// Real secp256k1 keys for the fake's wallets, so that addresses, signatures
+// and offboarded key files check out with the usual tools.
+
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const bs58check = require('bs58check');
+const EC = require('elliptic').ec;
+const {keccak256: keccak256Hex} = require('js-sha3');
+const {v4: uuidv4} = require('uuid');
+
+const ec = new EC('secp256k1');
+
+const BITCOIN_NETWORKS = {
+  bitcoin: bitcoin.networks.bitcoin,
+  bitcoin_mainnet: bitcoin.networks.bitcoin,
+  bitcoin_testnet: bitcoin.networks.testnet,
+  bitcoin_regtest: bitcoin.networks.regtest,
+};
+
+const isEthereumProtocol = protocol => /^(ethereum|erc20)(_|$)/.test(protocol);
+const isBitcoinProtocol = protocol => Boolean(BITCOIN_NETWORKS[protocol]);
+
+// `erc20_ropsten` tokens are held by `ethereum_ropsten` wallets.
+const getWalletProtocol = protocol => protocol.replace(/^erc20(?=_|$)/, 'ethereum');
+
+const isSupportedProtocol = protocol => isEthereumProtocol(protocol) || isBitcoinProtocol(protocol);
+
+const toHex32 = bn => bn.toString(16).padStart(64, '0');
+
+const keccak256 = data => Buffer.from(keccak256Hex.arrayBuffer(data));
+
+// EIP-55 mixed-case checksum encoding of the last 20 bytes of the keccak256
+// hash of the uncompressed public key
+function ethereumAddress(publicKey) {
+  const hex = keccak256(Buffer.from(publicKey.encode('hex', false).slice(2), 'hex'))
+    .slice(-20)
+    .toString('hex');
+  const hash = keccak256Hex(hex);
+  const checksummed = hex.replace(/[a-f]/g, (char, i) => (parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char));
+  return `0x${checksummed}`;
+}
+
+function getAddress(keyPair, protocol) {
+  const publicKey = keyPair.getPublic();
+  if (isEthereumProtocol(protocol)) {
+    return ethereumAddress(publicKey);
+  }
+  const pubkey = Buffer.from(publicKey.encodeCompressed());
+  return bitcoin.payments.p2pkh({pubkey, network: BITCOIN_NETWORKS[protocol]}).address;
+}
+
+// `{privateKey, address}` for a new wallet of `protocol`, or for the given
+// private key (64 hex digits), e.g. one of a test vector.
+function createWalletKey(protocol, givenPrivateKey) {
+  if (!isSupportedProtocol(protocol)) {
+    throw new TypeError(`The fake has no wallets for protocol "${protocol}".`);
+  }
+  let keyPair;
+  if (givenPrivateKey === undefined) {
+    keyPair = ec.genKeyPair();
+  } else {
+    const hex = String(givenPrivateKey).replace(/^0x/i, '');
+    if (!/^[0-9a-fA-F]{64}$/.test(hex)) {
+      throw new TypeError('A private key needs to be 64 hex digits.');
+    }
+    keyPair = ec.keyFromPrivate(hex, 'hex');
+  }
+  const privateKey = Buffer.from(toHex32(keyPair.getPrivate()), 'hex');
+  return {privateKey, address: getAddress(keyPair, protocol)};
+}
+
+function formatBigNumber(hex, format) {
+  if (format == 'dec') {
+    return BigInt(`0x${hex}`).toString(10);
+  }
+  if (format == 'base64') {
+    return Buffer.from(hex, 'hex').toString('base64');
+  }
+  return hex;
+}
+
+// As `POST kms/wallets/:walletId/sign` answers.
+function signDigest(privateKey, digest, format = 'hex') {
+  const keyPair = ec.keyFromPrivate(privateKey);
+  const signature = keyPair.sign(digest, {canonical: true});
+  const publicKey = keyPair.getPublic();
+  return {
+    big_number_format: format,
+    algorithm: 'ECDSA',
+    curve: 'secp256k1',
+    public_key: {
+      x: formatBigNumber(toHex32(publicKey.getX()), format),
+      y: formatBigNumber(toHex32(publicKey.getY()), format),
+    },
+    r: formatBigNumber(toHex32(signature.r), format),
+    s: formatBigNumber(toHex32(signature.s), format),
+  };
+}
+
+// Web3 Secret Storage (version 3), with geth's "light" scrypt parameters to
+// keep the fake fast.
+function toKeystore(privateKey, address, password) {
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(16);
+  const kdfparams = {dklen: 32, n: 4096, r: 8, p: 6, salt: salt.toString('hex')};
+  const derivedKey = crypto.scryptSync(Buffer.from(password.normalize('NFKC')), salt, kdfparams.dklen, {
+    N: kdfparams.n,
+    r: kdfparams.r,
+    p: kdfparams.p,
+  });
+  const cipher = crypto.createCipheriv('aes-128-ctr', derivedKey.slice(0, 16), iv);
+  const ciphertext = Buffer.concat([cipher.update(privateKey), cipher.final()]);
+  const mac = keccak256(Buffer.concat([derivedKey.slice(16, 32), ciphertext]));
+  return {
+    version: 3,
+    id: uuidv4(),
+    address: address.replace(/^0x/i, '').toLowerCase(),
+    crypto: {
+      ciphertext: ciphertext.toString('hex'),
+      cipherparams: {iv: iv.toString('hex')},
+      cipher: 'aes-128-ctr',
+      kdf: 'scrypt',
+      kdfparams,
+      mac: mac.toString('hex'),
+    },
+  };
+}
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+
+// BIP-38, without EC multiplication, for the compressed key of a P2PKH address.
+function toBip38(privateKey, address, password) {
+  const addressHash = sha256(sha256(Buffer.from(address, 'ascii'))).slice(0, 4);
+  const derived = crypto.scryptSync(Buffer.from(password.normalize('NFC')), addressHash, 64, {
+    N: 16384,
+    r: 8,
+    p: 8,
+    maxmem: 64 * 1024 * 1024,
+  });
+  const encryptHalf = (half, xorKey) => {
+    const block = Buffer.alloc(16);
+    for (let i = 0; i < 16; i++) {
+      block[i] = half[i] ^ xorKey[i];
+    }
+    const cipher = crypto.createCipheriv('aes-256-ecb', derived.slice(32, 64), null);
+    cipher.setAutoPadding(false);
+    return Buffer.concat([cipher.update(block), cipher.final()]);
+  };
+  return bs58check.encode(
+    Buffer.concat([
+      Buffer.from([0x01, 0x42, 0xe0]),
+      addressHash,
+      encryptHalf(privateKey.slice(0, 16), derived.slice(0, 16)),
+      encryptHalf(privateKey.slice(16, 32), derived.slice(16, 32)),
+    ])
+  );
+}
+
+// Hashes as the chains have them: Ethereum `0x…` keccak256, Bitcoin txids as
+// byte-reversed double SHA256.
+function hashRawTransaction(protocol, rawTransaction) {
+  if (isEthereumProtocol(protocol)) {
+    return `0x${keccak256(rawTransaction).toString('hex')}`;
+  }
+  return Buffer.from(sha256(sha256(rawTransaction)).reverse()).toString('hex');
+}
+
+function randomTransactionHash(protocol) {
+  return hashRawTransaction(protocol, crypto.randomBytes(32));
+}
+
+module.exports = {
+  BITCOIN_NETWORKS,
+  isEthereumProtocol,
+  isBitcoinProtocol,
+  isSupportedProtocol,
+  getWalletProtocol,
+  createWalletKey,
+  signDigest,
+  toKeystore,
+  toBip38,
+  hashRawTransaction,
+  randomTransactionHash,
+};
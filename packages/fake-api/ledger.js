@@ -0,0 +1,557 @@
+// Wallets, balances, transactions and the chains they end up on.
+//
+// Balances are BigInts by asset ID. Bitcoin wallets hold UTXOs, and their
+// balance is always the sum of those. Transactions move through QUEUED (only
+// with `async`), PENDING, CONFIRMING and CONFIRMED, one step every
+// `confirmationDelay` milliseconds, or by `setTransactionStatus()`. Confirmed
+// transactions are mined into a block of their own, which is what the
+// historical data endpoints serve.
+
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const {v4: uuidv4} = require('uuid');
+const {invalid} = require('./errors.js');
+const {
+  BITCOIN_NETWORKS,
+  isEthereumProtocol,
+  isBitcoinProtocol,
+  isSupportedProtocol,
+  getWalletProtocol,
+  createWalletKey,
+  randomTransactionHash,
+} = require('./keys.js');
+
+const TRANSACTION_STATUSES = ['QUEUED', 'PENDING', 'CONFIRMING', 'CONFIRMED', 'FAILED'];
+const FINAL_TRANSACTION_STATUSES = ['CONFIRMED', 'FAILED'];
+
+const sameAddress = (a, b) => typeof a == 'string' && typeof b == 'string' && a.toLowerCase() == b.toLowerCase();
+
+// Base units, as the API takes them: decimal strings (or numbers).
+function parseQuantity(value, location) {
+  if (!/^\d+$/.test(String(value))) {
+    throw invalid(location, `${location} must be a non-negative integer in base units, got "${value}".`);
+  }
+  return BigInt(String(value));
+}
+
+// Senders of `fund()` transfers: addresses nobody has the key of.
+function getNullAddress(protocol) {
+  if (isBitcoinProtocol(protocol)) {
+    return bitcoin.payments.p2pkh({hash: Buffer.alloc(20), network: BITCOIN_NETWORKS[protocol]}).address;
+  }
+  return '0x0000000000000000000000000000000000000000';
+}
+
+function getWalletAssets(fake, walletProtocol) {
+  return fake.assets.values().filter(asset => getWalletProtocol(asset.protocol) == walletProtocol);
+}
+
+// The asset fees are paid in, e.g. ETH for ERC20 tokens.
+function getNativeAsset(fake, walletProtocol) {
+  const assets = getWalletAssets(fake, walletProtocol);
+  return assets.find(asset => asset.protocol == walletProtocol) || assets[0];
+}
+
+const canHold = (fake, wallet, asset) => getWalletAssets(fake, wallet.protocol).some(walletAsset => walletAsset.id == asset.id);
+
+function getAsset(fake, assetId, location = 'asset_id') {
+  const asset = fake.assets.get(assetId);
+  if (!asset) {
+    throw invalid(location, `Unknown asset "${assetId}".`);
+  }
+  return asset;
+}
+
+function getDerivationPath(protocol, index) {
+  return isBitcoinProtocol(protocol) ? `m/44'/1'/0'/0/${index}` : `m/44'/60'/0'/0/${index}`;
+}
+
+// Resolves `{wallet, created}`. A wallet is identified by its user, protocol
+// and HD `index`, so asking for a taken index returns the existing wallet.
+// Without `index`, the next free one is used.
+function createWallet(fake, user, asset, options = {}) {
+  const protocol = getWalletProtocol(asset.protocol);
+  if (!isSupportedProtocol(protocol)) {
+    throw invalid('asset_id', `The fake has no wallets for protocol "${asset.protocol}".`);
+  }
+  const siblings = fake.wallets.values().filter(wallet => wallet.username == user.username && wallet.protocol == protocol);
+  let index = options.index;
+  if (index === undefined || index === null) {
+    index = siblings.length ? Math.max(...siblings.map(wallet => wallet.index)) + 1 : 0;
+  } else if (!Number.isSafeInteger(Number(index)) || Number(index) < 0) {
+    throw invalid('index', `index must be a non-negative integer, got "${index}".`);
+  }
+  index = Number(index);
+  const existing = siblings.find(wallet => wallet.index == index);
+  if (existing) {
+    if (!existing.balances.has(asset.id)) {
+      existing.balances.set(asset.id, BigInt(0));
+    }
+    return {wallet: existing, created: false};
+  }
+
+  const {privateKey, address} = createWalletKey(protocol);
+  const wallet = {
+    id: uuidv4(),
+    username: user.username,
+    protocol,
+    index,
+    path: getDerivationPath(protocol, index),
+    address,
+    privateKey,
+    status: options.pending ? 'PENDING' : 'ACTIVE',
+    // The native asset and the ones the wallet was created or asked for, other
+    // tokens show up once the wallet got some.
+    balances: new Map([getNativeAsset(fake, protocol), asset].map(walletAsset => [walletAsset.id, BigInt(0)])),
+    utxos: [],
+  };
+  fake.wallets.insert(wallet.id, wallet);
+  return {wallet, created: true};
+}
+
+function walletToJSON(fake, wallet) {
+  return {
+    id: wallet.id,
+    path: wallet.path,
+    protocol: wallet.protocol,
+    address: wallet.status == 'ACTIVE' ? wallet.address : null,
+    status: wallet.status,
+    balances: Array.from(wallet.balances, ([assetId, amount]) => {
+      const asset = fake.assets.get(assetId);
+      return {amount: String(amount), asset_id: assetId, name: asset.name, symbol: asset.symbol, exponent: asset.exponent};
+    }),
+  };
+}
+
+function webhookWallet(wallet) {
+  return {id: wallet.id, address: wallet.address, protocol: wallet.protocol, path: wallet.path, username: wallet.username};
+}
+
+// Bitcoin balances follow the UTXOs.
+function syncUtxoBalance(fake, wallet) {
+  const nativeAsset = getNativeAsset(fake, wallet.protocol);
+  const total = wallet.utxos.reduce((sum, utxo) => sum + utxo.value, BigInt(0));
+  wallet.balances.set(nativeAsset.id, total);
+}
+
+function addUtxo(fake, wallet, utxo) {
+  wallet.utxos.push({address: wallet.address, blockNumber: null, ...utxo});
+  syncUtxoBalance(fake, wallet);
+}
+
+function utxoToJSON(fake, wallet, utxo) {
+  const chain = getChain(fake, wallet.protocol);
+  return {
+    txhash: utxo.txhash,
+    index: utxo.index,
+    value: Number(utxo.value),
+    address: utxo.address,
+    script: bitcoin.address.toOutputScript(utxo.address, BITCOIN_NETWORKS[wallet.protocol]).toString('hex'),
+    confirmations: utxo.blockNumber === null ? 0 : chain.height - utxo.blockNumber + 1,
+  };
+}
+
+function credit(fake, wallet, asset, quantity, txhash, blockNumber) {
+  if (isBitcoinProtocol(wallet.protocol)) {
+    addUtxo(fake, wallet, {txhash, index: 0, value: quantity, blockNumber});
+  } else {
+    wallet.balances.set(asset.id, (wallet.balances.get(asset.id) || BigInt(0)) + quantity);
+  }
+}
+
+// The chain of a wallet protocol, e.g. 'ethereum_ropsten' for `data/ethereum/ropsten/…`
+function getChain(fake, protocol) {
+  const name = getWalletProtocol(protocol);
+  if (!fake.chains.has(name)) {
+    fake.chains.set(name, {
+      name,
+      protocol: name,
+      initialHeight: fake.options.blockHeight,
+      height: fake.options.blockHeight,
+      blocks: new Map(),
+      transactions: new Map(),
+      // Bitcoin transactions as hex, by txid
+      rawTransactions: new Map(),
+    });
+  }
+  return fake.chains.get(name);
+}
+
+const stripHexPrefix = hash => String(hash).replace(/^0x/i, '');
+
+// A Bitcoin transaction spending `inputs` (`[{txhash, index}]`, or a made-up
+// outpoint) to `outputs` (`[{address, value}]`), so that PSBTs can spend what
+// the fake's wallets got. Returns its txid.
+function createBitcoinTransaction(fake, protocol, inputs, outputs) {
+  const transaction = new bitcoin.Transaction();
+  transaction.version = 2;
+  const outpoints = inputs.length ? inputs : [{txhash: randomTransactionHash(protocol), index: 0}];
+  for (const {txhash, index} of outpoints) {
+    transaction.addInput(Buffer.from(txhash, 'hex').reverse(), index);
+  }
+  for (const {address, value} of outputs) {
+    transaction.addOutput(bitcoin.address.toOutputScript(address, BITCOIN_NETWORKS[protocol]), Number(value));
+  }
+  const txid = transaction.getId();
+  getChain(fake, protocol).rawTransactions.set(txid, transaction.toHex());
+  return txid;
+}
+
+function getTransactionHex(fake, txhash) {
+  const txid = stripHexPrefix(txhash).toLowerCase();
+  for (const chain of fake.chains.values()) {
+    if (chain.rawTransactions.has(txid)) {
+      return chain.rawTransactions.get(txid);
+    }
+  }
+  throw new TypeError(`Unknown Bitcoin transaction "${txhash}".`);
+}
+
+// Appends a block with just this transfer.
+function mine(fake, protocol, transfer) {
+  const chain = getChain(fake, protocol);
+  const number = ++chain.height;
+  const block = {
+    number,
+    hash: crypto.createHash('sha256').update(`${chain.name}:${number}:${transfer.hash}`).digest('hex'),
+    timestamp: Math.floor(Date.now() / 1000),
+    transactions: [stripHexPrefix(transfer.hash)],
+  };
+  chain.blocks.set(number, block);
+  chain.transactions.set(stripHexPrefix(transfer.hash).toLowerCase(), {...transfer, blockNumber: number});
+  return number;
+}
+
+// `{txhash, blockNumber}` of a transfer of `quantity` base units of `assetId`
+// from nowhere to the wallet, e.g. to stand in for a faucet.
+// Swaps the wallet's key, and thereby its address, e.g. for one of a test
+// vector. Bitcoin UTXOs stay with the old address.
+function setWalletKey(fake, walletId, privateKey) {
+  const wallet = fake.wallets.get(walletId);
+  if (!wallet) {
+    throw new TypeError(`Unknown wallet "${walletId}".`);
+  }
+  Object.assign(wallet, createWalletKey(wallet.protocol, privateKey));
+  return wallet.address;
+}
+
+function fund(fake, walletId, assetId, quantity, options = {}) {
+  const wallet = fake.wallets.get(walletId);
+  if (!wallet) {
+    throw new TypeError(`Unknown wallet "${walletId}".`);
+  }
+  const asset = getAsset(fake, assetId);
+  if (!canHold(fake, wallet, asset)) {
+    throw new TypeError(`Wallet ${walletId} (${wallet.protocol}) can not hold asset ${asset.id} (${asset.protocol}).`);
+  }
+  const amount = parseQuantity(quantity, 'quantity');
+  const txhash = isBitcoinProtocol(wallet.protocol)
+    ? createBitcoinTransaction(fake, wallet.protocol, [], [{address: wallet.address, value: amount}])
+    : randomTransactionHash(wallet.protocol);
+  const sender = options.sender || getNullAddress(wallet.protocol);
+  const blockNumber = mine(fake, wallet.protocol, {
+    hash: txhash,
+    from: sender,
+    to: wallet.address,
+    value: amount,
+    contract: (asset.metainfo && asset.metainfo.contract) || null,
+    fee: BigInt(0),
+  });
+  credit(fake, wallet, asset, amount, txhash, blockNumber);
+  dispatchTransferObserved(fake, wallet, asset, {txhash, sender, quantity: amount});
+  return {txhash, blockNumber};
+}
+
+function dispatchTransferObserved(fake, wallet, asset, {txhash, sender, quantity}) {
+  fake.webhookDispatcher.dispatch('upvest.transfer.observed', {
+    txhash,
+    sender,
+    recipient: wallet.address,
+    quantity: String(quantity),
+    wallet_id: wallet.id,
+    asset: {id: asset.id, name: asset.name, symbol: asset.symbol, exponent: asset.exponent, protocol: asset.protocol},
+  });
+}
+
+function getFee(data) {
+  if (data.fee !== undefined && data.fee !== null) {
+    return parseQuantity(data.fee, 'fee');
+  }
+  if (data.gas_limit !== undefined && data.gas_price !== undefined) {
+    return parseQuantity(data.gas_limit, 'gas_limit') * parseQuantity(data.gas_price, 'gas_price');
+  }
+  return BigInt(0);
+}
+
+const insufficientFunds = (location, needed, available) =>
+  invalid(location, `Insufficient funds: needs ${needed}, has ${available}.`, 'insufficient_funds');
+
+// Takes the Ethereum balances off right away, so that they can not be spent twice.
+function debitEthereum(fake, wallet, asset, quantity, fee) {
+  const nativeAsset = getNativeAsset(fake, wallet.protocol);
+  const needed = new Map([[asset.id, quantity]]);
+  needed.set(nativeAsset.id, (needed.get(nativeAsset.id) || BigInt(0)) + fee);
+  for (const [assetId, amount] of needed) {
+    const available = wallet.balances.get(assetId) || BigInt(0);
+    if (amount > available) {
+      throw insufficientFunds(assetId == asset.id ? 'quantity' : 'fee', amount, available);
+    }
+  }
+  for (const [assetId, amount] of needed) {
+    wallet.balances.set(assetId, wallet.balances.get(assetId) - amount);
+  }
+  return {debits: needed, spentUtxos: [], change: null};
+}
+
+const isSameUtxo = (utxo, input) =>
+  input &&
+  stripHexPrefix(input.txhash || input.txid || input.tx_hash || '').toLowerCase() == utxo.txhash.toLowerCase() &&
+  Number([input.index, input.vout, input.tx_output_n].find(x => x !== undefined)) == utxo.index;
+
+// Spends `inputs` (or the oldest UTXOs) and keeps the change as a new UTXO.
+// The change gets the txhash once the transaction is built.
+function debitBitcoin(fake, wallet, quantity, fee, inputs) {
+  let spentUtxos;
+  if (Array.isArray(inputs) && inputs.length) {
+    spentUtxos = inputs.map((input, i) => {
+      const utxo = wallet.utxos.find(candidate => isSameUtxo(candidate, input));
+      if (!utxo) {
+        throw invalid(`inputs[${i}]`, `Wallet ${wallet.id} has no such unspent output: ${JSON.stringify(input)}.`);
+      }
+      return utxo;
+    });
+  } else {
+    spentUtxos = [];
+    let sum = BigInt(0);
+    for (const utxo of wallet.utxos) {
+      if (sum >= quantity + fee) {
+        break;
+      }
+      spentUtxos.push(utxo);
+      sum += utxo.value;
+    }
+  }
+  const total = spentUtxos.reduce((sum, utxo) => sum + utxo.value, BigInt(0));
+  if (total < quantity + fee) {
+    throw insufficientFunds('quantity', quantity + fee, total);
+  }
+  wallet.utxos = wallet.utxos.filter(utxo => spentUtxos.indexOf(utxo) === -1);
+  let change = null;
+  if (total > quantity + fee) {
+    change = {txhash: null, index: 1, value: total - quantity - fee, address: wallet.address, blockNumber: null};
+    wallet.utxos.push(change);
+  }
+  syncUtxoBalance(fake, wallet);
+  return {debits: new Map(), spentUtxos, change};
+}
+
+// For `POST kms/wallets/:walletId/transactions/`, with the body's fields.
+function createTransaction(fake, wallet, data) {
+  if (!data.recipient || typeof data.recipient != 'string') {
+    throw invalid('recipient', 'recipient is required.', 'required');
+  }
+  const asset = getAsset(fake, data.asset_id);
+  if (!canHold(fake, wallet, asset)) {
+    throw invalid('asset_id', `Wallet ${wallet.id} (${wallet.protocol}) can not send asset ${asset.id}.`);
+  }
+  const quantity = parseQuantity(data.quantity, 'quantity');
+  const fee = getFee(data);
+  let hash;
+  let spent;
+  if (isBitcoinProtocol(wallet.protocol)) {
+    try {
+      bitcoin.address.toOutputScript(data.recipient, BITCOIN_NETWORKS[wallet.protocol]);
+    } catch (error) {
+      throw invalid('recipient', `"${data.recipient}" is not a ${wallet.protocol} address.`);
+    }
+    spent = debitBitcoin(fake, wallet, quantity, fee, data.inputs);
+    const outputs = [{address: data.recipient, value: quantity}].concat(spent.change || []);
+    hash = createBitcoinTransaction(fake, wallet.protocol, spent.spentUtxos, outputs);
+    if (spent.change) {
+      spent.change.txhash = hash;
+    }
+  } else {
+    hash = randomTransactionHash(wallet.protocol);
+    spent = debitEthereum(fake, wallet, asset, quantity, fee);
+  }
+
+  return insertTransaction(fake, wallet, {
+    asset,
+    recipient: data.recipient,
+    quantity,
+    fee,
+    hash,
+    gasLimit: data.gas_limit,
+    gasPrice: data.gas_price,
+    spent,
+    async: Boolean(data.async),
+  });
+}
+
+// For the raw and complex transactions, which the fake does not decode: they
+// get a hash and a status, but move no funds.
+function createOpaqueTransaction(fake, wallet, hash) {
+  return insertTransaction(fake, wallet, {
+    asset: getNativeAsset(fake, wallet.protocol),
+    recipient: null,
+    quantity: BigInt(0),
+    fee: BigInt(0),
+    hash,
+    spent: {debits: new Map(), spentUtxos: [], change: null},
+    async: false,
+  });
+}
+
+function insertTransaction(fake, wallet, fields) {
+  const transaction = {
+    id: uuidv4(),
+    walletId: wallet.id,
+    sender: wallet.address,
+    status: fields.async ? 'QUEUED' : 'PENDING',
+    feeInfo: null,
+    blockNumber: null,
+    ...fields,
+  };
+  fake.transactions.insert(transaction.id, transaction);
+  scheduleNextStatus(fake, transaction);
+  return transaction;
+}
+
+function scheduleNextStatus(fake, transaction) {
+  if (fake.options.confirmationDelay === null || FINAL_TRANSACTION_STATUSES.indexOf(transaction.status) !== -1) {
+    return;
+  }
+  fake.schedule(() => {
+    if (FINAL_TRANSACTION_STATUSES.indexOf(transaction.status) === -1) {
+      const next = TRANSACTION_STATUSES[TRANSACTION_STATUSES.indexOf(transaction.status) + 1];
+      setTransactionStatus(fake, transaction.id, next);
+    }
+  }, fake.options.confirmationDelay);
+}
+
+function transactionToJSON(fake, transaction) {
+  return {
+    id: transaction.id,
+    txhash: transaction.status == 'QUEUED' ? null : transaction.hash,
+    wallet_id: transaction.walletId,
+    asset_id: transaction.asset.id,
+    asset_name: transaction.asset.name,
+    exponent: transaction.asset.exponent,
+    sender: transaction.sender,
+    recipient: transaction.recipient,
+    quantity: String(transaction.quantity),
+    fee: String(transaction.fee),
+    status: transaction.status,
+    fee_info: transaction.feeInfo,
+  };
+}
+
+function getFeeInfo(wallet, transaction) {
+  if (!isEthereumProtocol(wallet.protocol)) {
+    return {fee: String(transaction.fee)};
+  }
+  const gasLimit = transaction.gasLimit !== undefined ? String(transaction.gasLimit) : '21000';
+  return {
+    fee: String(transaction.fee),
+    gas_used: gasLimit,
+    gas_limit: gasLimit,
+    gas_price: transaction.gasPrice !== undefined ? String(transaction.gasPrice) : null,
+  };
+}
+
+function confirm(fake, wallet, transaction) {
+  const asset = transaction.asset;
+  transaction.feeInfo = getFeeInfo(wallet, transaction);
+  transaction.blockNumber = mine(fake, wallet.protocol, {
+    hash: transaction.hash,
+    from: wallet.address,
+    to: transaction.recipient,
+    value: transaction.quantity,
+    contract: (asset.metainfo && asset.metainfo.contract) || null,
+    fee: transaction.fee,
+  });
+  if (transaction.spent.change) {
+    transaction.spent.change.blockNumber = transaction.blockNumber;
+  }
+  const recipient = fake.wallets
+    .values()
+    .find(candidate => candidate.protocol == wallet.protocol && sameAddress(candidate.address, transaction.recipient));
+  if (recipient && transaction.quantity > BigInt(0)) {
+    credit(fake, recipient, asset, transaction.quantity, stripHexPrefix(transaction.hash), transaction.blockNumber);
+    dispatchTransferObserved(fake, recipient, asset, {
+      txhash: transaction.hash,
+      sender: wallet.address,
+      quantity: transaction.quantity,
+    });
+  }
+}
+
+// Puts everything `createTransaction()` took off back.
+function refund(fake, wallet, transaction) {
+  for (const [assetId, amount] of transaction.spent.debits) {
+    wallet.balances.set(assetId, (wallet.balances.get(assetId) || BigInt(0)) + amount);
+  }
+  if (isBitcoinProtocol(wallet.protocol)) {
+    wallet.utxos = wallet.utxos.filter(utxo => utxo !== transaction.spent.change).concat(transaction.spent.spentUtxos);
+    syncUtxoBalance(fake, wallet);
+  }
+}
+
+// Moves a transaction to `status`, e.g. to let it fail. Confirming moves the
+// funds to the recipient, if that is a wallet of the fake, failing gives them
+// back. Both send the `upvest.transaction.processed` webhook.
+function setTransactionStatus(fake, transactionId, status) {
+  const transaction = fake.transactions.get(transactionId);
+  if (!transaction) {
+    throw new TypeError(`Unknown transaction "${transactionId}".`);
+  }
+  if (TRANSACTION_STATUSES.indexOf(status) === -1) {
+    throw new TypeError(`Unknown transaction status "${status}", use one of ${TRANSACTION_STATUSES.join(', ')}.`);
+  }
+  if (FINAL_TRANSACTION_STATUSES.indexOf(transaction.status) !== -1) {
+    throw new TypeError(`Transaction ${transactionId} is already ${transaction.status}.`);
+  }
+  const wallet = fake.wallets.get(transaction.walletId);
+  transaction.status = status;
+  if (status == 'CONFIRMED') {
+    confirm(fake, wallet, transaction);
+  } else if (status == 'FAILED') {
+    refund(fake, wallet, transaction);
+  }
+  if (FINAL_TRANSACTION_STATUSES.indexOf(status) !== -1) {
+    fake.webhookDispatcher.dispatch('upvest.transaction.processed', {
+      id: transaction.id,
+      hash: transaction.hash,
+      status,
+      wallet_id: transaction.walletId,
+      asset_id: transaction.asset.id,
+      sender: transaction.sender,
+      recipient: transaction.recipient,
+      quantity: String(transaction.quantity),
+    });
+  }
+  scheduleNextStatus(fake, transaction);
+  return transactionToJSON(fake, transaction);
+}
+
+module.exports = {
+  TRANSACTION_STATUSES,
+  parseQuantity,
+  getAsset,
+  getWalletAssets,
+  getNativeAsset,
+  createWallet,
+  walletToJSON,
+  webhookWallet,
+  utxoToJSON,
+  getChain,
+  getTransactionHex,
+  setWalletKey,
+  fund,
+  createTransaction,
+  createOpaqueTransaction,
+  transactionToJSON,
+  setTransactionStatus,
+  stripHexPrefix,
+  sameAddress,
+};
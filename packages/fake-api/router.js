@@ -0,0 +1,61 @@
+// Routes like `kms/wallets/:walletId/transactions/:transactionId`, relative to
+// the API's base path. Trailing slashes are optional, as they are for the API.
+
+const {FakeAPIError} = require('./errors.js');
+
+const trimSlashes = path => path.replace(/^\/+|\/+$/g, '');
+
+function compilePattern(pattern) {
+  const names = [];
+  const source = trimSlashes(pattern)
+    .split('/')
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        names.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return {regexp: new RegExp(`^${source}$`), names};
+}
+
+class Router {
+  constructor() {
+    this.routes = [];
+  }
+
+  // `auth` is what the route takes: 'apiKey', 'oauth2', 'any' (either of the
+  // two) or `null` for no authentication at all.
+  add(method, pattern, auth, handler) {
+    this.routes.push({method: method.toUpperCase(), pattern, auth, handler, ...compilePattern(pattern)});
+    return this;
+  }
+
+  // Returns `{route, params}`, throws a 404 or 405 FakeAPIError.
+  match(method, path) {
+    const trimmed = trimSlashes(path);
+    const allowed = [];
+    for (const route of this.routes) {
+      const match = route.regexp.exec(trimmed);
+      if (!match) {
+        continue;
+      }
+      if (route.method != method.toUpperCase()) {
+        allowed.push(route.method);
+        continue;
+      }
+      const params = {};
+      route.names.forEach((name, i) => (params[name] = decodeURIComponent(match[i + 1])));
+      return {route, params};
+    }
+    if (allowed.length) {
+      throw new FakeAPIError(405, 'method_not_allowed', `Method ${method} not allowed, use ${allowed.join(', ')}.`);
+    }
+    throw new FakeAPIError(404, 'not_found', `No route for ${method} ${path}.`);
+  }
+}
+
+module.exports = {
+  Router,
+};
@@ -0,0 +1,109 @@
+// `clientele/oauth2/token`, `clientele/echo-oauth2` and `clientele/offboard`
+
+const {OAuth2Error, invalid} = require('../errors.js');
+const {issueToken, getHeader} = require('../authentication.js');
+const {isEthereumProtocol, isBitcoinProtocol, toKeystore, toBip38} = require('../keys.js');
+const {checkPassword} = require('./kms.js');
+const {createZip} = require('../zip.js');
+
+// Stand-ins for the QR codes of the BIP-38 keys, which the fake does not render.
+const PLACEHOLDER_PNG_BASE64 =
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+const placeholderSvg = text =>
+  `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1 1"><title>${text}</title></svg>`;
+
+// Client credentials come in the form body or as HTTP Basic authentication.
+function getClientCredentials(request) {
+  const match = /^Basic\s+(\S+)$/i.exec(getHeader(request, 'Authorization') || '');
+  if (match) {
+    const [clientId, clientSecret] = Buffer.from(match[1], 'base64').toString('utf8').split(':');
+    return {clientId: decodeURIComponent(clientId), clientSecret: decodeURIComponent(clientSecret || '')};
+  }
+  return {clientId: request.body.client_id, clientSecret: request.body.client_secret};
+}
+
+function grantToken(fake, request) {
+  const {clientId, clientSecret} = getClientCredentials(request);
+  const client = fake.oauth2Clients.get(clientId);
+  if (!client || client.client_secret !== clientSecret) {
+    throw new OAuth2Error(401, 'invalid_client', 'Client authentication failed.');
+  }
+  const grantType = request.body.grant_type;
+  if (grantType == 'password') {
+    const user = fake.users.get(request.body.username);
+    if (!user || user.password !== request.body.password) {
+      throw new OAuth2Error(400, 'invalid_grant', 'Invalid credentials given.');
+    }
+    return issueToken(fake, clientId, user.username, request.body.scope || 'read write');
+  }
+  if (grantType == 'refresh_token') {
+    const previous = fake.refreshTokens.get(request.body.refresh_token);
+    if (!previous || previous.clientId != clientId || !fake.users.get(previous.username)) {
+      throw new OAuth2Error(400, 'invalid_grant', 'Invalid refresh token.');
+    }
+    fake.refreshTokens.delete(previous.refreshToken);
+    fake.tokens.delete(previous.accessToken);
+    return issueToken(fake, clientId, previous.username, previous.scope);
+  }
+  throw new OAuth2Error(400, 'unsupported_grant_type', `Unsupported grant type "${grantType}".`);
+}
+
+const simplifyProtocol = protocol => protocol.replace(/_[^_]+$/, '');
+
+// The key material of every wallet, in the JSON and as a ZIP archive with
+// the same in files, e.g. `ethereum_0x….json`.
+function offboard(fake, username, password) {
+  const wallets = fake.wallets.values().filter(wallet => wallet.username == username);
+  const results = [];
+  const files = {};
+  for (const wallet of wallets) {
+    const stem = `${simplifyProtocol(wallet.protocol)}_${wallet.address}`;
+    const result = {id: wallet.id, address: wallet.address, protocol: wallet.protocol};
+    if (isEthereumProtocol(wallet.protocol)) {
+      result.keystore_file = toKeystore(wallet.privateKey, wallet.address, password);
+      files[`${stem}.json`] = JSON.stringify(result.keystore_file);
+    } else if (isBitcoinProtocol(wallet.protocol)) {
+      result.bip38_encrypted_private_key = toBip38(wallet.privateKey, wallet.address, password);
+      result.qr_code_svg = placeholderSvg(result.bip38_encrypted_private_key);
+      result.qr_code_png_base64 = PLACEHOLDER_PNG_BASE64;
+      files[`${stem}/${stem}.txt`] = result.bip38_encrypted_private_key;
+      files[`${stem}/${stem}.svg`] = result.qr_code_svg;
+      files[`${stem}/${stem}.png`] = Buffer.from(PLACEHOLDER_PNG_BASE64, 'base64');
+    } else {
+      continue;
+    }
+    results.push(result);
+  }
+  const metadata = {username, total_wallet_count: wallets.length, offboarded_wallet_count: results.length};
+  files['metadata.json'] = JSON.stringify(metadata);
+  return {
+    previous: null,
+    next: null,
+    results,
+    metadata,
+    zip_base64: createZip(files).toString('base64'),
+  };
+}
+
+function addClienteleRoutes(router, fake) {
+  router.add('POST', 'clientele/oauth2/token', null, request => ({body: grantToken(fake, request)}));
+
+  router.add('POST', 'clientele/echo-oauth2', 'oauth2', request => ({body: {echo: request.body.echo}}));
+  router.add('GET', 'clientele/echo-oauth2', 'oauth2', request => {
+    fake.webhookDispatcher.dispatch('upvest.echo.get', {echo: request.query.echo});
+    return {body: {echo: request.query.echo}};
+  });
+
+  router.add('POST', 'clientele/offboard', 'oauth2', request => {
+    const {username} = request.principal;
+    if (typeof request.body.password != 'string') {
+      throw invalid('password', 'password is required.', 'required');
+    }
+    checkPassword(fake, username, request.body.password);
+    return {body: offboard(fake, username, request.body.password)};
+  });
+}
+
+module.exports = {
+  addClienteleRoutes,
+};
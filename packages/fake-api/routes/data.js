@@ -0,0 +1,109 @@
+// `data/{protocol}/{network}/…`, the historical data of the fake's chains:
+// blocks up to `blockHeight` exist, but are empty, everything the fake
+// confirmed after that got a block of its own.
+
+const crypto = require('crypto');
+const {notFound, invalid} = require('../errors.js');
+const {getWalletProtocol} = require('../keys.js');
+const {getChain, stripHexPrefix, sameAddress} = require('../ledger.js');
+
+// Throws a 404 for chains none of the assets live on.
+function findChain(fake, protocol, network) {
+  const name = `${protocol}_${network}`;
+  if (!fake.assets.values().some(asset => getWalletProtocol(asset.protocol) == name)) {
+    throw notFound(`No historical data for ${protocol} ${network}.`);
+  }
+  return getChain(fake, name);
+}
+
+function getBlock(fake, chain, blockNumber) {
+  const number = blockNumber == 'latest' ? chain.height : Number(blockNumber);
+  if (!Number.isSafeInteger(number) || number < 0) {
+    throw invalid('block_number', `Invalid block number "${blockNumber}".`);
+  }
+  if (number > chain.height) {
+    throw notFound(`Block ${number} does not exist yet, the latest is ${chain.height}.`);
+  }
+  const block = chain.blocks.get(number) || {
+    number,
+    hash: crypto.createHash('sha256').update(`${chain.name}:${number}`).digest('hex'),
+    timestamp: Math.floor(fake.startedAt / 1000) - (chain.initialHeight - number) * 15,
+    transactions: [],
+  };
+  return {...block, number: String(block.number)};
+}
+
+function historicalTransactionToJSON(chain, transfer) {
+  const block = chain.blocks.get(transfer.blockNumber);
+  return {
+    hash: stripHexPrefix(transfer.hash),
+    from: transfer.from,
+    to: transfer.to,
+    value: String(transfer.value),
+    contract: transfer.contract,
+    fee: String(transfer.fee),
+    block_number: transfer.blockNumber,
+    block_hash: block.hash,
+    timestamp: block.timestamp,
+    confirmations: chain.height - transfer.blockNumber + 1,
+  };
+}
+
+// Sums up what went in and out of `address`, in native units or, with
+// `contract`, in tokens of that contract.
+function getBalance(chain, address, contract) {
+  let balance = BigInt(0);
+  for (const transfer of chain.transactions.values()) {
+    const isContractTransfer = Boolean(transfer.contract);
+    const matches = contract ? sameAddress(transfer.contract, contract) : !isContractTransfer;
+    if (matches && sameAddress(transfer.to, address)) {
+      balance += transfer.value;
+    }
+    if (matches && sameAddress(transfer.from, address)) {
+      balance -= transfer.value;
+    }
+    if (!contract && sameAddress(transfer.from, address)) {
+      balance -= transfer.fee;
+    }
+  }
+  return String(balance);
+}
+
+function addDataRoutes(router, fake) {
+  const route = (pattern, handler) =>
+    router.add('GET', `data/:protocol/:network/${pattern}`, 'apiKey', request => {
+      const chain = findChain(fake, request.params.protocol, request.params.network);
+      return {body: {result: handler(chain, request.params, request.query)}};
+    });
+
+  route('transactions/:address', (chain, {address}, query) => {
+    const minConfirmations = Number(query.confirmations || 0);
+    return Array.from(chain.transactions.values())
+      .filter(transfer => sameAddress(transfer.from, address) || sameAddress(transfer.to, address))
+      .map(transfer => historicalTransactionToJSON(chain, transfer))
+      .filter(transaction => transaction.confirmations >= minConfirmations);
+  });
+  route('transaction/:txhash', (chain, {txhash}) => {
+    const transfer = chain.transactions.get(stripHexPrefix(txhash).toLowerCase());
+    if (!transfer) {
+      throw notFound(`Transaction "${txhash}" not found.`);
+    }
+    return historicalTransactionToJSON(chain, transfer);
+  });
+  route('block/:blockNumber', (chain, {blockNumber}) => getBlock(fake, chain, blockNumber));
+  route('balance/:address', (chain, {address}) => ({
+    address,
+    contract: null,
+    balance: getBalance(chain, address),
+  }));
+  route('balance/:address/:contract', (chain, {address, contract}) => ({
+    address,
+    contract,
+    balance: getBalance(chain, address, contract),
+  }));
+  route('status', chain => ({lowest: 0, highest: chain.height, latest: chain.height}));
+}
+
+module.exports = {
+  addDataRoutes,
+};
@@ -0,0 +1,163 @@
+// `assets/` and `kms/wallets/…`, for API keys and OAuth2 tokens alike. With an
+// API key, all wallets of the tenant are visible, with a token only the user's.
+
+const {FakeAPIError, invalid, notFound} = require('../errors.js');
+const {paginate} = require('../store.js');
+const {isBitcoinProtocol, signDigest, hashRawTransaction, randomTransactionHash} = require('../keys.js');
+const {
+  getAsset,
+  createWallet,
+  walletToJSON,
+  webhookWallet,
+  utxoToJSON,
+  createTransaction,
+  createOpaqueTransaction,
+  transactionToJSON,
+} = require('../ledger.js');
+
+const BIG_NUMBER_FORMATS = ['hex', 'dec', 'base64'];
+
+const isVisible = (principal, wallet) => principal.type == 'apiKey' || wallet.username == principal.username;
+
+function getWallet(fake, principal, walletId) {
+  const wallet = fake.wallets.get(walletId);
+  if (!wallet || !isVisible(principal, wallet)) {
+    throw notFound(`Wallet "${walletId}" not found.`);
+  }
+  return wallet;
+}
+
+// Everything that spends or signs needs the password of the wallet's user.
+function checkPassword(fake, username, password) {
+  const user = fake.users.get(username);
+  if (!user || password !== user.password) {
+    throw invalid('password', 'Wrong password.');
+  }
+}
+
+function getTransaction(fake, wallet, transactionId) {
+  const transaction = fake.transactions.get(transactionId);
+  if (!transaction || transaction.walletId != wallet.id) {
+    throw notFound(`Transaction "${transactionId}" not found in wallet ${wallet.id}.`);
+  }
+  return transaction;
+}
+
+function decode(data, format, location) {
+  if (typeof data != 'string') {
+    throw invalid(location, `${location} is required.`, 'required');
+  }
+  if (format == 'base64') {
+    return Buffer.from(data, 'base64');
+  }
+  if (format == 'text') {
+    return Buffer.from(data, 'utf8');
+  }
+  const hex = data.replace(/^0x/i, '');
+  if (!/^([0-9a-fA-F]{2})+$/.test(hex)) {
+    throw invalid(location, `${location} is not a hex string.`);
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+// The tenant creates wallets for one of its users by `username`, a user for themselves.
+function getWalletOwner(fake, principal, data) {
+  const username = principal.type == 'oauth2' ? principal.username : data.username;
+  if (!username) {
+    throw invalid('username', 'username is required when creating wallets with an API key.', 'required');
+  }
+  const user = fake.users.get(username);
+  if (!user) {
+    throw invalid('username', `User "${username}" not found.`);
+  }
+  return user;
+}
+
+function addKmsRoutes(router, fake) {
+  const assetToJSON = asset => ({...asset});
+
+  router.add('GET', 'assets', 'any', request => ({
+    body: paginate(request, fake.assets.sequenced(), assetToJSON, fake.options.pageSize),
+  }));
+  router.add('GET', 'assets/:assetId', 'any', request => {
+    const asset = fake.assets.get(request.params.assetId);
+    if (!asset) {
+      throw notFound(`Asset "${request.params.assetId}" not found.`);
+    }
+    return {body: assetToJSON(asset)};
+  });
+
+  router.add('POST', 'kms/wallets', 'any', request => {
+    const user = getWalletOwner(fake, request.principal, request.body);
+    checkPassword(fake, user.username, request.body.password);
+    const asset = getAsset(fake, request.body.asset_id);
+    const {wallet, created} = createWallet(fake, user, asset, {index: request.body.index});
+    if (created) {
+      fake.webhookDispatcher.dispatch('upvest.wallet.created', webhookWallet(wallet));
+    }
+    return {status: created ? 201 : 200, body: walletToJSON(fake, wallet)};
+  });
+  router.add('GET', 'kms/wallets', 'any', request => {
+    const entries = fake.wallets.sequenced(wallet => isVisible(request.principal, wallet));
+    return {body: paginate(request, entries, wallet => walletToJSON(fake, wallet), fake.options.pageSize)};
+  });
+  router.add('GET', 'kms/wallets/:walletId', 'any', request => ({
+    body: walletToJSON(fake, getWallet(fake, request.principal, request.params.walletId)),
+  }));
+
+  router.add('POST', 'kms/wallets/:walletId/transactions', 'any', request => {
+    const wallet = getWallet(fake, request.principal, request.params.walletId);
+    checkPassword(fake, wallet.username, request.body.password);
+    return {status: 201, body: transactionToJSON(fake, createTransaction(fake, wallet, request.body))};
+  });
+  router.add('POST', 'kms/wallets/:walletId/transactions/raw', 'any', request => {
+    const wallet = getWallet(fake, request.principal, request.params.walletId);
+    checkPassword(fake, wallet.username, request.body.password);
+    const rawTransaction = decode(request.body.raw_tx, request.body.input_format, 'raw_tx');
+    const transaction = createOpaqueTransaction(fake, wallet, hashRawTransaction(wallet.protocol, rawTransaction));
+    return {status: 201, body: transactionToJSON(fake, transaction)};
+  });
+  router.add('POST', 'kms/wallets/:walletId/transactions/complex', 'any', request => {
+    const wallet = getWallet(fake, request.principal, request.params.walletId);
+    checkPassword(fake, wallet.username, request.body.password);
+    if (!request.body.tx || typeof request.body.tx != 'object') {
+      throw invalid('tx', 'tx is required.', 'required');
+    }
+    const transaction = createOpaqueTransaction(fake, wallet, randomTransactionHash(wallet.protocol));
+    return {status: 201, body: transactionToJSON(fake, transaction)};
+  });
+  router.add('GET', 'kms/wallets/:walletId/transactions', 'any', request => {
+    const wallet = getWallet(fake, request.principal, request.params.walletId);
+    const entries = fake.transactions.sequenced(transaction => transaction.walletId == wallet.id);
+    return {body: paginate(request, entries, transaction => transactionToJSON(fake, transaction), fake.options.pageSize)};
+  });
+  router.add('GET', 'kms/wallets/:walletId/transactions/:transactionId', 'any', request => {
+    const wallet = getWallet(fake, request.principal, request.params.walletId);
+    return {body: transactionToJSON(fake, getTransaction(fake, wallet, request.params.transactionId))};
+  });
+
+  router.add('POST', 'kms/wallets/:walletId/sign', 'any', request => {
+    const wallet = getWallet(fake, request.principal, request.params.walletId);
+    checkPassword(fake, wallet.username, request.body.password);
+    const outputFormat = request.body.output_format || 'hex';
+    if (BIG_NUMBER_FORMATS.indexOf(outputFormat) === -1) {
+      throw invalid('output_format', `output_format must be one of ${BIG_NUMBER_FORMATS.join(', ')}.`);
+    }
+    const toSign = decode(request.body.to_sign, request.body.input_format, 'to_sign');
+    return {body: signDigest(wallet.privateKey, toSign, outputFormat)};
+  });
+
+  router.add('GET', 'kms/wallets/:walletId/utxos', 'any', request => {
+    const wallet = getWallet(fake, request.principal, request.params.walletId);
+    if (!isBitcoinProtocol(wallet.protocol)) {
+      throw new FakeAPIError(400, 'validation_error', `Wallet ${wallet.id} (${wallet.protocol}) has no UTXOs.`);
+    }
+    return {body: {utxos: wallet.utxos.map(utxo => utxoToJSON(fake, wallet, utxo))}};
+  });
+}
+
+module.exports = {
+  addKmsRoutes,
+  getWallet,
+  checkPassword,
+};
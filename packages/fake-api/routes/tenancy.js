@@ -0,0 +1,191 @@
+// `time/`, `tenancy/echo-signed`, `tenancy/users/` and `tenancy/webhooks/`
+
+const crypto = require('crypto');
+const {v4: uuidv4} = require('uuid');
+const {FakeAPIError, invalid, notFound} = require('../errors.js');
+const {paginate} = require('../store.js');
+const {getAsset, createWallet, webhookWallet} = require('../ledger.js');
+
+const requireString = (data, name) => {
+  if (typeof data[name] != 'string' || !data[name]) {
+    throw invalid(name, `${name} is required.`, 'required');
+  }
+  return data[name];
+};
+
+function getUser(fake, username) {
+  const user = fake.users.get(username);
+  if (!user) {
+    throw notFound(`User "${username}" not found.`);
+  }
+  return user;
+}
+
+// Not a real recovery kit, which would need the API's keys, but stands in
+// for one: an SVG, or with `raw`, base64 bytes.
+function createRecoverykit(user, raw) {
+  const seedhash = crypto.createHash('sha256').update(`${user.username}:${user.seed}`).digest('hex');
+  if (raw) {
+    return Buffer.from(JSON.stringify({username: user.username, seedhash})).toString('base64');
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg"><text>Recovery kit of ${user.username}, ${seedhash}</text></svg>`;
+}
+
+function activateWallets(fake, user, wallets, recoverykit) {
+  for (const wallet of wallets) {
+    wallet.status = 'ACTIVE';
+    fake.webhookDispatcher.dispatch('upvest.wallet.created', webhookWallet(wallet));
+  }
+  fake.webhookDispatcher.dispatch('upvest.user.created', {
+    username: user.username,
+    recoverykit,
+    wallets: wallets.map(webhookWallet),
+  });
+}
+
+// One wallet per protocol: ETH and ERC20 tokens share theirs.
+function createUser(fake, data) {
+  const username = requireString(data, 'username');
+  const password = requireString(data, 'password');
+  if (fake.users.get(username)) {
+    throw invalid('username', `User "${username}" already exists.`, 'unique');
+  }
+  const assetIds = data.asset_ids || [];
+  if (!Array.isArray(assetIds)) {
+    throw invalid('asset_ids', 'asset_ids must be a list of asset IDs.');
+  }
+  const assets = assetIds.map((assetId, i) => getAsset(fake, assetId, `asset_ids[${i}]`));
+
+  const user = {username, password, seed: crypto.randomBytes(32).toString('hex')};
+  fake.users.insert(username, user);
+  const wallets = [];
+  for (const asset of assets) {
+    const {wallet, created} = createWallet(fake, user, asset, {index: 0, pending: true});
+    if (created) {
+      wallets.push(wallet);
+    }
+  }
+  const recoverykit = createRecoverykit(user, data.raw);
+  if (data.async) {
+    fake.schedule(() => activateWallets(fake, user, wallets, recoverykit), fake.options.walletActivationDelay);
+  } else {
+    activateWallets(fake, user, wallets, recoverykit);
+  }
+  return {username, recoverykit, wallet_ids: wallets.map(wallet => wallet.id)};
+}
+
+function deleteUser(fake, username) {
+  getUser(fake, username);
+  fake.users.delete(username);
+  for (const wallet of fake.wallets.values()) {
+    if (wallet.username == username) {
+      fake.wallets.delete(wallet.id);
+    }
+  }
+}
+
+const webhookToJSON = webhook => ({
+  id: webhook.id,
+  url: webhook.url,
+  name: webhook.name,
+  headers: webhook.headers,
+  version: webhook.version,
+  status: webhook.status,
+  event_filters: webhook.event_filters,
+});
+
+function createWebhook(fake, data) {
+  const url = requireString(data, 'url');
+  if (!/^https?:\/\//.test(url)) {
+    throw invalid('url', `url must be an http(s) URL, got "${url}".`);
+  }
+  const eventFilters = data.event_filters || [];
+  if (!Array.isArray(eventFilters) || eventFilters.some(filter => typeof filter != 'string')) {
+    throw invalid('event_filters', 'event_filters must be a list of event names, like "upvest.wallet.created".');
+  }
+  const webhook = {
+    id: uuidv4(),
+    url,
+    name: data.name || url,
+    headers: data.headers || {},
+    version: data.version || '1.2',
+    status: data.status || 'ACTIVE',
+    hmac_secret_key: requireString(data, 'hmac_secret_key'),
+    event_filters: eventFilters,
+  };
+  return fake.webhooks.insert(webhook.id, webhook);
+}
+
+function getWebhook(fake, id) {
+  const webhook = fake.webhooks.get(id);
+  if (!webhook) {
+    throw notFound(`Webhook "${id}" not found.`);
+  }
+  return webhook;
+}
+
+function echo(fake, request, what) {
+  if (request.method == 'GET') {
+    fake.webhookDispatcher.dispatch('upvest.echo.get', {echo: what});
+  }
+  return {body: {echo: what}};
+}
+
+function addTenancyRoutes(router, fake) {
+  router.add('GET', 'time', null, () => {
+    const now = new Date();
+    return {body: {epoch: now.getTime() / 1000, iso8601: now.toISOString()}};
+  });
+
+  router.add('POST', 'tenancy/echo-signed', 'apiKey', request => echo(fake, request, request.body.echo));
+  router.add('GET', 'tenancy/echo-signed', 'apiKey', request => echo(fake, request, request.query.echo));
+
+  router.add('POST', 'tenancy/users', 'apiKey', request => ({status: 201, body: createUser(fake, request.body)}));
+  router.add('GET', 'tenancy/users', 'apiKey', request => ({
+    body: paginate(request, fake.users.sequenced(), user => ({username: user.username}), fake.options.pageSize),
+  }));
+  router.add('GET', 'tenancy/users/:username', 'apiKey', request => {
+    const user = getUser(fake, request.params.username);
+    return {body: {username: user.username}};
+  });
+  router.add('PATCH', 'tenancy/users/:username', 'apiKey', request => {
+    const user = getUser(fake, request.params.username);
+    if (request.body.old_password !== user.password) {
+      throw invalid('old_password', 'Wrong password.');
+    }
+    user.password = requireString(request.body, 'new_password');
+    return {body: {username: user.username}};
+  });
+  router.add('DELETE', 'tenancy/users/:username', 'apiKey', request => {
+    deleteUser(fake, request.params.username);
+    return {status: 204};
+  });
+
+  router.add('POST', 'tenancy/webhooks', 'apiKey', request => ({
+    status: 201,
+    body: webhookToJSON(createWebhook(fake, request.body)),
+  }));
+  router.add('GET', 'tenancy/webhooks', 'apiKey', request => ({
+    body: paginate(request, fake.webhooks.sequenced(), webhookToJSON, fake.options.pageSize),
+  }));
+  router.add('GET', 'tenancy/webhooks/:id', 'apiKey', request => ({
+    body: webhookToJSON(getWebhook(fake, request.params.id)),
+  }));
+  router.add('DELETE', 'tenancy/webhooks/:id', 'apiKey', request => {
+    getWebhook(fake, request.params.id);
+    fake.webhooks.delete(request.params.id);
+    return {status: 204};
+  });
+
+  // Neither recovering users nor verifying webhook URLs can be faked sensibly.
+  for (const [method, pattern] of [['POST', 'tenancy/recover'], ['POST', 'tenancy/webhooks-verify']]) {
+    router.add(method, pattern, 'apiKey', () => {
+      throw new FakeAPIError(501, 'not_implemented', `${method} ${pattern} is not implemented by the fake.`);
+    });
+  }
+}
+
+module.exports = {
+  addTenancyRoutes,
+  createUser,
+};
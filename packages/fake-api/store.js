@@ -0,0 +1,113 @@
+// In-memory records and the cursor pagination of the list endpoints.
+
+const {invalid} = require('./errors.js');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 100;
+
+// Records by ID, in insertion order. Every record gets a sequence number,
+// which is what the cursors point at, so that paging stays stable while
+// records are added or deleted.
+class Collection {
+  constructor() {
+    this.entries = new Map();
+    this.sequence = 0;
+  }
+
+  insert(id, record) {
+    this.entries.set(String(id), {seq: ++this.sequence, record});
+    return record;
+  }
+
+  get(id) {
+    const entry = this.entries.get(String(id));
+    return entry ? entry.record : undefined;
+  }
+
+  delete(id) {
+    return this.entries.delete(String(id));
+  }
+
+  values() {
+    return Array.from(this.entries.values(), entry => entry.record);
+  }
+
+  // `[{seq, record}]` of the records `filter` accepts
+  sequenced(filter = () => true) {
+    return Array.from(this.entries.values()).filter(entry => filter(entry.record));
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+// Opaque, like the API's: base64url of `p=<seq>` for the page after `seq`,
+// `r=1&p=<seq>` for the page before it.
+function encodeCursor(position, reverse) {
+  const raw = reverse ? `r=1&p=${position}` : `p=${position}`;
+  return Buffer.from(raw).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor) {
+  const raw = Buffer.from(cursor.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+  const params = new URLSearchParams(raw);
+  const position = Number(params.get('p'));
+  if (!Number.isSafeInteger(position) || position < 0) {
+    throw invalid('cursor', `Invalid cursor "${cursor}".`);
+  }
+  return {position, reverse: params.get('r') == '1'};
+}
+
+function getPageSize(query, defaultPageSize) {
+  if (query.page_size === undefined) {
+    return defaultPageSize;
+  }
+  const pageSize = Number(query.page_size);
+  if (!Number.isSafeInteger(pageSize) || pageSize < 1) {
+    throw invalid('page_size', `page_size must be a positive integer, got "${query.page_size}".`);
+  }
+  return Math.min(pageSize, MAX_PAGE_SIZE);
+}
+
+// `entries` as returned by `Collection.sequenced()`. Answers
+// `{previous, next, results}` with absolute `previous` and `next` URLs that
+// keep all other query parameters, like the API does.
+function paginate(request, entries, toJSON, defaultPageSize = DEFAULT_PAGE_SIZE) {
+  const pageSize = getPageSize(request.query, defaultPageSize);
+  let page;
+  if (request.query.cursor) {
+    const {position, reverse} = decodeCursor(request.query.cursor);
+    if (reverse) {
+      page = entries.filter(entry => entry.seq < position).slice(-pageSize);
+    } else {
+      page = entries.filter(entry => entry.seq > position).slice(0, pageSize);
+    }
+  } else {
+    page = entries.slice(0, pageSize);
+  }
+
+  const linkTo = (position, reverse) => {
+    const url = new URL(request.url, request.origin);
+    url.searchParams.set('cursor', encodeCursor(position, reverse));
+    return url.toString();
+  };
+  const first = page.length ? page[0].seq : null;
+  const last = page.length ? page[page.length - 1].seq : null;
+  const hasBefore = first !== null && entries.some(entry => entry.seq < first);
+  const hasAfter = last !== null && entries.some(entry => entry.seq > last);
+  return {
+    previous: hasBefore ? linkTo(first, true) : null,
+    next: hasAfter ? linkTo(last, false) : null,
+    results: page.map(entry => toJSON(entry.record)),
+  };
+}
+
+module.exports = {
+  Collection,
+  paginate,
+  encodeCursor,
+  decodeCursor,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+};
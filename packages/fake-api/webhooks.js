@@ -0,0 +1,85 @@
+// Sends the webhooks registered via `POST tenancy/webhooks/`, signed like the
+// API signs them: `X-Up-Signature: sha256=<hex HMAC-SHA256 of the body>`, with
+// the webhook's `hmac_secret_key`.
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const {v4: uuidv4} = require('uuid');
+
+// Filters are event names like 'upvest.wallet.created', or end in `*`.
+const matchesFilter = (event, filter) =>
+  filter == event || (filter.endsWith('*') && event.startsWith(filter.slice(0, -1)));
+
+function signWebhookBody(body, hmacSecretKey) {
+  return 'sha256=' + crypto.createHmac('sha256', hmacSecretKey).update(body, 'utf8').digest('hex');
+}
+
+class WebhookDispatcher {
+  constructor(webhooks, options = {}) {
+    this.webhooks = webhooks;
+    this.timeout = options.timeout || 10000;
+    // Every attempt, as `{webhookId, url, action, body, headers, status, error}`
+    this.deliveries = [];
+    this.pending = new Set();
+  }
+
+  // `event` like 'upvest.wallet.created', which is sent as `action: 'wallet.created'`
+  dispatch(event, data) {
+    for (const webhook of this.webhooks.values()) {
+      if (webhook.status != 'ACTIVE' || !webhook.event_filters.some(filter => matchesFilter(event, filter))) {
+        continue;
+      }
+      const body = JSON.stringify({
+        id: uuidv4(),
+        webhook_id: webhook.id,
+        action: event.replace(/^upvest\./, ''),
+        created: new Date().toISOString(),
+        data,
+      });
+      const headers = {
+        ...webhook.headers,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'Upvest-Fake-API-Webhooks',
+        'X-Up-Signature': signWebhookBody(body, webhook.hmac_secret_key),
+      };
+      const delivery = {webhookId: webhook.id, url: webhook.url, action: event, body, headers, status: null, error: null};
+      this.deliveries.push(delivery);
+      const sent = this.send(delivery).then(() => this.pending.delete(sent));
+      this.pending.add(sent);
+    }
+  }
+
+  // Never rejects, failures end up in `delivery.error`.
+  send(delivery) {
+    return new Promise(resolve => {
+      const transport = delivery.url.startsWith('https:') ? https : http;
+      const request = transport.request(delivery.url, {method: 'POST', headers: delivery.headers}, response => {
+        delivery.status = response.statusCode;
+        response.resume();
+        response.on('end', resolve);
+      });
+      request.setTimeout(this.timeout, () => request.destroy(new Error(`Timed out after ${this.timeout} ms.`)));
+      request.on('error', error => {
+        delivery.error = error;
+        resolve();
+      });
+      request.end(delivery.body);
+    });
+  }
+
+  // Resolves once every webhook sent so far has been answered (or failed).
+  async settled() {
+    while (this.pending.size) {
+      await Promise.all(Array.from(this.pending));
+    }
+    return this.deliveries;
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  signWebhookBody,
+  matchesFilter,
+};
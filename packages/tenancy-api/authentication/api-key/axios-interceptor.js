@@ -1,6 +1,6 @@
 const { Signer } = require('./signer.js');
 const { isObject } = require('./util.js');
-const buildURL = require('axios/lib/helpers/buildURL.js');
+const { buildURL, isAbsoluteURL } = require('@upvest/api-library');
 
 
 class APIKeyAxiosInterceptor {
@@ -17,7 +17,11 @@ class APIKeyAxiosInterceptor {
 
   // Normalize config.baseURL into config.url
   normalizeUrlConfig(config) {
-    if (('baseURL' in config) && ('url' in config)) {
+    // Absolute URLs, like the `next` links of paginated lists, win over config.baseURL, same as in Axios.
+    if (('url' in config) && isAbsoluteURL(config.url)) {
+      delete config.baseURL;
+    }
+    else if (('baseURL' in config) && ('url' in config)) {
       let baseURL = config.baseURL;
       let url = config.url;
 
@@ -54,7 +58,7 @@ class APIKeyAxiosInterceptor {
     return whatwgUrl.pathname + whatwgUrl.search;
   }
 
-  addAPIKeyHeadersAndSignatureToConfig(config) {
+  async addAPIKeyHeadersAndSignatureToConfig(config) {
     const timestamp = "" + Math.floor(Date.now() / 1000);
     const signedPath = this.getSignedPathFromAxiosConfig(config);
     const messageParts = {
@@ -63,7 +67,7 @@ class APIKeyAxiosInterceptor {
       signedPath,
       body: config.data,
     };
-    const signature = this.signer.sign(messageParts);
+    const signature = await this.signer.sign(messageParts);
 
     config.headers = config.headers || {};
     config.headers['X-UP-API-Key'] = this.key;
@@ -71,25 +75,22 @@ class APIKeyAxiosInterceptor {
     config.headers['X-UP-API-Timestamp'] = timestamp;
     config.headers['X-UP-API-Signed-Path'] = signedPath;
     config.headers['X-UP-API-Signature'] = signature;
-    if (config.requestId) {
-      config.headers['X-UP-API-Request-ID'] = config.requestId;
-    }
 
     return config;
   }
 
-  addDebugInfoToConfig(config) {
+  async addDebugInfoToConfig(config) {
     if (this.debugger && 'addDebugInfoToConfig' in this.debugger) {
-      config = this.debugger.addDebugInfoToConfig(config);
+      config = await this.debugger.addDebugInfoToConfig(config);
     }
     return config;
   }
 
-  interceptRequest(config) {
+  async interceptRequest(config) {
     config = this.normalizeUrlConfig(config);
     config = this.normalizeBodyConfig(config);
-    config = this.addAPIKeyHeadersAndSignatureToConfig(config);
-    config = this.addDebugInfoToConfig(config);
+    config = await this.addAPIKeyHeadersAndSignatureToConfig(config);
+    config = await this.addDebugInfoToConfig(config);
     return config;
   }
 
@@ -1,3 +1,4 @@
+const { redact } = require('@upvest/api-library');
 
 class APIKeyDebugger {
   constructor(interceptor) {
@@ -5,14 +6,14 @@ class APIKeyDebugger {
     this.interceptor.injectDebugger(this);
   }
 
-  addDebugInfoToConfig(config) {
+  async addDebugInfoToConfig(config) {
     const messageParts = {
       timestamp: config.headers['X-UP-API-Timestamp'],
       method: config.method,
       signedPath: this.interceptor.getSignedPathFromAxiosConfig(config),
       body: config.data,
     };
-    config.signatureDebugInfo = this.interceptor.signer.getDebugInfo(messageParts);
+    config.signatureDebugInfo = await this.interceptor.signer.getDebugInfo(messageParts);
     return config;
   }
 
@@ -29,9 +30,9 @@ class APIKeyDebugger {
       if (ourSha512 != serverSha512) {
         console.log(`The SHA512 does not match for the "${messagePartName}" message part.`);
         console.log(`We sent:`);
-        console.dir(debugInfo.normalized.toString('utf8'));
+        console.dir(redact(debugInfo.normalized.toString('utf8')));
         console.log(`Server got:`);
-        console.dir(serverDebugInfo.message_parts[toServerMessagePartName[messagePartName]].canonicalized);
+        console.dir(redact(serverDebugInfo.message_parts[toServerMessagePartName[messagePartName]].canonicalized));
       }
     }
   }
@@ -39,6 +40,8 @@ class APIKeyDebugger {
   interceptResponseError(error) {
     // console.dir(error, {depth:null, colors:true});
     if (
+      error.response
+      &&
       (403 == error.response.status)
       &&
       ('error' in error.response.data)
@@ -1,4 +1,12 @@
-const crypto = require('crypto');
+const { toBuf, toHex } = require('./util.js');
+
+// What a Signer signs with unless it is given a `subtle`. The entry points set
+// it: index.node.js to Node's WebCrypto, index.web.js to the global one.
+let defaultWebCrypto = null;
+
+function setDefaultWebCrypto(webcrypto) {
+  defaultWebCrypto = webcrypto;
+}
 
 
 // This is an Array to preserve the order during signing.
@@ -49,23 +57,36 @@ const messagePartsConfig = [
 
 
 class Signer {
-  constructor(secret) {
+  constructor(secret, subtle = defaultWebCrypto.subtle) {
     this.secret = secret;
+    this.subtle = subtle;
+    this.keyPromise = null;
+  }
+
+  // Imported once, on first use.
+  getKey() {
+    if (!this.keyPromise) {
+      this.keyPromise = this.subtle.importKey(
+        'raw', toBuf(this.secret), { name: 'HMAC', hash: 'SHA-512' }, false, ['sign']
+      );
+    }
+    return this.keyPromise;
   }
 
-  sign(messageParts) {
+  async sign(messageParts) {
     let preHashMessage = '';
     for (const { name, normalize } of messagePartsConfig) {
       preHashMessage += normalize(messageParts[name]);
     }
-    return crypto.createHmac('sha512', this.secret).update(preHashMessage, 'utf8').digest('hex');
+    const signature = await this.subtle.sign('HMAC', await this.getKey(), toBuf(preHashMessage));
+    return toHex(signature);
   }
 
-  getDebugInfo(messageParts) {
+  async getDebugInfo(messageParts) {
     const debugInfo = {};
     for (const { name, normalize } of messagePartsConfig) {
       const normalized = normalize(messageParts[name]);
-      const sha512 = crypto.createHash('sha512').update(normalized).digest('hex');
+      const sha512 = toHex(await this.subtle.digest('SHA-512', toBuf(normalized)));
       debugInfo[name] = {normalized, sha512};
     }
     return debugInfo;
@@ -73,5 +94,6 @@ class Signer {
 }
 
 module.exports = {
-  Signer
+  Signer,
+  setDefaultWebCrypto,
 };
@@ -1,13 +1,20 @@
 
+// UTF-8 bytes, as a Uint8Array (a Buffer on Node.js), for WebCrypto.
 function toBuf(str) {
   // TODO Discuss whether or not to use String.normalize('NFC') here
   // @see http://www.unicode.org/reports/tr15/tr15-29.html
 
-  // TODO Implement for browsers with Uint8Array() and TextEncoder() from Encoding Web API
   // @see https://developer.mozilla.org/en-US/docs/Web/API/TextEncoder
+  if (typeof TextEncoder != 'undefined') {
+    return new TextEncoder().encode(String(str));
+  }
   return Buffer.from(String(str), 'utf8');
 }
 
+function toHex(arrayBuffer) {
+  return Array.from(new Uint8Array(arrayBuffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
 function isObject(thing) {
   return (
     (thing !== undefined)
@@ -21,5 +28,5 @@ function isObject(thing) {
 }
 
 module.exports = {
-  toBuf, isObject
+  toBuf, toHex, isObject
 };
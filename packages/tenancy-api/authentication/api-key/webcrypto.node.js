@@ -0,0 +1,21 @@
+// Node.js has WebCrypto as `crypto.webcrypto` since v15. Before that, the few
+// parts of `crypto.subtle` the Signer needs are built on `createHmac()` and
+// `createHash()`. Bundlers swap this file for `webcrypto.web.js`, see
+// "browser" in package.json.
+const crypto = require('crypto');
+
+const toNodeHash = algorithm => (algorithm.name || algorithm).replace('-', '').toLowerCase();
+
+const legacySubtle = {
+  async importKey(format, keyData, algorithm) {
+    return { keyData: Buffer.from(keyData), hash: toNodeHash(algorithm.hash) };
+  },
+  async sign(algorithm, key, data) {
+    return crypto.createHmac(key.hash, key.keyData).update(data).digest();
+  },
+  async digest(algorithm, data) {
+    return crypto.createHash(toNodeHash(algorithm)).update(data).digest();
+  },
+};
+
+module.exports = crypto.webcrypto && crypto.webcrypto.subtle ? crypto.webcrypto : { subtle: legacySubtle };
@@ -0,0 +1,3 @@
+/* eslint-env browser */
+// Browsers, Deno and Cloudflare Workers have WebCrypto as global `crypto`.
+module.exports = crypto;
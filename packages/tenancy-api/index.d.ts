@@ -0,0 +1,305 @@
+import {
+  AssetsEndpoint,
+  WalletsEndpoint,
+  TransactionsEndpoint,
+  SignaturesEndpoint,
+  UtxosEndpoint,
+  AssetRegistry,
+  ClientOptions,
+  HTTPClient,
+  ListOptions,
+  Page,
+  RequestConfig,
+  WithRequestId,
+  RequestOptions,
+} from '@upvest/api-library';
+
+export {
+  UpvestError,
+  UpvestAPIError,
+  AuthenticationError,
+  SignatureMismatchError,
+  ValidationError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  TimeoutError,
+  NetworkError,
+  WaitTimeoutError,
+  AbortError,
+  TransactionFailedError,
+  SchemaValidationError,
+  Amount,
+  AssetRegistry,
+  erc20Transfer,
+  selectCoins,
+  buildBitcoinPsbt,
+  finalizePsbt,
+  StaticFeeOracle,
+  JsonRpcFeeOracle,
+  FeeHistoryOracle,
+  defaultRedactedFields,
+  redact,
+  createRequestLogger,
+  createTelemetryPlugin,
+  createFetchClient,
+} from '@upvest/api-library';
+
+export type {
+  Asset,
+  Balance,
+  Wallet,
+  WalletStatus,
+  Transaction,
+  TransactionStatus,
+  FeeInfo,
+  Utxo,
+  SignatureResult,
+  Page,
+  ListOptions,
+  ClientOptions,
+  Plugin,
+  PluginContext,
+  Logger,
+  RequestLogRecord,
+  Telemetry,
+  Transport,
+  TransactionOptions,
+  HTTPClient,
+  RequestConfig,
+  Response,
+  RequestOptions,
+} from '@upvest/api-library';
+
+export interface ServerTime {
+  epoch: number;
+  iso8601: string;
+}
+
+// Users
+
+export interface User {
+  username: string;
+  [key: string]: unknown;
+}
+
+export interface CreatedUser extends WithRequestId {
+  username: string;
+  // An SVG, or with `rawRecoverykit` the encrypted recovery kit as is
+  recoverykit: string;
+  wallet_ids: string[];
+}
+
+export interface UsersEndpoint {
+  client: HTTPClient;
+  create(
+    username: string,
+    password: string,
+    clientIp?: string,
+    userAgent?: string,
+    assetIds?: string[],
+    asynchronously?: boolean,
+    rawRecoverykit?: boolean,
+    requestId?: string
+  ): Promise<CreatedUser>;
+  list(pageSize?: number, options?: ListOptions): AsyncGenerator<User, void, undefined>;
+  listPages(pageSize?: number, options?: ListOptions): AsyncGenerator<Page<User>, void, undefined>;
+  retrieve(username: string): Promise<User>;
+  updatePassword(
+    username: string,
+    oldPassword: string,
+    newPassword: string,
+    requestIdOrOptions?: string | RequestOptions
+  ): Promise<boolean>;
+  recover(seed: string, seedhash: string, userId: string, password: string, requestId?: string): Promise<any>;
+  delete(username: string, requestIdOrOptions?: string | RequestOptions): Promise<boolean>;
+}
+
+// Webhooks
+
+export interface Webhook extends WithRequestId {
+  id: string;
+  url: string;
+  name: string;
+  headers?: {[name: string]: string};
+  version: string;
+  status: string;
+  event_filters?: string[];
+  [key: string]: unknown;
+}
+
+export interface WebhooksEndpoint {
+  client: HTTPClient;
+  create(
+    url: string,
+    headers: {[name: string]: string},
+    version: string,
+    status: string,
+    name: string,
+    hmacSecretKey: string,
+    eventFilters: string[],
+    requestId?: string
+  ): Promise<Webhook>;
+  verifyBaseUrl(baseUrl: string, requestId?: string): Promise<any>;
+  list(pageSize?: number, options?: ListOptions): AsyncGenerator<Webhook, void, undefined>;
+  listPages(pageSize?: number, options?: ListOptions): AsyncGenerator<Page<Webhook>, void, undefined>;
+  retrieve(id: string): Promise<Webhook>;
+  delete(id: string, requestIdOrOptions?: string | RequestOptions): Promise<boolean>;
+}
+
+// The bodies the API POSTs to a webhook's URL, signed in the `X-Up-Signature`
+// header as `sha256=<hex HMAC-SHA256 of the body with the hmacSecretKey>`.
+// Tell them apart by `action`.
+
+export interface WebhookPayloadBase<A extends string, D> {
+  action: A;
+  data: D;
+  [key: string]: unknown;
+}
+
+export interface WebhookWallet {
+  id: string;
+  address: string;
+  protocol?: string;
+  username?: string;
+  [key: string]: unknown;
+}
+
+export type EchoGetWebhookPayload = WebhookPayloadBase<'echo.get', {echo: string}>;
+
+export type UserCreatedWebhookPayload = WebhookPayloadBase<
+  'user.created',
+  {username: string; recoverykit: string; wallets: WebhookWallet[]; [key: string]: unknown}
+>;
+
+export type WalletCreatedWebhookPayload = WebhookPayloadBase<'wallet.created', WebhookWallet>;
+export type WalletRecryptedWebhookPayload = WebhookPayloadBase<'wallet.recrypted', WebhookWallet>;
+export type WalletRecoveredWebhookPayload = WebhookPayloadBase<'wallet.recovered', WebhookWallet>;
+
+export type TransactionProcessedWebhookPayload = WebhookPayloadBase<
+  'transaction.processed',
+  {id: string; hash: string; status: string; [key: string]: unknown}
+>;
+
+export type TransferObservedWebhookPayload = WebhookPayloadBase<
+  'transfer.observed',
+  {
+    txhash: string;
+    sender: string;
+    recipient: string;
+    // In base units
+    quantity: string;
+    asset: {id: string; [key: string]: unknown};
+    [key: string]: unknown;
+  }
+>;
+
+export type WebhookPayload =
+  | EchoGetWebhookPayload
+  | UserCreatedWebhookPayload
+  | WalletCreatedWebhookPayload
+  | WalletRecryptedWebhookPayload
+  | WalletRecoveredWebhookPayload
+  | TransactionProcessedWebhookPayload
+  | TransferObservedWebhookPayload;
+
+// Historical data. The shapes differ per protocol, these are the fields all
+// of them have.
+
+export interface HistoricalTransaction {
+  hash: string;
+  confirmations: number;
+  [key: string]: unknown;
+}
+
+export interface HistoricalTransactions {
+  result: HistoricalTransaction[];
+  [key: string]: unknown;
+}
+
+export interface HistoricalBlock {
+  number: string;
+  [key: string]: unknown;
+}
+
+export interface HistoricalBalance {
+  address: string;
+  // Only for contract (e.g. ERC20 token) balances
+  contract?: string;
+  [key: string]: unknown;
+}
+
+export interface HistoricalStatus {
+  lowest: number | string | null;
+  highest: number | string | null;
+  latest: number | string | null;
+  [key: string]: unknown;
+}
+
+export interface HistoricalDataEndpoint {
+  client: HTTPClient;
+  // `filters` is passed on as the request config.
+  get_transactions(
+    protocol: string,
+    network: string,
+    address: string,
+    filters?: RequestConfig
+  ): Promise<HistoricalTransactions>;
+  get_transaction(protocol: string, network: string, txhash: string): Promise<HistoricalTransaction>;
+  get_block(protocol: string, network: string, block_number: number | string): Promise<HistoricalBlock>;
+  get_asset_balance(protocol: string, network: string, address: string): Promise<HistoricalBalance>;
+  get_contract_balance(
+    protocol: string,
+    network: string,
+    address: string,
+    contract_address: string
+  ): Promise<HistoricalBalance>;
+  api_status(protocol: string, network: string): Promise<HistoricalStatus>;
+}
+
+// What API key requests are signed with: the hex HMAC-SHA512 of timestamp,
+// method, signed path and body, see the "X-UP-API-*" headers.
+export interface SignatureMessageParts {
+  timestamp: string | number;
+  method: string;
+  signedPath: string;
+  body?: string;
+}
+
+export class Signer {
+  // `subtle` defaults to the runtime's WebCrypto `crypto.subtle`.
+  constructor(secret: string, subtle?: unknown);
+  sign(messageParts: SignatureMessageParts): Promise<string>;
+  getDebugInfo(
+    messageParts: SignatureMessageParts
+  ): Promise<{[name in keyof SignatureMessageParts]: {normalized: string; sha512: string}}>;
+}
+
+export class UpvestTenancyAPI {
+  constructor(
+    baseURL: string,
+    key: string,
+    secret: string,
+    passphrase: string,
+    timeout?: number,
+    debug?: boolean,
+    userAgent?: string,
+    options?: ClientOptions
+  );
+  options: ClientOptions;
+  client: HTTPClient;
+  requestInterceptorHandle: number;
+  responseInterceptorHandle: number;
+  time(requestId?: string): Promise<ServerTime>;
+  echo(what: string, requestIdOrOptions?: string | RequestOptions): Promise<string>;
+  echoGet(what: string, requestId?: string): Promise<string>;
+  readonly users: UsersEndpoint;
+  readonly webhooks: WebhooksEndpoint;
+  readonly assets: AssetsEndpoint;
+  readonly wallets: WalletsEndpoint;
+  readonly transactions: TransactionsEndpoint;
+  readonly signatures: SignaturesEndpoint;
+  readonly utxos: UtxosEndpoint;
+  readonly historical: HistoricalDataEndpoint;
+  readonly assetRegistry: AssetRegistry;
+}
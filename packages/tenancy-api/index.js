@@ -1,7 +1,6 @@
-const util = require('util');
-const axios = require('axios');
 const {APIKeyAxiosInterceptor} = require('./authentication/api-key/axios-interceptor.js');
 const {APIKeyDebugger} = require('./authentication/api-key/debugger.js');
+const {Signer} = require('./authentication/api-key/signer.js');
 
 const { version } = require('./package.json');
 
@@ -12,23 +11,76 @@ const {
   SignaturesEndpoint,
   UtxosEndpoint,
   genericList,
-  defaultListErrorHandler,
+  genericListPages,
+  getRequestOptions,
+  reportRequestId,
   createHTTPClient,
+  UpvestError,
+  UpvestAPIError,
+  AuthenticationError,
+  SignatureMismatchError,
+  ValidationError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  TimeoutError,
+  NetworkError,
+  WaitTimeoutError,
+  AbortError,
+  TransactionFailedError,
+  SchemaValidationError,
+  Amount,
+  AssetRegistry,
+  erc20Transfer,
+  selectCoins,
+  buildBitcoinPsbt,
+  finalizePsbt,
+  StaticFeeOracle,
+  JsonRpcFeeOracle,
+  FeeHistoryOracle,
+  defaultRedactedFields,
+  redact,
+  createRequestLogger,
+  createTelemetryPlugin,
+  createFetchClient,
 } = require('@upvest/api-library');
+const {schemas} = require('./schemas.js');
 
 class UpvestTenancyAPI {
-  constructor(baseURL, key, secret, passphrase, timeout = 120000, debug = false, userAgent) {
-    this.client = createHTTPClient({baseURL, timeout, userAgent, version });
+  constructor(
+    baseURL,
+    key,
+    secret,
+    passphrase,
+    timeout = 120000,
+    debug = false,
+    userAgent,
+    options = {}
+  ) {
+    this.options = options;
     this.interceptor = new APIKeyAxiosInterceptor(key, secret, passphrase);
 
     if (debug) {
       new APIKeyDebugger(this.interceptor); // Will inject itself into this.interceptor
     }
 
-    this.requestInterceptorHandle = this.client.interceptors.request.use(
-      this.interceptor.getRequestInterceptor(),
-      this.interceptor.getRequestErrorInterceptor()
-    );
+    this.client = createHTTPClient({
+      baseURL,
+      timeout,
+      userAgent,
+      version,
+      retry: options.retry,
+      plugins: options.plugins,
+      logger: options.logger,
+      redact: options.redact,
+      telemetry: options.telemetry,
+      transport: options.transport,
+      validateResponses: options.validateResponses,
+      schemas,
+      authenticate: this.interceptor.getRequestInterceptor(),
+      authenticateError: this.interceptor.getRequestErrorInterceptor(),
+    });
+    this.requestInterceptorHandle = this.client.authInterceptorHandle;
 
     this.responseInterceptorHandle = this.client.interceptors.response.use(
       this.interceptor.getResponseInterceptor(),
@@ -37,19 +89,23 @@ class UpvestTenancyAPI {
   }
 
   async time(requestId) {
-    const response = await this.client.get('time/', {requestId});
+    const response = await this.client.get('time/', {requestId, operation: 'time'});
     return response.data;
   }
 
-  async echo(what, requestId) {
+  // The last argument is the request ID, or `{requestId, onRequestId}`, as
+  // for all calls which resolve a plain value.
+  async echo(what, requestIdOrOptions) {
+    const {requestId, onRequestId} = getRequestOptions(requestIdOrOptions);
     const data = {echo: what};
-    const response = await this.client.post('tenancy/echo-signed', data, {requestId});
+    const response = await this.client.post('tenancy/echo-signed', data, {requestId, operation: 'echo'});
+    reportRequestId(response, onRequestId);
     return response.data.echo;
   }
 
   async echoGet(what, requestId) {
     const data = {echo: what};
-    const response = await this.client.get('tenancy/echo-signed', {params: data, requestId});
+    const response = await this.client.get('tenancy/echo-signed', {params: data, requestId, operation: 'echoGet'});
     return response.data.echo;
   }
 
@@ -83,7 +139,10 @@ class UpvestTenancyAPI {
 
   get transactions() {
     if (!this.transactionsEndpoint) {
-      this.transactionsEndpoint = new TransactionsEndpoint(this.client);
+      this.transactionsEndpoint = new TransactionsEndpoint(this.client, {
+        feeOracle: this.options.feeOracle,
+        assetRegistry: this.assetRegistry,
+      });
     }
     return this.transactionsEndpoint;
   }
@@ -108,6 +167,14 @@ class UpvestTenancyAPI {
     }
     return this.historicalEndpoint;
   }
+
+  // Cached asset catalog, configured via `options.assetRegistry`, e.g. `{ttl, snapshot}`
+  get assetRegistry() {
+    if (!this.assetRegistryInstance) {
+      this.assetRegistryInstance = new AssetRegistry(this.assets, this.options.assetRegistry);
+    }
+    return this.assetRegistryInstance;
+  }
 }
 
 class UsersEndpoint {
@@ -134,34 +201,51 @@ class UsersEndpoint {
       raw: Boolean(rawRecoverykit),
       async: Boolean(asynchronously),
     };
-    const response = await this.client.post('tenancy/users/', data, {requestId});
+    const response = await this.client.post('tenancy/users/', data, {requestId, operation: 'users.create'});
     return response.data;
   }
 
-  async *list(pageSize) {
-    yield* genericList('tenancy/users/', this.client, pageSize);
+  async *list(pageSize, options) {
+    yield* genericList('tenancy/users/', this.client, pageSize, null, {...options, operation: 'users.list'});
+  }
+
+  async *listPages(pageSize, options) {
+    yield* genericListPages('tenancy/users/', this.client, pageSize, {...options, operation: 'users.listPages'});
   }
 
   async retrieve(username) {
     const params = {};
-    const response = await this.client.get(`tenancy/users/${encodeURIComponent(username)}`, params);
+    const response = await this.client.get(`tenancy/users/${encodeURIComponent(username)}`, {
+      params,
+      operation: 'users.retrieve',
+    });
     return response.data;
   }
 
-  async updatePassword(username, oldPassword, newPassword) {
+  async updatePassword(username, oldPassword, newPassword, requestIdOrOptions) {
+    const {requestId, onRequestId} = getRequestOptions(requestIdOrOptions);
     const data = {old_password: oldPassword, new_password: newPassword};
-    const response = await this.client.patch(`tenancy/users/${encodeURIComponent(username)}`, data);
+    const response = await this.client.patch(`tenancy/users/${encodeURIComponent(username)}`, data, {
+      requestId,
+      operation: 'users.updatePassword',
+    });
+    reportRequestId(response, onRequestId);
     return response.status == 200;
   }
 
-  async recover(seed, seedhash, userId, password) {
+  async recover(seed, seedhash, userId, password, requestId) {
     const data = {seed, seedhash, user_id: userId, password};
-    const response = await this.client.post(`tenancy/recover/`, data);
+    const response = await this.client.post(`tenancy/recover/`, data, {requestId, operation: 'users.recover'});
     return response.data;
   }
 
-  async delete(username) {
-    const response = await this.client.delete(`tenancy/users/${encodeURIComponent(username)}`);
+  async delete(username, requestIdOrOptions) {
+    const {requestId, onRequestId} = getRequestOptions(requestIdOrOptions);
+    const response = await this.client.delete(`tenancy/users/${encodeURIComponent(username)}`, {
+      requestId,
+      operation: 'users.delete',
+    });
+    reportRequestId(response, onRequestId);
     return response.status == 204;
   }
 }
@@ -171,7 +255,7 @@ class WebhooksEndpoint {
     this.client = client;
   }
 
-  async create(url, headers, version, status, name, hmacSecretKey, eventFilters) {
+  async create(url, headers, version, status, name, hmacSecretKey, eventFilters, requestId) {
     const data = {
       url,
       headers,
@@ -181,23 +265,30 @@ class WebhooksEndpoint {
       hmac_secret_key: hmacSecretKey,
       event_filters: eventFilters,
     };
-    const response = await this.client.post('tenancy/webhooks/', data);
+    const response = await this.client.post('tenancy/webhooks/', data, {requestId, operation: 'webhooks.create'});
     return response.data;
   }
 
-  async verifyBaseUrl(baseUrl) {
+  async verifyBaseUrl(baseUrl, requestId) {
     const data = {verify_url: baseUrl};
-    const response = await this.client.post('tenancy/webhooks-verify/', data);
+    const response = await this.client.post('tenancy/webhooks-verify/', data, {
+      requestId,
+      operation: 'webhooks.verifyBaseUrl',
+    });
     return response.data;
   }
 
-  async *list(pageSize) {
-    yield* genericList('tenancy/webhooks/', this.client, pageSize);
+  async *list(pageSize, options) {
+    yield* genericList('tenancy/webhooks/', this.client, pageSize, null, {...options, operation: 'webhooks.list'});
+  }
+
+  async *listPages(pageSize, options) {
+    yield* genericListPages('tenancy/webhooks/', this.client, pageSize, {...options, operation: 'webhooks.listPages'});
   }
 
   async retrieve(id) {
     const params = {};
-    const response = await this.client.get(`tenancy/webhooks/${id}`, params);
+    const response = await this.client.get(`tenancy/webhooks/${id}`, {params, operation: 'webhooks.retrieve'});
     return response.data;
   }
 
@@ -216,8 +307,10 @@ class WebhooksEndpoint {
   //   return response.status == 200;
   // }
 
-  async delete(id) {
-    const response = await this.client.delete(`tenancy/webhooks/${id}`);
+  async delete(id, requestIdOrOptions) {
+    const {requestId, onRequestId} = getRequestOptions(requestIdOrOptions);
+    const response = await this.client.delete(`tenancy/webhooks/${id}`, {requestId, operation: 'webhooks.delete'});
+    reportRequestId(response, onRequestId);
     return response.status == 204;
   }
 }
@@ -228,41 +321,79 @@ class HistoricalDataEndpoint {
   }
 
   async get_transactions(protocol, network, address, filters) {
-    const response = await this.client.get(
-      `data/${protocol}/${network}/transactions/${address}`,
-      filters
-    );
+    const response = await this.client.get(`data/${protocol}/${network}/transactions/${address}`, {
+      ...filters,
+      operation: 'historical.get_transactions',
+    });
     return response.data;
   }
 
   async get_transaction(protocol, network, txhash) {
-    const response = await this.client.get(`data/${protocol}/${network}/transaction/${txhash}`);
+    const response = await this.client.get(`data/${protocol}/${network}/transaction/${txhash}`, {
+      operation: 'historical.get_transaction',
+    });
     return response.data.result;
   }
 
   async get_block(protocol, network, block_number) {
-    const response = await this.client.get(`data/${protocol}/${network}/block/${block_number}`);
+    const response = await this.client.get(`data/${protocol}/${network}/block/${block_number}`, {
+      operation: 'historical.get_block',
+    });
     return response.data.result;
   }
 
   async get_asset_balance(protocol, network, address) {
-    const response = await this.client.get(`data/${protocol}/${network}/balance/${address}`);
+    const response = await this.client.get(`data/${protocol}/${network}/balance/${address}`, {
+      operation: 'historical.get_asset_balance',
+    });
     return response.data.result;
   }
 
   async get_contract_balance(protocol, network, address, contract_address) {
     const response = await this.client.get(
-      `data/${protocol}/${network}/balance/${address}/${contract_address}`
+      `data/${protocol}/${network}/balance/${address}/${contract_address}`,
+      {operation: 'historical.get_contract_balance'}
     );
     return response.data.result;
   }
 
   async api_status(protocol, network) {
-    const response = await this.client.get(`data/${protocol}/${network}/status`);
+    const response = await this.client.get(`data/${protocol}/${network}/status`, {
+      operation: 'historical.api_status',
+    });
     return response.data.result;
   }
 }
 
 module.exports = {
   UpvestTenancyAPI,
+  Signer,
+  UpvestError,
+  UpvestAPIError,
+  AuthenticationError,
+  SignatureMismatchError,
+  ValidationError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  TimeoutError,
+  NetworkError,
+  WaitTimeoutError,
+  AbortError,
+  TransactionFailedError,
+  SchemaValidationError,
+  Amount,
+  AssetRegistry,
+  erc20Transfer,
+  selectCoins,
+  buildBitcoinPsbt,
+  finalizePsbt,
+  StaticFeeOracle,
+  JsonRpcFeeOracle,
+  FeeHistoryOracle,
+  defaultRedactedFields,
+  redact,
+  createRequestLogger,
+  createTelemetryPlugin,
+  createFetchClient,
 };
@@ -0,0 +1,6 @@
+// The entry point for Node.js, see "exports" in package.json.
+const { setDefaultWebCrypto } = require('./authentication/api-key/signer.js');
+
+setDefaultWebCrypto(require('./authentication/api-key/webcrypto.node.js'));
+
+module.exports = require('./index.js');
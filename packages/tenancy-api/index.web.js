@@ -0,0 +1,7 @@
+// The entry point for browsers, Deno and edge runtimes, see "exports" in
+// package.json. Nothing in here loads Node.js' `crypto`.
+const { setDefaultWebCrypto } = require('./authentication/api-key/signer.js');
+
+setDefaultWebCrypto(require('./authentication/api-key/webcrypto.web.js'));
+
+module.exports = require('./index.js');
@@ -0,0 +1,89 @@
+// JSON Schemas of the tenancy-only endpoints, by operation name, on top of
+// `responseSchemas` from @upvest/api-library. See `validateResponses`.
+
+const {responseSchemaFragments} = require('@upvest/api-library');
+
+const {page, nullableString} = responseSchemaFragments;
+
+const echo = {
+  type: 'object',
+  required: ['echo'],
+  properties: {echo: {type: 'string'}},
+};
+
+const user = {
+  type: 'object',
+  required: ['username'],
+  properties: {username: {type: 'string'}},
+};
+
+const createdUser = {
+  type: 'object',
+  required: ['username', 'recoverykit', 'wallet_ids'],
+  properties: {
+    username: {type: 'string'},
+    recoverykit: {type: 'string'},
+    wallet_ids: {type: 'array', items: {type: 'string'}},
+  },
+};
+
+const webhook = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: {type: ['string', 'integer']},
+    url: {type: 'string'},
+    name: {type: 'string'},
+    status: {type: 'string'},
+  },
+};
+
+// The historical data API wraps everything in `result`.
+const historical = result => ({
+  type: 'object',
+  required: ['result'],
+  properties: {result},
+});
+
+const balance = {
+  type: 'object',
+  required: ['address'],
+  properties: {address: {type: 'string'}, contract: nullableString},
+};
+
+const blockNumber = {type: ['string', 'integer', 'null']};
+
+const schemas = {
+  time: {
+    type: 'object',
+    required: ['epoch', 'iso8601'],
+    properties: {epoch: {type: 'number'}, iso8601: {type: 'string'}},
+  },
+  echo,
+  echoGet: echo,
+  'users.create': createdUser,
+  'users.list': page(user),
+  'users.listPages': page(user),
+  'users.retrieve': user,
+  'webhooks.create': webhook,
+  'webhooks.list': page(webhook),
+  'webhooks.listPages': page(webhook),
+  'webhooks.retrieve': webhook,
+  'historical.get_transactions': historical({
+    type: 'array',
+    items: {type: 'object', properties: {hash: {type: 'string'}, confirmations: {type: 'integer'}}},
+  }),
+  'historical.get_transaction': historical({type: 'object', required: ['hash'], properties: {hash: {type: 'string'}}}),
+  'historical.get_block': historical({type: 'object', required: ['number'], properties: {number: blockNumber}}),
+  'historical.get_asset_balance': historical(balance),
+  'historical.get_contract_balance': historical(balance),
+  'historical.api_status': historical({
+    type: 'object',
+    required: ['lowest', 'highest', 'latest'],
+    properties: {lowest: blockNumber, highest: blockNumber, latest: blockNumber},
+  }),
+};
+
+module.exports = {
+  schemas,
+};
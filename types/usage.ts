@@ -0,0 +1,257 @@
+// Typed usage of the clients, checked by `npm run typecheck`. Never run, only
+// compiled: if the declarations drift from what the packages do, this stops
+// compiling. `@ts-expect-error` marks what has to be rejected.
+
+import {
+  UpvestTenancyAPI,
+  Amount,
+  AssetRegistry,
+  NotFoundError,
+  RateLimitError,
+  ValidationError,
+  SchemaValidationError,
+  WaitTimeoutError,
+  StaticFeeOracle,
+  FeeHistoryOracle,
+  createRequestLogger,
+  createTelemetryPlugin,
+  createFetchClient,
+  redact,
+  selectCoins,
+  buildBitcoinPsbt,
+  finalizePsbt,
+  erc20Transfer,
+  Plugin,
+  Wallet,
+  WebhookPayload,
+  Transaction,
+} from '@upvest/tenancy-api';
+import {UpvestClienteleAPI, UpvestClienteleAPIFromOAuth2Token, OffboardingResponse} from '@upvest/clientele-api';
+import {createHTTPClient, genericListPages, Page, Asset} from '@upvest/api-library';
+import {FakeUpvestAPI, defaultAssets, signWebhookBody} from '@upvest/fake-api';
+
+const BASE_URL = 'https://api.playground.upvest.co/1.0/';
+
+const timing: Plugin = {
+  beforeRequest(config, context) {
+    context.timed = config.operation;
+  },
+  onRetry(error, context) {
+    return (context.delay || 0) < 1000 && error.status !== 400;
+  },
+};
+
+async function tenancyUsage(): Promise<void> {
+  const tenancy = new UpvestTenancyAPI(BASE_URL, 'key', 'secret', 'passphrase', 30000, false, undefined, {
+    retry: {retries: 5},
+    feeOracle: new StaticFeeOracle({fast: {gasPrice: '20000000000', gasLimit: 21000}}),
+    plugins: [timing],
+    logger: console,
+    redact: ['password', 'seed'],
+    telemetry: {},
+    transport: 'fetch',
+    validateResponses: 'strict',
+  });
+
+  const time = await tenancy.time();
+  const epoch: number = time.epoch;
+  const echoed: string = await tenancy.echo('Hello');
+  const userDeleted: boolean = await tenancy.users.delete('bob', {onRequestId: (id: string) => console.log(id)});
+
+  const user = await tenancy.users.create('alice', 'secret', '127.0.0.1', 'usage', ['asset-id'], false, false);
+  const walletIds: string[] = user.wallet_ids;
+  const recoverykit: string = user.recoverykit;
+  const requestId: string | undefined = user.requestId;
+  for await (const listed of tenancy.users.list(10)) {
+    const username: string = listed.username;
+  }
+  const updated: boolean = await tenancy.users.updatePassword('alice', 'secret', 'new secret');
+
+  const wallet: Wallet = await tenancy.wallets.retrieve(walletIds[0]);
+  for (const balance of wallet.balances) {
+    const amount: string = balance.amount;
+    const exponent: number = balance.exponent;
+  }
+  const withAmounts = await tenancy.wallets.retrieve(wallet.id, {amounts: true});
+  const total: Amount = withAmounts.balances[0].amount.plus('1');
+  // @ts-expect-error balances are strings unless asked for amounts
+  wallet.balances[0].amount.plus('1');
+  // @ts-expect-error wallet statuses are a closed set
+  const unknownStatus: Wallet['status'] = 'DELETED';
+
+  const active: Wallet[] = await tenancy.wallets.waitUntilActive(walletIds, {timeout: 60000});
+  for await (const change of tenancy.wallets.watchBalances(wallet.id, {interval: 5000})) {
+    const delta: bigint = change.delta;
+  }
+
+  const transaction = await tenancy.transactions.create({
+    walletId: wallet.id,
+    password: 'secret',
+    recipient: '0x0000000000000000000000000000000000000000',
+    assetId: 'asset-id',
+    quantity: Amount.parse('0.1 ETH', {symbol: 'ETH', exponent: 18}),
+    speed: 'fast',
+  });
+  const gasUsed: string | undefined = transaction.fee_info && transaction.fee_info.gas_used;
+  const fees = transaction.fees;
+  const legacy: Transaction = await tenancy.transactions.create(wallet.id, 'secret', 'recipient', 'asset-id', '1000');
+  const final = await tenancy.transactions.waitFor(wallet.id, legacy.id, {
+    until: 'CONFIRMING',
+    onTransition: ({previous, status}) => console.log(previous, status),
+  });
+  const txhash: string | null = final.txhash;
+  for await (const page of tenancy.transactions.listPages(wallet.id, 20, {amounts: true})) {
+    const quantity: Amount = page.results[0].quantity;
+    const nextCursor: string | null = page.nextCursor;
+  }
+  // @ts-expect-error quantity is required
+  await tenancy.transactions.create({walletId: wallet.id, password: 'secret', recipient: 'r', assetId: 'a'});
+
+  const signature = await tenancy.signatures.sign(wallet.id, 'secret', '00'.repeat(32), 'hex', 'hex');
+  const verified: boolean = tenancy.signatures.verify(signature, '00'.repeat(32), {wallet: {...wallet}});
+  const x: string = signature.public_key.x;
+  const signedTx = await tenancy.signatures.signTransaction(wallet.id, 'secret', {
+    chainId: 3,
+    nonce: 0,
+    gasLimit: 60000,
+    maxFeePerGas: '30000000000',
+    maxPriorityFeePerGas: '1500000000',
+    ...erc20Transfer('0x0000000000000000000000000000000000000001', '0x0000000000000000000000000000000000000002', 1),
+  });
+  await tenancy.transactions.createRaw(wallet.id, 'secret', signedTx.rawTransaction, 'hex');
+
+  const utxos = [];
+  for await (const utxo of tenancy.utxos.list(wallet.id)) {
+    utxos.push(utxo);
+  }
+  const selection = selectCoins(utxos, 150000, 12, {strategy: 'privacy'});
+  const psbt = await buildBitcoinPsbt({
+    network: 'bitcoin_testnet',
+    inputs: selection.inputs,
+    outputs: [{address: 'tb1q', value: 150000}],
+    change: selection.change,
+    changeAddress: 'tb1q',
+  });
+  const {rawTransaction, txid} = finalizePsbt(await tenancy.signatures.signPsbt(wallet.id, 'secret', psbt));
+
+  const eth: Asset | undefined = await tenancy.assetRegistry.findOne({symbol: 'ETH', protocol: 'ethereum'});
+  const offline = AssetRegistry.fromSnapshot(tenancy.assetRegistry.toJSON());
+  const ethExponent: number = await offline.exponent({symbol: 'ETH'});
+
+  const webhook = await tenancy.webhooks.create('https://example.com/', {}, '1.2', 'ACTIVE', 'hook', 'key', [
+    'upvest.wallet.created',
+  ]);
+  const deleted: boolean = await tenancy.webhooks.delete(webhook.id);
+
+  const block = await tenancy.historical.get_block('ethereum', 'ropsten', 1);
+  const blockNumber: number = parseInt(block.number);
+  const txs = await tenancy.historical.get_transactions('ethereum', 'ropsten', '0x0', {params: {confirmations: 100}});
+  const confirmations: number[] = txs.result.map(tx => tx.confirmations);
+  const contractBalance = await tenancy.historical.get_contract_balance('ethereum', 'ropsten', '0x0', '0x1');
+  const contract: string | undefined = contractBalance.contract;
+  const status = await tenancy.historical.api_status('ethereum', 'ropsten');
+  const latest = status.latest;
+
+  try {
+    await tenancy.wallets.retrieve('missing');
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      const locations: string[] = error.locations;
+    }
+    if (error instanceof RateLimitError) {
+      const retryAfter: number | null = error.retryAfter;
+    }
+    if (error instanceof SchemaValidationError) {
+      const path: string = error.path;
+    }
+    if (error instanceof WaitTimeoutError) {
+      const pending: string[] | undefined = error.pendingWalletIds;
+    }
+  }
+}
+
+function handleWebhook(body: string): string | undefined {
+  const payload: WebhookPayload = JSON.parse(body);
+  switch (payload.action) {
+    case 'user.created':
+      return payload.data.wallets.map(wallet => wallet.address).join();
+    case 'wallet.created':
+    case 'wallet.recrypted':
+    case 'wallet.recovered':
+      return payload.data.address;
+    case 'transaction.processed':
+      return payload.data.hash;
+    case 'transfer.observed':
+      return `${payload.data.quantity} of ${payload.data.asset.id}`;
+    case 'echo.get':
+      return payload.data.echo;
+  }
+  return undefined;
+}
+
+async function clienteleUsage(): Promise<void> {
+  const clientele = new UpvestClienteleAPI(BASE_URL, 'id', 'secret', 'alice', 'password', ['read', 'wallet']);
+  const token = await clientele.getCachedToken();
+  const fromToken = new UpvestClienteleAPIFromOAuth2Token(BASE_URL, token, undefined, undefined, {
+    transport: 'axios',
+    logger: record => console.log(record.method, record.path, record.status),
+    telemetry: createTelemetryPlugin({}) && {},
+    feeOracle: new FeeHistoryOracle('https://node.example.com/', {percentiles: {fast: 80}}),
+    validateResponses: {
+      mode: 'lenient',
+      warn: (message, error) => console.warn(message, error.details),
+      schemas: {offboard: {type: 'object', required: ['results']}},
+    },
+  });
+  // @ts-expect-error only strict and lenient exist
+  new UpvestClienteleAPIFromOAuth2Token(BASE_URL, token, undefined, undefined, {validateResponses: 'loose'});
+
+  const wallet = await fromToken.wallets.create('asset-id', 'password');
+  const address: string | null = wallet.address;
+
+  const offboarding: OffboardingResponse = await clientele.offboard('password');
+  const counts: number = offboarding.metadata.offboarded_wallet_count + offboarding.metadata.total_wallet_count;
+  const zip: string = offboarding.zip_base64;
+  for (const result of offboarding.results) {
+    const keystore = result.keystore_file;
+    const bip38: string | undefined = result.bip38_encrypted_private_key;
+  }
+  // @ts-expect-error there is no historical data for clientele users
+  clientele.historical;
+}
+
+async function libraryUsage(): Promise<void> {
+  const client = createHTTPClient({
+    baseURL: BASE_URL,
+    transport: config => createFetchClient({...config, fetch}),
+    plugins: [createRequestLogger(console.info, {bodies: false})],
+  });
+  for await (const page of genericListPages<Asset>('assets/', client, 100)) {
+    const assets: Page<Asset> = page;
+  }
+  const headers = redact({Authorization: 'Bearer secret'});
+}
+
+async function fakeUsage(): Promise<void> {
+  const fake = new FakeUpvestAPI({confirmationDelay: null, blockHeight: 5000});
+  const baseURL: string = await fake.listen();
+  const {key, secret, passphrase} = fake.apiKey;
+  const tenancy = new UpvestTenancyAPI(baseURL, key, secret, passphrase);
+  const [ether] = defaultAssets;
+  const {wallet_ids} = fake.addUser('alice', 'password', [ether.id]);
+  const {txhash}: {txhash: string} = fake.fund(wallet_ids[0], ether.id, BigInt(10) ** BigInt(18));
+  const recipient = '0x0000000000000000000000000000000000000001';
+  const transaction = await tenancy.transactions.create(wallet_ids[0], 'password', recipient, ether.id, 1, 21000);
+  const historical = await tenancy.historical.get_transaction('ethereum', 'ropsten', txhash);
+  fake.setTransactionStatus(transaction.id, 'CONFIRMED');
+  // @ts-expect-error no such status
+  fake.setTransactionStatus(transaction.id, 'DONE');
+  const {client_id, client_secret} = fake.addOAuth2Client();
+  new UpvestClienteleAPI(baseURL, client_id, client_secret, 'alice', 'password');
+  for (const delivery of await fake.settled()) {
+    const valid: boolean = delivery.headers['X-Up-Signature'] == signWebhookBody(delivery.body, 'hmac key');
+  }
+  await fake.close();
+}
+
+export {tenancyUsage, handleWebhook, clienteleUsage, libraryUsage, fakeUsage};